@@ -0,0 +1,305 @@
+// Guest-to-Account Migration for Second Brain
+// Data created before signing in belongs to 'anonymous_user'. This moves all of it to the
+// account after a preview, giving new record ids to records whose ids the account already uses.
+// Progress is kept in the local store so an interrupted migration resumes where it stopped.
+
+const ACCOUNT_MIGRATIONS_COLLECTION = 'account_migrations';
+
+// The record's new id, or its id when it keeps it
+function remapRecordId(idMap, id) {
+    return id !== undefined && id !== null && idMap[String(id)] !== undefined ? idMap[String(id)] : id;
+}
+
+class AccountMigration {
+    constructor(firebaseService) {
+        this.firebase = firebaseService;
+        this.runPromise = null;
+    }
+
+    get local() {
+        return this.firebase.local;
+    }
+
+    progressId(fromUserId, toUserId) {
+        return `${fromUserId}__${toUserId}`;
+    }
+
+    userFilter(userId) {
+        return [{ field: 'userId', operator: '==', value: userId }];
+    }
+
+    // A user's records from this device and the cloud; the newer copy of each record wins. The
+    // cloud is read past the cache, so ids the account took on another device are not missed.
+    async readRecords(collection, userId) {
+        const copies = await this.firebase.localFor(userId).query(collection, this.userFilter(userId));
+        if (this.firebase.canWriteRemote()) {
+            copies.push(...await this.firebase.remote.query(collection, this.userFilter(userId), { forceRefresh: true }));
+        }
+
+        const records = new Map();
+        copies.forEach(record => {
+            const existing = records.get(String(record.id));
+            if (!existing || new Date(record.updatedAt || 0) > new Date(existing.updatedAt || 0)) {
+                records.set(String(record.id), record);
+            }
+        });
+        return [...records.values()];
+    }
+
+    // Records in the current schema, so numeric ids on either side are already record ids
+    upgrade(collection, records) {
+        return records.map(record => schemaMigrations.migrate(collection, record).record);
+    }
+
+    // A document as stored for a user on this device or in the cloud, whichever is newer
+    async readDocument(collection, docId, userId) {
+        const copies = [await this.firebase.localFor(userId).get(collection, docId)];
+        if (this.firebase.canWriteRemote()) {
+            copies.push(await this.firebase.remote.get(collection, docId, { forceRefresh: true }));
+        }
+
+        return copies
+            .filter(copy => copy && copy.userId === userId)
+            .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))[0] || null;
+    }
+
+    // Guest records encrypted with the guest's passphrase could not be read by the account
+    async checkEncryption(fromUserId) {
+        const settings = await this.firebase.encryption.readSettings(fromUserId);
+        if (settings && settings.collections.length > 0) {
+            throw new Error('Turn off encryption for the guest data before moving it into an account');
+        }
+    }
+
+    // What would move: records per collection, and how many of them collide with the account
+    async preview(fromUserId, toUserId) {
+        await this.checkEncryption(fromUserId);
+        const collections = [];
+
+        for (const collection of USER_RECORD_COLLECTIONS) {
+            const source = this.upgrade(collection, await this.readRecords(collection, fromUserId));
+            if (source.length === 0) continue;
+
+            const target = this.upgrade(collection, await this.readRecords(collection, toUserId));
+            const targetIds = new Set(target.map(record => String(record.id)));
+            collections.push({
+                collection: collection,
+                type: 'records',
+                records: source.length,
+                collisions: source.filter(record => targetIds.has(String(record.id))).length
+            });
+        }
+
+        for (const collection of USER_DOCUMENT_COLLECTIONS) {
+            const source = await this.readDocument(collection, fromUserId, fromUserId);
+            if (!source) continue;
+
+            const target = await this.readDocument(collection, toUserId, toUserId);
+            collections.push({ collection: collection, type: 'document', records: 1, collisions: target ? 1 : 0 });
+        }
+
+        return {
+            fromUserId: fromUserId,
+            toUserId: toUserId,
+            collections: collections,
+            total: collections.reduce((sum, entry) => sum + entry.records, 0),
+            collisions: collections.reduce((sum, entry) => sum + entry.collisions, 0)
+        };
+    }
+
+    async getProgress(fromUserId, toUserId) {
+        return this.local.get(ACCOUNT_MIGRATIONS_COLLECTION, this.progressId(fromUserId, toUserId));
+    }
+
+    async saveProgress(progress) {
+        await this.local.set(ACCOUNT_MIGRATIONS_COLLECTION, this.progressId(progress.fromUserId, progress.toUserId), progress);
+    }
+
+    // Only one migration runs at a time; callers share the running one
+    run(fromUserId, toUserId) {
+        if (!this.runPromise) {
+            this.runPromise = this.migrate(fromUserId, toUserId).finally(() => {
+                this.runPromise = null;
+            });
+        }
+        return this.runPromise;
+    }
+
+    async migrate(fromUserId, toUserId) {
+        if (this.firebase.userId !== toUserId) {
+            throw new Error('Sign in to the account before moving guest data into it');
+        }
+        if (!this.firebase.canWriteRemote()) {
+            throw new Error('Moving guest data needs a connection to the cloud');
+        }
+        await this.checkEncryption(fromUserId);
+
+        const progress = await this.getProgress(fromUserId, toUserId) || {
+            fromUserId: fromUserId,
+            toUserId: toUserId,
+            completed: [],
+            idMap: {},
+            moved: 0,
+            renumbered: 0,
+            startedAt: new Date().toISOString()
+        };
+        progress.status = 'running';
+        await this.saveProgress(progress);
+
+        console.log(`📦 Moving data from ${fromUserId} to ${toUserId}${progress.completed.length > 0 ? ' (resuming)' : ''}...`);
+
+        const steps = [
+            ['ids', () => this.assignIds(progress)],
+            ...USER_RECORD_COLLECTIONS.map(collection => [collection, () => this.migrateRecords(collection, progress)]),
+            ...USER_DOCUMENT_COLLECTIONS.map(collection => [collection, () => this.migrateDocument(collection, progress)]),
+            ['counters', () => this.removeCounters(progress)]
+        ];
+
+        for (const [step, migrateStep] of steps) {
+            if (progress.completed.includes(step)) continue;
+
+            await migrateStep();
+            progress.completed.push(step);
+            await this.saveProgress(progress);
+        }
+
+        progress.status = 'done';
+        progress.finishedAt = new Date().toISOString();
+        await this.saveProgress(progress);
+
+        console.log(`✅ Moved ${progress.moved} records to ${toUserId} (${progress.renumbered} with new ids)`);
+        return progress;
+    }
+
+    // Picks the new ids of every collection before anything is written, so references between
+    // collections can follow them, and saves them with the progress so a resumed run reuses them
+    async assignIds(progress) {
+        const { fromUserId, toUserId } = progress;
+        for (const collection of USER_RECORD_COLLECTIONS) {
+            const source = this.upgrade(collection, await this.readRecords(collection, fromUserId));
+            if (source.length === 0) continue;
+
+            const target = this.upgrade(collection, await this.readRecords(collection, toUserId));
+            const targetIds = new Set(target.map(record => String(record.id)));
+            const idMap = progress.idMap[collection] || (progress.idMap[collection] = {});
+            source.forEach(record => {
+                const oldId = String(record.id);
+                if (idMap[oldId] === undefined && targetIds.has(oldId)) {
+                    idMap[oldId] = createRecordId();
+                }
+            });
+        }
+    }
+
+    async migrateRecords(collection, progress) {
+        const { fromUserId, toUserId } = progress;
+        const stored = await this.readRecords(collection, fromUserId);
+        if (stored.length === 0) return;
+
+        const source = this.upgrade(collection, stored);
+        const idMap = progress.idMap[collection] || {};
+
+        const renumbered = source.filter(record => idMap[String(record.id)] !== undefined);
+        await this.firebase.writeBatch(source.map(record => {
+            const newId = remapRecordId(idMap, record.id);
+            const data = this.remapReferences(collection, JSON.parse(JSON.stringify(record)), progress.idMap);
+            return { type: 'set', collection: collection, docId: newId, data: { ...data, id: newId, userId: toUserId } };
+        }));
+
+        // The guest's copies are removed from this device, and from the cloud where the guest
+        // still owns them: a record that kept its id now has the account's copy under that id.
+        for (const record of stored) {
+            await this.removeGuestCopy(collection, String(record.id), fromUserId);
+        }
+
+        progress.moved += source.length;
+        progress.renumbered += renumbered.length;
+        console.log(`📦 ${collection}: moved ${source.length} records, ${renumbered.length} with new ids`);
+    }
+
+    // Completed tasks and CRM tasks in the trash point at their project, and tasks at their parent
+    // task. A CRM task and its completed copy share an id, so tasks inside projects take the new
+    // ids of their completed copies.
+    remapReferences(collection, record, idMap) {
+        const projectIds = idMap.projects || {};
+        const taskIds = idMap.completed_tasks || {};
+        const remapTasks = tasks => (tasks || []).forEach(task => {
+            task.id = remapRecordId(taskIds, task.id);
+            task.parentTaskId = remapRecordId(taskIds, task.parentTaskId);
+            remapTasks(task.subtasks);
+        });
+
+        if (collection === 'projects') {
+            remapTasks(record.tasks);
+        } else if (collection === 'completed_tasks') {
+            record.projectId = remapRecordId(projectIds, record.projectId);
+            record.parentTaskId = remapRecordId(taskIds, record.parentTaskId);
+            remapTasks(record.subtasks);
+        } else if (collection === TRASH_COLLECTION && record.kind === 'project_task') {
+            record.docId = String(remapRecordId(projectIds, record.docId));
+            record.parent.projectId = remapRecordId(projectIds, record.parent.projectId);
+            record.parent.parentTaskId = remapRecordId(taskIds, record.parent.parentTaskId);
+            remapTasks([record.record]);
+        }
+        return record;
+    }
+
+    async removeGuestCopy(collection, docId, fromUserId) {
+        for (const store of [this.firebase.localFor(fromUserId), this.firebase.remote]) {
+            const copy = await store.get(collection, docId);
+            if (copy && copy.userId === fromUserId) {
+                await store.delete(collection, docId);
+                if (store === this.firebase.remote) this.firebase.recordWrites(1);
+            }
+        }
+    }
+
+    // Settings and timer state are one document per user; the account's own copy wins. The
+    // workspace lists are merged, or the guest's records in its own workspaces would be hidden.
+    async migrateDocument(collection, progress) {
+        const { fromUserId, toUserId } = progress;
+        const source = await this.readDocument(collection, fromUserId, fromUserId);
+        if (!source) return;
+
+        const target = await this.readDocument(collection, toUserId, toUserId);
+        if (!target) {
+            await this.firebase.writeBatch([{ type: 'set', collection: collection, docId: toUserId, data: { ...source, userId: toUserId } }]);
+            progress.moved++;
+        } else if (collection === WORKSPACES_COLLECTION) {
+            const known = new Set(target.workspaces.map(workspace => workspace.id));
+            const added = source.workspaces.filter(workspace => !known.has(workspace.id));
+            if (added.length > 0) {
+                await this.firebase.writeBatch([{ type: 'set', collection: collection, docId: toUserId, data: { ...target, workspaces: [...target.workspaces, ...added] } }]);
+                progress.moved++;
+            }
+        }
+        await this.removeGuestCopy(collection, fromUserId, fromUserId);
+    }
+
+    // Counters from before record ids mean nothing to the account; the guest's copies go
+    async removeCounters(progress) {
+        for (const collection of LEGACY_COUNTER_COLLECTIONS) {
+            await this.removeGuestCopy(collection, 'counters', progress.fromUserId);
+        }
+    }
+
+    // Migrations into this account that were interrupted (tab closed, connection lost)
+    async getUnfinished(toUserId) {
+        return this.local.query(ACCOUNT_MIGRATIONS_COLLECTION, [
+            { field: 'toUserId', operator: '==', value: toUserId },
+            { field: 'status', operator: '==', value: 'running' }
+        ]);
+    }
+
+    async resumeUnfinished(toUserId) {
+        const unfinished = await this.getUnfinished(toUserId);
+        for (const progress of unfinished) {
+            try {
+                await this.run(progress.fromUserId, toUserId);
+            } catch (error) {
+                console.error('❌ Error resuming account migration:', error);
+            }
+        }
+        return unfinished.length;
+    }
+}
@@ -0,0 +1,176 @@
+// Backup Manager for Second Brain
+// Backups are full exports of the account (js/data-export.js) kept in the local store
+// ('backups'), keyed by the time they were made. They are encrypted like the records they copy
+// when the user encrypts any collection. Backups are made by hand or automatically once a day;
+// automatic ones are thinned out to the newest of each of the last 7 days and of the last 4
+// weeks, while those made by hand stay until deleted. Restoring goes through the import wizard
+// (js/data-import.js).
+
+const BACKUPS_COLLECTION = 'backups';
+const AUTO_BACKUP_INTERVAL = 24 * 60 * 60 * 1000;
+const AUTO_BACKUP_CHECK_INTERVAL = 60 * 60 * 1000;
+const BACKUP_KEEP_DAILY = 7;
+const BACKUP_KEEP_WEEKLY = 4;
+
+// Local calendar day and the Monday of its week, e.g. '2024-05-06'
+function backupDayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function backupWeekKey(date) {
+    const monday = new Date(date);
+    monday.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    return backupDayKey(monday);
+}
+
+class BackupManager {
+    constructor(firebaseService) {
+        this.firebase = firebaseService;
+        this.running = false;
+    }
+
+    get store() {
+        return this.firebase.localStore;
+    }
+
+    // Backup ids are their timestamps with ':' and '.' replaced, which keeps them sortable
+    createId(date) {
+        return date.toISOString().replace(/[:.]/g, '-');
+    }
+
+    // Backups from before backupDate was recorded only have the timestamp of their id
+    backupDate(backup) {
+        if (backup.backupDate) return new Date(backup.backupDate);
+        const match = String(backup.id).match(/^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+        return match ? new Date(`${match[1]}:${match[2]}:${match[3]}.${match[4]}Z`) : new Date(Number(backup.id) || 0);
+    }
+
+    // The signed-in user's backups, newest first, without their content:
+    // { id, date, kind, size, encrypted, records, counts } where kind, records and counts (per
+    // collection) are null while the backup cannot be decrypted
+    async list() {
+        const stored = await this.store.query(BACKUPS_COLLECTION, this.firebase.userFilter());
+        const backups = [];
+        for (const backup of stored) {
+            let content = null;
+            try {
+                content = await this.firebase.encryption.decryptRecord(backup);
+            } catch (error) {
+                // Listed without its counts until unlocked
+            }
+
+            const counts = content ? this.countRecords(content) : null;
+            backups.push({
+                id: backup.id,
+                date: this.backupDate(content || backup),
+                kind: content ? content.kind || 'manual' : null,
+                size: new Blob([JSON.stringify(backup)]).size,
+                encrypted: isEncryptedRecord(backup),
+                records: counts ? Object.values(counts).reduce((total, count) => total + count, 0) : null,
+                counts: counts
+            });
+        }
+        return backups.sort((a, b) => b.date - a.date);
+    }
+
+    // Records per collection; backups from before full exports count as the import reads them
+    countRecords(content) {
+        const file = isFullExport(content) ? content : this.firebase.dataImport.fromLegacy(content);
+        const counts = {};
+        Object.entries((file.data && file.data.collections) || {}).forEach(([collection, records]) => {
+            if (Array.isArray(records) && records.length > 0) counts[collection] = records.length;
+        });
+        return counts;
+    }
+
+    // The content of a backup, decrypted, as a file the import wizard reads
+    async get(backupId) {
+        const backup = await this.store.get(BACKUPS_COLLECTION, backupId);
+        if (!backup || backup.userId !== this.firebase.userId) {
+            throw new Error('This backup no longer exists');
+        }
+
+        const { id, ...content } = await this.firebase.encryption.decryptRecord(backup);
+        return content;
+    }
+
+    // kind: 'manual' or 'auto'. Returns the new backup's id.
+    async create(kind = 'manual') {
+        const date = new Date();
+        const backupId = this.createId(date);
+        const backup = await this.firebase.encryption.encryptRecord(BACKUPS_COLLECTION, {
+            ...await this.firebase.dataExport.build(),
+            backupDate: date.toISOString(),
+            kind: kind
+        });
+
+        try {
+            await this.store.set(BACKUPS_COLLECTION, backupId, backup);
+        } catch (error) {
+            throw new Error('Not enough storage space');
+        }
+        console.log(`💾 Created ${kind} backup ${backupId}`);
+        return backupId;
+    }
+
+    async delete(backupId) {
+        await this.store.delete(BACKUPS_COLLECTION, backupId);
+        console.log(`🗑️ Deleted backup ${backupId}`);
+    }
+
+    // Ids of the automatic backups the retention keeps: the newest of each of the last
+    // BACKUP_KEEP_DAILY days and of the last BACKUP_KEEP_WEEKLY weeks that have one
+    retainedIds(backups) {
+        const days = new Set();
+        const weeks = new Set();
+        const kept = new Set();
+
+        [...backups].sort((a, b) => b.date - a.date).forEach(backup => {
+            const day = backupDayKey(backup.date);
+            const week = backupWeekKey(backup.date);
+            if (!days.has(day) && days.size < BACKUP_KEEP_DAILY) {
+                days.add(day);
+                kept.add(backup.id);
+            }
+            if (!weeks.has(week) && weeks.size < BACKUP_KEEP_WEEKLY) {
+                weeks.add(week);
+                kept.add(backup.id);
+            }
+        });
+        return kept;
+    }
+
+    // Deletes the automatic backups the retention does not keep. Returns the number deleted.
+    async prune() {
+        const automatic = (await this.list()).filter(backup => backup.kind === 'auto');
+        const kept = this.retainedIds(automatic);
+        const expired = automatic.filter(backup => !kept.has(backup.id));
+        for (const backup of expired) {
+            await this.store.delete(BACKUPS_COLLECTION, backup.id);
+        }
+
+        if (expired.length > 0) {
+            console.log(`🧹 Deleted ${expired.length} automatic backups past the retention`);
+        }
+        return expired.length;
+    }
+
+    // Makes an automatic backup when the last one is a day old. Backups of encrypted data wait
+    // until it is unlocked. Returns the new backup's id, or null when none was due.
+    async runScheduled() {
+        if (this.running || this.firebase.encryption.locked) return null;
+
+        this.running = true;
+        try {
+            const automatic = (await this.list()).filter(backup => backup.kind === 'auto');
+            const latest = automatic.length > 0 ? automatic[0].date : null;
+            if (latest && Date.now() - latest.getTime() < AUTO_BACKUP_INTERVAL) return null;
+
+            const backupId = await this.create('auto');
+            await this.prune();
+            return backupId;
+        } finally {
+            this.running = false;
+        }
+    }
+}
@@ -0,0 +1,128 @@
+// Bank Statements for Second Brain
+// Wallet transactions from bank statement files: OFX (and Quicken's QFX, which is OFX) and QIF.
+// Files are read as statements
+//   { format, account, currency, closingBalance, balanceDate,
+//     transactions: [{ fitId, date, amount, description }] }
+// with amounts signed (negative for money out) and dates as YYYY-MM-DD, or null when unreadable.
+// OFX gives every transaction the bank's id (FITID) and the statement's closing (ledger) balance.
+// QIF has neither: its transactions get an id made of their date, amount and payee, and the
+// closing balance is left to the user.
+
+// OFX 1.x is SGML, where values have no closing tag; aggregates are closed in both versions
+function ofxBlocks(text, tag) {
+    return text.match(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'gi')) || [];
+}
+
+function ofxField(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    if (!match) return null;
+    const value = match[1]
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+        .trim();
+    return value || null;
+}
+
+// 20240131, 20240131120000 or 20240131120000.000[-5:EST]
+function ofxDate(value) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Id of a transaction the statement gives none: its date, amount and payee, and how many
+// identical ones come before it, so two coffees on one day stay two transactions
+function statementTransactionIds(transactions) {
+    const seen = new Map();
+    transactions.forEach(transaction => {
+        if (transaction.fitId) return;
+        const key = [transaction.date, transaction.amount, (transaction.description || '').toLowerCase()].join('|');
+        const count = (seen.get(key) || 0) + 1;
+        seen.set(key, count);
+        transaction.fitId = `${key}|${count}`;
+    });
+    return transactions;
+}
+
+function parseOfx(text) {
+    const statements = [...ofxBlocks(text, 'STMTRS'), ...ofxBlocks(text, 'CCSTMTRS')].map(block => {
+        const balance = ofxBlocks(block, 'LEDGERBAL')[0];
+        return {
+            format: 'OFX',
+            account: ofxField(block, 'ACCTID') || '',
+            currency: ofxField(block, 'CURDEF'),
+            closingBalance: balance ? parseWalletAmount(ofxField(balance, 'BALAMT')) : null,
+            balanceDate: balance ? ofxDate(ofxField(balance, 'DTASOF')) : null,
+            transactions: statementTransactionIds(ofxBlocks(block, 'STMTTRN').map(transaction => ({
+                fitId: ofxField(transaction, 'FITID'),
+                date: ofxDate(ofxField(transaction, 'DTPOSTED')),
+                amount: parseWalletAmount(ofxField(transaction, 'TRNAMT')),
+                description: ofxField(transaction, 'NAME') || ofxField(transaction, 'MEMO') || ''
+            })))
+        };
+    });
+
+    if (statements.length === 0) {
+        throw new Error('The OFX file has no bank or credit card statement');
+    }
+    return statements;
+}
+
+// QIF dates are month first, as Quicken writes them ("1/31/2024", "1/31'24"), unless the file's
+// dates only fit another format
+function qifDateFormat(dates) {
+    const detected = detectWalletDateFormats(dates);
+    return detected.includes('MM/DD/YYYY') ? 'MM/DD/YYYY' : detected[0] || 'MM/DD/YYYY';
+}
+
+function parseQif(text) {
+    const records = [];
+    let section = null;
+    let account = '';
+    let record = {};
+
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        if (line.startsWith('!')) {
+            section = line.slice(1).trim().toLowerCase();
+            return;
+        }
+        if (line.trim() === '^') {
+            if (section === 'account' && record.N) {
+                account = record.N;
+            } else if (section && /^type:(bank|cash|ccard|oth a|oth l)$/.test(section)) {
+                records.push(record);
+            }
+            record = {};
+            return;
+        }
+        // Split lines (S, E, $) belong to the transaction's categories, not its amount
+        const code = line.charAt(0);
+        if (code && !(code in record) && !'SE$'.includes(code)) {
+            record[code] = line.slice(1).trim();
+        }
+    });
+
+    if (records.length === 0) {
+        throw new Error('The QIF file has no bank, cash or credit card transactions');
+    }
+
+    const dates = records.map(fields => (fields.D || '').replace(/'/g, '/').replace(/\s+/g, ''));
+    const format = qifDateFormat(dates);
+    return [{
+        format: 'QIF',
+        account: account,
+        currency: null,
+        closingBalance: null,
+        balanceDate: null,
+        transactions: statementTransactionIds(records.map((fields, index) => ({
+            fitId: null,
+            date: parseWalletDate(dates[index], format),
+            amount: parseWalletAmount(fields.T || fields.U),
+            description: fields.P || fields.M || ''
+        })))
+    }];
+}
+
+function parseBankStatement(text, fileName) {
+    if (/<OFX>/i.test(text)) return parseOfx(text);
+    if (/^!(Type|Account)/im.test(text)) return parseQif(text);
+    throw new Error(`${fileName} is not an OFX or QIF statement`);
+}
@@ -0,0 +1,67 @@
+// CSV for Second Brain
+// Comma-separated text as spreadsheets and exporting apps write it (RFC 4180): quoted fields may
+// hold commas, quotes ("") and line breaks, and lines end in \n or \r\n.
+
+// Rows of fields, without blank lines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+// Rows as objects keyed by the header row's names
+function parseCsvRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const names = header.map(name => name.trim());
+    return rows.map(fields => {
+        const record = {};
+        names.forEach((name, index) => {
+            record[name] = fields[index] !== undefined ? fields[index] : '';
+        });
+        return record;
+    });
+}
+
+// Quotes a field only when it needs it
+function formatCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows) {
+    return `${rows.map(row => row.map(formatCsvField).join(',')).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,120 @@
+// Data Export for Second Brain
+// Full copy of a user's account: the records of every user collection (all workspaces), the
+// pomodoro documents and dashboard widgets and settings of each workspace, the workspace list
+// and the activity log. The file format is described by js/export-schema.js; a SHA-256 checksum
+// of the data section tells whether a file came back the way it was written. Files are read
+// back by js/data-import.js.
+
+const EXPORT_FORMAT = 'second-brain-export';
+const EXPORT_FORMAT_VERSION = 2;
+const EXPORT_CHECKSUM_ALGORITHM = 'SHA-256';
+
+// Pomodoro documents of each workspace; the workspace list is exported on its own
+const EXPORT_DOCUMENT_COLLECTIONS = USER_DOCUMENT_COLLECTIONS.filter(collection => collection !== WORKSPACES_COLLECTION);
+
+// JSON with object keys sorted at every level, so the checksum does not depend on key order
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Taken of the data as it reads back from the file, so dates and the like hash as their JSON
+async function exportChecksum(data) {
+    const text = canonicalJson(JSON.parse(JSON.stringify(data)));
+    const digest = await crypto.subtle.digest(EXPORT_CHECKSUM_ALGORITHM, new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function isFullExport(file) {
+    return !!file && file.format === EXPORT_FORMAT;
+}
+
+class DataExport {
+    constructor(firebaseService) {
+        this.firebase = firebaseService;
+    }
+
+    get workspaces() {
+        return this.firebase.workspaces;
+    }
+
+    // Locked records would be left out without a word
+    checkUnlocked() {
+        if (this.firebase.encryption.locked) {
+            throw new Error('Unlock your encrypted data first');
+        }
+    }
+
+    readJson(key, fallback) {
+        try {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : fallback;
+        } catch (error) {
+            console.error(`❌ Error reading ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    // The data section of an export file
+    async collect() {
+        this.checkUnlocked();
+
+        const data = {
+            collections: {},
+            documents: {},
+            workspaces: this.workspaces.getAll(),
+            dashboardWidgets: {},
+            settings: {},
+            activityLogs: await this.firebase.local.query('activity_logs')
+        };
+
+        for (const collection of USER_RECORD_COLLECTIONS) {
+            data.collections[collection] = await this.firebase.getCollection(collection, { allWorkspaces: true });
+        }
+
+        // Pomodoro documents are keyed by workspace id rather than document id, which holds the user id
+        for (const collection of EXPORT_DOCUMENT_COLLECTIONS) {
+            data.documents[collection] = {};
+            for (const workspace of this.workspaces.getAll()) {
+                const document = await this.firebase.getDocument(collection, this.firebase.workspaceDocId(workspace.id));
+                if (document) data.documents[collection][workspace.id] = document;
+            }
+        }
+
+        for (const workspace of this.workspaces.getAll()) {
+            data.dashboardWidgets[workspace.id] = this.readJson(this.firebase.workspaceStorageKey('dashboard_widgets', workspace.id), []);
+            data.settings[workspace.id] = this.readJson(workspaceSettingsKey(workspace.id), {});
+        }
+
+        return data;
+    }
+
+    async build() {
+        const data = await this.collect();
+        return {
+            format: EXPORT_FORMAT,
+            formatVersion: EXPORT_FORMAT_VERSION,
+            exportDate: new Date().toISOString(),
+            userId: this.firebase.userId,
+            schemaVersions: schemaMigrations.getVersions([...USER_RECORD_COLLECTIONS, ...EXPORT_DOCUMENT_COLLECTIONS]),
+            data: data,
+            checksum: { algorithm: EXPORT_CHECKSUM_ALGORITHM, value: await exportChecksum(data) }
+        };
+    }
+
+    // False when the file has no checksum or its data changed since it was written
+    async verify(file) {
+        if (!file.checksum || file.checksum.algorithm !== EXPORT_CHECKSUM_ALGORITHM || !file.data) {
+            return false;
+        }
+        return await exportChecksum(file.data) === file.checksum.value;
+    }
+}
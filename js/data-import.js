@@ -0,0 +1,347 @@
+// Data Import for Second Brain
+// Import Data reads an export file in three steps. The file is checked against the export schema
+// (js/export-schema.js) and its checksum, then compared with the account: which records of each
+// module are new, changed or conflicting. Conflicting records were edited in the account after
+// the file was exported. Last, the file is written in the mode the user chose:
+// - merge adds new records and updates changed ones; conflicting ones keep the account's version
+//   unless the user takes the file's
+// - replace makes the file's records the account's, deleting records the file does not have
+// Everything goes through FirebaseService, so it is stamped, encrypted and synced like any other
+// change.
+
+// Collections of files from before full exports (no `format` field), keyed by their field in
+// the file
+const LEGACY_EXPORT_COLLECTIONS = {
+    goals: 'simple_goals',
+    habits: 'habits',
+    wallet: 'wallet_transactions',
+    crm: 'projects'
+};
+
+const IMPORT_COLLECTION_LABELS = {
+    ...WORKSPACE_MOVABLE_COLLECTIONS,
+    completed_tasks: 'Completed CRM Tasks',
+    trash: 'Trash',
+    pomodoro_settings: 'Pomodoro Settings',
+    pomodoro_state: 'Pomodoro Timer'
+};
+
+// Stamped anew by every write, so records differing only in these are the same
+const IMPORT_METADATA_FIELDS = ['id', 'userId', 'updatedAt', SCHEMA_VERSION_FIELD];
+
+const IMPORT_ERROR_LIMIT = 20;
+
+function schemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Checks a value against the keywords the export schema uses ($ref, const, enum, type, pattern,
+// minimum, items, required, properties, additionalProperties). Returns messages such as
+// "data.collections.notes[3]: missing id".
+function schemaErrors(value, schema, root = schema, path = 'file') {
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+        return schemaErrors(value, target, root, path);
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        return [`${path}: must be ${JSON.stringify(schema.const)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+    }
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const type = schemaType(value);
+        if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+            return [`${path}: must be of type ${types.join(' or ')}`];
+        }
+    }
+
+    const errors = [];
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: is not in the expected format`);
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...schemaErrors(item, schema.items, root, `${path}[${index}]`)));
+    }
+    if (schemaType(value) === 'object') {
+        (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .forEach(key => errors.push(`${path}: missing ${key}`));
+        Object.entries(value).forEach(([key, item]) => {
+            const properties = schema.properties || {};
+            const itemSchema = key in properties ? properties[key] : schema.additionalProperties;
+            if (itemSchema === false) {
+                errors.push(`${path}: unexpected ${key}`);
+            } else if (itemSchema) {
+                errors.push(...schemaErrors(item, itemSchema, root, `${path}.${key}`));
+            }
+        });
+    }
+    return errors;
+}
+
+class DataImport {
+    constructor(firebaseService) {
+        this.firebase = firebaseService;
+    }
+
+    get workspaces() {
+        return this.firebase.workspaces;
+    }
+
+    checkUnlocked() {
+        if (this.firebase.encryption.locked) {
+            throw new Error('Unlock your encrypted data first');
+        }
+    }
+
+    isLegacy(file) {
+        return file.formatVersion < EXPORT_FORMAT_VERSION;
+    }
+
+    // Files from before full exports: settings plus the records of four collections, all of which
+    // join the open workspace. They come back in the shape of a full export.
+    fromLegacy(content) {
+        const workspaceId = this.firebase.workspaceId;
+        const collections = {};
+        Object.entries(LEGACY_EXPORT_COLLECTIONS).forEach(([key, collection]) => {
+            if (content[key] === undefined) return;
+            collections[collection] = Array.isArray(content[key])
+                ? content[key].map(record => schemaType(record) === 'object' ? { ...record, [WORKSPACE_FIELD]: workspaceId } : record)
+                : content[key];
+        });
+
+        return {
+            format: EXPORT_FORMAT,
+            formatVersion: 1,
+            exportDate: content.exportDate || null,
+            schemaVersions: content.schemaVersions || {},
+            data: {
+                collections: collections,
+                documents: {},
+                workspaces: [],
+                dashboardWidgets: {},
+                settings: content.settings ? { [workspaceId]: content.settings } : {},
+                activityLogs: []
+            }
+        };
+    }
+
+    // Reads the parsed (and decrypted) content of a file. Returns { file, errors, errorCount,
+    // checksumValid }: file in the shape of a full export, the first schema errors, and whether
+    // the checksum matches (null for files from before full exports, which have none).
+    async read(content) {
+        const result = { file: null, errors: [], errorCount: 0, checksumValid: null };
+        const reject = message => ({ ...result, errors: [message], errorCount: 1 });
+
+        if (schemaType(content) !== 'object') {
+            return reject('The file is not a Second Brain export');
+        }
+
+        let errors;
+        if (isFullExport(content)) {
+            if (content.formatVersion > EXPORT_FORMAT_VERSION) {
+                return reject('The file was exported by a newer version of Second Brain');
+            }
+            result.file = content;
+            errors = schemaErrors(content, EXPORT_SCHEMA);
+        } else {
+            if (!content.settings && !Object.keys(LEGACY_EXPORT_COLLECTIONS).some(key => key in content)) {
+                return reject('The file is not a Second Brain export');
+            }
+            result.file = this.fromLegacy(content);
+            errors = schemaErrors(result.file.data, EXPORT_SCHEMA.$defs.data, EXPORT_SCHEMA, 'file');
+        }
+
+        result.errors = errors.slice(0, IMPORT_ERROR_LIMIT);
+        result.errorCount = errors.length;
+        if (errors.length === 0 && !this.isLegacy(result.file)) {
+            result.checksumValid = await this.firebase.dataExport.verify(result.file);
+        }
+        return result;
+    }
+
+    // What the account holds of a collection: the open workspace's records for files from before
+    // full exports, every workspace's otherwise
+    async existingRecords(collection, file) {
+        return this.firebase.getCollection(collection, { allWorkspaces: !this.isLegacy(file) });
+    }
+
+    comparable(record) {
+        const copy = { ...record, [WORKSPACE_FIELD]: recordWorkspaceId(record) };
+        IMPORT_METADATA_FIELDS.forEach(field => delete copy[field]);
+        return canonicalJson(JSON.parse(JSON.stringify(copy)));
+    }
+
+    // The account's version was saved after the file was exported
+    editedSince(current, incoming, exportDate) {
+        const since = new Date(exportDate || incoming.updatedAt || 0);
+        return !!current.updatedAt && new Date(current.updatedAt) > since;
+    }
+
+    // existing: Map key -> the account's record; incoming: [key, record] pairs from the file
+    compareEntries(collection, existing, incoming, exportDate) {
+        const row = {
+            collection: collection,
+            label: IMPORT_COLLECTION_LABELS[collection] || collection,
+            added: 0,
+            changed: 0,
+            conflicting: 0,
+            unchanged: 0,
+            statuses: new Map(),  // key -> 'added' | 'changed' | 'conflicting' | 'unchanged'
+            removedKeys: []       // the account's records the file does not have
+        };
+
+        incoming.forEach(([key, record]) => {
+            const current = existing.get(key);
+            let status;
+            if (!current) {
+                status = 'added';
+            } else if (this.comparable(current) === this.comparable(record)) {
+                status = 'unchanged';
+            } else {
+                status = this.editedSince(current, record, exportDate) ? 'conflicting' : 'changed';
+            }
+            row.statuses.set(key, status);
+            row[status]++;
+        });
+        existing.forEach((record, key) => {
+            if (!row.statuses.has(key)) row.removedKeys.push(key);
+        });
+        return row;
+    }
+
+    // One row per module of the file, in the order of the user collections
+    async compare(file) {
+        this.checkUnlocked();
+
+        const rows = [];
+        for (const collection of USER_RECORD_COLLECTIONS) {
+            const incoming = file.data.collections[collection];
+            if (!incoming) continue;
+
+            const existing = await this.existingRecords(collection, file);
+            rows.push(this.compareEntries(
+                collection,
+                new Map(existing.map(record => [String(record.id), record])),
+                incoming.map(record => [String(record.id), record]),
+                file.exportDate
+            ));
+        }
+
+        // Pomodoro documents are compared per workspace; those of workspaces the account does not
+        // have yet are new
+        for (const collection of EXPORT_DOCUMENT_COLLECTIONS) {
+            const incoming = Object.entries(file.data.documents[collection] || {});
+            if (incoming.length === 0) continue;
+
+            const existing = new Map();
+            for (const [workspaceId] of incoming) {
+                const document = this.workspaces.find(workspaceId)
+                    ? await this.firebase.getDocument(collection, this.firebase.workspaceDocId(workspaceId))
+                    : null;
+                if (document) existing.set(workspaceId, document);
+            }
+            rows.push(this.compareEntries(collection, existing, incoming, file.exportDate));
+        }
+        return rows;
+    }
+
+    // Whether a record of the given status is written in the chosen mode
+    shouldWrite(status, options) {
+        if (status === 'added' || status === 'changed') return true;
+        return status === 'conflicting' && (options.mode === 'replace' || options.overwriteConflicts);
+    }
+
+    // Writes the file as compared by compare(). options: { mode: 'merge' | 'replace',
+    // overwriteConflicts }. Returns { written, deleted }.
+    async apply(file, rows, options) {
+        this.checkUnlocked();
+        const replace = options.mode === 'replace';
+        await this.addWorkspaces(file.data.workspaces);
+
+        // Records of a workspace the file does not list join the default one
+        const workspaceOf = record => this.workspaces.find(recordWorkspaceId(record)) ? recordWorkspaceId(record) : DEFAULT_WORKSPACE_ID;
+
+        let written = 0;
+        let deleted = 0;
+        for (const row of rows) {
+            if (EXPORT_DOCUMENT_COLLECTIONS.includes(row.collection)) {
+                for (const [workspaceId, document] of Object.entries(file.data.documents[row.collection])) {
+                    if (!this.shouldWrite(row.statuses.get(workspaceId), options)) continue;
+                    await this.firebase.setDocument(row.collection, this.firebase.workspaceDocId(workspaceId), {
+                        ...document,
+                        [WORKSPACE_FIELD]: workspaceId
+                    });
+                    written++;
+                }
+                continue;
+            }
+
+            const operations = file.data.collections[row.collection]
+                .filter(record => this.shouldWrite(row.statuses.get(String(record.id)), options))
+                .map(record => ({
+                    type: 'set',
+                    collection: row.collection,
+                    docId: String(record.id),
+                    data: { ...record, [WORKSPACE_FIELD]: workspaceOf(record) }
+                }));
+            written += operations.length;
+
+            if (replace) {
+                row.removedKeys.forEach(docId => operations.push({ type: 'delete', collection: row.collection, docId: docId }));
+                deleted += row.removedKeys.length;
+            }
+            await this.firebase.writeBatch(operations);
+        }
+
+        this.applyDeviceData(file.data, replace);
+        await this.addActivityLogs(file.data.activityLogs);
+
+        console.log(`📥 Imported ${written} items (${options.mode}), deleted ${deleted}`);
+        return { written: written, deleted: deleted };
+    }
+
+    // Workspaces of the file join the account's; those it already has keep their name
+    async addWorkspaces(workspaces) {
+        const added = workspaces.filter(workspace => !this.workspaces.find(workspace.id));
+        if (added.length === 0) return;
+
+        this.workspaces.list = [...this.workspaces.list, ...added];
+        await this.workspaces.save();
+    }
+
+    // Widgets and settings kept on this device. Merging keeps the widgets a workspace already has
+    // and the settings it already set.
+    applyDeviceData(data, replace) {
+        Object.entries(data.dashboardWidgets).forEach(([workspaceId, widgets]) => {
+            const key = this.firebase.workspaceStorageKey('dashboard_widgets', workspaceId);
+            if (replace || !localStorage.getItem(key)) {
+                localStorage.setItem(key, JSON.stringify(widgets));
+            }
+        });
+
+        Object.entries(data.settings).forEach(([workspaceId, settings]) => {
+            const key = workspaceSettingsKey(workspaceId);
+            const current = replace ? {} : JSON.parse(localStorage.getItem(key) || '{}');
+            localStorage.setItem(key, JSON.stringify({ ...settings, ...current }));
+        });
+    }
+
+    // Entries already on this device keep theirs, by id; they go to the signed-in user's log
+    async addActivityLogs(logs) {
+        const store = this.firebase.local;
+        for (const log of logs) {
+            if (!await store.get('activity_logs', String(log.id))) {
+                await store.set('activity_logs', String(log.id), log);
+            }
+        }
+    }
+}
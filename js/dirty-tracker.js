@@ -0,0 +1,42 @@
+// Dirty Tracking for Second Brain managers
+// Remembers a fingerprint of each record as it was last loaded or saved, so a save
+// only writes the records that actually changed.
+
+class DirtyTracker {
+    constructor() {
+        this.fingerprints = new Map();
+    }
+
+    // Metadata stamped on every write is ignored, otherwise every save would look dirty
+    fingerprint(value) {
+        const { updatedAt, userId, ...rest } = value || {};
+        return JSON.stringify(rest);
+    }
+
+    hasChanged(key, value) {
+        return this.fingerprints.get(String(key)) !== this.fingerprint(value);
+    }
+
+    getDirty(records) {
+        return records.filter(record => this.hasChanged(record.id, record));
+    }
+
+    markClean(records) {
+        records.forEach(record => {
+            this.fingerprints.set(String(record.id), this.fingerprint(record));
+        });
+    }
+
+    // For values that are not records with an id (e.g. counters documents)
+    markValueClean(key, value) {
+        this.fingerprints.set(String(key), this.fingerprint(value));
+    }
+
+    forget(key) {
+        this.fingerprints.delete(String(key));
+    }
+
+    reset() {
+        this.fingerprints.clear();
+    }
+}
@@ -0,0 +1,150 @@
+// Export Schema for Second Brain
+// JSON Schema (draft 2020-12) of the files written by full exports and local backups
+// (js/data-export.js). Imports check files against it before anything is written
+// (js/data-import.js).
+
+const EXPORT_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'second-brain-export',
+    title: 'Second Brain export',
+    description: 'Full copy of a Second Brain account, written by Settings → Export All Data and local backups (js/data-export.js). Encrypted exports wrap it in an encrypted envelope (js/record-encryption.js).',
+    type: 'object',
+    required: ['format', 'formatVersion', 'exportDate', 'userId', 'schemaVersions', 'data', 'checksum'],
+    properties: {
+        format: { const: 'second-brain-export' },
+        formatVersion: {
+            const: 2,
+            description: 'Version of this file format. Files without a format field are the first version: settings plus the goals, habits, wallet and crm arrays.'
+        },
+        exportDate: { type: 'string', format: 'date-time' },
+        backupDate: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Only in local backups: when the backup was made.'
+        },
+        kind: {
+            enum: ['manual', 'auto'],
+            description: 'Only in local backups: made by hand or automatically (js/backup-manager.js).'
+        },
+        userId: {
+            type: 'string',
+            description: 'User the data was exported from. Restored records are stamped with the signed-in user instead.'
+        },
+        schemaVersions: {
+            type: 'object',
+            description: 'Schema version of each collection at export time (js/schema-migrations.js). Older records are upgraded when restored.',
+            additionalProperties: { type: 'integer', minimum: 1 }
+        },
+        data: { $ref: '#/$defs/data' },
+        checksum: {
+            type: 'object',
+            description: 'Hash of the data property, serialized as JSON with the keys of every object sorted and no whitespace.',
+            required: ['algorithm', 'value'],
+            properties: {
+                algorithm: { const: 'SHA-256' },
+                value: { type: 'string', pattern: '^[0-9a-f]{64}$' }
+            }
+        }
+    },
+    $defs: {
+        data: {
+            type: 'object',
+            required: ['collections', 'documents', 'workspaces', 'dashboardWidgets', 'settings', 'activityLogs'],
+            properties: {
+                collections: {
+                    type: 'object',
+                    description: 'Records of every user collection, from every workspace, keyed by collection name.',
+                    properties: {
+                        projects: { $ref: '#/$defs/records' },
+                        completed_tasks: { $ref: '#/$defs/records' },
+                        notes: { $ref: '#/$defs/records' },
+                        tasks: { $ref: '#/$defs/records' },
+                        wallet_transactions: { $ref: '#/$defs/records' },
+                        goals: { $ref: '#/$defs/records' },
+                        simple_goals: { $ref: '#/$defs/records' },
+                        habits: { $ref: '#/$defs/records' },
+                        calendar_events: { $ref: '#/$defs/records' },
+                        pomodoro_sessions: { $ref: '#/$defs/records' },
+                        bookmarks: { $ref: '#/$defs/records' },
+                        trash: { $ref: '#/$defs/records' }
+                    },
+                    additionalProperties: { $ref: '#/$defs/records' }
+                },
+                documents: {
+                    type: 'object',
+                    description: 'One-per-workspace documents, keyed by collection and then by workspace id.',
+                    properties: {
+                        pomodoro_settings: { $ref: '#/$defs/perWorkspace' },
+                        pomodoro_state: { $ref: '#/$defs/perWorkspace' }
+                    },
+                    additionalProperties: { $ref: '#/$defs/perWorkspace' }
+                },
+                workspaces: {
+                    type: 'array',
+                    description: "The user's workspaces. The default workspace has the id 'default'.",
+                    items: {
+                        type: 'object',
+                        required: ['id', 'name'],
+                        properties: {
+                            id: { type: 'string' },
+                            name: { type: 'string' },
+                            createdAt: { type: 'string', format: 'date-time' }
+                        }
+                    }
+                },
+                dashboardWidgets: {
+                    type: 'object',
+                    description: 'Dashboard widgets of each workspace, keyed by workspace id.',
+                    additionalProperties: {
+                        type: 'array',
+                        items: { type: 'object' }
+                    }
+                },
+                settings: {
+                    type: 'object',
+                    description: 'App settings of each workspace, keyed by workspace id.',
+                    additionalProperties: { type: 'object' }
+                },
+                activityLogs: {
+                    type: 'array',
+                    description: 'Activity log entries stored on the device the export was made on.',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'timestamp'],
+                        properties: {
+                            id: { type: ['string', 'number'] },
+                            timestamp: { type: 'string', format: 'date-time' },
+                            module: { type: 'string' },
+                            action: { type: 'string' },
+                            details: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        },
+        records: {
+            type: 'array',
+            items: { $ref: '#/$defs/record' }
+        },
+        record: {
+            type: 'object',
+            description: 'A stored record as the app loads it. Its other fields depend on the collection.',
+            required: ['id'],
+            properties: {
+                id: { type: ['string', 'number'] },
+                userId: { type: 'string' },
+                workspaceId: {
+                    type: 'string',
+                    description: 'Workspace of the record; records without one belong to the default workspace.'
+                },
+                schemaVersion: { type: 'integer', minimum: 1 },
+                createdAt: { type: 'string' },
+                updatedAt: { type: 'string' }
+            }
+        },
+        perWorkspace: {
+            type: 'object',
+            additionalProperties: { type: 'object' }
+        }
+    }
+};
@@ -1,277 +1,218 @@
 // Firebase Optimizer for Second Brain
-class FirebaseOptimizer {
-    constructor() {
-        this.cache = new Map();
-        this.cacheExpiry = new Map();
-        this.batchOperations = [];
-        this.batchTimer = null;
-        this.connectionStatus = 'unknown';
-        this.retryAttempts = new Map();
-        this.maxRetries = 3;
+// Wraps the remote storage adapter (js/storage-adapters.js) on FirebaseService's data path:
+// - reads go through one TTL cache shared by every module; writes keep it up to date
+// - calls that fail with a transient error are retried with exponential backoff
+// - connection changes (browser online/offline, retries running out) are reported through
+//   onConnectionChange, and the outcome of every call per collection through onSync
+// Batched writes are FirebaseService.writeBatch; offline copies are the local store.
+
+const REMOTE_CACHE_TTL = 60 * 1000;
+const REMOTE_MAX_RETRIES = 3;
+const REMOTE_RETRY_DELAY = 1000; // Doubles with every attempt
+
+// Firestore error codes worth retrying; anything else (permission-denied, not-found, ...)
+// fails straight away
+const TRANSIENT_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'aborted', 'internal'];
+
+// Entries expire after their TTL. Copies go in and out, so callers can change what they
+// get without changing the cache.
+class DataCache {
+    constructor(ttl = REMOTE_CACHE_TTL) {
+        this.ttl = ttl;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (Date.now() > entry.expiresAt) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return JSON.parse(JSON.stringify(entry.data));
     }
 
-    // Cache management
-    setCache(key, data, ttl = 300000) { // 5 minutes default TTL
-        this.cache.set(key, data);
-        this.cacheExpiry.set(key, Date.now() + ttl);
+    set(key, data, ttl = this.ttl) {
+        this.entries.set(key, {
+            data: data === undefined ? null : JSON.parse(JSON.stringify(data)),
+            expiresAt: Date.now() + ttl
+        });
     }
 
-    getCache(key) {
-        const expiry = this.cacheExpiry.get(key);
-        if (expiry && Date.now() > expiry) {
-            this.cache.delete(key);
-            this.cacheExpiry.delete(key);
-            return null;
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    deleteWhere(matches) {
+        for (const key of this.entries.keys()) {
+            if (matches(key)) this.entries.delete(key);
         }
-        return this.cache.get(key);
     }
 
-    clearCache(pattern = null) {
-        if (pattern) {
-            const regex = new RegExp(pattern);
-            for (const key of this.cache.keys()) {
-                if (regex.test(key)) {
-                    this.cache.delete(key);
-                    this.cacheExpiry.delete(key);
-                }
-            }
-        } else {
-            this.cache.clear();
-            this.cacheExpiry.clear();
+    clear() {
+        this.entries.clear();
+    }
+}
+
+class FirebaseOptimizer extends StorageAdapter {
+    constructor(adapter, options = {}) {
+        super(adapter.name);
+        this.adapter = adapter;
+        this.cache = new DataCache(options.ttl);
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : REMOTE_MAX_RETRIES;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : REMOTE_RETRY_DELAY;
+        this.connected = navigator.onLine !== false;
+        this.onConnectionChange = null;
+        this.onSync = null; // (collections, error) after each remote call
+        this.stats = { hits: 0, misses: 0, retries: 0 };
+
+        window.addEventListener('online', () => this.setConnected(true));
+        window.addEventListener('offline', () => this.setConnected(false));
+    }
+
+    setConnected(connected) {
+        if (this.connected === connected) return;
+
+        this.connected = connected;
+        console.log(connected ? '✅ Remote storage reachable' : '⚠️ Remote storage unreachable');
+        if (this.onConnectionChange) {
+            this.onConnectionChange(connected);
         }
     }
 
-    // Optimized data fetching with caching
-    async fetchWithCache(collection, docId = null, options = {}) {
-        const cacheKey = docId ? `${collection}/${docId}` : collection;
-        const cached = this.getCache(cacheKey);
-        
-        if (cached && !options.forceRefresh) {
-            return cached;
+    isTransient(error) {
+        return !!error && TRANSIENT_ERROR_CODES.includes(error.code);
+    }
+
+    reportSync(collections, error = null) {
+        if (this.onSync) {
+            this.onSync([...new Set(collections)], error);
         }
+    }
+
+    // Runs a remote call on the given collections, retrying transient failures after 1s, 2s, 4s, ...
+    async withRetry(operation, description, collections, maxRetries = this.maxRetries) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await operation();
+                this.setConnected(true);
+                this.reportSync(collections);
+                return result;
+            } catch (error) {
+                if (!this.isTransient(error) || attempt >= maxRetries) {
+                    if (this.isTransient(error)) this.setConnected(false);
+                    this.reportSync(collections, error);
+                    throw error;
+                }
 
-        try {
-            let data;
-            if (docId) {
-                data = await this.fetchDocument(collection, docId);
-            } else {
-                data = await this.fetchCollection(collection, options);
+                const delay = Math.pow(2, attempt) * this.retryDelay;
+                this.stats.retries++;
+                console.warn(`⚠️ ${description} failed (${error.code}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
             }
-            
-            this.setCache(cacheKey, data, options.ttl);
-            return data;
-        } catch (error) {
-            console.error(`Error fetching ${cacheKey}:`, error);
-            throw error;
         }
     }
 
-    async fetchDocument(collection, docId) {
-        const retryKey = `doc_${collection}_${docId}`;
-        return this.withRetry(async () => {
-            const doc = await window.firebase.db.collection(collection).doc(docId).get();
-            if (doc.exists) {
-                return { id: doc.id, ...doc.data() };
-            }
-            throw new Error(`Document ${docId} not found in ${collection}`);
-        }, retryKey);
+    documentKey(collection, docId) {
+        return `doc:${collection}/${docId}`;
     }
 
-    async fetchCollection(collection, options = {}) {
-        const retryKey = `collection_${collection}`;
-        return this.withRetry(async () => {
-            let query = window.firebase.db.collection(collection);
-            
-            // Apply filters
-            if (options.where) {
-                options.where.forEach(filter => {
-                    query = query.where(filter.field, filter.operator, filter.value);
-                });
-            }
-            
-            // Apply ordering
-            if (options.orderBy) {
-                options.orderBy.forEach(order => {
-                    query = query.orderBy(order.field, order.direction || 'asc');
-                });
-            }
-            
-            // Apply limit
-            if (options.limit) {
-                query = query.limit(options.limit);
-            }
-            
-            const snapshot = await query.get();
-            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        }, retryKey);
+    queryKey(collection, filters) {
+        return `query:${collection}?${JSON.stringify(filters)}`;
     }
 
-    // Batch operations for better performance
-    batchWrite(operation) {
-        this.batchOperations.push(operation);
-        
-        if (this.batchTimer) {
-            clearTimeout(this.batchTimer);
+    // Cached queries of the collection may include the document, so they go
+    invalidate(collection, docId = null) {
+        if (docId !== null) {
+            this.cache.delete(this.documentKey(collection, docId));
+        } else {
+            this.cache.deleteWhere(key => key.startsWith(`doc:${collection}/`));
         }
-        
-        this.batchTimer = setTimeout(() => {
-            this.executeBatch();
-        }, 100); // Batch operations within 100ms
+        this.cache.deleteWhere(key => key.startsWith(`query:${collection}?`));
     }
 
-    async executeBatch() {
-        if (this.batchOperations.length === 0) return;
-        
-        const batch = window.firebase.db.batch();
-        const operations = [...this.batchOperations];
-        this.batchOperations = [];
-        this.batchTimer = null;
-        
-        try {
-            operations.forEach(operation => {
-                operation(batch);
-            });
-            
-            await batch.commit();
-            console.log(`✅ Batch operation completed: ${operations.length} operations`);
-        } catch (error) {
-            console.error('❌ Batch operation failed:', error);
-            // Retry individual operations
-            for (const operation of operations) {
-                try {
-                    const singleBatch = window.firebase.db.batch();
-                    operation(singleBatch);
-                    await singleBatch.commit();
-                } catch (singleError) {
-                    console.error('❌ Individual operation failed:', singleError);
-                }
-            }
+    clearCache() {
+        this.cache.clear();
+    }
+
+    // options.forceRefresh skips the cache and stores what the remote returns
+    async get(collection, docId, options = {}) {
+        const key = this.documentKey(collection, docId);
+        const cached = options.forceRefresh ? undefined : this.cache.get(key);
+        if (cached !== undefined) {
+            this.stats.hits++;
+            return cached;
         }
+
+        this.stats.misses++;
+        const data = await this.withRetry(() => this.adapter.get(collection, docId), `Reading ${collection}/${docId}`, [collection]);
+        this.cache.set(key, data);
+        return data;
     }
 
-    // Retry mechanism with exponential backoff
-    async withRetry(operation, key) {
-        const attempts = this.retryAttempts.get(key) || 0;
-        
-        try {
-            const result = await operation();
-            this.retryAttempts.delete(key);
-            return result;
-        } catch (error) {
-            if (attempts < this.maxRetries) {
-                this.retryAttempts.set(key, attempts + 1);
-                const delay = Math.pow(2, attempts) * 1000; // Exponential backoff
-                
-                console.warn(`⚠️ Retrying operation (attempt ${attempts + 1}/${this.maxRetries}) after ${delay}ms`);
-                
-                await new Promise(resolve => setTimeout(resolve, delay));
-                return this.withRetry(operation, key);
-            } else {
-                this.retryAttempts.delete(key);
-                throw error;
-            }
+    async query(collection, filters = [], options = {}) {
+        const key = this.queryKey(collection, filters);
+        const cached = options.forceRefresh ? undefined : this.cache.get(key);
+        if (cached !== undefined) {
+            this.stats.hits++;
+            return cached;
         }
+
+        this.stats.misses++;
+        const documents = await this.withRetry(() => this.adapter.query(collection, filters), `Loading ${collection}`, [collection]);
+        this.cache.set(key, documents);
+        return documents;
     }
 
-    // Connection monitoring
-    setupConnectionMonitoring() {
-        // Monitor Firebase connection status
-        const connectedRef = window.firebase.db.ref('.info/connected');
-        
-        connectedRef.on('value', (snapshot) => {
-            const isConnected = snapshot.val();
-            this.connectionStatus = isConnected ? 'connected' : 'disconnected';
-            
-            if (isConnected) {
-                console.log('✅ Firebase connected');
-                // Sync any pending operations
-                this.syncPendingOperations();
-            } else {
-                console.warn('⚠️ Firebase disconnected');
-            }
-        });
+    async set(collection, docId, data, options = {}) {
+        await this.withRetry(() => this.adapter.set(collection, docId, data, options), `Saving ${collection}/${docId}`, [collection]);
+        this.invalidate(collection, docId);
+        if (!options.merge) {
+            this.cache.set(this.documentKey(collection, docId), data);
+        }
+        return true;
     }
 
-    // Offline support
-    setupOfflineSupport() {
-        // Enable offline persistence
-        window.firebase.db.enablePersistence({
-            synchronizeTabs: true
-        }).catch((err) => {
-            if (err.code === 'failed-precondition') {
-                console.warn('⚠️ Multiple tabs open, persistence can only be enabled in one tab at a time');
-            } else if (err.code === 'unimplemented') {
-                console.warn('⚠️ The current browser does not support offline persistence');
-            }
-        });
+    // Not retried: a failed attempt may still have created the document
+    async add(collection, data) {
+        const docId = await this.withRetry(() => this.adapter.add(collection, data), `Adding to ${collection}`, [collection], 0);
+        this.invalidate(collection, docId);
+        return docId;
     }
 
-    // Data synchronization
-    async syncPendingOperations() {
-        // Implement sync logic for offline operations
-        console.log('🔄 Syncing pending operations...');
+    async update(collection, docId, data) {
+        await this.withRetry(() => this.adapter.update(collection, docId, data), `Updating ${collection}/${docId}`, [collection]);
+        this.invalidate(collection, docId);
+        return true;
     }
 
-    // Performance monitoring
-    setupPerformanceMonitoring() {
-        // Monitor Firebase performance
-        if (window.firebase.analytics) {
-            // Track Firebase operations
-            const originalGet = window.firebase.db.collection;
-            window.firebase.db.collection = function(collectionName) {
-                const startTime = performance.now();
-                const collection = originalGet.call(this, collectionName);
-                
-                // Wrap get method to track performance
-                const originalGetMethod = collection.get;
-                collection.get = function() {
-                    const getStartTime = performance.now();
-                    return originalGetMethod.apply(this, arguments).then(result => {
-                        const duration = performance.now() - getStartTime;
-                        console.log(`📊 Firebase get operation: ${collectionName} took ${duration.toFixed(2)}ms`);
-                        return result;
-                    });
-                };
-                
-                return collection;
-            };
-        }
+    async delete(collection, docId) {
+        await this.withRetry(() => this.adapter.delete(collection, docId), `Deleting ${collection}/${docId}`, [collection]);
+        this.invalidate(collection, docId);
+        this.cache.set(this.documentKey(collection, docId), null);
+        return true;
     }
 
-    // Initialize Firebase optimizations
-    init() {
-        console.log('🔥 Initializing Firebase optimizations...');
-        
-        this.setupConnectionMonitoring();
-        this.setupOfflineSupport();
-        this.setupPerformanceMonitoring();
-        
-        console.log('✅ Firebase optimizations initialized');
+    // Sets and deletes are idempotent, so a whole batch can be sent again
+    async batchWrite(operations) {
+        await this.withRetry(() => this.adapter.batchWrite(operations), `Saving ${operations.length} changes`,
+            operations.map(operation => operation.collection));
+        operations.forEach(operation => this.invalidate(operation.collection, operation.docId));
+        return true;
     }
 
-    // Cleanup
-    cleanup() {
-        this.clearCache();
-        this.batchOperations = [];
-        if (this.batchTimer) {
-            clearTimeout(this.batchTimer);
-        }
-        this.retryAttempts.clear();
+    async clearCollection(collection) {
+        await this.adapter.clearCollection(collection);
+        this.invalidate(collection);
+        return true;
     }
-}
 
-// Initialize Firebase optimizer
-window.firebaseOptimizer = new FirebaseOptimizer();
-
-// Initialize when Firebase is ready
-if (window.firebase) {
-    window.firebaseOptimizer.init();
-} else {
-    // Wait for Firebase to be available
-    const checkFirebase = setInterval(() => {
-        if (window.firebase) {
-            window.firebaseOptimizer.init();
-            clearInterval(checkFirebase);
-        }
-    }, 100);
+    // Changes made elsewhere make the cached copies of the collection outdated
+    subscribe(collection, filters, onChanges, onError) {
+        return this.adapter.subscribe(collection, filters, (changes) => {
+            changes.forEach(change => this.invalidate(collection, change.id));
+            onChanges(changes);
+        }, onError);
+    }
 }
@@ -0,0 +1,516 @@
+// iCalendar for Second Brain
+// Calendar events to and from .ics files (RFC 5545), as calendar apps export them and holiday
+// calendars are published. Events are stored as
+//   { uid, title, description, location, allDay, date, endDate, start, end, timeZone,
+//     recurrence, excludedDates, recurrenceId }
+// date and endDate are the first and last day (YYYY-MM-DD) as the event's time zone sees them, so
+// all-day events keep their days wherever the calendar is opened. Timed events also have start and
+// end as ISO times, and timeZone, the IANA zone ("Europe/Berlin") their times are kept in, or null
+// for the browser's. recurrence is the RRULE value ("FREQ=YEARLY;BYMONTH=12;BYMONTHDAY=25"),
+// excludedDates the EXDATEs and recurrenceId the occurrence a changed or moved copy of a recurring
+// event replaces, each a YYYY-MM-DD day for all-day events and an ISO time for timed ones.
+// The UID identifies an event across files; events that have none get "<id>@second-brain" when
+// exported, so importing an export matches the events it came from.
+// Task due dates can be exported as to-dos (VTODO), which imports skip.
+
+const ICAL_PRODUCT_ID = '-//Second Brain//Calendar//EN';
+const ICAL_UID_SUFFIX = '@second-brain';
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICAL_TASK_PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+// RRULE parts the calendar can show every occurrence of; events with other rules (BYSETPOS,
+// BYWEEKNO, hourly, ...) keep their rule but show on their first day only
+const ICAL_RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const ICAL_RECURRENCE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+
+// The fields imports set on events; an event whose fields all match the file's is left as it is
+const ICAL_EVENT_FIELDS = ['uid', 'title', 'description', 'location', 'allDay', 'date', 'endDate', 'start', 'end',
+    'timeZone', 'recurrence', 'excludedDates', 'recurrenceId'];
+
+function escapeIcalText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeIcalText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Lines longer than 75 bytes continue on lines that start with a space
+function foldIcalLine(line) {
+    const parts = [];
+    let part = '';
+    let size = 0;
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const charSize = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        if (size + charSize > 75) {
+            parts.push(part);
+            part = ' ';
+            size = 1;
+        }
+        part += char;
+        size += charSize;
+    }
+    parts.push(part);
+    return parts.join('\r\n');
+}
+
+// 'NAME;PARAM=a;PARAM2="b:c":value' -> { name, params, value }, or null when it is not a property
+function parseIcalLine(line) {
+    // The value starts at the first colon outside a quoted parameter value
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < line.length && colon === -1; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        else if (line[i] === ':' && !quoted) colon = i;
+    }
+    if (colon === -1) return null;
+
+    const [name, ...params] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+    const parsed = {};
+    params.forEach(param => {
+        const separator = param.indexOf('=');
+        if (separator === -1) return;
+        parsed[param.slice(0, separator).trim().toUpperCase()] = param.slice(separator + 1).replace(/"/g, '').trim();
+    });
+    return { name: name.trim().toUpperCase(), params: parsed, value: line.slice(colon + 1) };
+}
+
+// Components as { type, properties: [{ name, params, value }], components }
+function parseIcalComponents(text) {
+    const root = { type: null, properties: [], components: [] };
+    const stack = [root];
+    text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n').forEach(line => {
+        const property = line.trim() ? parseIcalLine(line) : null;
+        if (!property) return;
+
+        const current = stack[stack.length - 1];
+        if (property.name === 'BEGIN') {
+            const component = { type: property.value.trim().toUpperCase(), properties: [], components: [] };
+            current.components.push(component);
+            stack.push(component);
+        } else if (property.name === 'END') {
+            if (stack.length > 1) stack.pop();
+        } else {
+            current.properties.push(property);
+        }
+    });
+    return root.components;
+}
+
+function icalProperty(component, name) {
+    return component.properties.find(property => property.name === name) || null;
+}
+
+function icalText(component, name) {
+    const property = icalProperty(component, name);
+    return property ? unescapeIcalText(property.value).trim() : '';
+}
+
+// Local YYYY-MM-DD of a Date, as the calendar's days are
+function icalDay(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function addIcalDays(day, days) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, date + days)).toISOString().split('T')[0];
+}
+
+function isIcalTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// { date: 'YYYY-MM-DD', time: 'HH:MM:SS' } of an instant (ms) in a time zone, or the browser's
+function zonedIcalParts(instant, timeZone) {
+    const fields = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || undefined,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(instant)).forEach(part => {
+        fields[part.type] = part.value;
+    });
+    return { date: `${fields.year}-${fields.month}-${fields.day}`, time: `${fields.hour}:${fields.minute}:${fields.second}` };
+}
+
+// ISO time of a wall-clock time in a time zone. The zone's offset is taken at the guessed instant
+// and once more at the result, which lands on the right side of a daylight saving change.
+function zonedIcalTimeToIso(date, time, timeZone) {
+    const wallClock = Date.parse(`${date}T${time}Z`);
+    const offsetAt = instant => {
+        const parts = zonedIcalParts(instant, timeZone);
+        return Date.parse(`${parts.date}T${parts.time}Z`) - instant;
+    };
+    let instant = wallClock - offsetAt(wallClock);
+    instant = wallClock - offsetAt(instant);
+    return new Date(instant).toISOString();
+}
+
+// A DATE or DATE-TIME value as { allDay, date, start, timeZone }: the day in the value's zone and,
+// for date-times, the ISO time. TZIDs that are not IANA zones set unknownTimeZone and are read in
+// the calendar's zone, as floating times are.
+function parseIcalDate(value, params, calendarTimeZone) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i);
+    if (!match) return null;
+
+    const date = `${match[1]}-${match[2]}-${match[3]}`;
+    if (!match[4] || params.VALUE === 'DATE') {
+        return { allDay: true, date: date, start: null, timeZone: null };
+    }
+
+    const time = `${match[4]}:${match[5]}:${match[6] || '00'}`;
+    if (match[7]) {
+        const start = new Date(`${date}T${time}Z`).toISOString();
+        return { allDay: false, date: zonedIcalParts(Date.parse(start), calendarTimeZone).date, start: start, timeZone: calendarTimeZone };
+    }
+
+    const tzid = (params.TZID || '').replace(/^\//, '');
+    const timeZone = tzid && isIcalTimeZone(tzid) ? tzid : calendarTimeZone;
+    return {
+        allDay: false,
+        date: date,
+        start: timeZone ? zonedIcalTimeToIso(date, time, timeZone) : new Date(`${date}T${time}`).toISOString(),
+        timeZone: timeZone,
+        unknownTimeZone: tzid && !isIcalTimeZone(tzid) ? tzid : null
+    };
+}
+
+// 'P1W', 'P2D', 'PT1H30M' -> { days, milliseconds }
+function parseIcalDuration(value) {
+    const match = (value || '').trim().match(/^[+]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+    if (!match) return null;
+    const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part) || 0);
+    return {
+        days: weeks * 7 + days,
+        milliseconds: ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000
+    };
+}
+
+// The day (YYYY-MM-DD) of an excluded date or recurrence id, in the event's zone
+function icalOccurrenceDay(value, timeZone) {
+    return value.length === 10 ? value : zonedIcalParts(Date.parse(value), timeZone).date;
+}
+
+// An EXDATE or RECURRENCE-ID value as the event stores it
+function icalOccurrence(value, params, timeZone) {
+    const parsed = parseIcalDate(value, params, timeZone);
+    if (!parsed) return null;
+    return parsed.allDay ? parsed.date : parsed.start;
+}
+
+function icalEventFromComponent(component, calendarTimeZone) {
+    const dtstart = icalProperty(component, 'DTSTART');
+    const start = dtstart && parseIcalDate(dtstart.value, dtstart.params, calendarTimeZone);
+    if (!start) return null;
+
+    const event = {
+        uid: icalText(component, 'UID') || null,
+        title: icalText(component, 'SUMMARY') || 'Untitled event',
+        description: icalText(component, 'DESCRIPTION'),
+        location: icalText(component, 'LOCATION'),
+        allDay: start.allDay,
+        date: start.date,
+        endDate: start.date,
+        start: start.start,
+        end: start.start,
+        timeZone: start.timeZone,
+        recurrence: (icalProperty(component, 'RRULE') || { value: '' }).value.trim() || null,
+        excludedDates: [],
+        recurrenceId: null
+    };
+
+    // DTEND is exclusive: an all-day event on the 1st ends on the 2nd
+    const dtend = icalProperty(component, 'DTEND');
+    const end = dtend && parseIcalDate(dtend.value, dtend.params, start.timeZone || calendarTimeZone);
+    const duration = parseIcalDuration((icalProperty(component, 'DURATION') || {}).value);
+    if (start.allDay) {
+        const lastDay = end ? addIcalDays(end.date, -1) : duration ? addIcalDays(start.date, duration.days - 1) : start.date;
+        event.endDate = lastDay > start.date ? lastDay : start.date;
+    } else {
+        if (end && end.start) {
+            event.end = end.start;
+        } else if (duration) {
+            event.end = new Date(Date.parse(start.start) + duration.milliseconds).toISOString();
+        }
+        // An event that ends at midnight ends on the day before
+        if (event.end > event.start) {
+            event.endDate = zonedIcalParts(Date.parse(event.end) - 1, start.timeZone).date;
+        }
+    }
+
+    component.properties.filter(property => property.name === 'EXDATE').forEach(property => {
+        property.value.split(',').forEach(value => {
+            const excluded = icalOccurrence(value, property.params, start.timeZone || calendarTimeZone);
+            if (excluded && !event.excludedDates.includes(excluded)) event.excludedDates.push(excluded);
+        });
+    });
+
+    const recurrenceId = icalProperty(component, 'RECURRENCE-ID');
+    if (recurrenceId) {
+        event.recurrenceId = icalOccurrence(recurrenceId.value, recurrenceId.params, start.timeZone || calendarTimeZone);
+    }
+
+    event.cancelled = icalText(component, 'STATUS').toUpperCase() === 'CANCELLED';
+    event.unknownTimeZone = start.unknownTimeZone || null;
+    return event;
+}
+
+// { name, events, cancelled, todos, unreadable, unknownTimeZones } of an .ics file. Cancelled
+// events are counted, not returned.
+function parseIcal(text, fileName) {
+    const calendars = parseIcalComponents(text).filter(component => component.type === 'VCALENDAR');
+    if (calendars.length === 0) {
+        throw new Error(`${fileName} is not an iCalendar file`);
+    }
+
+    const result = { name: '', events: [], cancelled: 0, todos: 0, unreadable: 0, unknownTimeZones: [] };
+    calendars.forEach(calendar => {
+        result.name = result.name || icalText(calendar, 'X-WR-CALNAME');
+        // Google and Apple give the zone floating times are in
+        const zone = icalText(calendar, 'X-WR-TIMEZONE');
+        const calendarTimeZone = zone && isIcalTimeZone(zone) ? zone : null;
+
+        calendar.components.forEach(component => {
+            if (component.type === 'VTODO') {
+                result.todos++;
+                return;
+            }
+            if (component.type !== 'VEVENT') return;
+
+            const event = icalEventFromComponent(component, calendarTimeZone);
+            if (!event) {
+                result.unreadable++;
+                return;
+            }
+            if (event.unknownTimeZone && !result.unknownTimeZones.includes(event.unknownTimeZone)) {
+                result.unknownTimeZones.push(event.unknownTimeZone);
+            }
+            if (event.cancelled) {
+                result.cancelled++;
+                return;
+            }
+            delete event.cancelled;
+            delete event.unknownTimeZone;
+            result.events.push(event);
+        });
+    });
+
+    // Occurrences that have a changed copy in the file are left out of the recurring event
+    result.events.filter(event => event.recurrenceId && event.uid).forEach(copy => {
+        const series = result.events.find(event => event.uid === copy.uid && !event.recurrenceId);
+        if (series && !series.excludedDates.includes(copy.recurrenceId)) {
+            series.excludedDates.push(copy.recurrenceId);
+        }
+    });
+    return result;
+}
+
+// What identifies an event across imports: its UID (and which occurrence a changed copy replaces),
+// or for events from files without UIDs, its title and start
+function icalEventKey(event) {
+    const uid = event.uid || (event.id ? `${event.id}${ICAL_UID_SUFFIX}` : null);
+    return uid ? `${uid}|${event.recurrenceId || ''}` : `|${event.title}|${event.date}|${event.start || ''}`;
+}
+
+// Missing, empty and null fields are the same
+function icalEventChanged(event, imported) {
+    const value = field => (field === undefined || field === '' || (Array.isArray(field) && field.length === 0) ? null : field);
+    return ICAL_EVENT_FIELDS.some(field => JSON.stringify(value(event[field])) !== JSON.stringify(value(imported[field])));
+}
+
+function icalUtcDateTime(iso) {
+    return new Date(iso).toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+// DTSTART, DTEND, EXDATE and RECURRENCE-ID lines: days for all-day events, times in the event's
+// zone when it has one and in UTC otherwise
+function icalDateLine(name, value, timeZone) {
+    if (value.length === 10) return `${name};VALUE=DATE:${value.replace(/-/g, '')}`;
+    if (!timeZone) return `${name}:${icalUtcDateTime(value)}`;
+    const parts = zonedIcalParts(Date.parse(value), timeZone);
+    return `${name};TZID=${timeZone}:${parts.date.replace(/-/g, '')}T${parts.time.replace(/:/g, '')}`;
+}
+
+function eventToIcal(event, stamp) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid || `${event.id}${ICAL_UID_SUFFIX}`}`,
+        `DTSTAMP:${stamp}`
+    ];
+    if (event.allDay || !event.start) {
+        lines.push(icalDateLine('DTSTART', event.date, null));
+        lines.push(icalDateLine('DTEND', addIcalDays(event.endDate || event.date, 1), null));
+    } else {
+        lines.push(icalDateLine('DTSTART', event.start, event.timeZone));
+        if (event.end) lines.push(icalDateLine('DTEND', event.end, event.timeZone));
+    }
+    if (event.recurrenceId) lines.push(icalDateLine('RECURRENCE-ID', event.recurrenceId, event.timeZone));
+    lines.push(`SUMMARY:${escapeIcalText(event.title)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcalText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeIcalText(event.location)}`);
+    if (event.recurrence) lines.push(`RRULE:${event.recurrence}`);
+    (event.excludedDates || []).forEach(excluded => lines.push(icalDateLine('EXDATE', excluded, event.timeZone)));
+    if (event.createdAt) lines.push(`CREATED:${icalUtcDateTime(event.createdAt)}`);
+    if (event.updatedAt) lines.push(`LAST-MODIFIED:${icalUtcDateTime(event.updatedAt)}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+function taskToIcal(task, stamp) {
+    const lines = [
+        'BEGIN:VTODO',
+        `UID:task-${task.id}${ICAL_UID_SUFFIX}`,
+        `DTSTAMP:${stamp}`,
+        `DUE;VALUE=DATE:${String(task.dueDate).split('T')[0].replace(/-/g, '')}`,
+        `SUMMARY:${escapeIcalText(task.title)}`
+    ];
+    if (task.description) lines.push(`DESCRIPTION:${escapeIcalText(task.description)}`);
+    if (ICAL_TASK_PRIORITIES[task.priority]) lines.push(`PRIORITY:${ICAL_TASK_PRIORITIES[task.priority]}`);
+    lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    lines.push('END:VTODO');
+    return lines;
+}
+
+// An .ics file of the events and, as to-dos, the tasks that have a due date
+function buildIcal(events, tasks = [], name = 'Second Brain') {
+    const stamp = icalUtcDateTime(new Date().toISOString());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICAL_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcalText(name)}`,
+        ...events.flatMap(event => eventToIcal(event, stamp)),
+        ...tasks.filter(task => task.dueDate).flatMap(task => taskToIcal(task, stamp)),
+        'END:VCALENDAR'
+    ];
+    return `${lines.map(foldIcalLine).join('\r\n')}\r\n`;
+}
+
+// RRULE parts by name, with BYDAY as [{ ordinal, weekday }] and the other lists as numbers
+function parseIcalRecurrence(rule) {
+    const parts = {};
+    String(rule || '').split(';').forEach(part => {
+        const [name, value] = part.split('=');
+        if (name && value) parts[name.trim().toUpperCase()] = value.trim().toUpperCase();
+    });
+    const numbers = value => (value ? value.split(',').map(Number).filter(number => !Number.isNaN(number)) : []);
+
+    return {
+        supported: ICAL_RECURRENCE_FREQUENCIES.includes(parts.FREQ) &&
+            Object.keys(parts).every(name => ICAL_RECURRENCE_PARTS.includes(name)),
+        frequency: parts.FREQ,
+        interval: Math.max(1, Number(parts.INTERVAL) || 1),
+        count: Number(parts.COUNT) || null,
+        until: parts.UNTIL || null,
+        weekStart: Math.max(0, ICAL_WEEKDAYS.indexOf(parts.WKST || 'MO')),
+        byDay: (parts.BYDAY ? parts.BYDAY.split(',') : []).map(value => {
+            const match = value.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+            return match ? { ordinal: Number(match[1]) || 0, weekday: ICAL_WEEKDAYS.indexOf(match[2]) } : null;
+        }).filter(Boolean),
+        byMonthDay: numbers(parts.BYMONTHDAY),
+        byMonth: numbers(parts.BYMONTH)
+    };
+}
+
+function icalDayParts(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    const time = Date.UTC(year, month - 1, date);
+    return {
+        year: year,
+        month: month,
+        date: date,
+        weekday: new Date(time).getUTCDay(),
+        number: time / 86400000,
+        daysInMonth: new Date(Date.UTC(year, month, 0)).getUTCDate(),
+        dayOfYear: (time - Date.UTC(year, 0, 1)) / 86400000 + 1,
+        daysInYear: (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / 86400000
+    };
+}
+
+// Whether the rule puts an occurrence on the day, not counting COUNT and UNTIL. Parts the rule
+// leaves out come from the first day, as RFC 5545 has it: FREQ=YEARLY repeats its month and day.
+function matchesIcalRecurrence(rule, firstDay, day) {
+    const first = icalDayParts(firstDay);
+    const current = icalDayParts(day);
+
+    if (rule.byMonth.length > 0 && !rule.byMonth.includes(current.month)) return false;
+    if (rule.byMonthDay.length > 0 && !rule.byMonthDay.some(date => (date > 0 ? date : current.daysInMonth + date + 1) === current.date)) {
+        return false;
+    }
+    if (rule.byDay.length > 0) {
+        // 2MO is the second Monday of the month, or of the year for yearly rules without BYMONTH
+        const inYear = rule.frequency === 'YEARLY' && rule.byMonth.length === 0;
+        const position = inYear ? current.dayOfYear : current.date;
+        const length = inYear ? current.daysInYear : current.daysInMonth;
+        const matchesDay = entry => entry.weekday === current.weekday && (entry.ordinal === 0 ||
+            (entry.ordinal > 0 ? Math.ceil(position / 7) === entry.ordinal : Math.ceil((length - position + 1) / 7) === -entry.ordinal));
+        if (!rule.byDay.some(matchesDay)) return false;
+    }
+
+    const byDate = rule.byMonthDay.length > 0 || rule.byDay.length > 0;
+    switch (rule.frequency) {
+        case 'DAILY':
+            return (current.number - first.number) % rule.interval === 0;
+        case 'WEEKLY': {
+            if (rule.byDay.length === 0 && current.weekday !== first.weekday) return false;
+            const weekOf = parts => parts.number - ((parts.weekday - rule.weekStart + 7) % 7);
+            return ((weekOf(current) - weekOf(first)) / 7) % rule.interval === 0;
+        }
+        case 'MONTHLY':
+            if (!byDate && current.date !== first.date) return false;
+            return ((current.year - first.year) * 12 + current.month - first.month) % rule.interval === 0;
+        case 'YEARLY':
+            if (rule.byMonth.length === 0 && rule.byDay.length === 0 && current.month !== first.month) return false;
+            if (!byDate && current.date !== first.date) return false;
+            return (current.year - first.year) % rule.interval === 0;
+        default:
+            return false;
+    }
+}
+
+// Whether an occurrence of the event starts on the day (YYYY-MM-DD)
+function icalEventStartsOn(event, day) {
+    if (day < event.date) return false;
+    if ((event.excludedDates || []).some(excluded => icalOccurrenceDay(excluded, event.timeZone) === day)) return false;
+    if (day === event.date) return true;
+    if (!event.recurrence) return false;
+
+    const rule = parseIcalRecurrence(event.recurrence);
+    if (!rule.supported || !matchesIcalRecurrence(rule, event.date, day)) return false;
+    if (rule.until) {
+        const until = parseIcalDate(rule.until, {}, event.timeZone);
+        if (until && day > until.date) return false;
+    }
+    if (rule.count) {
+        // The first day is the first occurrence; excluded occurrences still count
+        let count = 1;
+        for (let current = addIcalDays(event.date, 1); current < day && count < rule.count; current = addIcalDays(current, 1)) {
+            if (matchesIcalRecurrence(rule, event.date, current)) count++;
+        }
+        return count < rule.count;
+    }
+    return true;
+}
+
+// Whether the event, or an occurrence of it, takes up the day; events longer than a day take up
+// every day to their last
+function icalEventOccursOn(event, day) {
+    const length = icalDayParts(event.endDate || event.date).number - icalDayParts(event.date).number;
+    for (let offset = 0; offset <= Math.max(0, length); offset++) {
+        if (icalEventStartsOn(event, addIcalDays(day, -offset))) return true;
+    }
+    return false;
+}
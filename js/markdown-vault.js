@@ -0,0 +1,220 @@
+// Markdown Vault for Second Brain
+// Notes as a folder of Markdown files, one per note, the way Obsidian-style vaults keep them.
+// The file name is the note's title and the body its content; id, dates and tags go in YAML
+// front matter:
+//
+//   ---
+//   id: "01HQ3K5Z8XJ8N6V2Y9C4R7T1WM"
+//   createdAt: "2024-01-01T00:00:00.000Z"
+//   updatedAt: "2024-01-02T00:00:00.000Z"
+//   tags:
+//     - "work"
+//   ---
+//
+// A title that cannot be a file name as it is goes in the front matter as well. Front matter is
+// read as simple YAML: scalars (plain or quoted) and lists ("- item" lines or [a, b]). Zips are
+// read and written with JSZip.
+//
+// Images attached to notes ({ id, name, type, size, data } with base64 data, see
+// js/note-importers.js) are linked from the content as attachments/<id>/<name> and are written
+// to that path of the zip.
+
+const VAULT_MAX_FILE_NAME = 100;
+const VAULT_IGNORED_FOLDERS = ['.obsidian', '.trash', '__MACOSX'];
+const VAULT_MARKDOWN_EXTENSION = /\.(md|markdown)$/i;
+
+function yamlString(value) {
+    return JSON.stringify(String(value));
+}
+
+function parseYamlScalar(text) {
+    const value = text.trim();
+    if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.slice(1, -1);
+        }
+    }
+    if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    return value;
+}
+
+// "[a, 'b, c']" -> ['a', 'b, c']
+function parseYamlFlowList(text) {
+    const items = text.trim().slice(1, -1).match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g) || [];
+    return items.map(parseYamlScalar).filter(item => item !== '');
+}
+
+// Returns { attributes, body }; text without front matter is all body
+function parseFrontMatter(text) {
+    const match = text.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n?---[ \t]*(?:\r?\n|$)/);
+    if (!match) return { attributes: {}, body: text };
+
+    const attributes = {};
+    let listKey = null;
+    match[1].split(/\r?\n/).forEach(line => {
+        const item = line.match(/^\s*-\s*(.*)$/);
+        if (item && listKey) {
+            attributes[listKey].push(parseYamlScalar(item[1]));
+            return;
+        }
+
+        const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+        listKey = null;
+        if (!pair) return;
+
+        const value = pair[2].trim();
+        if (value === '') {
+            // A list may follow on the next lines
+            attributes[pair[1]] = [];
+            listKey = pair[1];
+        } else if (value.startsWith('[') && value.endsWith(']')) {
+            attributes[pair[1]] = parseYamlFlowList(value);
+        } else {
+            attributes[pair[1]] = parseYamlScalar(value);
+        }
+    });
+    return { attributes: attributes, body: text.slice(match[0].length) };
+}
+
+// Tags as a list or a comma-separated string; Obsidian's leading '#' is dropped
+function normalizeVaultTags(value) {
+    const tags = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(tags.map(tag => String(tag).trim().replace(/^#/, '')).filter(Boolean))];
+}
+
+// Characters file systems or Obsidian links do not allow become '-'
+function vaultFileName(title) {
+    const name = String(title || '')
+        .replace(/[\\/:*?"<>|#^[\]]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, VAULT_MAX_FILE_NAME)
+        .replace(/^\.+/, '')
+        .trim();
+    return name || 'Untitled';
+}
+
+// Where an attachment is written in a vault, and how the content links to it
+function noteAttachmentPath(attachment) {
+    return `attachments/${attachment.id}/${attachment.name}`;
+}
+
+function noteAttachmentLink(attachment) {
+    const name = encodeURIComponent(attachment.name).replace(/\(/g, '%28').replace(/\)/g, '%29');
+    return `![${attachment.name.replace(/[[\]]/g, '')}](attachments/${attachment.id}/${name})`;
+}
+
+function noteToMarkdown(note, fileTitle) {
+    const tags = normalizeVaultTags(note.tags);
+    const lines = [
+        '---',
+        `id: ${yamlString(note.id)}`,
+        ...(fileTitle !== note.title ? [`title: ${yamlString(note.title)}`] : []),
+        `createdAt: ${yamlString(note.createdAt)}`,
+        `updatedAt: ${yamlString(note.updatedAt)}`,
+        ...(tags.length > 0 ? ['tags:', ...tags.map(tag => `  - ${yamlString(tag)}`)] : ['tags: []']),
+        '---',
+        '',
+        note.content || ''
+    ];
+    return `${lines.join('\n')}\n`;
+}
+
+// [{ name, text }] with one file per note. Names are unique: "Title (2).md" after "Title.md".
+function buildVaultFiles(notes) {
+    const used = new Set();
+    return notes.map(note => {
+        const base = vaultFileName(note.title);
+        let title = base;
+        for (let copy = 2; used.has(title.toLowerCase()); copy++) {
+            title = `${base} (${copy})`;
+        }
+        used.add(title.toLowerCase());
+        return { name: `${title}.md`, text: noteToMarkdown(note, title) };
+    });
+}
+
+// { id, title, content, tags, createdAt, updatedAt } of a Markdown file; the title is the file
+// name unless the front matter has one
+function noteFromMarkdown(path, text) {
+    const { attributes, body } = parseFrontMatter(text);
+    const fileTitle = path.split('/').pop().replace(VAULT_MARKDOWN_EXTENSION, '');
+    const scalar = value => typeof value === 'string' && value !== '' ? value : null;
+
+    return {
+        id: scalar(attributes.id),
+        title: (scalar(attributes.title) || fileTitle).trim(),
+        content: body.trim(),
+        tags: normalizeVaultTags(attributes.tags),
+        createdAt: scalar(attributes.createdAt),
+        updatedAt: scalar(attributes.updatedAt)
+    };
+}
+
+function checkZipLibrary() {
+    if (typeof JSZip === 'undefined') {
+        throw new Error('Zip library not loaded. Please refresh the page and try again.');
+    }
+}
+
+async function zipVault(notes) {
+    checkZipLibrary();
+    const zip = new JSZip();
+    buildVaultFiles(notes).forEach(file => zip.file(file.name, file.text));
+    notes.forEach(note => (note.attachments || []).forEach(attachment => {
+        zip.file(noteAttachmentPath(attachment), attachment.data, { base64: true });
+    }));
+    return zip.generateAsync({ type: 'blob' });
+}
+
+function isIgnoredVaultPath(path) {
+    return path.split('/').some(part => VAULT_IGNORED_FOLDERS.includes(part));
+}
+
+// The chosen files, with the files of chosen zips (and of zips inside them) in their place, as
+// [{ path, text(), base64() }]
+async function readArchiveEntries(files) {
+    const entries = [];
+    const addZip = async (zip) => {
+        for (const entry of Object.values(zip.files)) {
+            if (entry.dir || isIgnoredVaultPath(entry.name)) continue;
+            if (/\.zip$/i.test(entry.name)) {
+                await addZip(await JSZip.loadAsync(await entry.async('uint8array')));
+            } else {
+                entries.push({ path: entry.name, text: () => entry.async('string'), base64: () => entry.async('base64') });
+            }
+        }
+    };
+
+    for (const file of files) {
+        const path = file.webkitRelativePath || file.name;
+        if (isIgnoredVaultPath(path)) continue;
+
+        if (/\.zip$/i.test(file.name)) {
+            checkZipLibrary();
+            await addZip(await JSZip.loadAsync(file));
+        } else {
+            entries.push({
+                path: path,
+                text: () => file.text(),
+                base64: async () => bytesToBase64(new Uint8Array(await file.arrayBuffer()))
+            });
+        }
+    }
+    return entries;
+}
+
+// The Markdown files among chosen files and zips, as [{ path, text }]
+async function readVaultFiles(files) {
+    const entries = [];
+    for (const entry of await readArchiveEntries(files)) {
+        if (VAULT_MARKDOWN_EXTENSION.test(entry.path)) {
+            entries.push({ path: entry.path, text: await entry.text() });
+        }
+    }
+    return entries;
+}
@@ -0,0 +1,469 @@
+// Note Importers for Second Brain
+// Notes brought over from other apps: Evernote exports (.enex XML) and Notion exports (zips of
+// Markdown pages and CSV databases). Each importer returns
+//   { notes: [{ title, content, tags, createdAt, updatedAt, attachments, source, issues }],
+//     skipped: [{ name, reason }] }
+// where issues says what did not convert exactly. Content becomes Markdown; embedded images
+// become attachments of their note ({ id, name, type, size, data } with base64 data) and are
+// linked from the content (js/markdown-vault.js). Other embedded files are left out.
+
+// Attachments are stored in the note, whose document must stay under Firestore's 1 MB
+const NOTE_ATTACHMENTS_MAX_SIZE = 768 * 1024;
+
+const NOTE_IMAGE_TYPES = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif',
+    webp: 'image/webp', svg: 'image/svg+xml', bmp: 'image/bmp'
+};
+
+// Notion page properties that map to note fields, by lower-case property name
+const NOTION_PROPERTY_FIELDS = {
+    createdAt: ['created', 'created time', 'created at', 'date created'],
+    updatedAt: ['last edited', 'last edited time', 'last updated', 'updated', 'updated at'],
+    tags: ['tags', 'tag', 'labels', 'categories']
+};
+
+// Notion appends the page id to file and folder names: "Page 0123456789abcdef0123456789abcdef"
+const NOTION_PAGE_ID = /\s+[0-9a-f]{32}$/i;
+
+// Hex MD5 of bytes; Evernote links embedded files to their resources by this hash
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+function md5Hex(bytes) {
+    const padded = new Uint8Array(((bytes.length + 8 >> 6) + 1) * 64);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, (bytes.length * 8) >>> 0, true);
+    view.setUint32(padded.length - 4, Math.floor(bytes.length / 0x20000000), true);
+
+    const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        let [a, b, c, d] = state;
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+            const shift = MD5_SHIFTS[(i >> 4) * 4 + i % 4];
+            const sum = (a + f + MD5_CONSTANTS[i] + view.getUint32(offset + g * 4, true)) | 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+        }
+        state[0] = (state[0] + a) | 0;
+        state[1] = (state[1] + b) | 0;
+        state[2] = (state[2] + c) | 0;
+        state[3] = (state[3] + d) | 0;
+    }
+
+    return state.map(word => [0, 8, 16, 24]
+        .map(shift => ((word >>> shift) & 0xff).toString(16).padStart(2, '0'))
+        .join('')).join('');
+}
+
+// An ISO date, or null when the text is not a date
+function importedDate(text) {
+    if (!text) return null;
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function base64Size(data) {
+    return Math.floor(data.length * 3 / 4) - (data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0);
+}
+
+// Attaches an image to the note being built when it still fits. Returns the attachment, or null
+// with the reason added to the note's issues.
+function attachImportedImage(note, name, type, data) {
+    const size = base64Size(data);
+    const used = note.attachments.reduce((total, attachment) => total + attachment.size, 0);
+    if (used + size > NOTE_ATTACHMENTS_MAX_SIZE) {
+        note.issues.push(`Image "${name}" (${Math.ceil(size / 1024)} KB) is too large to attach and was left out`);
+        return null;
+    }
+
+    const attachment = { id: createRecordId(), name: name, type: type, size: size, data: data };
+    note.attachments.push(attachment);
+    return attachment;
+}
+
+function newImportedNote(source) {
+    return { title: '', content: '', tags: [], createdAt: null, updatedAt: null, attachments: [], source: source, issues: [] };
+}
+
+// Markdown of an HTML (or ENML) element. context: { note, media(element), listDepth }
+function htmlToMarkdown(node, context) {
+    return [...node.childNodes].map(child => htmlNodeToMarkdown(child, context)).join('');
+}
+
+function htmlNodeToMarkdown(node, context) {
+    if (node.nodeType === 3) {
+        const blockParent = /^(en-note|body|div|ul|ol|li|table|tbody|thead|tr)$/i.test(node.parentNode.nodeName);
+        return blockParent && !node.textContent.trim() ? '' : node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== 1) return '';
+
+    const tag = node.nodeName.toLowerCase();
+    const inner = () => htmlToMarkdown(node, context);
+    const wrap = (mark) => {
+        const text = inner();
+        return text.trim() ? `${mark}${text.trim()}${mark}` : text;
+    };
+
+    switch (tag) {
+        case 'br':
+            return '\n';
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+            return `\n\n${'#'.repeat(Number(tag[1]))} ${inner().trim()}\n\n`;
+        case 'p':
+            return `\n\n${inner().trim()}\n\n`;
+        case 'div': {
+            // Evernote writes a div per line
+            const text = inner();
+            return text.endsWith('\n') ? text : `${text}\n`;
+        }
+        case 'b': case 'strong':
+            return wrap('**');
+        case 'i': case 'em':
+            return wrap('*');
+        case 's': case 'strike': case 'del':
+            return wrap('~~');
+        case 'code':
+            return wrap('`');
+        case 'pre':
+            return `\n\n\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+        case 'hr':
+            return '\n\n---\n\n';
+        case 'blockquote':
+            return `\n\n${inner().trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+        case 'a': {
+            const href = node.getAttribute('href');
+            const text = inner().trim();
+            return href && !href.startsWith('#') ? `[${text || href}](${href})` : text;
+        }
+        case 'ul': case 'ol': {
+            const items = [...node.children].filter(child => child.nodeName.toLowerCase() === 'li');
+            context.listDepth = (context.listDepth || 0) + 1;
+            const lines = items.map((item, index) => {
+                const marker = tag === 'ol' ? `${index + 1}.` : '-';
+                return `${'  '.repeat(context.listDepth - 1)}${marker} ${htmlToMarkdown(item, context).trim()}`;
+            });
+            context.listDepth--;
+            return `\n${lines.join('\n')}\n`;
+        }
+        case 'table': {
+            const rows = [...node.querySelectorAll('tr')].map(row => [...row.children]
+                .map(cell => htmlToMarkdown(cell, context).replace(/\s+/g, ' ').trim())
+                .join(' | '));
+            context.note.issues.push('Tables were flattened to lines of text');
+            return `\n\n${rows.join('\n')}\n\n`;
+        }
+        case 'en-todo':
+            return node.getAttribute('checked') === 'true' ? '[x] ' : '[ ] ';
+        case 'en-media':
+            return context.media(node);
+        case 'img': {
+            const src = node.getAttribute('src') || '';
+            if (/^https?:/i.test(src)) return `![${node.getAttribute('alt') || ''}](${src})`;
+            context.note.issues.push('Images not stored in the export were left out');
+            return '';
+        }
+        case 'en-crypt':
+            context.note.issues.push('Encrypted text was left out');
+            return '';
+        case 'script': case 'style': case 'head': case 'title':
+            return '';
+        default:
+            return inner();
+    }
+}
+
+// ENML is XHTML, but its entities (&nbsp; and the like) are not XML's, so it is parsed as HTML.
+// HTML has no self-closing elements besides the void ones: <en-media/> would swallow what follows.
+function enmlDocument(enml) {
+    const html = enml.replace(/<([a-z][\w-]*)([^<>]*?)\s*\/>/gi, (match, tag, attributes) =>
+        /^(br|hr|img)$/i.test(tag) ? match : `<${tag}${attributes}></${tag}>`);
+    return new DOMParser().parseFromString(html, 'text/html');
+}
+
+// Content with the ids of attachment links left out, to tell a note imported again by its text
+function withoutAttachmentIds(content) {
+    return (content || '').replace(/\]\(attachments\/[^/)]+\//g, '](attachments/');
+}
+
+function tidyMarkdown(text) {
+    return text
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Evernote dates look like 20240131T093000Z
+function enexDate(text) {
+    const match = (text || '').trim().match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+    return match ? importedDate(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z`) : importedDate(text);
+}
+
+function parseEnex(text, fileName) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.querySelector('parsererror') || !xml.querySelector('en-export')) {
+        throw new Error(`${fileName} is not an Evernote export (.enex)`);
+    }
+
+    const result = { notes: [], skipped: [] };
+    [...xml.querySelectorAll('en-export > note')].forEach((element, index) => {
+        const child = (name) => element.querySelector(`:scope > ${name}`);
+        const note = newImportedNote(fileName);
+        const title = (child('title') ? child('title').textContent : '').trim();
+        note.title = title || `Note ${index + 1}`;
+        note.createdAt = enexDate(child('created') && child('created').textContent);
+        note.updatedAt = enexDate(child('updated') && child('updated').textContent) || note.createdAt;
+        note.tags = [...element.querySelectorAll(':scope > tag')].map(tag => tag.textContent.trim()).filter(Boolean);
+
+        // Resources by the MD5 of their data, which en-media elements refer to
+        const resources = {};
+        [...element.querySelectorAll(':scope > resource')].forEach((resource, position) => {
+            const data = (resource.querySelector('data') ? resource.querySelector('data').textContent : '').replace(/\s+/g, '');
+            const type = resource.querySelector('mime') ? resource.querySelector('mime').textContent.trim() : '';
+            const fileNameElement = resource.querySelector('resource-attributes > file-name');
+            const name = fileNameElement && fileNameElement.textContent.trim()
+                ? fileNameElement.textContent.trim()
+                : `attachment-${position + 1}.${type.split('/')[1] || 'bin'}`;
+            try {
+                resources[md5Hex(base64ToBytes(data))] = { name: name, type: type, data: data, used: false };
+            } catch (error) {
+                note.issues.push(`Attachment "${name}" could not be read and was left out`);
+            }
+        });
+
+        const media = (node) => {
+            const resource = resources[(node.getAttribute('hash') || '').toLowerCase()];
+            if (!resource) {
+                note.issues.push('An embedded file missing from the export was left out');
+                return '';
+            }
+            resource.used = true;
+            if (!/^image\/[\w.+-]+$/.test(resource.type)) {
+                note.issues.push(`Attachment "${resource.name}" (${resource.type || 'unknown type'}) is not an image and was left out`);
+                return `[${resource.name}]`;
+            }
+            const attachment = attachImportedImage(note, resource.name, resource.type, resource.data);
+            return attachment ? `\n${noteAttachmentLink(attachment)}\n` : `[${resource.name}]`;
+        };
+
+        const content = child('content') ? child('content').textContent : '';
+        const enml = enmlDocument(content);
+        const root = enml.querySelector('en-note') || enml.body;
+        note.content = tidyMarkdown(htmlToMarkdown(root, { note: note, media: media, listDepth: 0 }));
+
+        Object.values(resources).filter(resource => !resource.used).forEach(resource => {
+            note.issues.push(`Attachment "${resource.name}" is not shown in the note and was left out`);
+        });
+
+        if (!note.content && note.attachments.length === 0 && !title) {
+            result.skipped.push({ name: `${fileName}, note ${index + 1}`, reason: 'Empty note' });
+            return;
+        }
+        result.notes.push(note);
+    });
+    return result;
+}
+
+function notionTitle(path) {
+    return path.split('/').pop().replace(/\.[^.]+$/, '').replace(NOTION_PAGE_ID, '').trim();
+}
+
+function notionField(property) {
+    const name = property.trim().toLowerCase();
+    return Object.keys(NOTION_PROPERTY_FIELDS).find(field => NOTION_PROPERTY_FIELDS[field].includes(name)) || null;
+}
+
+// Maps a Notion property onto the note; false when the note has no field for it
+function applyNotionProperty(note, property, value) {
+    const field = notionField(property);
+    if (!field || !value.trim()) return false;
+
+    if (field === 'tags') {
+        note.tags = value.split(',').map(tag => tag.trim()).filter(Boolean);
+        return true;
+    }
+    const date = importedDate(value);
+    if (!date) {
+        note.issues.push(`"${property}: ${value}" is not a date this importer understands and was kept in the content`);
+        return false;
+    }
+    note[field] = date;
+    return true;
+}
+
+// Joins a link of a page to the page's folder: ("a/b/Page.md", "Page/img%201.png") -> "a/b/Page/img 1.png"
+function resolveNotionLink(pagePath, href) {
+    const parts = pagePath.split('/').slice(0, -1);
+    let target;
+    try {
+        target = decodeURIComponent(href);
+    } catch (error) {
+        target = href;
+    }
+    target.split('/').forEach(part => {
+        if (part === '..') {
+            parts.pop();
+        } else if (part && part !== '.') {
+            parts.push(part);
+        }
+    });
+    return parts.join('/');
+}
+
+async function parseNotionPage(entry, entriesByPath, usedPaths) {
+    const note = newImportedNote(entry.path);
+    const lines = (await entry.text()).replace(/\r\n/g, '\n').split('\n');
+
+    note.title = notionTitle(entry.path);
+    if (lines[0] && lines[0].startsWith('# ')) {
+        note.title = lines.shift().slice(2).trim() || note.title;
+    }
+    while (lines.length > 0 && !lines[0].trim()) lines.shift();
+
+    // Database pages start with "Property: value" lines, then a blank line
+    const propertyLines = [];
+    while (lines.length > 0 && /^[^:\n#>*-][^:\n]{0,40}: .*$/.test(lines[0])) {
+        propertyLines.push(lines.shift());
+    }
+    if (lines.length > 0 && lines[0].trim()) {
+        lines.unshift(...propertyLines);
+    } else {
+        const kept = propertyLines.filter(line => {
+            const separator = line.indexOf(': ');
+            return !applyNotionProperty(note, line.slice(0, separator), line.slice(separator + 2));
+        });
+        lines.unshift(...kept, ...(kept.length > 0 ? [''] : []));
+    }
+
+    let content = lines.join('\n');
+    const images = [];
+    content.replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, href) => {
+        images.push({ match: match, href: href });
+        return match;
+    });
+    for (const image of images) {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(image.href)) continue;
+
+        const path = resolveNotionLink(entry.path, image.href);
+        const target = entriesByPath.get(path);
+        const name = path.split('/').pop();
+        const type = NOTE_IMAGE_TYPES[(name.split('.').pop() || '').toLowerCase()];
+        let replacement = `[${name}]`;
+        if (!target) {
+            note.issues.push(`Image "${name}" is missing from the export and was left out`);
+        } else if (!type) {
+            note.issues.push(`Attachment "${name}" is not an image and was left out`);
+            usedPaths.add(path);
+        } else {
+            usedPaths.add(path);
+            const attachment = attachImportedImage(note, name, type, await target.base64());
+            if (attachment) replacement = noteAttachmentLink(attachment);
+        }
+        content = content.replace(image.match, replacement);
+    }
+
+    // Links to other pages and databases point at files of the export
+    let pageLinks = false;
+    content = content.replace(/(^|[^!])\[([^\]]*)\]\(([^)\s]+\.(?:md|csv))\)/gi, (match, before, text) => {
+        pageLinks = true;
+        return `${before}${text}`;
+    });
+    if (pageLinks) note.issues.push('Links to other pages were kept as plain text');
+
+    note.content = tidyMarkdown(content);
+    return note;
+}
+
+// A database row without a page of its own: its title column becomes the title and its other
+// columns "Column: value" lines of the content
+function notionRowNote(path, record) {
+    const note = newImportedNote(path);
+    const columns = Object.keys(record);
+    const titleColumn = columns.find(column => /^(name|title)$/i.test(column)) || columns[0];
+    note.title = (record[titleColumn] || '').trim();
+
+    const lines = [];
+    columns.filter(column => column !== titleColumn && record[column].trim()).forEach(column => {
+        if (!applyNotionProperty(note, column, record[column])) {
+            lines.push(`${column}: ${record[column].trim()}`);
+        }
+    });
+    note.content = lines.join('\n');
+    return note;
+}
+
+// entries: from readArchiveEntries. Pages become notes, as do database rows that have no page;
+// files no page shows are reported as skipped.
+async function parseNotionExport(entries) {
+    const result = { notes: [], skipped: [] };
+    const entriesByPath = new Map(entries.map(entry => [entry.path, entry]));
+    const usedPaths = new Set();
+
+    const pages = entries.filter(entry => /\.md$/i.test(entry.path));
+    for (const page of pages) {
+        const note = await parseNotionPage(page, entriesByPath, usedPaths);
+        if (!note.content && note.attachments.length === 0 && !note.title) {
+            result.skipped.push({ name: page.path, reason: 'Empty page' });
+        } else {
+            result.notes.push(note);
+        }
+    }
+
+    // Newer exports add "Database_all.csv" next to "Database.csv" with every row
+    const csvPaths = entries.map(entry => entry.path).filter(path => /\.csv$/i.test(path));
+    const pageTitles = new Set(result.notes.map(note => note.title.toLowerCase()));
+    for (const path of csvPaths) {
+        if (!/_all\.csv$/i.test(path) && csvPaths.includes(path.replace(/\.csv$/i, '_all.csv'))) continue;
+
+        parseCsvRecords(await entriesByPath.get(path).text()).forEach((record, index) => {
+            const note = notionRowNote(path, record);
+            if (!note.title) {
+                result.skipped.push({ name: `${path}, row ${index + 1}`, reason: 'Row without a title' });
+            } else if (!pageTitles.has(note.title.toLowerCase())) {
+                result.notes.push(note);
+            }
+        });
+    }
+
+    entries.filter(entry => !/\.(md|csv)$/i.test(entry.path) && !usedPaths.has(entry.path)).forEach(entry => {
+        result.skipped.push({
+            name: entry.path,
+            reason: /\.html?$/i.test(entry.path)
+                ? 'HTML page; export from Notion as "Markdown & CSV" instead'
+                : 'Not shown in any page'
+        });
+    });
+    return result;
+}
+
+// Evernote exports: .enex files, or zips of them
+async function parseEnexFiles(entries) {
+    const result = { notes: [], skipped: [] };
+    for (const entry of entries) {
+        if (!/\.enex$/i.test(entry.path)) {
+            result.skipped.push({ name: entry.path, reason: 'Not an Evernote export (.enex)' });
+            continue;
+        }
+        const parsed = parseEnex(await entry.text(), entry.path);
+        result.notes.push(...parsed.notes);
+        result.skipped.push(...parsed.skipped);
+    }
+    return result;
+}
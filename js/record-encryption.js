@@ -0,0 +1,478 @@
+// Record Encryption for Second Brain
+// Optional end-to-end encryption of the collections a user chooses. FirebaseService encrypts
+// their records before anything is written (cloud, local store, offline queue) and decrypts them
+// after reading, so their contents never leave this page readable. The key is derived from a
+// passphrase (PBKDF2) and only kept in memory: after a reload the data stays locked until the
+// passphrase is entered again. Records are sealed with AES-GCM; their id, owner, timestamps and
+// schema version stay readable because queries, sync and schema migrations rely on them.
+// Each user's salt, chosen collections and a check value for the passphrase are stored, readable,
+// in 'encryption_settings', so any device can unlock the data with the same passphrase.
+// While records are being rewritten for new settings, the settings also hold the rewrite still to
+// be done and the previous key, sealed with the new one, so records under either key stay readable
+// and a rewrite that was cut short is finished on the next unlock.
+
+const ENCRYPTION_SETTINGS_COLLECTION = 'encryption_settings';
+const ENCRYPTION_ITERATIONS = 310000;
+const ENCRYPTION_MIN_PASSPHRASE_LENGTH = 8;
+const ENCRYPTION_CHECK_VALUE = 'second-brain';
+const ENCRYPTED_FIELD = 'encrypted';
+const ENCRYPTED_EXPORT_FORMAT = 'second-brain-encrypted-export';
+
+// Fields left readable on encrypted records
+const ENCRYPTION_CLEAR_FIELDS = ['id', 'userId', 'createdAt', 'updatedAt', SCHEMA_VERSION_FIELD];
+
+// Collections a user can choose to encrypt, as labelled in Settings
+const ENCRYPTABLE_COLLECTIONS = {
+    notes: 'Notes',
+    wallet_transactions: 'Wallet transactions',
+    projects: 'CRM projects and clients',
+    completed_tasks: 'Completed CRM tasks',
+    tasks: 'Tasks',
+    calendar_events: 'Calendar events'
+};
+
+// Copies of records (deleted ones, local backups) are encrypted along with any chosen collection
+const ENCRYPTION_COPY_COLLECTIONS = ['trash', 'backups'];
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Account keys are extractable so a new key can carry the previous one through a rewrite
+async function deriveEncryptionKey(passphrase, salt, iterations = ENCRYPTION_ITERATIONS, extractable = false) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        extractable,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// A key sealed with another key, and back
+async function wrapEncryptionKey(key, wrappingKey) {
+    return sealValue(wrappingKey, bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key))));
+}
+
+async function unwrapEncryptionKey(sealed, wrappingKey) {
+    const raw = base64ToBytes(await openValue(wrappingKey, sealed));
+    return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+// The value as JSON, sealed with a fresh IV: { iv, data }, both base64
+async function sealValue(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+// Throws when the key is wrong or the data was changed
+async function openValue(key, sealed) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, key, base64ToBytes(sealed.data));
+    return JSON.parse(new TextDecoder().decode(data));
+}
+
+function isEncryptedRecord(record) {
+    return !!record && !!record[ENCRYPTED_FIELD] && typeof record[ENCRYPTED_FIELD].data === 'string';
+}
+
+// Export files are encrypted with a passphrase of their own, independent of the account's
+async function encryptExport(data, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveEncryptionKey(passphrase, salt);
+    return {
+        format: ENCRYPTED_EXPORT_FORMAT,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ENCRYPTION_ITERATIONS, salt: bytesToBase64(salt) },
+        cipher: 'AES-GCM',
+        ...await sealValue(key, data)
+    };
+}
+
+function isEncryptedExport(file) {
+    return !!file && file.format === ENCRYPTED_EXPORT_FORMAT;
+}
+
+async function decryptExport(file, passphrase) {
+    const key = await deriveEncryptionKey(passphrase, base64ToBytes(file.kdf.salt), file.kdf.iterations);
+    try {
+        return await openValue(key, file);
+    } catch (error) {
+        throw new Error('Wrong passphrase, or the file is damaged');
+    }
+}
+
+class RecordEncryption {
+    constructor(firebaseService) {
+        this.firebase = firebaseService;
+        this.settings = null;      // The user's 'encryption_settings' document
+        this.key = null;           // CryptoKey while unlocked
+        this.previousKey = null;   // The key records not yet rewritten still use, during a rewrite
+        this.onLockChange = null;  // (locked) after loading settings, unlocking or locking
+        this.checkingKey = null;
+
+        // Another tab changed the settings or the passphrase
+        window.tabSync.on('encryption', (message) => {
+            if (message.userId === this.firebase.userId) this.checkForNewKey();
+        });
+    }
+
+    // Turning encryption off stays enabled until every record is readable again
+    get enabled() {
+        return !!this.settings && (this.settings.collections.length > 0 || !!this.settings.rewrite);
+    }
+
+    get locked() {
+        return this.enabled && !this.key;
+    }
+
+    coveredCollections(collections) {
+        return collections.length > 0 ? [...collections, ...ENCRYPTION_COPY_COLLECTIONS] : [];
+    }
+
+    appliesTo(collection) {
+        return this.enabled && this.coveredCollections(this.settings.collections).includes(collection);
+    }
+
+    notifyLockChange() {
+        if (this.onLockChange) {
+            this.onLockChange(this.locked);
+        }
+    }
+
+    // The newer of this device's and the cloud's copy
+    async readSettings(userId) {
+        const copies = [await this.firebase.localFor(userId).get(ENCRYPTION_SETTINGS_COLLECTION, userId)];
+        if (this.firebase.remote && this.firebase.isOnline()) {
+            try {
+                copies.push(await this.firebase.remote.get(ENCRYPTION_SETTINGS_COLLECTION, userId, { forceRefresh: true }));
+            } catch (error) {
+                console.error('❌ Error reading encryption settings:', error);
+            }
+        }
+
+        return copies
+            .filter(copy => copy && copy.userId === userId)
+            .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))[0] || null;
+    }
+
+    // Loads the user's settings (on startup and sign-in). The key in memory is kept only while it
+    // is still the current one, so switching users or a new passphrase locks the data.
+    async load(userId) {
+        const settings = await this.readSettings(userId);
+        if (!settings || !this.settings || settings.keyId !== this.settings.keyId || settings.userId !== this.settings.userId) {
+            this.key = null;
+            this.previousKey = null;
+        }
+        this.settings = settings;
+
+        // Kept on this device so it can be unlocked offline
+        if (settings) {
+            await this.firebase.localFor(userId).set(ENCRYPTION_SETTINGS_COLLECTION, userId, settings);
+        }
+        this.notifyLockChange();
+        return settings;
+    }
+
+    // Records encrypted with a key this page does not have mean the settings changed elsewhere
+    checkForNewKey() {
+        if (this.checkingKey) return;
+
+        this.checkingKey = this.load(this.firebase.userId)
+            .catch(error => console.error('❌ Error reloading encryption settings:', error))
+            .finally(() => {
+                this.checkingKey = null;
+            });
+    }
+
+    async unlock(passphrase) {
+        if (!this.settings) {
+            throw new Error('Encryption is not turned on');
+        }
+
+        const key = await deriveEncryptionKey(passphrase, base64ToBytes(this.settings.salt), this.settings.iterations, true);
+        try {
+            await openValue(key, this.settings.check);
+        } catch (error) {
+            throw new Error('Wrong passphrase');
+        }
+
+        const rewrite = this.settings.rewrite;
+        this.key = key;
+        this.previousKey = rewrite && rewrite.key ? await unwrapEncryptionKey(rewrite.key, key) : null;
+        console.log('🔓 Encrypted data unlocked');
+        this.notifyLockChange();
+
+        if (rewrite) {
+            try {
+                await this.finishRewrite();
+            } catch (error) {
+                console.error('❌ Error finishing the encryption rewrite, will retry on the next unlock:', error);
+            }
+        }
+    }
+
+    lock() {
+        this.key = null;
+        this.previousKey = null;
+        console.log('🔒 Encrypted data locked');
+        this.notifyLockChange();
+    }
+
+    // After the user's data was deleted
+    reset() {
+        this.settings = null;
+        this.key = null;
+        this.previousKey = null;
+    }
+
+    async seal(record, key, keyId) {
+        const clear = {};
+        const secret = {};
+        Object.entries(record).forEach(([field, value]) => {
+            if (ENCRYPTION_CLEAR_FIELDS.includes(field)) {
+                clear[field] = value;
+            } else {
+                secret[field] = value;
+            }
+        });
+        return { ...clear, [ENCRYPTED_FIELD]: { keyId: keyId, ...await sealValue(key, secret) } };
+    }
+
+    async open(record, key) {
+        const { [ENCRYPTED_FIELD]: sealed, ...clear } = record;
+        return { ...await openValue(key, sealed), ...clear };
+    }
+
+    // Records of collections that are not encrypted, and ones already encrypted, pass through
+    async encryptRecord(collection, record) {
+        if (!record || isEncryptedRecord(record) || !this.appliesTo(collection)) return record;
+        if (!this.key) {
+            throw new Error('Unlock your encrypted data first');
+        }
+        return this.seal(record, this.key, this.settings.keyId);
+    }
+
+    // The key for records sealed under keyId: the current one, or the previous one during a rewrite.
+    // undefined when the key is not this user's (anymore), null while locked.
+    keyFor(keyId) {
+        if (!this.settings) return undefined;
+        if (keyId === this.settings.keyId) return this.key;
+        if (this.settings.rewrite && keyId === this.settings.rewrite.keyId) return this.previousKey;
+        return undefined;
+    }
+
+    // Throws while locked, or when the record was encrypted with another key
+    async decryptRecord(record) {
+        if (!isEncryptedRecord(record)) return record;
+
+        const key = this.keyFor(record[ENCRYPTED_FIELD].keyId);
+        if (key === undefined) {
+            this.checkForNewKey();
+            throw new Error('This record was encrypted with another passphrase');
+        }
+        if (!key) {
+            throw new Error('Unlock your encrypted data first');
+        }
+        return this.open(record, key);
+    }
+
+    // Records that cannot be decrypted right now are left out
+    async decryptRecords(records) {
+        const decrypted = [];
+        let skipped = 0;
+        for (const record of records) {
+            try {
+                decrypted.push(await this.decryptRecord(record));
+            } catch (error) {
+                skipped++;
+            }
+        }
+
+        if (skipped > 0) {
+            console.warn(`🔒 Left out ${skipped} encrypted records: ${this.locked ? 'the data is locked' : 'they use another key'}`);
+        }
+        return decrypted;
+    }
+
+    // Encrypts the chosen collections and decrypts the ones no longer chosen, in the cloud and on
+    // this device. A new passphrase re-encrypts everything with a new key. Queued offline changes
+    // were sealed with the current key, so they have to reach the cloud first.
+    // Every record is read and sealed before anything is written, so a record that cannot be
+    // decrypted stops the change before it starts. The new settings are saved next, with the
+    // rewrite marked as pending and the previous key sealed in them; only then are records
+    // written. Writes that fail part way (quota, network, a closed tab) leave records under
+    // either key, both readable, and the next unlock finishes the rewrite.
+    async configure(collections, passphrase = null) {
+        const userId = this.firebase.userId;
+        if (this.locked) {
+            throw new Error('Unlock your encrypted data first');
+        }
+        if (!this.firebase.canWriteRemote()) {
+            throw new Error('Changing encryption needs a connection to the cloud');
+        }
+        if (await this.firebase.syncQueue.getPendingCount() > 0) {
+            throw new Error('Sync your pending changes first');
+        }
+        if (passphrase !== null && passphrase.length < ENCRYPTION_MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`The passphrase needs at least ${ENCRYPTION_MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        if (collections.length > 0 && passphrase === null && !this.key) {
+            throw new Error('Choose a passphrase');
+        }
+
+        if (!this.settings && collections.length === 0) return 0;
+
+        // A rewrite cut short earlier is finished first, so records use at most two keys
+        if (this.settings && this.settings.rewrite) {
+            await this.finishRewrite();
+        }
+
+        const previous = this.settings;
+        const next = passphrase === null ? { ...previous, key: this.key } : {};
+        if (passphrase !== null) {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            next.key = await deriveEncryptionKey(passphrase, salt, ENCRYPTION_ITERATIONS, true);
+            next.keyId = createRecordId();
+            next.salt = bytesToBase64(salt);
+            next.iterations = ENCRYPTION_ITERATIONS;
+            next.check = await sealValue(next.key, ENCRYPTION_CHECK_VALUE);
+        }
+
+        const previousCollections = this.enabled ? previous.collections : [];
+        const previousCovered = this.coveredCollections(previousCollections);
+        const covered = this.coveredCollections(collections);
+        const changed = [...new Set([...previousCovered, ...covered])]
+            .filter(collection => passphrase !== null || previousCovered.includes(collection) !== covered.includes(collection));
+        const writes = await this.prepareRewrite(changed, covered, next);
+
+        const newKey = !!previous && !!this.key && next.keyId !== previous.keyId;
+        const settings = {
+            userId: userId,
+            collections: [...collections],
+            keyId: next.keyId,
+            salt: next.salt,
+            iterations: next.iterations,
+            check: next.check,
+            rewrite: {
+                collections: [...previousCollections],
+                keyId: newKey ? previous.keyId : null,
+                key: newKey ? await wrapEncryptionKey(this.key, next.key) : null
+            },
+            updatedAt: new Date().toISOString()
+        };
+        await this.saveSettings(settings);
+        this.previousKey = newKey ? this.key : null;
+        this.key = next.key;
+        window.tabSync.post('encryption', { userId: userId });
+
+        const rewritten = await this.writeRewrite(writes);
+        await this.saveSettings({ ...settings, rewrite: null, updatedAt: new Date().toISOString() });
+        this.previousKey = null;
+
+        window.tabSync.post('encryption', { userId: userId });
+        console.log(`🔐 Encryption ${collections.length > 0 ? `on for ${collections.join(', ')}` : 'off'}; rewrote ${rewritten} records`);
+        return rewritten;
+    }
+
+    // Rewrites what a rewrite cut short left: every record of the collections covered before or
+    // now that is not yet as the current settings want it
+    async finishRewrite() {
+        const rewrite = this.settings && this.settings.rewrite;
+        if (!rewrite || !this.key) return 0;
+        if (!this.firebase.canWriteRemote() || await this.firebase.syncQueue.getPendingCount() > 0) {
+            console.warn('🔐 Encryption rewrite still pending: needs a connection and an empty offline queue');
+            return 0;
+        }
+
+        const covered = this.coveredCollections(this.settings.collections);
+        const collections = [...new Set([...this.coveredCollections(rewrite.collections), ...covered])];
+        const rewritten = await this.writeRewrite(await this.prepareRewrite(collections, covered, { key: this.key, keyId: this.settings.keyId }));
+
+        await this.saveSettings({ ...this.settings, rewrite: null, updatedAt: new Date().toISOString() });
+        this.previousKey = null;
+        window.tabSync.post('encryption', { userId: this.firebase.userId });
+        console.log(`🔐 Finished the encryption rewrite; rewrote ${rewritten} records`);
+        return rewritten;
+    }
+
+    async saveSettings(settings) {
+        await this.firebase.remote.set(ENCRYPTION_SETTINGS_COLLECTION, settings.userId, settings);
+        await this.firebase.local.set(ENCRYPTION_SETTINGS_COLLECTION, settings.userId, settings);
+        this.firebase.recordWrites(1);
+        this.settings = settings;
+    }
+
+    // Local backups are kept in the shared local store, the rest in the cloud and on this device
+    storesFor(collection) {
+        return collection === 'backups'
+            ? [this.firebase.localStore]
+            : [this.firebase.remote, this.firebase.local];
+    }
+
+    // The writes that bring the user's records in the collections to the target: sealed with its key
+    // when covered, plain otherwise. Nothing is written. Records already as wanted are left out.
+    async prepareRewrite(collections, covered, target) {
+        const writes = [];
+        for (const collection of collections) {
+            const sealed = covered.includes(collection);
+            for (const store of this.storesFor(collection)) {
+                const records = await store.query(collection, this.firebase.userFilter(), { forceRefresh: true });
+                const operations = [];
+                for (const record of records) {
+                    const encrypted = isEncryptedRecord(record);
+                    if (encrypted ? sealed && record[ENCRYPTED_FIELD].keyId === target.keyId : !sealed) continue;
+
+                    let plain = record;
+                    if (encrypted) {
+                        const key = this.keyFor(record[ENCRYPTED_FIELD].keyId);
+                        try {
+                            plain = await this.open(record, key);
+                        } catch (error) {
+                            throw new Error(`Could not decrypt ${collection}/${record.id} with the current passphrase`);
+                        }
+                    }
+                    operations.push({
+                        type: 'set',
+                        collection: collection,
+                        docId: String(record.id),
+                        data: sealed ? await this.seal(plain, target.key, target.keyId) : plain
+                    });
+                }
+                if (operations.length > 0) writes.push({ store: store, operations: operations });
+            }
+        }
+        return writes;
+    }
+
+    // Returns the number of records written
+    async writeRewrite(writes) {
+        let rewritten = 0;
+        for (const { store, operations } of writes) {
+            if (store === this.firebase.remote) {
+                await store.batchWrite(operations);
+                this.firebase.recordWrites(operations.length, Math.ceil(operations.length / FIRESTORE_BATCH_LIMIT));
+            } else {
+                for (const operation of operations) {
+                    await store.set(operation.collection, operation.docId, operation.data);
+                }
+            }
+            rewritten += operations.length;
+        }
+        return rewritten;
+    }
+}
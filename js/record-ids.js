@@ -0,0 +1,69 @@
+// Record IDs for Second Brain
+// New records get ULID-style ids: 10 characters of creation time followed by 16 random
+// characters, in Crockford base32. They sort by creation time and devices never mint the same one.
+// Records from before used per-user counters (1, 2, ...) or Date.now(). legacyRecordId maps
+// those to record ids deterministically, so every device rewrites a record to the same new id.
+
+const RECORD_ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const RECORD_ID_TIME_LENGTH = 10;
+const RECORD_ID_RANDOM_LENGTH = 16;
+const RECORD_ID_MAX_TIME = 2 ** 48 - 1;
+
+let lastRecordId = { time: -1, random: [] };
+
+function encodeRecordIdTime(time) {
+    let encoded = '';
+    for (let i = 0; i < RECORD_ID_TIME_LENGTH; i++) {
+        encoded = RECORD_ID_ALPHABET[time % 32] + encoded;
+        time = Math.floor(time / 32);
+    }
+    return encoded;
+}
+
+function createRecordId(time = Date.now()) {
+    let random;
+    if (time <= lastRecordId.time) {
+        // Same millisecond (or the clock went back): count up so ids keep their creation order
+        time = lastRecordId.time;
+        random = [...lastRecordId.random];
+        let i = random.length - 1;
+        while (i >= 0 && random[i] === 31) random[i--] = 0;
+        if (i >= 0) random[i]++;
+    } else {
+        random = [...crypto.getRandomValues(new Uint8Array(RECORD_ID_RANDOM_LENGTH))].map(byte => byte % 32);
+    }
+
+    lastRecordId = { time, random };
+    return encodeRecordIdTime(time) + random.map(value => RECORD_ID_ALPHABET[value]).join('');
+}
+
+// Counter and Date.now() ids, stored as numbers or as numeric strings
+function isLegacyRecordId(id) {
+    if (typeof id !== 'number' && !(typeof id === 'string' && /^\d+$/.test(id))) return false;
+    return Number.isSafeInteger(Number(id)) && Number(id) >= 0 && Number(id) <= RECORD_ID_MAX_TIME;
+}
+
+// The old id becomes the time part: timestamps keep their time and counters sort before every
+// newer record, in their old order. The random part is a hash of owner, kind and old id.
+function legacyRecordId(userId, kind, oldId) {
+    const source = `${userId}/${kind}/${Number(oldId)}`;
+    let random = '';
+    for (let seed = 0; random.length < RECORD_ID_RANDOM_LENGTH; seed++) {
+        // FNV-1a, a 32-bit hash per seed of which 30 bits (6 characters) are used
+        let hash = (0x811c9dc5 ^ seed) >>> 0;
+        for (let i = 0; i < source.length; i++) {
+            hash = Math.imul(hash ^ source.charCodeAt(i), 0x01000193) >>> 0;
+        }
+        for (let i = 0; i < 6; i++) {
+            random += RECORD_ID_ALPHABET[hash & 31];
+            hash >>>= 5;
+        }
+    }
+    return encodeRecordIdTime(Number(oldId)) + random.slice(0, RECORD_ID_RANDOM_LENGTH);
+}
+
+// Record id for an id that may still be a legacy one; anything else (null, record ids,
+// Firestore generated ids) is returned unchanged
+function upgradeRecordId(userId, kind, id) {
+    return isLegacyRecordId(id) ? legacyRecordId(userId || 'anonymous_user', kind, id) : id;
+}
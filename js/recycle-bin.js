@@ -0,0 +1,205 @@
+// Recycle Bin for Second Brain
+// Deleting a record moves it into the 'trash' collection instead of destroying it. From the
+// Trash view an entry can be restored, with CRM tasks going back under their project and parent
+// task, or deleted for good. Entries older than the retention setting are purged automatically.
+
+const TRASH_COLLECTION = 'trash';
+
+// Module each trashed collection belongs to, as shown in the Trash view
+const TRASH_MODULES = {
+    projects: 'CRM',
+    notes: 'Notes',
+    tasks: 'Tasks',
+    wallet_transactions: 'Wallet',
+    goals: 'Goals',
+    simple_goals: 'Goals',
+    habits: 'Habits',
+    calendar_events: 'Calendar'
+};
+
+class RecycleBin {
+    constructor(firebaseService) {
+        this.firebase = firebaseService;
+    }
+
+    createEntry(collection, record, docId) {
+        return {
+            id: createRecordId(),
+            kind: 'record',
+            collection: collection,
+            docId: docId,
+            record: JSON.parse(JSON.stringify(record)),
+            label: record.title || record.name || record.description || 'Untitled',
+            deletedAt: new Date().toISOString()
+        };
+    }
+
+    // The trash entry and the deletion are written in one batch, so nothing is lost in between
+    async trash(collection, record) {
+        const entry = this.createEntry(collection, record, String(record.id));
+        await this.firebase.writeBatch([
+            { type: 'set', collection: TRASH_COLLECTION, docId: entry.id, data: entry },
+            { type: 'delete', collection: collection, docId: entry.docId }
+        ]);
+        console.log(`🗑️ Moved ${collection}/${entry.docId} to the trash`);
+        return entry;
+    }
+
+    // CRM tasks live inside their project document, which the caller saves without the task.
+    // The entry remembers where the task was attached so a restore can put it back there.
+    async trashProjectTask(project, task, parentTaskId, index) {
+        const entry = this.createProjectTaskEntry(project, task, parentTaskId, index);
+        await this.firebase.writeBatch([{ type: 'set', collection: TRASH_COLLECTION, docId: entry.id, data: entry }]);
+        console.log(`🗑️ Moved task ${task.id} of project ${project.id} to the trash`);
+        return entry;
+    }
+
+    createProjectTaskEntry(project, task, parentTaskId, index) {
+        return {
+            ...this.createEntry('projects', task, String(project.id)),
+            kind: 'project_task',
+            parent: {
+                projectId: project.id,
+                projectName: project.name,
+                parentTaskId: parentTaskId,
+                index: index
+            }
+        };
+    }
+
+    // Moves a restored item back to the trash (redo of a deletion). Returns the new entry, or
+    // null when the item no longer exists.
+    async trashAgain(entry) {
+        if (entry.kind !== 'project_task') {
+            const record = await this.firebase.getDocument(entry.collection, entry.docId);
+            return record ? this.trash(entry.collection, record) : null;
+        }
+
+        const project = await this.firebase.getDocument('projects', String(entry.parent.projectId));
+        const task = project ? findProjectTask(project.tasks, entry.record.id) : null;
+        if (!task) return null;
+
+        const parentTask = task.parentTaskId ? findProjectTask(project.tasks, task.parentTaskId) : null;
+        const siblings = parentTask ? parentTask.subtasks : project.tasks;
+        const again = this.createProjectTaskEntry(project, task, parentTask ? parentTask.id : null, siblings.indexOf(task));
+        siblings.splice(siblings.indexOf(task), 1);
+
+        await this.firebase.writeBatch([
+            { type: 'set', collection: TRASH_COLLECTION, docId: again.id, data: again },
+            { type: 'set', collection: 'projects', docId: String(project.id), data: project }
+        ]);
+        console.log(`🗑️ Moved task ${task.id} of project ${project.id} to the trash`);
+        return again;
+    }
+
+    // The open workspace's entries; options.allWorkspaces lists every workspace's
+    async getEntries(options = {}) {
+        const entries = await this.firebase.getCollection(TRASH_COLLECTION, options);
+        return (entries || []).sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    }
+
+    // Returns false when a CRM task could not go back under its parent task and was attached
+    // to the project itself
+    async restore(entryId) {
+        const entry = await this.firebase.getDocument(TRASH_COLLECTION, entryId);
+        if (!entry) {
+            throw new Error('This item is no longer in the trash');
+        }
+
+        if (entry.kind === 'project_task') {
+            return this.restoreProjectTask(entry);
+        }
+
+        await this.firebase.writeBatch([
+            { type: 'set', collection: entry.collection, docId: entry.docId, data: entry.record },
+            { type: 'delete', collection: TRASH_COLLECTION, docId: entry.id }
+        ]);
+        console.log(`♻️ Restored ${entry.collection}/${entry.docId} from the trash`);
+        return true;
+    }
+
+    async restoreProjectTask(entry) {
+        const { projectId, parentTaskId, index } = entry.parent;
+        let project = await this.loadProject(entry);
+
+        // A parent task deleted after this one is in the trash itself (possibly inside an
+        // ancestor's entry); it comes back first
+        let parentTask = parentTaskId ? findProjectTask(project.tasks, parentTaskId) : null;
+        if (parentTaskId && !parentTask) {
+            const parentEntry = (await this.getEntries())
+                .find(other => other.kind === 'project_task' && findProjectTask([other.record], parentTaskId));
+            if (parentEntry) {
+                await this.restore(parentEntry.id);
+                project = await this.firebase.getDocument('projects', String(projectId));
+                parentTask = findProjectTask(project.tasks, parentTaskId);
+            }
+        }
+
+        const siblings = parentTask ? parentTask.subtasks : project.tasks;
+        siblings.splice(Math.min(index, siblings.length), 0, {
+            ...entry.record,
+            parentTaskId: parentTask ? parentTask.id : null
+        });
+
+        await this.firebase.writeBatch([
+            { type: 'set', collection: 'projects', docId: String(projectId), data: project },
+            { type: 'delete', collection: TRASH_COLLECTION, docId: entry.id }
+        ]);
+        console.log(`♻️ Restored task ${entry.record.id} into project ${projectId}`);
+        return !parentTaskId || !!parentTask;
+    }
+
+    // The task's project, restored from the trash first if it was deleted as well
+    async loadProject(entry) {
+        const projectId = String(entry.parent.projectId);
+        let project = await this.firebase.getDocument('projects', projectId);
+
+        if (!project || project.userId !== this.firebase.userId) {
+            const projectEntry = (await this.getEntries())
+                .find(other => other.kind === 'record' && other.collection === 'projects' && other.docId === projectId);
+            if (!projectEntry) {
+                throw new Error(`The project "${entry.parent.projectName}" no longer exists`);
+            }
+
+            await this.restore(projectEntry.id);
+            project = await this.firebase.getDocument('projects', projectId);
+        }
+
+        if (!Array.isArray(project.tasks)) project.tasks = [];
+        return project;
+    }
+
+    async deletePermanently(entryId) {
+        await this.firebase.deleteDocument(TRASH_COLLECTION, entryId);
+        console.log(`🧹 Deleted trash entry ${entryId} for good`);
+    }
+
+    async empty(entries = null) {
+        const trashed = entries || await this.getEntries();
+        await this.firebase.writeBatch(trashed.map(entry => ({ type: 'delete', collection: TRASH_COLLECTION, docId: entry.id })));
+        return trashed.length;
+    }
+
+    // days: null or 0 keeps entries until they are deleted by hand. Every workspace's trash is
+    // purged, not only the open one's.
+    async purgeExpired(days) {
+        if (!days) return 0;
+
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const expired = (await this.getEntries({ allWorkspaces: true })).filter(entry => new Date(entry.deletedAt).getTime() < cutoff);
+        if (expired.length === 0) return 0;
+
+        await this.empty(expired);
+        console.log(`🧹 Emptied ${expired.length} trash entries older than ${days} days`);
+        return expired.length;
+    }
+}
+
+function findProjectTask(tasks, taskId) {
+    for (const task of tasks || []) {
+        if (String(task.id) === String(taskId)) return task;
+        const found = findProjectTask(task.subtasks, taskId);
+        if (found) return found;
+    }
+    return null;
+}
@@ -0,0 +1,193 @@
+// Schema Migrations for Second Brain
+// Every stored record carries a schemaVersion. Migrations are registered per collection in
+// version order and run whenever records are loaded, from Firestore and the local store alike.
+// A migration must be idempotent: running it on an already migrated record changes nothing.
+
+const SCHEMA_VERSION_FIELD = 'schemaVersion';
+const SCHEMA_BASE_VERSION = 1; // Records stored before versioning count as version 1
+
+class SchemaMigrations {
+    constructor() {
+        this.migrations = new Map(); // collection -> [{ version, description, migrate }]
+    }
+
+    register(collection, version, description, migrate) {
+        const migrations = this.migrations.get(collection) || [];
+        if (version <= SCHEMA_BASE_VERSION || migrations.some(migration => migration.version === version)) {
+            throw new Error(`Invalid or duplicate migration ${collection} v${version}`);
+        }
+
+        migrations.push({ version, description, migrate });
+        migrations.sort((a, b) => a.version - b.version);
+        this.migrations.set(collection, migrations);
+        return this;
+    }
+
+    collections() {
+        return [...this.migrations.keys()];
+    }
+
+    currentVersion(collection) {
+        const migrations = this.migrations.get(collection);
+        return migrations ? migrations[migrations.length - 1].version : SCHEMA_BASE_VERSION;
+    }
+
+    // Current version of every given collection, e.g. for export files
+    getVersions(collections) {
+        const versions = {};
+        collections.forEach(collection => {
+            versions[collection] = this.currentVersion(collection);
+        });
+        return versions;
+    }
+
+    recordVersion(record) {
+        return (record && record[SCHEMA_VERSION_FIELD]) || SCHEMA_BASE_VERSION;
+    }
+
+    pending(collection, record) {
+        const version = this.recordVersion(record);
+        return (this.migrations.get(collection) || []).filter(migration => migration.version > version);
+    }
+
+    // Upgrades a copy of the record. Returns { record, applied, changed } where applied lists the
+    // versions that ran and changed the versions that actually modified the record.
+    migrate(collection, record) {
+        const pending = this.pending(collection, record);
+        if (!record || typeof record !== 'object' || pending.length === 0) {
+            return { record, applied: [], changed: [] };
+        }
+
+        let upgraded = JSON.parse(JSON.stringify(record));
+        const changed = [];
+        for (const migration of pending) {
+            const before = JSON.stringify(upgraded);
+            upgraded = migration.migrate(upgraded) || upgraded;
+            if (JSON.stringify(upgraded) !== before) {
+                changed.push(migration.version);
+            }
+        }
+
+        upgraded[SCHEMA_VERSION_FIELD] = this.currentVersion(collection);
+        return { record: upgraded, applied: pending.map(migration => migration.version), changed };
+    }
+
+    // Dry run: what migrating these records would do, without writing anything
+    report(collection, records) {
+        const migrations = this.migrations.get(collection) || [];
+        const report = {
+            collection: collection,
+            currentVersion: this.currentVersion(collection),
+            total: records.length,
+            outdated: 0,
+            changed: 0,
+            migrations: migrations.map(migration => ({
+                version: migration.version,
+                description: migration.description,
+                records: 0
+            }))
+        };
+
+        records.forEach(record => {
+            const result = this.migrate(collection, record);
+            if (result.applied.length === 0) return;
+
+            report.outdated++;
+            if (result.changed.length > 0) report.changed++;
+            result.changed.forEach(version => {
+                report.migrations.find(migration => migration.version === version).records++;
+            });
+        });
+
+        return report;
+    }
+}
+
+// Habits used to mix toDateString() keys ("Mon Jan 15 2024") with ISO keys ("2024-01-15").
+// The tracker reads toDateString() keys, so everything is normalized to that.
+function normalizeHabitDateKey(key) {
+    const isoDate = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key);
+    if (isoDate) {
+        // Parse as a local date; new Date('2024-01-15') would be UTC midnight
+        return new Date(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3])).toDateString();
+    }
+
+    const date = new Date(key);
+    return isNaN(date.getTime()) ? key : date.toDateString();
+}
+
+function ensureSubtaskLists(tasks) {
+    tasks.forEach(task => {
+        if (!Array.isArray(task.subtasks)) task.subtasks = [];
+        ensureSubtaskLists(task.subtasks);
+    });
+}
+
+window.schemaMigrations = new SchemaMigrations();
+
+schemaMigrations.register('projects', 2, 'Add missing client, funding and task lists', project => {
+    if (!project.client) project.client = { name: '', email: '' };
+    if (!project.funding) project.funding = { status: 'not_funded', receivedAmount: 0 };
+    if (typeof project.funding.receivedAmount !== 'number') {
+        project.funding.receivedAmount = parseFloat(project.funding.receivedAmount) || 0;
+    }
+    if (!Array.isArray(project.tasks)) project.tasks = [];
+    ensureSubtaskLists(project.tasks);
+    return project;
+});
+
+schemaMigrations.register('habits', 2, 'Normalize completion dates to toDateString() keys', habit => {
+    const completedDates = Array.isArray(habit.completedDates) ? habit.completedDates : [];
+    habit.completedDates = [...new Set(completedDates.map(normalizeHabitDateKey))];
+
+    // Two keys can land on the same day; keep the higher count
+    const dailyQuantities = {};
+    Object.entries(habit.dailyQuantities || {}).forEach(([key, quantity]) => {
+        const day = normalizeHabitDateKey(key);
+        dailyQuantities[day] = Math.max(dailyQuantities[day] || 0, quantity);
+    });
+    habit.dailyQuantities = dailyQuantities;
+
+    if (habit.isQuantityEnabled === undefined) habit.isQuantityEnabled = false;
+    if (!habit.target) habit.target = 1;
+    return habit;
+});
+
+// Counter and Date.now() ids collide between devices; they become record ids (js/record-ids.js).
+// CRM task ids are unique across a user's projects, so they share the kind 'project_tasks'.
+function upgradeProjectTaskIds(tasks, userId) {
+    tasks.forEach(task => {
+        task.id = upgradeRecordId(userId, 'project_tasks', task.id);
+        task.parentTaskId = upgradeRecordId(userId, 'project_tasks', task.parentTaskId);
+        upgradeProjectTaskIds(task.subtasks || [], userId);
+    });
+}
+
+function upgradeOwnRecordId(collection) {
+    return record => {
+        record.id = upgradeRecordId(record.userId, collection, record.id);
+        return record;
+    };
+}
+
+schemaMigrations.register('projects', 3, 'Replace project and task numbers with record ids', project => {
+    project.id = upgradeRecordId(project.userId, 'projects', project.id);
+    upgradeProjectTaskIds(project.tasks || [], project.userId);
+    return project;
+});
+
+// Completed tasks are copies of CRM tasks and point back to their project
+schemaMigrations.register('completed_tasks', 2, 'Replace task and project numbers with record ids', task => {
+    task.id = upgradeRecordId(task.userId, 'project_tasks', task.id);
+    task.parentTaskId = upgradeRecordId(task.userId, 'project_tasks', task.parentTaskId);
+    task.projectId = upgradeRecordId(task.userId, 'projects', task.projectId);
+    upgradeProjectTaskIds(task.subtasks || [], task.userId);
+    return task;
+});
+
+schemaMigrations.register('habits', 3, 'Replace timestamp ids with record ids', upgradeOwnRecordId('habits'));
+
+['notes', 'tasks', 'wallet_transactions', 'goals', 'simple_goals', 'calendar_events', 'pomodoro_sessions', 'bookmarks']
+    .forEach(collection => {
+        schemaMigrations.register(collection, 2, 'Replace numeric ids with record ids', upgradeOwnRecordId(collection));
+    });
@@ -0,0 +1,618 @@
+// Storage Adapters for Second Brain
+// Every adapter exposes the same async document API (get/set/add/update/delete/query)
+// so FirebaseService can swap backends at startup without touching the managers.
+
+const FIRESTORE_SDK_URL = 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+const FIRESTORE_BATCH_LIMIT = 500; // Firestore rejects batches with more operations
+
+// localStorage keys of the IndexedDB fallback; apart from the legacy `firebase_*` mirrors, which
+// are migrated into it like into IndexedDB
+const LOCAL_FALLBACK_PREFIX = 'second_brain_';
+
+// Base adapter - shared helpers for the in-browser implementations
+class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    generateId() {
+        return createRecordId();
+    }
+
+    // Filters use the same shape as FirebaseOptimizer: { field, operator, value }
+    matchesFilters(record, filters = []) {
+        return filters.every(({ field, operator = '==', value }) => {
+            const actual = record[field];
+            switch (operator) {
+                case '==': return actual === value;
+                case '!=': return actual !== value;
+                case '<': return actual < value;
+                case '<=': return actual <= value;
+                case '>': return actual > value;
+                case '>=': return actual >= value;
+                case 'in': return Array.isArray(value) && value.includes(actual);
+                case 'array-contains': return Array.isArray(actual) && actual.includes(value);
+                default:
+                    console.warn(`⚠️ Unsupported filter operator: ${operator}`);
+                    return false;
+            }
+        });
+    }
+
+    missingDocumentError(collection, docId) {
+        // Mirrors Firestore's updateDoc failure so every backend behaves the same
+        const error = new Error(`No document to update: ${collection}/${docId}`);
+        error.code = 'not-found';
+        return error;
+    }
+
+    async get(collection, docId) {
+        throw new Error(`${this.name} adapter does not implement get()`);
+    }
+
+    async set(collection, docId, data, options = {}) {
+        throw new Error(`${this.name} adapter does not implement set()`);
+    }
+
+    async add(collection, data) {
+        const docId = this.generateId();
+        await this.set(collection, docId, data);
+        return docId;
+    }
+
+    async update(collection, docId, data) {
+        const existing = await this.get(collection, docId);
+        if (!existing) {
+            throw this.missingDocumentError(collection, docId);
+        }
+        return this.set(collection, docId, data, { merge: true });
+    }
+
+    async delete(collection, docId) {
+        throw new Error(`${this.name} adapter does not implement delete()`);
+    }
+
+    // operations: [{ type: 'set' | 'delete', collection, docId, data, merge }]
+    async batchWrite(operations) {
+        for (const operation of operations) {
+            if (operation.type === 'delete') {
+                await this.delete(operation.collection, operation.docId);
+            } else {
+                await this.set(operation.collection, operation.docId, operation.data, { merge: !!operation.merge });
+            }
+        }
+        return true;
+    }
+
+    async query(collection, filters = []) {
+        throw new Error(`${this.name} adapter does not implement query()`);
+    }
+
+    // Removes every document this adapter holds (used when wiping the device)
+    async clear() {
+        throw new Error(`${this.name} adapter does not implement clear()`);
+    }
+
+    // Names of the collections that hold documents (local stores only)
+    async collectionNames() {
+        throw new Error(`${this.name} adapter does not implement collectionNames()`);
+    }
+
+    async clearCollection(collection) {
+        const records = await this.query(collection);
+        for (const record of records) {
+            await this.delete(collection, record.id);
+        }
+        return true;
+    }
+
+    // Live updates: onChanges receives [{ type: 'added' | 'modified' | 'removed', id, data, hasPendingWrites }].
+    // Backends without change notifications never call it. Returns an unsubscribe function.
+    subscribe(collection, filters, onChanges, onError) {
+        return () => {};
+    }
+}
+
+// In-memory adapter - nothing is kept after the page closes
+class MemoryAdapter extends StorageAdapter {
+    constructor() {
+        super('memory');
+        this.collections = new Map();
+        this.listeners = new Set();
+    }
+
+    notify(collection, type, docId, data) {
+        this.listeners.forEach(listener => {
+            if (listener.collection !== collection) return;
+            if (data && !this.matchesFilters({ id: docId, ...data }, listener.filters)) return;
+
+            // Asynchronous like Firestore snapshots
+            setTimeout(() => listener.onChanges([{
+                type: type,
+                id: docId,
+                data: data ? { id: docId, ...JSON.parse(JSON.stringify(data)) } : null,
+                hasPendingWrites: false
+            }]), 0);
+        });
+    }
+
+    getCollectionMap(collection) {
+        if (!this.collections.has(collection)) {
+            this.collections.set(collection, new Map());
+        }
+        return this.collections.get(collection);
+    }
+
+    async get(collection, docId) {
+        const data = this.getCollectionMap(collection).get(String(docId));
+        return data ? JSON.parse(JSON.stringify(data)) : null;
+    }
+
+    async set(collection, docId, data, options = {}) {
+        const docs = this.getCollectionMap(collection);
+        const existed = docs.has(String(docId));
+        const existing = options.merge ? docs.get(String(docId)) : null;
+        docs.set(String(docId), JSON.parse(JSON.stringify({ ...existing, ...data })));
+        this.notify(collection, existed ? 'modified' : 'added', String(docId), docs.get(String(docId)));
+        return true;
+    }
+
+    async delete(collection, docId) {
+        if (this.getCollectionMap(collection).delete(String(docId))) {
+            this.notify(collection, 'removed', String(docId), null);
+        }
+        return true;
+    }
+
+    async query(collection, filters = []) {
+        const results = [];
+        this.getCollectionMap(collection).forEach((data, docId) => {
+            const record = { id: docId, ...JSON.parse(JSON.stringify(data)) };
+            if (this.matchesFilters(record, filters)) {
+                results.push(record);
+            }
+        });
+        return results;
+    }
+
+    async clear() {
+        this.collections.clear();
+        return true;
+    }
+
+    async collectionNames() {
+        return [...this.collections.keys()].filter(collection => this.collections.get(collection).size > 0);
+    }
+
+    async clearCollection(collection) {
+        this.collections.delete(collection);
+        return true;
+    }
+
+    subscribe(collection, filters, onChanges, onError) {
+        const listener = { collection, filters, onChanges };
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+// localStorage adapter - the original `firebase_*` fallback keys, one key per collection
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(prefix = 'firebase_') {
+        super('localstorage');
+        this.prefix = prefix;
+    }
+
+    readCollection(collection) {
+        try {
+            const raw = localStorage.getItem(`${this.prefix}${collection}`);
+            if (!raw) return {};
+
+            const parsed = JSON.parse(raw);
+            // Older builds stored collections as arrays of { id, ...data }
+            if (Array.isArray(parsed)) {
+                return parsed.reduce((docs, item) => {
+                    if (item && item.id !== undefined) {
+                        docs[String(item.id)] = item;
+                    }
+                    return docs;
+                }, {});
+            }
+            return parsed;
+        } catch (error) {
+            console.error('Local storage read error:', error);
+            return {};
+        }
+    }
+
+    writeCollection(collection, docs) {
+        localStorage.setItem(`${this.prefix}${collection}`, JSON.stringify(docs));
+    }
+
+    async get(collection, docId) {
+        const docs = this.readCollection(collection);
+        return docs[String(docId)] || null;
+    }
+
+    async set(collection, docId, data, options = {}) {
+        const docs = this.readCollection(collection);
+        const existing = options.merge ? docs[String(docId)] : null;
+        docs[String(docId)] = { ...existing, ...data };
+        this.writeCollection(collection, docs);
+        return true;
+    }
+
+    async delete(collection, docId) {
+        const docs = this.readCollection(collection);
+        delete docs[String(docId)];
+        this.writeCollection(collection, docs);
+        return true;
+    }
+
+    async query(collection, filters = []) {
+        const docs = this.readCollection(collection);
+        return Object.entries(docs)
+            .map(([docId, data]) => ({ id: docId, ...data }))
+            .filter(record => this.matchesFilters(record, filters));
+    }
+
+    async clear() {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix))
+            .forEach(key => localStorage.removeItem(key));
+        return true;
+    }
+
+    async collectionNames() {
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix))
+            .map(key => key.slice(this.prefix.length));
+    }
+
+    async clearCollection(collection) {
+        localStorage.removeItem(`${this.prefix}${collection}`);
+        return true;
+    }
+}
+
+// IndexedDB adapter - a single object store keyed by "collection/docId". When the database
+// cannot be opened (Firefox private windows, storage disabled) the documents go to localStorage.
+class IndexedDBAdapter extends StorageAdapter {
+    constructor(dbName = 'secondBrain', storeName = 'documents') {
+        super('indexeddb');
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+        this.fallback = null;
+    }
+
+    // Resolves to the database, or to null once the localStorage fallback has taken over
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not supported in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+                        store.createIndex('collection', 'collection', { unique: false });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                console.warn('⚠️ IndexedDB could not be opened, keeping data in localStorage instead:', error);
+                this.fallback = new LocalStorageAdapter(LOCAL_FALLBACK_PREFIX);
+                return null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const store = transaction.objectStore(this.storeName);
+            let result;
+
+            const request = callback(store);
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    recordKey(collection, docId) {
+        return `${collection}/${docId}`;
+    }
+
+    async get(collection, docId) {
+        if (!await this.open()) return this.fallback.get(collection, docId);
+        const record = await this.run('readonly', store => store.get(this.recordKey(collection, docId)));
+        return record ? record.data : null;
+    }
+
+    async set(collection, docId, data, options = {}) {
+        if (!await this.open()) return this.fallback.set(collection, docId, data, options);
+        const existing = options.merge ? await this.get(collection, docId) : null;
+        await this.run('readwrite', store => store.put({
+            key: this.recordKey(collection, docId),
+            collection: collection,
+            id: String(docId),
+            data: { ...existing, ...data }
+        }));
+        return true;
+    }
+
+    async delete(collection, docId) {
+        if (!await this.open()) return this.fallback.delete(collection, docId);
+        await this.run('readwrite', store => store.delete(this.recordKey(collection, docId)));
+        return true;
+    }
+
+    async query(collection, filters = []) {
+        if (!await this.open()) return this.fallback.query(collection, filters);
+        const records = await this.run('readonly', store => store.index('collection').getAll(collection));
+        return (records || [])
+            .map(record => ({ id: record.id, ...record.data }))
+            .filter(record => this.matchesFilters(record, filters));
+    }
+
+    async clear() {
+        if (!await this.open()) return this.fallback.clear();
+        await this.run('readwrite', store => store.clear());
+        return true;
+    }
+
+    async collectionNames() {
+        if (!await this.open()) return this.fallback.collectionNames();
+        const names = [];
+        await this.run('readonly', store => {
+            const request = store.index('collection').openKeyCursor(null, 'nextunique');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    names.push(cursor.key);
+                    cursor.continue();
+                }
+            };
+        });
+        return names;
+    }
+
+    async clearCollection(collection) {
+        if (!await this.open()) return this.fallback.clearCollection(collection);
+        await this.run('readwrite', store => {
+            const request = store.index('collection').getAllKeys(collection);
+            request.onsuccess = () => request.result.forEach(key => store.delete(key));
+        });
+        return true;
+    }
+}
+
+// Scoped adapter - one user's documents inside a shared local store. Collections are prefixed
+// with the user id, so users of the same browser never read or overwrite each other's copies.
+class ScopedAdapter extends StorageAdapter {
+    constructor(base, scope) {
+        super(base.name);
+        this.base = base;
+        this.scope = scope;
+        this.prefix = `user_${scope}/`;
+    }
+
+    scoped(collection) {
+        return `${this.prefix}${collection}`;
+    }
+
+    generateId() {
+        return this.base.generateId();
+    }
+
+    async get(collection, docId) {
+        return this.base.get(this.scoped(collection), docId);
+    }
+
+    async set(collection, docId, data, options = {}) {
+        return this.base.set(this.scoped(collection), docId, data, options);
+    }
+
+    async delete(collection, docId) {
+        return this.base.delete(this.scoped(collection), docId);
+    }
+
+    async query(collection, filters = []) {
+        return this.base.query(this.scoped(collection), filters);
+    }
+
+    async collectionNames() {
+        return (await this.base.collectionNames())
+            .filter(collection => collection.startsWith(this.prefix))
+            .map(collection => collection.slice(this.prefix.length));
+    }
+
+    async clearCollection(collection) {
+        return this.base.clearCollection(this.scoped(collection));
+    }
+
+    // Only this user's documents
+    async clear() {
+        for (const collection of await this.collectionNames()) {
+            await this.clearCollection(collection);
+        }
+        return true;
+    }
+}
+
+// Firestore adapter - modular SDK loaded lazily from gstatic
+class FirestoreAdapter extends StorageAdapter {
+    constructor(db) {
+        super('firestore');
+        this.db = db;
+        this.sdkPromise = null;
+    }
+
+    sdk() {
+        if (!this.sdkPromise) {
+            this.sdkPromise = import(FIRESTORE_SDK_URL);
+        }
+        return this.sdkPromise;
+    }
+
+    async get(collection, docId) {
+        const { doc, getDoc } = await this.sdk();
+        const docSnap = await getDoc(doc(this.db, collection, String(docId)));
+        return docSnap.exists() ? docSnap.data() : null;
+    }
+
+    async set(collection, docId, data, options = {}) {
+        const { doc, setDoc } = await this.sdk();
+        await setDoc(doc(this.db, collection, String(docId)), data, { merge: !!options.merge });
+        return true;
+    }
+
+    async add(collection, data) {
+        const { collection: firestoreCollection, addDoc } = await this.sdk();
+        const docRef = await addDoc(firestoreCollection(this.db, collection), data);
+        return docRef.id;
+    }
+
+    async update(collection, docId, data) {
+        const { doc, updateDoc } = await this.sdk();
+        await updateDoc(doc(this.db, collection, String(docId)), data);
+        return true;
+    }
+
+    async delete(collection, docId) {
+        const { doc, deleteDoc } = await this.sdk();
+        await deleteDoc(doc(this.db, collection, String(docId)));
+        return true;
+    }
+
+    async batchWrite(operations) {
+        const { doc, writeBatch } = await this.sdk();
+
+        for (let i = 0; i < operations.length; i += FIRESTORE_BATCH_LIMIT) {
+            const batch = writeBatch(this.db);
+            operations.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(operation => {
+                const ref = doc(this.db, operation.collection, String(operation.docId));
+                if (operation.type === 'delete') {
+                    batch.delete(ref);
+                } else {
+                    batch.set(ref, operation.data, { merge: !!operation.merge });
+                }
+            });
+            await batch.commit();
+        }
+        return true;
+    }
+
+    async query(collection, filters = []) {
+        const { collection: firestoreCollection, query, where, getDocs } = await this.sdk();
+        const constraints = filters.map(({ field, operator = '==', value }) => where(field, operator, value));
+        const querySnapshot = await getDocs(query(firestoreCollection(this.db, collection), ...constraints));
+
+        const documents = [];
+        querySnapshot.forEach((docSnap) => {
+            documents.push({
+                id: docSnap.id,
+                ...docSnap.data()
+            });
+        });
+        return documents;
+    }
+
+    subscribe(collection, filters, onChanges, onError) {
+        let unsubscribe = null;
+        let cancelled = false;
+
+        this.sdk().then(({ collection: firestoreCollection, query, where, onSnapshot }) => {
+            if (cancelled) return;
+
+            const constraints = filters.map(({ field, operator = '==', value }) => where(field, operator, value));
+            unsubscribe = onSnapshot(query(firestoreCollection(this.db, collection), ...constraints), (snapshot) => {
+                const changes = snapshot.docChanges().map(change => ({
+                    type: change.type,
+                    id: change.doc.id,
+                    data: change.type === 'removed' ? null : { id: change.doc.id, ...change.doc.data() },
+                    hasPendingWrites: change.doc.metadata.hasPendingWrites
+                }));
+                if (changes.length > 0) {
+                    onChanges(changes);
+                }
+            }, onError);
+        }).catch(onError);
+
+        return () => {
+            cancelled = true;
+            if (unsubscribe) unsubscribe();
+        };
+    }
+}
+
+// Adapter registry and startup configuration
+const StorageAdapters = {
+    defaults: {
+        remote: 'firestore',
+        local: 'indexeddb'
+    },
+
+    localInstance: null,
+
+    // Configuration sources, lowest to highest priority:
+    //   window.SECOND_BRAIN_STORAGE = 'memory' | { remote: 'memory', local: 'memory' }
+    //   ?storage=memory in the page URL
+    resolveConfig() {
+        let config = { ...this.defaults };
+
+        const configured = window.SECOND_BRAIN_STORAGE;
+        if (typeof configured === 'string') {
+            config = { remote: configured, local: configured };
+        } else if (configured && typeof configured === 'object') {
+            config = { ...config, ...configured };
+        }
+
+        const param = new URLSearchParams(window.location.search).get('storage');
+        if (param) {
+            config = { remote: param, local: param };
+        }
+
+        return config;
+    },
+
+    // One local store per page, shared by FirebaseService, the activity log and backups
+    localStore() {
+        if (!this.localInstance) {
+            this.localInstance = this.create(this.resolveConfig().local);
+        }
+        return this.localInstance;
+    },
+
+    create(type, options = {}) {
+        switch (type) {
+            case 'firestore':
+                return new FirestoreAdapter(options.db);
+            case 'indexeddb':
+                return new IndexedDBAdapter(options.dbName, options.storeName);
+            case 'memory':
+                return new MemoryAdapter();
+            case 'localstorage':
+                return new LocalStorageAdapter(options.prefix);
+            default:
+                throw new Error(`Unknown storage adapter: ${type}`);
+        }
+    }
+};
+
+window.StorageAdapters = StorageAdapters;
@@ -0,0 +1,273 @@
+// Legacy localStorage Migration for Second Brain
+// Older builds kept every module's data in localStorage keys. This moves those keys
+// into the local store (IndexedDB by default) once, then frees the localStorage space.
+// Afterwards each user's documents are moved into their own scope of the local store.
+
+const LEGACY_MIGRATION_FLAG = 'storage_migrated';
+const LEGACY_MIGRATION_VERSION = 'v1';
+const LOCAL_SCOPE_FLAG = 'local_store_scoped';
+const LOCAL_SCOPE_VERSION = 'v1';
+
+// Array-of-records keys written by the old per-manager fallbacks
+const LEGACY_COLLECTION_KEYS = [
+    { key: 'notes', collection: 'notes' },
+    { key: 'tasks', collection: 'tasks' },
+    { key: 'crm_projects', collection: 'projects' },
+    { key: 'crm_data', collection: 'projects' },
+    { key: 'completed_tasks', collection: 'completed_tasks' },
+    { key: 'wallet_transactions', collection: 'wallet_transactions' },
+    { key: 'wallet_data', collection: 'wallet_transactions' },
+    { key: 'goals_data', collection: 'goals' },
+    { key: 'goals', collection: 'simple_goals' },
+    { key: 'secondBrainHabits', collection: 'habits' },
+    { key: 'habits_data', collection: 'habits' },
+    { key: 'calendar_events', collection: 'calendar_events' },
+    { key: 'pomodoro_sessions', collection: 'pomodoro_sessions' },
+    { key: 'activityLogs', collection: 'activity_logs' }
+];
+
+// Single-number keys that became fields on the *_counters documents
+const LEGACY_COUNTER_KEYS = [
+    { key: 'notes_next_id', collection: 'notes_counters', field: 'nextNoteId' },
+    { key: 'tasks_next_id', collection: 'tasks_counters', field: 'nextTaskId' },
+    { key: 'crm_next_project_id', collection: 'crm_counters', field: 'nextProjectId' },
+    { key: 'crm_next_task_id', collection: 'crm_counters', field: 'nextTaskId' },
+    { key: 'wallet_next_transaction_id', collection: 'wallet_counters', field: 'nextTransactionId' },
+    { key: 'goals_next_id', collection: 'goals_counters', field: 'nextGoalId' }
+];
+
+// Collections the old FirebaseService mirrored into `firebase_<collection>[_<docId>]` keys
+const LEGACY_MIRRORED_COLLECTIONS = [
+    'projects', 'notes', 'notes_counters', 'tasks', 'tasks_counters', 'completed_tasks',
+    'crm_counters', 'wallet_transactions', 'wallet_counters', 'goals', 'goals_counters',
+    'simple_goals', 'habits', 'calendar_events', 'bookmarks', 'pomodoro_sessions',
+    'pomodoro_settings', 'pomodoro_state'
+];
+
+class LegacyStorageMigration {
+    constructor(defaultUserId = 'anonymous_user') {
+        this.defaultUserId = defaultUserId;
+        this.readyPromise = null;
+    }
+
+    // Runs the migration once per page; every caller awaits the same promise
+    ready(target) {
+        if (!this.readyPromise) {
+            this.readyPromise = this.run(target);
+        }
+        return this.readyPromise;
+    }
+
+    isMigrated() {
+        return localStorage.getItem(LEGACY_MIGRATION_FLAG) === LEGACY_MIGRATION_VERSION;
+    }
+
+    isScoped() {
+        return localStorage.getItem(LOCAL_SCOPE_FLAG) === LOCAL_SCOPE_VERSION;
+    }
+
+    readJSON(key) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn(`⚠️ Skipping unreadable legacy key "${key}":`, error);
+            return null;
+        }
+    }
+
+    async run(target) {
+        const summary = { documents: 0, keys: [], scoped: 0 };
+
+        if (!this.isMigrated()) {
+            await this.migrateLegacyKeys(target, summary);
+        }
+        if (!summary.error && !this.isScoped()) {
+            await this.scopeByUser(target, summary);
+        }
+
+        return summary;
+    }
+
+    async migrateLegacyKeys(target, summary) {
+        try {
+            console.log(`📦 Migrating legacy localStorage data to ${target.name}...`);
+
+            // Mirrored Firebase documents first, so the per-manager copies can win on updatedAt
+            if (target.name !== 'localstorage') {
+                await this.migrateMirroredDocuments(target, summary);
+            }
+
+            for (const { key, collection } of LEGACY_COLLECTION_KEYS) {
+                const records = this.readJSON(key);
+                if (!Array.isArray(records)) continue;
+
+                summary.documents += await this.importRecords(target, collection, records);
+                summary.keys.push(key);
+            }
+
+            await this.migrateCounters(target, summary);
+            await this.migrateSingleDocuments(target, summary);
+
+            // Only free the space once everything landed in the new store
+            summary.keys.forEach(key => localStorage.removeItem(key));
+            localStorage.setItem(LEGACY_MIGRATION_FLAG, LEGACY_MIGRATION_VERSION);
+
+            console.log(`✅ Legacy migration complete: ${summary.documents} documents from ${summary.keys.length} keys`);
+        } catch (error) {
+            // Legacy keys stay in place so the next page load can retry
+            console.error('❌ Legacy storage migration failed:', error);
+            summary.error = error.message;
+        }
+    }
+
+    // Collections whose local documents belong to a single user
+    scopedCollections() {
+        return [
+            ...USER_RECORD_COLLECTIONS,
+            ...USER_DOCUMENT_COLLECTIONS,
+            ...LEGACY_COUNTER_COLLECTIONS,
+            'sync_queue',
+            'sync_conflicts',
+            'sync_failed',
+            'account_migrations',
+            'activity_logs'
+        ];
+    }
+
+    // Earlier builds kept every user's documents in one namespace, so signing into another
+    // account showed (and could overwrite) the previous user's cached copies
+    async scopeByUser(target, summary) {
+        try {
+            const scopes = new Map();
+
+            for (const collection of this.scopedCollections()) {
+                const records = await target.query(collection);
+                for (const record of records) {
+                    const data = await target.get(collection, record.id);
+                    if (!data) continue;
+
+                    const userId = data.userId || data.toUserId || this.defaultUserId;
+                    if (!scopes.has(userId)) {
+                        scopes.set(userId, new ScopedAdapter(target, userId));
+                    }
+                    await scopes.get(userId).set(collection, record.id, data);
+                    await target.delete(collection, record.id);
+                    summary.scoped++;
+                }
+            }
+
+            localStorage.setItem(LOCAL_SCOPE_FLAG, LOCAL_SCOPE_VERSION);
+            console.log(`✅ Moved ${summary.scoped} local documents into per-user scopes`);
+        } catch (error) {
+            console.error('❌ Scoping the local store by user failed:', error);
+            summary.error = error.message;
+        }
+    }
+
+    // Array records carry their own id; records without one get a fresh id
+    async importRecords(target, collection, records) {
+        const documents = records
+            .filter(record => record && typeof record === 'object')
+            .map(record => [
+                record.id !== undefined && record.id !== null ? String(record.id) : target.generateId(),
+                record
+            ]);
+        return this.importDocuments(target, collection, documents);
+    }
+
+    // Writes [docId, data] pairs into a collection, keeping whichever copy was updated last
+    async importDocuments(target, collection, documents) {
+        let imported = 0;
+
+        for (const [docId, data] of documents) {
+            const incoming = { userId: this.defaultUserId, ...data };
+
+            const existing = await target.get(collection, docId);
+            if (existing && new Date(existing.updatedAt || 0) > new Date(incoming.updatedAt || 0)) {
+                continue;
+            }
+
+            await target.set(collection, docId, incoming);
+            imported++;
+        }
+
+        return imported;
+    }
+
+    async migrateCounters(target, summary) {
+        for (const { key, collection, field } of LEGACY_COUNTER_KEYS) {
+            const value = parseInt(localStorage.getItem(key));
+            if (isNaN(value)) continue;
+
+            const existing = await target.get(collection, 'counters');
+            if (!existing || !existing[field] || existing[field] < value) {
+                await target.set(collection, 'counters', {
+                    userId: this.defaultUserId,
+                    [field]: value,
+                    updatedAt: new Date().toISOString()
+                }, { merge: true });
+                summary.documents++;
+            }
+            summary.keys.push(key);
+        }
+    }
+
+    async migrateSingleDocuments(target, summary) {
+        // Pomodoro state was one object keyed per user
+        const pomodoroState = this.readJSON('pomodoro_state');
+        if (pomodoroState && typeof pomodoroState === 'object') {
+            const userId = pomodoroState.userId || this.defaultUserId;
+            const existing = await target.get('pomodoro_state', userId);
+            if (!existing) {
+                await target.set('pomodoro_state', userId, { ...pomodoroState, userId: userId });
+                summary.documents++;
+            }
+            summary.keys.push('pomodoro_state');
+        }
+
+        // Manual backups were stored as backup_<timestamp> snapshots
+        const backupKeys = Object.keys(localStorage).filter(key => key.startsWith('backup_'));
+        for (const key of backupKeys) {
+            const backup = this.readJSON(key);
+            if (!backup) continue;
+
+            await target.set('backups', key.slice('backup_'.length), {
+                userId: this.defaultUserId,
+                ...backup
+            });
+            summary.documents++;
+            summary.keys.push(key);
+        }
+    }
+
+    async migrateMirroredDocuments(target, summary) {
+        const legacyMirror = new LocalStorageAdapter('firebase_');
+        const mirroredKeys = Object.keys(localStorage).filter(key => key.startsWith('firebase_'));
+
+        for (const key of mirroredKeys) {
+            const name = key.slice('firebase_'.length);
+
+            // `firebase_<collection>` holds a whole collection
+            if (LEGACY_MIRRORED_COLLECTIONS.includes(name)) {
+                const docs = legacyMirror.readCollection(name);
+                summary.documents += await this.importDocuments(target, name, Object.entries(docs));
+                summary.keys.push(key);
+                continue;
+            }
+
+            // `firebase_<collection>_<docId>` holds a single document; match the longest collection name
+            const collection = LEGACY_MIRRORED_COLLECTIONS
+                .filter(candidate => name.startsWith(`${candidate}_`))
+                .sort((a, b) => b.length - a.length)[0];
+            const data = this.readJSON(key);
+            if (!collection || !data || typeof data !== 'object') continue;
+
+            const docId = name.slice(collection.length + 1);
+            summary.documents += await this.importDocuments(target, collection, [[docId, data]]);
+            summary.keys.push(key);
+        }
+    }
+}
+
+window.legacyStorageMigration = new LegacyStorageMigration();
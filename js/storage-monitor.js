@@ -0,0 +1,110 @@
+// Storage Monitor for Second Brain
+// Tracks how much of the browser's storage quota the local store uses and
+// warns before writes start failing.
+
+class StorageMonitor {
+    constructor() {
+        this.warningThreshold = 0.8; // Warn at 80% of the quota
+        this.fallbackQuota = 5 * 1024 * 1024; // Typical localStorage limit
+        this.checkDelay = 2000;
+        this.checkTimeout = null;
+        this.hasWarned = false;
+        this.lastEstimate = null;
+    }
+
+    async estimate() {
+        try {
+            if (navigator.storage && navigator.storage.estimate) {
+                const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+                if (quota > 0) {
+                    this.lastEstimate = { usage, quota, ratio: usage / quota };
+                    return this.lastEstimate;
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ Storage estimate unavailable:', error);
+        }
+
+        // No StorageManager API: measure localStorage (UTF-16, two bytes per character)
+        let usage = 0;
+        Object.keys(localStorage).forEach(key => {
+            usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
+        });
+        this.lastEstimate = { usage, quota: this.fallbackQuota, ratio: usage / this.fallbackQuota };
+        return this.lastEstimate;
+    }
+
+    async check() {
+        const estimate = await this.estimate();
+
+        if (estimate.ratio >= this.warningThreshold && !this.hasWarned) {
+            this.hasWarned = true;
+            this.notify(
+                `Storage is ${Math.round(estimate.ratio * 100)}% full (${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)}). Export or clear old data to avoid losing changes.`,
+                'warning'
+            );
+        } else if (estimate.ratio < this.warningThreshold) {
+            this.hasWarned = false;
+        }
+
+        return estimate;
+    }
+
+    // Debounced so bursts of writes only trigger one estimate
+    scheduleCheck() {
+        clearTimeout(this.checkTimeout);
+        this.checkTimeout = setTimeout(() => {
+            this.check().catch(error => console.error('❌ Storage check failed:', error));
+        }, this.checkDelay);
+    }
+
+    isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+
+    reportWriteError(error) {
+        if (this.isQuotaError(error)) {
+            console.error('❌ Local storage quota exceeded:', error);
+            this.notify('Storage is full - the latest changes could not be saved on this device.', 'error');
+        }
+    }
+
+    notify(message, type) {
+        console.warn(`⚠️ ${message}`);
+        if (typeof showNotification === 'function') {
+            showNotification(message, type);
+        }
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / Math.pow(1024, index)).toFixed(index === 0 ? 0 : 1)} ${units[index]}`;
+    }
+
+    // Wraps an adapter's writes so quota problems surface to the user
+    watch(adapter) {
+        if (adapter.isMonitored) return adapter;
+
+        const set = adapter.set.bind(adapter);
+        adapter.set = async (...args) => {
+            try {
+                const result = await set(...args);
+                this.scheduleCheck();
+                return result;
+            } catch (error) {
+                this.reportWriteError(error);
+                throw error;
+            }
+        };
+        adapter.isMonitored = true;
+        return adapter;
+    }
+}
+
+window.storageMonitor = new StorageMonitor();
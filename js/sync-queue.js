@@ -0,0 +1,344 @@
+// Offline Write Queue for Second Brain
+// Writes that cannot reach the remote store are kept in the local store ('sync_queue')
+// and replayed when the connection comes back. Conflicts are settled by updatedAt and
+// recorded in 'sync_conflicts' so the user can review them. Writes the cloud refuses for good
+// (permission-denied, invalid data, a document over the size limit), and ones that keep failing,
+// are set aside in 'sync_failed', so they do not hold up the writes queued after them.
+
+const SYNC_QUEUE_COLLECTION = 'sync_queue';
+const SYNC_CONFLICTS_COLLECTION = 'sync_conflicts';
+const SYNC_FAILED_COLLECTION = 'sync_failed';
+const SYNC_MAX_ATTEMPTS = 10;
+
+class SyncQueue {
+    constructor(firebaseService) {
+        this.firebase = firebaseService;
+        this.replayPromise = null;
+        this.retryTimeout = null;
+        this.retryDelay = 30000;
+
+        window.addEventListener('online', () => {
+            console.log('🌐 Back online, replaying pending changes...');
+            this.replay();
+        });
+
+        // Only the leader tab replays; the others hand their requests over
+        window.tabSync.on('leadership', () => this.replay());
+        window.tabSync.on('sync-replay', () => this.replay());
+        window.tabSync.on('sync-queued', () => this.scheduleRetry());
+    }
+
+    get local() {
+        return this.firebase.local;
+    }
+
+    entryId(collection, docId) {
+        return `${collection}/${docId}`;
+    }
+
+    // Queues a write for later. Several writes to the same document collapse into one entry
+    // that keeps the version the first offline edit was based on.
+    async enqueue(operation, collection, docId, data = null, baseUpdatedAt = null) {
+        const id = this.entryId(collection, docId);
+        const existing = await this.local.get(SYNC_QUEUE_COLLECTION, id);
+
+        const entry = {
+            operation: operation,
+            collection: collection,
+            docId: String(docId),
+            data: data,
+            userId: this.firebase.userId,
+            baseUpdatedAt: baseUpdatedAt,
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            lastError: null
+        };
+
+        if (existing) {
+            entry.baseUpdatedAt = existing.baseUpdatedAt;
+            entry.queuedAt = existing.queuedAt;
+
+            // A partial update on top of a queued write keeps the full document
+            if (operation === 'update' && existing.operation === 'set') {
+                entry.operation = 'set';
+                entry.data = { ...existing.data, ...data };
+            } else if (operation === 'update' && existing.operation === 'update') {
+                entry.data = { ...existing.data, ...data };
+            }
+        }
+
+        await this.local.set(SYNC_QUEUE_COLLECTION, id, entry);
+        console.log(`📥 Queued ${entry.operation} for ${id}`);
+
+        // The queue lives in the shared local store, so the leader tab picks this up
+        if (!window.tabSync.isLeader) {
+            window.tabSync.post('sync-queued');
+        }
+        return entry;
+    }
+
+    async getPending(userId = this.firebase.userId) {
+        const entries = await this.local.query(SYNC_QUEUE_COLLECTION, [
+            { field: 'userId', operator: '==', value: userId }
+        ]);
+        return entries.sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+    }
+
+    async getPendingCount() {
+        return (await this.getPending()).length;
+    }
+
+    // Only one replay runs at a time; callers share the running one
+    replay() {
+        if (!window.tabSync.isLeader) {
+            window.tabSync.post('sync-replay');
+            return Promise.resolve({ replayed: 0, conflicts: 0, failed: 0, setAside: 0, delegated: true });
+        }
+
+        if (!this.replayPromise) {
+            this.replayPromise = this.runReplay().finally(() => {
+                this.replayPromise = null;
+            });
+        }
+        return this.replayPromise;
+    }
+
+    async runReplay() {
+        const summary = { replayed: 0, conflicts: 0, failed: 0, setAside: 0 };
+        if (!this.firebase.isInitialized || !this.firebase.remote || !this.firebase.isOnline()) {
+            return summary;
+        }
+
+        const pending = await this.getPending();
+        if (pending.length === 0) return summary;
+
+        console.log(`🔁 Replaying ${pending.length} pending changes...`);
+        if (window.secondBrain) {
+            window.secondBrain.showServerActivity(`Syncing ${pending.length} pending changes...`);
+        }
+
+        for (const entry of pending) {
+            try {
+                const hadConflict = await this.replayEntry(entry);
+                await this.local.delete(SYNC_QUEUE_COLLECTION, entry.id);
+                summary.replayed++;
+                if (hadConflict) summary.conflicts++;
+            } catch (error) {
+                console.error(`❌ Replay failed for ${entry.id}:`, error);
+                const attempts = (entry.attempts || 0) + 1;
+                if (!this.isTransientError(error) || attempts >= SYNC_MAX_ATTEMPTS) {
+                    await this.setAside({ ...entry, attempts: attempts, lastError: error.message });
+                    summary.setAside++;
+                    continue;
+                }
+
+                // Offline again or the cloud unreachable - keep the entry and the order, retry later
+                await this.local.set(SYNC_QUEUE_COLLECTION, entry.id, {
+                    ...entry,
+                    attempts: attempts,
+                    lastError: error.message
+                });
+                summary.failed = pending.length - summary.replayed - summary.setAside;
+                break;
+            }
+        }
+
+        if (window.secondBrain) {
+            if (summary.failed > 0) {
+                window.secondBrain.showServerError(`${summary.failed} changes waiting to sync`);
+            }
+            setTimeout(() => window.secondBrain.hideServerActivity(), summary.failed > 0 ? 2000 : 500);
+        }
+
+        if (summary.failed > 0) {
+            this.scheduleRetry();
+        }
+
+        if (summary.setAside > 0 && typeof showNotification === 'function') {
+            showNotification(`${summary.setAside} changes could not be synced. Review them in Settings.`, 'error');
+        }
+
+        if (summary.conflicts > 0) {
+            if (typeof showNotification === 'function') {
+                showNotification(`${summary.conflicts} sync conflicts were resolved automatically. Review them in Settings.`, 'warning');
+            }
+            // Remote versions may have replaced what the managers hold in memory
+            if (window.secondBrain) {
+                await window.secondBrain.reloadModulesForUser();
+            }
+        }
+
+        console.log(`✅ Replay finished: ${summary.replayed} synced, ${summary.conflicts} conflicts, ${summary.failed} pending, ${summary.setAside} set aside`);
+        return summary;
+    }
+
+    // Errors that may go away by themselves: the transient Firestore codes the optimizer retries,
+    // and failures without a code (the network, the browser going offline)
+    isTransientError(error) {
+        return !error || !error.code || TRANSIENT_ERROR_CODES.includes(error.code) || !this.firebase.isOnline();
+    }
+
+    async setAside(entry) {
+        await this.local.set(SYNC_FAILED_COLLECTION, entry.id, { ...entry, failedAt: new Date().toISOString() });
+        await this.local.delete(SYNC_QUEUE_COLLECTION, entry.id);
+        console.warn(`⚠️ Set aside ${entry.id} after ${entry.attempts} attempts: ${entry.lastError}`);
+    }
+
+    async getFailed() {
+        const entries = await this.local.query(SYNC_FAILED_COLLECTION, [
+            { field: 'userId', operator: '==', value: this.firebase.userId }
+        ]);
+        return entries.sort((a, b) => new Date(b.failedAt) - new Date(a.failedAt));
+    }
+
+    // Queues a set-aside write again, unless a newer write to the document is queued already
+    async retryFailed(entryId) {
+        const entry = await this.local.get(SYNC_FAILED_COLLECTION, entryId);
+        if (!entry) return false;
+
+        const { failedAt, ...queued } = entry;
+        if (!await this.local.get(SYNC_QUEUE_COLLECTION, entryId)) {
+            await this.local.set(SYNC_QUEUE_COLLECTION, entryId, { ...queued, attempts: 0, lastError: null });
+        }
+        await this.local.delete(SYNC_FAILED_COLLECTION, entryId);
+        await this.replay();
+        return true;
+    }
+
+    // Drops a set-aside write; this device keeps its copy until the collection is re-downloaded
+    async discardFailed(entryId) {
+        await this.local.delete(SYNC_FAILED_COLLECTION, entryId);
+        return true;
+    }
+
+    // Sends the queued writes of one collection as they are, without the conflict check
+    // (Sync panel: push this device's copy)
+    async push(collection) {
+        const entries = (await this.getPending()).filter(entry => entry.collection === collection);
+        for (const entry of entries) {
+            await this.applyToRemote(entry);
+            await this.local.delete(SYNC_QUEUE_COLLECTION, entry.id);
+        }
+        return entries.length;
+    }
+
+    // Drops the queued writes of one collection (Sync panel: re-download from the cloud)
+    async discard(collection) {
+        const entries = (await this.getPending()).filter(entry => entry.collection === collection);
+        for (const entry of entries) {
+            await this.local.delete(SYNC_QUEUE_COLLECTION, entry.id);
+        }
+        return entries.length;
+    }
+
+    scheduleRetry() {
+        if (!window.tabSync.isLeader) return;
+        clearTimeout(this.retryTimeout);
+        this.retryTimeout = setTimeout(() => this.replay(), this.retryDelay);
+    }
+
+    // Applies one queued write. Returns true when the remote copy had changed in the meantime.
+    async replayEntry(entry) {
+        const { collection, docId } = entry;
+        const remote = this.firebase.remote;
+        // Not from the cache, which can predate an edit made on another device
+        const remoteDoc = await remote.get(collection, docId, { forceRefresh: true });
+
+        // The remote copy changed after the version this edit was based on
+        // (a partially committed batch can leave our own write there already)
+        const since = entry.baseUpdatedAt || entry.queuedAt;
+        const isOwnWrite = !!remoteDoc && !!entry.data && remoteDoc.updatedAt === entry.data.updatedAt;
+        const isConflict = !!remoteDoc && !isOwnWrite && new Date(remoteDoc.updatedAt || 0) > new Date(since);
+
+        const localUpdatedAt = entry.operation === 'delete' ? entry.queuedAt : entry.data.updatedAt;
+        const localWins = !isConflict || new Date(localUpdatedAt || 0) >= new Date(remoteDoc.updatedAt || 0);
+
+        if (localWins) {
+            await this.applyToRemote(entry);
+        } else {
+            // Remote is newer: bring this device up to date instead
+            await this.local.set(collection, docId, remoteDoc);
+        }
+
+        if (isConflict) {
+            await this.logConflict(entry, remoteDoc, localWins ? 'local' : 'remote');
+        }
+        return isConflict;
+    }
+
+    async applyToRemote(entry) {
+        const { operation, collection, docId, data } = entry;
+        const remote = this.firebase.remote;
+
+        if (operation === 'delete') {
+            await remote.delete(collection, docId);
+        } else if (operation === 'update') {
+            // The document may not exist remotely yet (created while offline)
+            await remote.set(collection, docId, data, { merge: true });
+        } else {
+            await remote.set(collection, docId, data);
+        }
+        this.firebase.recordWrites(1);
+    }
+
+    async logConflict(entry, remoteDoc, winner) {
+        const conflict = {
+            collection: entry.collection,
+            docId: entry.docId,
+            operation: entry.operation,
+            localVersion: entry.data,
+            remoteVersion: remoteDoc,
+            winner: winner,
+            userId: entry.userId,
+            detectedAt: new Date().toISOString(),
+            status: 'open'
+        };
+        const conflictId = `${Date.now()}_${entry.collection}_${entry.docId}`;
+        await this.local.set(SYNC_CONFLICTS_COLLECTION, conflictId, conflict);
+        console.warn(`⚠️ Sync conflict on ${entry.id}: kept ${winner} version`);
+    }
+
+    async getConflicts(status = 'open') {
+        const conflicts = await this.local.query(SYNC_CONFLICTS_COLLECTION, [
+            { field: 'userId', operator: '==', value: this.firebase.userId },
+            { field: 'status', operator: '==', value: status }
+        ]);
+        return conflicts.sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt));
+    }
+
+    // choice: 'local' keeps this device's version, 'remote' keeps the cloud version
+    async resolveConflict(conflictId, choice) {
+        const conflict = await this.local.get(SYNC_CONFLICTS_COLLECTION, conflictId);
+        if (!conflict) return false;
+
+        // Only rewrite when the user picks the version that lost the automatic resolution
+        if (choice !== conflict.winner) {
+            let version = conflict.remoteVersion;
+            if (choice === 'local') {
+                // Queued updates only hold the changed fields
+                version = conflict.operation === 'update'
+                    ? { ...conflict.remoteVersion, ...conflict.localVersion }
+                    : conflict.localVersion;
+            }
+
+            // setDocument stamps a fresh updatedAt, so the chosen version wins on every device
+            if (version) {
+                await this.firebase.setDocument(conflict.collection, conflict.docId, version);
+            } else {
+                await this.firebase.deleteDocument(conflict.collection, conflict.docId);
+            }
+
+            if (window.secondBrain) {
+                await window.secondBrain.reloadModulesForUser();
+            }
+        }
+
+        await this.local.set(SYNC_CONFLICTS_COLLECTION, conflictId, {
+            ...conflict,
+            status: 'resolved',
+            resolution: choice,
+            resolvedAt: new Date().toISOString()
+        });
+        return true;
+    }
+}
@@ -0,0 +1,158 @@
+// Sync Status for Second Brain
+// Health of each user collection: when it last reached the remote store, its last error, the
+// changes waiting in the offline queue and how many records this device and the cloud hold.
+// The Sync panel in Settings shows it, and can re-download a collection from the cloud or push
+// this device's copy of it. Status is kept per user in the local store ('sync_status').
+
+const SYNC_STATUS_COLLECTION = 'sync_status';
+
+class SyncStatus {
+    constructor(firebaseService) {
+        this.firebase = firebaseService;
+        this.statuses = new Map(); // `${userId}/${collection}` -> status
+        this.loaded = new Set();   // users whose stored status was read
+        this.saveTimeout = null;
+    }
+
+    get local() {
+        return this.firebase.local;
+    }
+
+    key(userId, collection) {
+        return `${userId}/${collection}`;
+    }
+
+    emptyStatus(collection) {
+        return { collection: collection, lastSyncedAt: null, lastError: null, lastErrorAt: null };
+    }
+
+    // Outcome of a remote call (FirebaseOptimizer.onSync)
+    record(collections, error = null) {
+        const userId = this.firebase.userId || 'anonymous_user';
+        const now = new Date().toISOString();
+
+        collections.forEach(collection => {
+            const key = this.key(userId, collection);
+            const status = this.statuses.get(key) || this.emptyStatus(collection);
+            if (error) {
+                status.lastError = error.message;
+                status.lastErrorAt = now;
+            } else {
+                status.lastSyncedAt = now;
+            }
+            this.statuses.set(key, status);
+        });
+        this.scheduleSave(userId);
+    }
+
+    // Remote calls come in bursts; the status is written once they settle
+    scheduleSave(userId) {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => {
+            this.save(userId).catch(error => console.error('❌ Error saving sync status:', error));
+        }, 1000);
+    }
+
+    async save(userId) {
+        const store = this.firebase.localFor(userId);
+        for (const [key, status] of this.statuses) {
+            if (key.startsWith(`${userId}/`)) {
+                await store.set(SYNC_STATUS_COLLECTION, status.collection, status);
+            }
+        }
+    }
+
+    async load(userId) {
+        if (this.loaded.has(userId)) return;
+        this.loaded.add(userId);
+
+        const stored = await this.firebase.localFor(userId).query(SYNC_STATUS_COLLECTION);
+        stored.forEach(status => {
+            const key = this.key(userId, status.collection);
+            // Calls made before the stored status was read are newer
+            if (!this.statuses.has(key)) {
+                this.statuses.set(key, { ...this.emptyStatus(status.collection), ...status });
+            }
+        });
+    }
+
+    // One row per user collection. Record counts in the cloud are read fresh when forceRefresh
+    // is set, and are null while the cloud is unreachable.
+    async getHealth(options = {}) {
+        const userId = this.firebase.userId || 'anonymous_user';
+        await this.load(userId);
+
+        const pending = await this.firebase.syncQueue.getPending();
+        const rows = [];
+        for (const collection of USER_RECORD_COLLECTIONS) {
+            const localRecords = await this.local.query(collection, this.firebase.userFilter());
+
+            let remoteCount = null;
+            if (this.firebase.canWriteRemote()) {
+                try {
+                    remoteCount = (await this.firebase.remote.query(collection, this.firebase.userFilter(), options)).length;
+                } catch (error) {
+                    // Recorded as the collection's last error by the optimizer
+                }
+            }
+
+            rows.push({
+                ...(this.statuses.get(this.key(userId, collection)) || this.emptyStatus(collection)),
+                pending: pending.filter(entry => entry.collection === collection).length,
+                localCount: localRecords.length,
+                remoteCount: remoteCount
+            });
+        }
+        return rows;
+    }
+
+    // Replaces this device's copy of a collection with the cloud's. Queued changes to the
+    // collection are dropped, or replaying them would undo the download.
+    async redownload(collection) {
+        if (!this.firebase.canWriteRemote()) {
+            throw new Error('Re-downloading needs a connection to the cloud');
+        }
+
+        const remoteRecords = await this.firebase.remote.query(collection, this.firebase.userFilter(), { forceRefresh: true });
+        const localRecords = await this.local.query(collection, this.firebase.userFilter());
+        const discarded = await this.firebase.syncQueue.discard(collection);
+
+        const remoteIds = new Set(remoteRecords.map(record => String(record.id)));
+        for (const record of localRecords) {
+            if (!remoteIds.has(String(record.id))) {
+                await this.local.delete(collection, String(record.id));
+            }
+        }
+        for (const record of remoteRecords) {
+            await this.local.set(collection, String(record.id), record);
+        }
+
+        console.log(`⬇️ Re-downloaded ${remoteRecords.length} ${collection} records (${discarded} queued changes dropped)`);
+        return { records: remoteRecords.length, discarded: discarded };
+    }
+
+    // Sends this device's copy of a collection to the cloud: queued changes first (this
+    // device's version wins), then every stored record. Records only in the cloud stay there.
+    async push(collection) {
+        if (!this.firebase.canWriteRemote()) {
+            throw new Error('Pushing needs a connection to the cloud');
+        }
+
+        const queued = await this.firebase.syncQueue.push(collection);
+        // Stored records are already stamped (and encrypted where chosen). They go up as they
+        // are: stamping them again would make stale copies win later updatedAt conflicts.
+        const records = await this.local.query(collection, this.firebase.userFilter());
+        if (records.length > 0) {
+            await this.firebase.remote.batchWrite(records.map(record => ({
+                type: 'set',
+                collection: collection,
+                docId: String(record.id),
+                data: record
+            })));
+            this.firebase.recordWrites(records.length, Math.ceil(records.length / FIRESTORE_BATCH_LIMIT));
+        }
+
+        console.log(`⬆️ Pushed ${records.length} ${collection} records and ${queued} queued changes`);
+        return { records: records.length, queued: queued };
+    }
+}
@@ -0,0 +1,102 @@
+// Cross-tab Sync for Second Brain
+// Tabs of the same browser share the local store but keep their own in-memory arrays.
+// Every write is broadcast on a BroadcastChannel so the other tabs can apply it, and
+// Web Locks elect one tab to run work that must not happen twice.
+
+const TAB_SYNC_CHANNEL = 'second-brain-sync';
+const TAB_LOCK_PREFIX = 'second-brain-';
+
+class TabSync {
+    constructor() {
+        this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        this.handlers = new Map();
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(TAB_SYNC_CHANNEL) : null;
+
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        }
+
+        // The leader tab runs the background writes (offline queue replay, trash purge, automatic
+        // backups, resuming guest data moves). Edits are still written by the tab they happen in.
+        this.leader = this.elect('leader', () => {
+            console.log('👑 This tab is now the sync leader');
+            this.emit('leadership', { isLeader: true });
+        });
+    }
+
+    get isLeader() {
+        return this.leader.isLeader;
+    }
+
+    // Named election: the lock is granted to one tab at a time and passes to the next
+    // waiting tab when the holder releases it or is closed.
+    elect(name, onElected) {
+        const election = {
+            isLeader: false,
+            released: false,
+            releaseLock: null,
+            release() {
+                this.released = true;
+                this.isLeader = false;
+                if (this.releaseLock) this.releaseLock();
+            }
+        };
+
+        // Without Web Locks or BroadcastChannel every tab acts on its own
+        if (!navigator.locks || !this.channel) {
+            election.isLeader = true;
+            setTimeout(onElected, 0);
+            return election;
+        }
+
+        navigator.locks.request(`${TAB_LOCK_PREFIX}${name}`, () => {
+            if (election.released) return;
+
+            election.isLeader = true;
+            onElected();
+
+            // Hold the lock until released (or the tab closes)
+            return new Promise(resolve => {
+                election.releaseLock = resolve;
+            });
+        }).catch(error => {
+            console.error(`❌ Tab election failed for ${name}:`, error);
+        });
+
+        return election;
+    }
+
+    // Returns a function that removes the handler
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.handlers.get(type).delete(handler);
+    }
+
+    emit(type, message) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        handlers.forEach(handler => {
+            try {
+                handler(message);
+            } catch (error) {
+                console.error(`❌ Tab sync handler failed for ${type}:`, error);
+            }
+        });
+    }
+
+    post(type, payload = {}) {
+        if (!this.channel) return;
+        this.channel.postMessage({ ...payload, type: type, tabId: this.tabId });
+    }
+
+    handleMessage(message) {
+        if (!message || message.tabId === this.tabId) return;
+        this.emit(message.type, message);
+    }
+}
+
+window.tabSync = new TabSync();
@@ -0,0 +1,105 @@
+// Undo History for Second Brain
+// Changes made in the modules are recorded as commands that can undo and redo themselves.
+// Edits keep a copy of the record from before and after the change, so undo and redo write
+// one of them back. Deletions are undone by restoring their trash entry (js/recycle-bin.js).
+// Everything is written through FirebaseService; the open module reloads afterwards.
+
+const UNDO_HISTORY_LIMIT = 50;
+
+class UndoHistory {
+    constructor(firebaseService) {
+        this.firebase = firebaseService;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.running = false;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    isLatest(command) {
+        return this.undoStack[this.undoStack.length - 1] === command;
+    }
+
+    // command: { label, undo: async () => {}, redo: async () => {} }
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > UNDO_HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+
+        // A new change makes the undone ones unreachable
+        this.redoStack = [];
+        return command;
+    }
+
+    // An edit of one stored record; before and after are copies taken around the change
+    recordChange(label, collection, before, after) {
+        return this.push({
+            label: label,
+            undo: () => this.writeSnapshot(collection, before),
+            redo: () => this.writeSnapshot(collection, after)
+        });
+    }
+
+    // A record or CRM task moved to the trash
+    recordTrash(label, entry) {
+        let current = entry;
+        return this.push({
+            label: label,
+            undo: async () => {
+                await this.firebase.recycleBin.restore(current.id);
+            },
+            redo: async () => {
+                current = await this.firebase.recycleBin.trashAgain(current);
+                if (!current) {
+                    throw new Error('The item no longer exists');
+                }
+            }
+        });
+    }
+
+    async writeSnapshot(collection, record) {
+        await this.firebase.writeBatch([{ type: 'set', collection: collection, docId: String(record.id), data: record }]);
+    }
+
+    async undo() {
+        return this.run(this.undoStack, this.redoStack, 'undo');
+    }
+
+    async redo() {
+        return this.run(this.redoStack, this.undoStack, 'redo');
+    }
+
+    // Returns the command that ran, or null when there was nothing to run. A command that fails
+    // is dropped: what it would restore has changed underneath it.
+    async run(from, to, direction) {
+        if (this.running || from.length === 0) return null;
+
+        const command = from.pop();
+        this.running = true;
+        try {
+            await command[direction]();
+            to.push(command);
+            console.log(`${direction === 'undo' ? '↩️ Undid' : '↪️ Redid'}: ${command.label}`);
+            return command;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// Copy of a record as it is right now, for recordChange
+function snapshotRecord(record) {
+    return JSON.parse(JSON.stringify(record));
+}
@@ -0,0 +1,20 @@
+// User Data Collections for Second Brain
+// Every collection that holds a user's data, grouped by how its documents are keyed.
+
+// One document per record, keyed by the record id
+const USER_RECORD_COLLECTIONS = [
+    'projects', 'completed_tasks', 'notes', 'tasks', 'wallet_transactions', 'goals',
+    'simple_goals', 'habits', 'calendar_events', 'pomodoro_sessions', 'bookmarks', 'trash'
+];
+
+// One document per user, keyed by the user id (pomodoro documents of other workspaces than the
+// default one by `${userId}_${workspaceId}`, see js/workspaces.js)
+const USER_DOCUMENT_COLLECTIONS = ['pomodoro_settings', 'pomodoro_state', 'workspaces'];
+
+// localStorage keys holding user data; stored per user as `${key}_${userId}`, and per workspace
+// as `${key}_${userId}_${workspaceId}` for other workspaces than the default one
+const USER_LOCAL_STORAGE_KEYS = ['dashboard_widgets', 'current_workspace'];
+
+// 'counters' documents with the next id each module handed out before records got record ids
+// (js/record-ids.js). Nothing writes them anymore; they are only deleted along with the user's data.
+const LEGACY_COUNTER_COLLECTIONS = ['notes_counters', 'tasks_counters', 'wallet_counters', 'goals_counters', 'crm_counters'];
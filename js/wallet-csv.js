@@ -0,0 +1,197 @@
+// Wallet CSV for Second Brain
+// Wallet transactions to and from CSV files. Exports have Date (YYYY-MM-DD), Description, Type
+// and Amount columns, with income positive and expenses negative. Imports read the CSV files of
+// banks and spreadsheets. The date, description and amount columns are guessed from the header
+// row and can be changed. Amounts come either from one signed column or from separate debit and
+// credit columns. The date format is detected from the values. Transactions are stored with a
+// positive amount and a type of 'income' or 'expense'.
+
+const WALLET_CSV_HEADER = ['Date', 'Description', 'Type', 'Amount'];
+
+const WALLET_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Date formats imports recognize, in the order detection prefers them: day first before month
+// first, as the app's en-IN dates are
+const WALLET_DATE_FORMATS = [
+    { id: 'YYYY-MM-DD', label: '2024-01-31', pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/, order: ['year', 'month', 'day'] },
+    { id: 'DD/MM/YYYY', label: '31/01/2024', pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})$/, order: ['day', 'month', 'year'] },
+    { id: 'MM/DD/YYYY', label: '01/31/2024', pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})$/, order: ['month', 'day', 'year'] },
+    { id: 'DD MMM YYYY', label: '31 Jan 2024', pattern: /^(\d{1,2})[\s-]([A-Za-z]{3,})[\s,-]+(\d{4}|\d{2})$/, order: ['day', 'month', 'year'] },
+    { id: 'MMM DD, YYYY', label: 'Jan 31, 2024', pattern: /^([A-Za-z]{3,})\s+(\d{1,2}),?\s+(\d{4})$/, order: ['month', 'day', 'year'] }
+];
+
+// How amounts are read: one column where negative is an expense, one where positive is an expense
+// (as card statements have it), or a debit column of expenses and a credit column of income
+const WALLET_AMOUNT_MODES = {
+    signed: 'One column, negative amounts are expenses',
+    inverted: 'One column, positive amounts are expenses',
+    split: 'Separate debit and credit columns'
+};
+
+// Rows the import wizard shows before committing
+const WALLET_IMPORT_PREVIEW_ROWS = 100;
+
+// 'YYYY-MM-DD' of a date in the given format, or null when it is not one. Times are ignored.
+function parseWalletDate(text, formatId) {
+    const format = WALLET_DATE_FORMATS.find(candidate => candidate.id === formatId);
+    const value = String(text || '').trim()
+        .replace(/[T\s]+\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?\s*(am|pm)?\s*(Z|[+-]\d{2}:?\d{2})?$/i, '');
+    const match = format && value.match(format.pattern);
+    if (!match) return null;
+
+    const parts = {};
+    format.order.forEach((part, index) => {
+        parts[part] = match[index + 1];
+    });
+    const month = /^\d+$/.test(parts.month)
+        ? Number(parts.month)
+        : WALLET_MONTHS.indexOf(parts.month.slice(0, 3).toLowerCase()) + 1;
+    const year = parts.year.length === 2 ? 2000 + Number(parts.year) : Number(parts.year);
+    const day = Number(parts.day);
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().split('T')[0];
+}
+
+// Ids of the formats that fit the most of the given dates, preferred first. A few rows that are
+// not dates (totals, notes) do not stop detection.
+function detectWalletDateFormats(values) {
+    const dates = values.map(value => String(value || '').trim()).filter(Boolean);
+    const counts = WALLET_DATE_FORMATS.map(format => dates.filter(value => parseWalletDate(value, format.id)).length);
+    const best = Math.max(0, ...counts);
+    return best === 0 ? [] : WALLET_DATE_FORMATS.filter((format, index) => counts[index] === best).map(format => format.id);
+}
+
+// A signed number, or null. Reads currency symbols, thousands separators, decimal commas,
+// (123.45) and 123.45- for negatives, and CR/DR suffixes.
+function parseWalletAmount(text) {
+    let value = String(text === undefined || text === null ? '' : text).trim();
+    if (!value) return null;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(value)) {
+        negative = true;
+        value = value.slice(1, -1);
+    }
+    const suffix = value.match(/\s*(cr|dr)\.?$/i);
+    if (suffix) {
+        negative = suffix[1].toLowerCase() === 'dr';
+        value = value.slice(0, suffix.index);
+    }
+    value = value.replace(/[^\d.,-]/g, '');
+    if (value.endsWith('-') || value.startsWith('-')) {
+        negative = true;
+        value = value.replace(/-/g, '');
+    }
+
+    // A comma with one or two digits after it, and after any dot, is the decimal separator
+    if (value.lastIndexOf(',') > value.lastIndexOf('.') && /,\d{1,2}$/.test(value)) {
+        value = value.replace(/\./g, '').replace(/,(?=\d{1,2}$)/, '.').replace(/,/g, '');
+    } else {
+        value = value.replace(/,/g, '');
+    }
+    if (!/^(\d+(\.\d*)?|\.\d+)$/.test(value)) return null;
+
+    const amount = Number(value);
+    return negative ? -amount : amount;
+}
+
+// Column indexes { date, description, amount, debit, credit } (null when missing) and the amount
+// mode, guessed from the header row's names
+function guessWalletMapping(header) {
+    const find = (pattern, exclude = []) => {
+        const index = header.findIndex((name, column) => pattern.test(name) && !exclude.includes(column));
+        return index === -1 ? null : index;
+    };
+
+    const date = find(/date|posted|booked/i);
+    const debit = find(/debit|withdrawal|paid out|money out|outflow/i);
+    const credit = find(/credit|deposit|paid in|money in|inflow/i);
+    const amount = find(/amount|^\s*(value|sum|total)\s*$/i, [debit, credit]);
+    const description = find(/desc|narration|details|memo|payee|particulars|merchant|name|reference/i, [date]);
+    const split = amount === null && debit !== null && credit !== null;
+
+    return {
+        date: date !== null ? date : 0,
+        description: description !== null ? description : Math.min(1, header.length - 1),
+        amount: amount !== null ? amount : header.length - 1,
+        debit: debit,
+        credit: credit,
+        amounts: split ? 'split' : 'signed'
+    };
+}
+
+// Transactions of the rows below the header as
+// { line, date, description, amount, type, error } with error null when the row can be imported
+function mapWalletRows(rows, mapping) {
+    return rows.map((fields, index) => {
+        const entry = { line: index + 2, date: null, description: '', amount: 0, type: 'expense', error: null };
+        entry.date = parseWalletDate(fields[mapping.date], mapping.dateFormat);
+        entry.description = (fields[mapping.description] || '').trim() || 'Imported transaction';
+
+        let amount;
+        if (mapping.amounts === 'split') {
+            const debit = parseWalletAmount(fields[mapping.debit]);
+            const credit = parseWalletAmount(fields[mapping.credit]);
+            amount = debit === null && credit === null ? null : Math.abs(credit || 0) - Math.abs(debit || 0);
+        } else {
+            amount = parseWalletAmount(fields[mapping.amount]);
+            if (amount !== null && mapping.amounts === 'inverted') amount = -amount;
+        }
+
+        if (!entry.date) {
+            entry.error = `Date "${fields[mapping.date] || ''}" is not ${mapping.dateFormat}`;
+        } else if (!amount) {
+            entry.error = 'No amount';
+        } else {
+            entry.amount = Math.round(Math.abs(amount) * 100) / 100;
+            entry.type = amount > 0 ? 'income' : 'expense';
+        }
+        return entry;
+    });
+}
+
+function walletDuplicateKey(transaction) {
+    return [
+        String(transaction.date).split('T')[0],
+        Math.abs(transaction.amount).toFixed(2),
+        transaction.type,
+        (transaction.description || '').trim().toLowerCase().replace(/\s+/g, ' ')
+    ].join('|');
+}
+
+// Sets entry.duplicate on entries with the date, amount, type and description of an existing
+// transaction. Each existing transaction matches one entry, so of two identical rows with one
+// of them already here, the other still imports.
+function markWalletDuplicates(entries, transactions) {
+    const existing = new Map();
+    transactions.forEach(transaction => {
+        const key = walletDuplicateKey(transaction);
+        existing.set(key, (existing.get(key) || 0) + 1);
+    });
+
+    entries.forEach(entry => {
+        entry.duplicate = false;
+        if (entry.error) return;
+        const key = walletDuplicateKey(entry);
+        if (existing.get(key) > 0) {
+            entry.duplicate = true;
+            existing.set(key, existing.get(key) - 1);
+        }
+    });
+    return entries;
+}
+
+// Newest first, as the wallet lists them
+function walletTransactionsToCsv(transactions) {
+    const rows = [...transactions]
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .map(transaction => [
+            String(transaction.date).split('T')[0],
+            transaction.description,
+            transaction.type,
+            ((transaction.type === 'income' ? 1 : -1) * Math.abs(transaction.amount)).toFixed(2)
+        ]);
+    return formatCsv([WALLET_CSV_HEADER, ...rows]);
+}
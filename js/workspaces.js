@@ -0,0 +1,233 @@
+// Workspaces for Second Brain
+// A user's data can be split into named workspaces (e.g. "Personal" and "Business"). Records
+// of the user collections carry the id of their workspace and only the open workspace's records
+// load; records from before workspaces have none and belong to the default workspace. The list
+// of workspaces is one document per user ('workspaces'), shared by all of them. Dashboard widgets
+// and settings are kept per workspace on the device.
+
+const WORKSPACES_COLLECTION = 'workspaces';
+const WORKSPACE_FIELD = 'workspaceId';
+const DEFAULT_WORKSPACE_ID = 'default';
+const DEFAULT_WORKSPACE_NAME = 'Personal';
+
+// Collections whose records can be moved to another workspace, as shown in Settings. Completed
+// CRM tasks are not listed: they move with their project.
+const WORKSPACE_MOVABLE_COLLECTIONS = {
+    projects: 'CRM Projects',
+    notes: 'Notes',
+    tasks: 'Tasks',
+    wallet_transactions: 'Wallet Transactions',
+    goals: 'Goals',
+    simple_goals: 'Simple Goals',
+    habits: 'Habits',
+    calendar_events: 'Calendar Events',
+    pomodoro_sessions: 'Pomodoro Sessions',
+    bookmarks: 'Bookmarks'
+};
+
+// Every user collection except the workspace list itself holds one workspace's data
+function isWorkspaceScoped(collection) {
+    return collection !== WORKSPACES_COLLECTION
+        && (USER_RECORD_COLLECTIONS.includes(collection) || USER_DOCUMENT_COLLECTIONS.includes(collection));
+}
+
+function recordWorkspaceId(record) {
+    return (record && record[WORKSPACE_FIELD]) || DEFAULT_WORKSPACE_ID;
+}
+
+// Settings of the default workspace keep the key they had before workspaces
+function workspaceSettingsKey(workspaceId) {
+    return workspaceId === DEFAULT_WORKSPACE_ID ? 'appSettings' : `appSettings_${workspaceId}`;
+}
+
+class Workspaces {
+    constructor(firebaseService) {
+        this.firebase = firebaseService;
+        this.list = this.defaultList();
+    }
+
+    defaultList() {
+        return [{ id: DEFAULT_WORKSPACE_ID, name: DEFAULT_WORKSPACE_NAME }];
+    }
+
+    get currentId() {
+        return this.firebase.workspaceId;
+    }
+
+    getAll() {
+        return this.list;
+    }
+
+    find(workspaceId) {
+        return this.list.find(workspace => workspace.id === workspaceId) || null;
+    }
+
+    current() {
+        return this.find(this.currentId) || this.list[0];
+    }
+
+    nameOf(workspaceId) {
+        const workspace = this.find(workspaceId);
+        return workspace ? workspace.name : 'Unknown workspace';
+    }
+
+    // The device remembers which workspace each user had open
+    currentStorageKey() {
+        return this.firebase.userStorageKey('current_workspace');
+    }
+
+    // Reads the user's workspaces and reopens the last one used on this device
+    async load() {
+        const stored = await this.firebase.getDocument(WORKSPACES_COLLECTION, this.firebase.userId);
+        this.list = stored && Array.isArray(stored.workspaces) && stored.workspaces.length > 0
+            ? stored.workspaces
+            : this.defaultList();
+
+        const remembered = localStorage.getItem(this.currentStorageKey());
+        this.firebase.workspaceId = this.find(remembered) ? remembered : DEFAULT_WORKSPACE_ID;
+        console.log(`🗂️ Workspace: ${this.current().name}`);
+    }
+
+    async save() {
+        await this.firebase.setDocument(WORKSPACES_COLLECTION, this.firebase.userId, { workspaces: this.list });
+    }
+
+    validateName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Give the workspace a name');
+        }
+        if (this.list.some(workspace => workspace.id !== exceptId && workspace.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`A workspace called "${trimmed}" already exists`);
+        }
+        return trimmed;
+    }
+
+    async create(name) {
+        const workspace = { id: createRecordId(), name: this.validateName(name), createdAt: new Date().toISOString() };
+        this.list = [...this.list, workspace];
+        await this.save();
+        console.log(`🗂️ Created workspace "${workspace.name}"`);
+        return workspace;
+    }
+
+    async rename(workspaceId, name) {
+        const workspace = this.find(workspaceId);
+        if (!workspace) {
+            throw new Error('This workspace no longer exists');
+        }
+
+        const renamed = { ...workspace, name: this.validateName(name, workspaceId) };
+        this.list = this.list.map(other => other.id === workspaceId ? renamed : other);
+        await this.save();
+        return renamed;
+    }
+
+    // Records of a deleted workspace move into the default workspace, so nothing is lost.
+    // Returns the number of records moved.
+    async remove(workspaceId) {
+        if (workspaceId === DEFAULT_WORKSPACE_ID) {
+            throw new Error('The default workspace cannot be deleted');
+        }
+        if (!this.find(workspaceId)) {
+            throw new Error('This workspace no longer exists');
+        }
+        this.checkUnlocked();
+
+        let moved = 0;
+        for (const collection of USER_RECORD_COLLECTIONS) {
+            const records = await this.getRecords(collection, workspaceId);
+            moved += await this.writeMoved(collection, records, DEFAULT_WORKSPACE_ID);
+        }
+        // The default workspace keeps its own timer settings and state
+        for (const collection of USER_DOCUMENT_COLLECTIONS.filter(isWorkspaceScoped)) {
+            await this.firebase.deleteDocument(collection, this.firebase.workspaceDocId(workspaceId));
+        }
+
+        this.list = this.list.filter(workspace => workspace.id !== workspaceId);
+        await this.save();
+        localStorage.removeItem(workspaceSettingsKey(workspaceId));
+        if (this.currentId === workspaceId) {
+            this.switchTo(DEFAULT_WORKSPACE_ID);
+        }
+
+        console.log(`🗂️ Deleted workspace ${workspaceId}, ${moved} records moved to the default workspace`);
+        return moved;
+    }
+
+    // Listeners and the undo history belong to the workspace that was open; the caller reloads
+    // the modules afterwards
+    switchTo(workspaceId) {
+        if (!this.find(workspaceId)) {
+            throw new Error('This workspace no longer exists');
+        }
+
+        this.firebase.workspaceId = workspaceId;
+        localStorage.setItem(this.currentStorageKey(), workspaceId);
+        this.firebase.unsubscribeAll();
+        this.firebase.undoHistory.clear();
+        console.log(`🗂️ Switched to workspace "${this.current().name}"`);
+    }
+
+    // A workspace's records of one collection, whichever workspace is open
+    async getRecords(collection, workspaceId) {
+        const records = await this.firebase.getCollection(collection, { allWorkspaces: true });
+        return records.filter(record => recordWorkspaceId(record) === workspaceId);
+    }
+
+    // Moves records of the open workspace to another one, projects with their completed tasks.
+    // Returns the number of records moved from the collection.
+    async moveRecords(collection, recordIds, targetId) {
+        if (!this.find(targetId)) {
+            throw new Error('The target workspace no longer exists');
+        }
+        this.checkUnlocked();
+
+        const ids = new Set(recordIds.map(String));
+        const records = (await this.getRecords(collection, this.currentId)).filter(record => ids.has(String(record.id)));
+        const moves = [{ collection: collection, records: records }];
+        if (collection === 'projects') {
+            const projectIds = new Set(records.map(record => String(record.id)));
+            const completedTasks = (await this.getRecords('completed_tasks', this.currentId))
+                .filter(task => projectIds.has(String(task.projectId)));
+            moves.push({ collection: 'completed_tasks', records: completedTasks });
+        }
+
+        // Written together with the projects, so a project does not arrive without its history
+        await this.firebase.writeBatch(moves.flatMap(move => this.movedOperations(move.collection, move.records, targetId)));
+        console.log(`🗂️ Moved ${moves.map(move => `${move.records.length} ${move.collection}`).join(' and ')} records to "${this.nameOf(targetId)}"`);
+        return records.length;
+    }
+
+    // Locked records do not load, so they would stay behind
+    checkUnlocked() {
+        if (this.firebase.encryption.locked) {
+            throw new Error('Unlock your encrypted data first');
+        }
+    }
+
+    movedOperations(collection, records, targetId) {
+        return records.map(record => ({
+            type: 'set',
+            collection: collection,
+            docId: String(record.id),
+            data: { ...record, [WORKSPACE_FIELD]: targetId }
+        }));
+    }
+
+    async writeMoved(collection, records, targetId) {
+        await this.firebase.writeBatch(this.movedOperations(collection, records, targetId));
+        return records.length;
+    }
+
+    // Combined view: records of every workspace, grouped by workspace id
+    groupByWorkspace(records) {
+        const groups = new Map(this.list.map(workspace => [workspace.id, []]));
+        records.forEach(record => {
+            const workspaceId = recordWorkspaceId(record);
+            if (!groups.has(workspaceId)) groups.set(workspaceId, []);
+            groups.get(workspaceId).push(record);
+        });
+        return groups;
+    }
+}
@@ -6,11 +6,83 @@ class FirebaseService {
         this.db = null;
         this.auth = null;
         this.userId = null;
+        this.workspaceId = DEFAULT_WORKSPACE_ID;
         this.isInitialized = false;
+        
+        // Storage backends are selected once at startup (see js/storage-adapters.js)
+        this.storageConfig = StorageAdapters.resolveConfig();
+        this.remote = null;
+        this.localStore = storageMonitor.watch(StorageAdapters.localStore());
+        this.localScopes = new Map();
+        
+        // Move data left in localStorage by older builds before anything reads the local store
+        this.localReady = legacyStorageMigration.ready(this.localStore);
+        
+        // Writes that could not reach the remote store wait here until they can be replayed
+        this.syncQueue = new SyncQueue(this);
+        
+        // Moves guest data into an account after sign-in (resumable)
+        this.accountMigration = new AccountMigration(this);
+        
+        // Deleted records wait in the trash until restored or purged
+        this.recycleBin = new RecycleBin(this);
+        
+        // Changes made this session, for undo/redo
+        this.undoHistory = new UndoHistory(this);
+        
+        // Last sync and last error per collection, for the Sync panel
+        this.syncStatus = new SyncStatus(this);
+        
+        // Passphrase encryption of the collections the user chose
+        this.encryption = new RecordEncryption(this);
+        this.encryption.onLockChange = (locked) => this.handleLockChange(locked);
+        
+        // Named workspaces splitting the user's data (e.g. Personal and Business)
+        this.workspaces = new Workspaces(this);
+        
+        // Full exports of the account, and importing them (js/data-export.js, js/data-import.js)
+        this.dataExport = new DataExport(this);
+        this.dataImport = new DataImport(this);
+        
+        // Backups kept on this device, made by hand or once a day (js/backup-manager.js)
+        this.backups = new BackupManager(this);
+        setInterval(() => this.runScheduledBackup(), AUTO_BACKUP_CHECK_INTERVAL);
+        
+        // Live collection listeners, one per collection
+        this.subscriptions = new Map();
+        this.changeHandlers = new Map();
+        
+        // Documents written to the remote store this session (shown in the server indicator)
+        this.writeStats = { writes: 0, batches: 0 };
+        
+        // Writes made in other tabs of this browser
+        window.tabSync.on('changes', (message) => this.handleTabChanges(message));
+        
+        // A tab elected leader later takes over the background work
+        window.tabSync.on('leadership', () => {
+            this.purgeExpiredTrash();
+            this.runScheduledBackup();
+        });
         this.init();
     }
 
     async init() {
+        await this.localReady;
+        
+        // Non-Firestore backends (e.g. in-memory) need no SDK or auth
+        if (this.storageConfig.remote !== 'firestore') {
+            this.remote = this.optimize(StorageAdapters.create(this.storageConfig.remote));
+            this.userId = 'anonymous_user';
+            await this.loadEncryption();
+            await this.loadWorkspaces();
+            this.isInitialized = true;
+            console.log(`Firebase service initialized with ${this.remote.name} storage`);
+            this.syncQueue.replay();
+            this.purgeExpiredTrash();
+            this.runScheduledBackup();
+            return;
+        }
+
         try {
             // Wait for Firebase to be available with timeout
             let attempts = 0;
@@ -27,12 +99,31 @@ class FirebaseService {
             
             this.db = window.firebase.db;
             this.auth = window.firebase.auth;
+            this.remote = this.optimize(StorageAdapters.create('firestore', { db: this.db }));
             
             // Set up auth state listener for future user authentication
             this.auth.onAuthStateChanged(async (user) => {
+                // Listeners were filtered by the previous user, and so were the undo history and cache
+                this.unsubscribeAll();
+                this.undoHistory.clear();
+                this.remote.clearCache();
+                
                 if (user) {
                     this.userId = user.uid;
                     console.log('User authenticated:', user.uid);
+                    await this.loadEncryption();
+                    await this.loadWorkspaces();
+                    
+                    // Push anything this user changed while offline
+                    this.syncQueue.replay();
+                    this.purgeExpiredTrash();
+                    this.runScheduledBackup();
+                    
+                    // The leader tab finishes moving guest data if a previous attempt was interrupted
+                    if (window.tabSync.isLeader && await this.accountMigration.resumeUnfinished(user.uid) > 0) {
+                        console.log('📦 Resumed moving guest data into this account');
+                        await this.loadWorkspaces();
+                    }
                     
                     // Preload data in background for better performance
                     this.preloadData();
@@ -46,6 +137,11 @@ class FirebaseService {
                     // For now, use a default user ID for anonymous usage
                     this.userId = 'anonymous_user';
                     console.log('Using anonymous user');
+                    await this.loadEncryption();
+                    await this.loadWorkspaces();
+                    this.syncQueue.replay();
+                    this.purgeExpiredTrash();
+                    this.runScheduledBackup();
                     
                     // If SecondBrain app exists, reload modules for anonymous user
                     if (window.secondBrain) {
@@ -66,6 +162,64 @@ class FirebaseService {
         }
     }
 
+    // Remote reads are cached and transient failures retried (js/firebase-optimizer.js)
+    optimize(adapter) {
+        const optimizer = new FirebaseOptimizer(adapter);
+        optimizer.onConnectionChange = (connected) => this.handleConnectionChange(connected);
+        optimizer.onSync = (collections, error) => this.syncStatus.record(collections, error);
+        return optimizer;
+    }
+
+    handleConnectionChange(connected) {
+        if (!window.secondBrain) return;
+        
+        if (connected) {
+            window.secondBrain.hideServerActivity();
+        } else {
+            window.secondBrain.showServerOffline();
+        }
+    }
+
+    // Encrypted data starts out locked until the passphrase is entered
+    async loadEncryption() {
+        try {
+            await this.encryption.load(this.userId);
+        } catch (error) {
+            console.error('❌ Error loading encryption settings:', error);
+        }
+    }
+
+    // The user's workspaces, and the one last open on this device
+    async loadWorkspaces() {
+        try {
+            await this.workspaces.load();
+        } catch (error) {
+            console.error('❌ Error loading workspaces:', error);
+            this.workspaceId = DEFAULT_WORKSPACE_ID;
+        }
+    }
+
+    handleLockChange(locked) {
+        if (locked && window.secondBrain) {
+            window.secondBrain.promptUnlock();
+        }
+    }
+
+    // Trash older than the retention chosen in Settings is deleted for good, by the leader tab
+    purgeExpiredTrash() {
+        if (!this.userId || !window.tabSync.isLeader) return;
+        this.recycleBin.purgeExpired(getTrashRetentionDays())
+            .catch(error => console.error('❌ Error emptying expired trash:', error));
+    }
+
+    // An automatic backup when the last one is a day old, unless turned off in Settings. The
+    // leader tab makes it, or every open tab would.
+    runScheduledBackup() {
+        if (!this.userId || !isAutoBackupEnabled() || !window.tabSync.isLeader) return;
+        this.backups.runScheduled()
+            .catch(error => console.error('❌ Error creating automatic backup:', error));
+    }
+
     // Preload data in background for better performance
     async preloadData() {
         try {
@@ -87,28 +241,258 @@ class FirebaseService {
         }
     }
 
-    // Generic document operations
-    async getDocument(collection, docId) {
-        if (!this.isInitialized) return this.getFromLocalStorage(collection, docId);
+    // The signed-in user's part of the local store; other users of this browser have their own
+    get local() {
+        return this.localFor(this.userId || 'anonymous_user');
+    }
+
+    localFor(userId) {
+        if (!this.localScopes.has(userId)) {
+            this.localScopes.set(userId, new ScopedAdapter(this.localStore, userId));
+        }
+        return this.localScopes.get(userId);
+    }
+
+    // localStorage keys that hold user data get the user id appended
+    userStorageKey(key) {
+        return `${key}_${this.userId || 'anonymous_user'}`;
+    }
+
+    // ... and those holding one workspace's data the workspace id as well
+    workspaceStorageKey(key, workspaceId = this.workspaceId) {
+        const userKey = this.userStorageKey(key);
+        return workspaceId === DEFAULT_WORKSPACE_ID ? userKey : `${userKey}_${workspaceId}`;
+    }
+
+    // Id of the user's document in a one-per-user collection (pomodoro settings and state)
+    workspaceDocId(workspaceId = this.workspaceId) {
+        return workspaceId === DEFAULT_WORKSPACE_ID ? this.userId : `${this.userId}_${workspaceId}`;
+    }
+
+    inWorkspace(record) {
+        return recordWorkspaceId(record) === this.workspaceId;
+    }
+
+    // Records of other workspaces are left out of loads. Records written elsewhere carry their
+    // workspace, so a record moved away arrives as a change and leaves like a removal.
+    scopeChanges(collection, changes) {
+        if (!isWorkspaceScoped(collection)) return changes;
+        return changes.map(change => change.data && !this.inWorkspace(change.data)
+            ? { type: 'removed', id: change.id, data: null }
+            : change);
+    }
+
+    // Stamp the ownership/timestamp metadata every stored document carries. With a collection,
+    // the data is also brought up to that collection's schema version (js/schema-migrations.js).
+    // Encrypted records keep their version; they are upgraded once decrypted.
+    // Records keep their workspace; new ones join the open workspace (js/workspaces.js).
+    withMetadata(data, collection = null) {
+        const upgrade = collection && !isEncryptedRecord(data);
+        const current = upgrade ? schemaMigrations.migrate(collection, data).record : data;
+        return {
+            ...current,
+            ...(upgrade ? { [SCHEMA_VERSION_FIELD]: schemaMigrations.currentVersion(collection) } : {}),
+            ...(isWorkspaceScoped(collection) ? { [WORKSPACE_FIELD]: data[WORKSPACE_FIELD] || this.workspaceId } : {}),
+            userId: this.userId,
+            updatedAt: new Date().toISOString(),
+            createdAt: data.createdAt || new Date().toISOString()
+        };
+    }
+
+    // Metadata, then encryption when the user chose to encrypt the collection (js/record-encryption.js)
+    async prepareData(data, collection) {
+        return this.encryption.encryptRecord(collection, this.withMetadata(data, collection));
+    }
+
+    // A record keyed by its id whose id the schema upgrade rewrote is stored under the new id
+    upgradedDocId(docId, data, prepared) {
+        const rewritten = data && data.id !== undefined && String(data.id) === String(docId) && prepared.id !== data.id;
+        return rewritten ? String(prepared.id) : String(docId);
+    }
+
+    userFilter() {
+        return [{ field: 'userId', operator: '==', value: this.userId }];
+    }
+
+    isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    // Remote writes are only attempted when the remote store is reachable
+    canWriteRemote() {
+        return this.isInitialized && this.isOnline();
+    }
+
+    // Save to the local store and queue the write for replay once the remote is reachable
+    async queueWrite(operation, collection, docId, data = null) {
+        const previous = await this.local.get(collection, docId);
+        const baseUpdatedAt = previous ? previous.updatedAt || null : null;
+
+        if (operation === 'delete') {
+            await this.local.delete(collection, docId);
+        } else {
+            await this.local.set(collection, docId, data, { merge: operation === 'update' });
+        }
+
+        try {
+            await this.syncQueue.enqueue(operation, collection, docId, data, baseUpdatedAt);
+        } catch (error) {
+            console.error('❌ Error queueing offline write:', error);
+        }
+        
+        await this.broadcastChange(collection, docId);
+        return true;
+    }
+
+    recordWrites(count, batches = 0) {
+        this.writeStats.writes += count;
+        this.writeStats.batches += batches;
+    }
+
+    // Writes several documents with as few round-trips as possible (Firestore batches of up to 500).
+    // operations: [{ type: 'set' | 'delete', collection, docId, data }]
+    async writeBatch(operations) {
+        if (operations.length === 0) return true;
+        
+        const prepared = [];
+        for (const operation of operations) {
+            if (operation.type === 'delete') {
+                prepared.push({ ...operation, docId: String(operation.docId), data: null });
+                continue;
+            }
+            const data = await this.prepareData(operation.data, operation.collection);
+            prepared.push({ ...operation, docId: this.upgradedDocId(operation.docId, operation.data, data), data: data });
+        }
+        
+        if (!this.canWriteRemote()) {
+            for (const operation of prepared) {
+                await this.queueWrite(operation.type, operation.collection, operation.docId, operation.data);
+            }
+            return true;
+        }
         
         try {
-            const { doc, getDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            const docRef = doc(this.db, collection, docId);
-            const docSnap = await getDoc(docRef);
+            const batches = Math.ceil(prepared.length / FIRESTORE_BATCH_LIMIT);
+            if (window.secondBrain) {
+                window.secondBrain.showServerActivity(`Saving ${prepared.length} changes in ${batches} ${batches === 1 ? 'batch' : 'batches'}...`);
+            }
             
-            if (docSnap.exists()) {
-                return docSnap.data();
-            } else {
-                return null;
+            await this.remote.batchWrite(prepared);
+            this.recordWrites(prepared.length, batches);
+            
+            // Mirror locally and let other tabs know
+            for (const operation of prepared) {
+                if (operation.type === 'delete') {
+                    await this.local.delete(operation.collection, operation.docId);
+                } else {
+                    await this.local.set(operation.collection, operation.docId, operation.data);
+                }
+                await this.broadcastChange(operation.collection, operation.docId);
+            }
+            
+            if (window.secondBrain) {
+                setTimeout(() => window.secondBrain.hideServerActivity(), 500);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error writing batch:', error);
+            
+            if (window.secondBrain) {
+                window.secondBrain.showServerError('Save failed - queued for sync');
+                setTimeout(() => window.secondBrain.hideServerActivity(), 2000);
+            }
+            
+            // Keep the changes locally and retry them later
+            for (const operation of prepared) {
+                await this.queueWrite(operation.type, operation.collection, operation.docId, operation.data);
+            }
+            return true;
+        }
+    }
+
+    // Saves the records a manager keeps in memory, writing only the ones the tracker reports as
+    // changed since they were loaded or last saved. Returns the number of documents written.
+    async saveChangedRecords(tracker, collection, records) {
+        const updatedAt = new Date().toISOString();
+        const operations = tracker.getDirty(records).map(record => {
+            record.userId = this.userId;
+            record.updatedAt = updatedAt;
+            return { type: 'set', collection: collection, docId: record.id, data: record };
+        });
+        
+        await this.writeBatch(operations);
+        
+        tracker.markClean(records);
+        return operations.length;
+    }
+
+    // Tell other tabs about a write; they read the same local store, so send the stored copy
+    async broadcastChange(collection, docId) {
+        try {
+            const data = await this.local.get(collection, docId);
+            window.tabSync.post('changes', {
+                userId: this.userId,
+                collection: collection,
+                changes: [{
+                    type: data ? 'modified' : 'removed',
+                    id: String(docId),
+                    data: data ? { id: String(docId), ...data } : null
+                }]
+            });
+        } catch (error) {
+            console.error('❌ Error broadcasting change:', error);
+        }
+    }
+
+    async handleTabChanges(message) {
+        if (message.userId !== this.userId) return;
+        
+        // The other tab wrote to the remote store behind this tab's cache
+        if (this.remote) {
+            message.changes.forEach(change => this.remote.invalidate(message.collection, change.id));
+        }
+        
+        const onChanges = this.changeHandlers.get(message.collection);
+        if (onChanges) {
+            const changes = this.scopeChanges(message.collection, await this.decryptChanges(message.changes));
+            if (changes.length === 0) return;
+            
+            console.log(`🔄 ${changes.length} changes in ${message.collection} from another tab`);
+            onChanges(changes);
+        }
+    }
+
+    // Changes whose records cannot be decrypted right now are left out
+    async decryptChanges(changes) {
+        const decrypted = [];
+        for (const change of changes) {
+            try {
+                decrypted.push(change.data ? { ...change, data: await this.encryption.decryptRecord(change.data) } : change);
+            } catch (error) {
+                console.warn(`🔒 Skipped change to encrypted record ${change.id}: ${error.message}`);
             }
+        }
+        return decrypted;
+    }
+
+    // Generic document operations
+    async getDocument(collection, docId) {
+        if (!this.canWriteRemote()) {
+            return this.upgradeDocument(collection, docId, await this.local.get(collection, docId), false);
+        }
+        
+        try {
+            return this.upgradeDocument(collection, docId, await this.remote.get(collection, docId), true);
         } catch (error) {
             console.error('Error getting document:', error);
-            return this.getFromLocalStorage(collection, docId);
+            return this.upgradeDocument(collection, docId, await this.local.get(collection, docId), false);
         }
     }
 
     async setDocument(collection, docId, data) {
-        if (!this.isInitialized) return this.setToLocalStorage(collection, docId, data);
+        const dataWithMetadata = await this.prepareData(data, collection);
+        docId = this.upgradedDocId(docId, data, dataWithMetadata);
+        if (!this.canWriteRemote()) return this.queueWrite('set', collection, docId, dataWithMetadata);
         
         try {
             // Show server activity
@@ -116,21 +500,12 @@ class FirebaseService {
                 window.secondBrain.showServerActivity('Saving to cloud...');
             }
             
-            const { doc, setDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            const docRef = doc(this.db, collection, docId);
-            
-            // Add metadata
-            const dataWithMetadata = {
-                ...data,
-                userId: this.userId,
-                updatedAt: new Date().toISOString(),
-                createdAt: data.createdAt || new Date().toISOString()
-            };
-            
-            await setDoc(docRef, dataWithMetadata);
+            await this.remote.set(collection, docId, dataWithMetadata);
+            this.recordWrites(1);
             
-            // Also save to local storage as backup
-            this.setToLocalStorage(collection, docId, data);
+            // Also save locally as backup
+            await this.local.set(collection, docId, dataWithMetadata);
+            await this.broadcastChange(collection, docId);
             
             // Hide server activity
             if (window.secondBrain) {
@@ -143,17 +518,27 @@ class FirebaseService {
             
             // Show server error
             if (window.secondBrain) {
-                window.secondBrain.showServerError('Save failed');
+                window.secondBrain.showServerError('Save failed - queued for sync');
                 setTimeout(() => window.secondBrain.hideServerActivity(), 2000);
             }
             
-            // Fallback to local storage
-            return this.setToLocalStorage(collection, docId, data);
+            // Keep the change locally and retry it later
+            return this.queueWrite('set', collection, docId, dataWithMetadata);
         }
     }
 
-    async getCollection(collection) {
-        if (!this.isInitialized) return this.getFromLocalStorage(collection);
+    // options.forceRefresh bypasses the cache of remote reads; options.allWorkspaces includes the
+    // records of every workspace instead of the open one's
+    async getCollection(collection, options = {}) {
+        const records = await this.loadCollection(collection, options);
+        if (options.allWorkspaces || !isWorkspaceScoped(collection)) return records;
+        return records.filter(record => this.inWorkspace(record));
+    }
+
+    async loadCollection(collection, options) {
+        if (!this.canWriteRemote()) {
+            return this.upgradeRecords(collection, await this.local.query(collection, this.userFilter()), false);
+        }
         
         try {
             // Show server activity
@@ -161,20 +546,8 @@ class FirebaseService {
                 window.secondBrain.showServerActivity('Loading from cloud...');
             }
             
-            const { collection: firestoreCollection, query, where, getDocs } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            const collectionRef = firestoreCollection(this.db, collection);
-            
             // Simple query without ordering to avoid index requirement
-            const q = query(collectionRef, where('userId', '==', this.userId));
-            const querySnapshot = await getDocs(q);
-            
-            const documents = [];
-            querySnapshot.forEach((doc) => {
-                documents.push({
-                    id: doc.id,
-                    ...doc.data()
-                });
-            });
+            const documents = await this.remote.query(collection, this.userFilter(), options);
             
             // Sort in JavaScript instead of Firestore to avoid index requirement
             documents.sort((a, b) => {
@@ -188,7 +561,7 @@ class FirebaseService {
                 setTimeout(() => window.secondBrain.hideServerActivity(), 500);
             }
             
-            return documents;
+            return await this.upgradeRecords(collection, documents, true);
         } catch (error) {
             console.error('Error getting collection:', error);
             
@@ -198,154 +571,288 @@ class FirebaseService {
                 setTimeout(() => window.secondBrain.hideServerActivity(), 2000);
             }
             
-            return this.getFromLocalStorage(collection);
+            return this.upgradeRecords(collection, await this.local.query(collection, this.userFilter()), false);
         }
     }
 
-    async addDocument(collection, data) {
-        if (!this.isInitialized) return this.addToLocalStorage(collection, data);
+    // Brings loaded records up to the current schema and stores the upgraded copies back, in the
+    // cloud too when they were loaded from there. updatedAt is kept, so an upgrade never looks
+    // like a newer edit to conflict resolution.
+    async upgradeRecords(collection, records, fromRemote) {
+        records = await this.encryption.decryptRecords(records);
+        const migrations = records.map(record => ({ docId: String(record.id), ...schemaMigrations.migrate(collection, record) }));
+        
+        // A record whose id was rewritten can meet a copy already stored under the new id
+        // (e.g. upgraded on another device); the newer one is kept
+        const kept = new Map();
+        migrations.forEach(migration => {
+            const id = String(migration.record.id);
+            const existing = kept.get(id);
+            const newer = !existing
+                || new Date(migration.record.updatedAt || 0) > new Date(existing.record.updatedAt || 0)
+                || (migration.docId === id && new Date(migration.record.updatedAt || 0) >= new Date(existing.record.updatedAt || 0));
+            if (newer) kept.set(id, migration);
+        });
+        
+        const upgraded = [];
+        migrations.forEach(migration => {
+            const id = String(migration.record.id);
+            if (migration.applied.length > 0 && kept.get(id) === migration) {
+                upgraded.push({ type: 'set', collection: collection, docId: id, data: migration.record });
+            }
+            // Records with a rewritten id move to the document with the new id
+            if (migration.docId !== id) {
+                upgraded.push({ type: 'delete', collection: collection, docId: migration.docId });
+            }
+        });
+        
+        if (upgraded.length > 0) {
+            const outdated = migrations.filter(migration => migration.applied.length > 0).length;
+            console.log(`🧬 Upgraded ${outdated} ${collection} records to schema v${schemaMigrations.currentVersion(collection)}`);
+            await this.storeUpgraded(upgraded, fromRemote);
+        }
+        return [...kept.values()].map(migration => migration.record);
+    }
+
+    async upgradeDocument(collection, docId, data, fromRemote) {
+        if (!data) return data;
         
+        data = await this.encryption.decryptRecord(data);
+        const migration = schemaMigrations.migrate(collection, data);
+        if (migration.applied.length > 0) {
+            await this.storeUpgraded([{ type: 'set', collection: collection, docId: String(docId), data: migration.record }], fromRemote);
+        }
+        return migration.record;
+    }
+
+    async storeUpgraded(upgraded, toRemote) {
         try {
-            const { collection: firestoreCollection, addDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            const collectionRef = firestoreCollection(this.db, collection);
-            
-            // Add metadata
-            const dataWithMetadata = {
-                ...data,
-                userId: this.userId,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+            const operations = [];
+            for (const operation of upgraded) {
+                operations.push(operation.type === 'delete'
+                    ? operation
+                    : { ...operation, data: await this.encryption.encryptRecord(operation.collection, operation.data) });
+            }
             
-            const docRef = await addDoc(collectionRef, dataWithMetadata);
+            if (toRemote) {
+                await this.remote.batchWrite(operations);
+                this.recordWrites(operations.length, Math.ceil(operations.length / FIRESTORE_BATCH_LIMIT));
+            }
+            for (const operation of operations) {
+                if (operation.type === 'delete') {
+                    await this.local.delete(operation.collection, operation.docId);
+                } else {
+                    await this.local.set(operation.collection, operation.docId, operation.data);
+                }
+            }
+        } catch (error) {
+            // The in-memory copies are upgraded either way and the next load retries
+            console.error('❌ Error storing upgraded records:', error);
+        }
+    }
+
+    // Dry run of the schema migrations over this user's cloud and local data. Nothing is written.
+    async previewMigrations() {
+        const reports = [];
+        for (const collection of schemaMigrations.collections()) {
+            if (this.canWriteRemote()) {
+                const remoteRecords = await this.encryption.decryptRecords(await this.remote.query(collection, this.userFilter()));
+                reports.push({ source: 'cloud', ...schemaMigrations.report(collection, remoteRecords) });
+            }
+            const localRecords = await this.encryption.decryptRecords(await this.local.query(collection, this.userFilter()));
+            reports.push({ source: 'local', ...schemaMigrations.report(collection, localRecords) });
+        }
+        return reports;
+    }
+
+    // Upgrades every record of the migrated collections now instead of on the next load
+    async applyMigrations() {
+        let upgraded = 0;
+        for (const collection of schemaMigrations.collections()) {
+            const sources = this.canWriteRemote() ? [[this.remote, true], [this.local, false]] : [[this.local, false]];
+            for (const [store, fromRemote] of sources) {
+                const records = await store.query(collection, this.userFilter());
+                // Up-to-date records go along too: a rewritten id may already exist under its new id
+                await this.upgradeRecords(collection, records, fromRemote);
+                upgraded += records.filter(record => schemaMigrations.pending(collection, record).length > 0).length;
+            }
+        }
+        return upgraded;
+    }
+
+    // New documents get a record id (js/record-ids.js) rather than a store-generated one
+    async addDocument(collection, data) {
+        const docId = createRecordId();
+        const dataWithMetadata = await this.prepareData({ ...data, id: docId }, collection);
+        if (!this.canWriteRemote()) {
+            await this.queueWrite('set', collection, docId, dataWithMetadata);
+            return docId;
+        }
+        
+        try {
+            await this.remote.set(collection, docId, dataWithMetadata);
+            this.recordWrites(1);
             
-            // Also save to local storage as backup
-            this.addToLocalStorage(collection, { id: docRef.id, ...dataWithMetadata });
+            // Also save locally as backup
+            await this.local.set(collection, docId, dataWithMetadata);
+            await this.broadcastChange(collection, docId);
             
-            return docRef.id;
+            return docId;
         } catch (error) {
             console.error('Error adding document:', error);
-            // Fallback to local storage
-            return this.addToLocalStorage(collection, data);
+            // Keep the change locally and retry it later
+            await this.queueWrite('set', collection, docId, dataWithMetadata);
+            return docId;
         }
     }
 
     async updateDocument(collection, docId, data) {
-        if (!this.isInitialized) return this.updateInLocalStorage(collection, docId, data);
+        // Encrypted fields cannot be merged by the store; the whole record is written again
+        if (this.encryption.appliesTo(collection)) {
+            const current = await this.getDocument(collection, docId);
+            return this.setDocument(collection, docId, { ...(current || {}), ...data });
+        }
+        
+        // Add metadata
+        const dataWithMetadata = {
+            ...data,
+            updatedAt: new Date().toISOString()
+        };
+        if (!this.canWriteRemote()) return this.queueWrite('update', collection, docId, dataWithMetadata);
         
         try {
-            const { doc, updateDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            const docRef = doc(this.db, collection, docId);
-            
-            // Add metadata
-            const dataWithMetadata = {
-                ...data,
-                updatedAt: new Date().toISOString()
-            };
-            
-            await updateDoc(docRef, dataWithMetadata);
+            await this.remote.update(collection, docId, dataWithMetadata);
+            this.recordWrites(1);
             
             // Also update local storage as backup
-            this.updateInLocalStorage(collection, docId, data);
+            await this.local.set(collection, docId, dataWithMetadata, { merge: true });
+            await this.broadcastChange(collection, docId);
             
             return true;
         } catch (error) {
             console.error('Error updating document:', error);
-            // Fallback to local storage
-            return this.updateInLocalStorage(collection, docId, data);
+            // Keep the change locally and retry it later
+            return this.queueWrite('update', collection, docId, dataWithMetadata);
         }
     }
 
     async deleteDocument(collection, docId) {
-        if (!this.isInitialized) return this.deleteFromLocalStorage(collection, docId);
+        if (!this.canWriteRemote()) return this.queueWrite('delete', collection, docId);
         
         try {
-            const { doc, deleteDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            const docRef = doc(this.db, collection, docId);
-            await deleteDoc(docRef);
+            await this.remote.delete(collection, docId);
+            this.recordWrites(1);
             
             // Also delete from local storage
-            this.deleteFromLocalStorage(collection, docId);
+            await this.local.delete(collection, docId);
+            await this.broadcastChange(collection, docId);
             
             return true;
         } catch (error) {
             console.error('Error deleting document:', error);
-            // Fallback to local storage
-            return this.deleteFromLocalStorage(collection, docId);
+            // Keep the change locally and retry it later
+            return this.queueWrite('delete', collection, docId);
         }
     }
 
-    // Local storage fallback methods
-    getFromLocalStorage(collection, docId = null) {
-        try {
-            const key = `firebase_${collection}${docId ? `_${docId}` : ''}`;
-            const data = localStorage.getItem(key);
-            return data ? JSON.parse(data) : (docId ? null : []);
-        } catch (error) {
-            console.error('Local storage read error:', error);
-            return docId ? null : [];
+    // Live updates for a collection. onChanges receives the remote changes that should be
+    // applied in memory; calling it again for the same collection replaces the old listener.
+    subscribeToCollection(collection, onChanges) {
+        this.unsubscribeFromCollection(collection);
+        
+        // Changes from other tabs arrive even while the remote store is unavailable
+        this.changeHandlers.set(collection, onChanges);
+        if (!this.isInitialized || !this.remote) {
+            return () => this.unsubscribeFromCollection(collection);
         }
+        
+        const unsubscribe = this.remote.subscribe(collection, this.userFilter(), async (changes) => {
+            try {
+                // Writes made by this device are already applied in memory
+                const remoteChanges = changes.filter(change => !change.hasPendingWrites);
+                if (remoteChanges.length === 0) return;
+                
+                // Records with queued offline edits keep the local version until replay resolves them
+                const pending = await this.syncQueue.getPending();
+                const pendingIds = new Set(pending
+                    .filter(entry => entry.collection === collection)
+                    .map(entry => entry.docId));
+                const decrypted = await this.decryptChanges(remoteChanges.filter(change => !pendingIds.has(change.id)));
+                const accepted = decrypted.map(change => this.upgradeChange(collection, change));
+                if (accepted.length === 0) return;
+                
+                // Keep the offline store current as well
+                for (const change of accepted) {
+                    if (change.type === 'removed') {
+                        await this.local.delete(collection, change.id);
+                    } else {
+                        await this.local.set(collection, change.id, await this.encryption.encryptRecord(collection, change.data));
+                    }
+                }
+                
+                const scoped = this.scopeChanges(collection, accepted);
+                console.log(`🔔 ${scoped.length} remote changes in ${collection}`);
+                onChanges(scoped);
+            } catch (error) {
+                console.error(`❌ Error applying remote changes for ${collection}:`, error);
+            }
+        }, (error) => {
+            console.error(`❌ Live updates failed for ${collection}:`, error);
+        });
+        
+        this.subscriptions.set(collection, unsubscribe);
+        return () => this.unsubscribeFromCollection(collection);
     }
 
-    setToLocalStorage(collection, docId, data) {
-        try {
-            const key = `firebase_${collection}_${docId}`;
-            localStorage.setItem(key, JSON.stringify(data));
-            return true;
-        } catch (error) {
-            console.error('Local storage write error:', error);
-            return false;
+    // Changes written by devices that still use numeric ids are upgraded like loaded records
+    upgradeChange(collection, change) {
+        if (!change.data) {
+            return { ...change, id: String(upgradeRecordId(this.userId, collection, change.id)) };
         }
+        const data = schemaMigrations.migrate(collection, change.data).record;
+        return { ...change, id: String(data.id !== undefined ? data.id : change.id), data: data };
     }
 
-    addToLocalStorage(collection, data) {
-        try {
-            const key = `firebase_${collection}`;
-            const existing = this.getFromLocalStorage(collection) || [];
-            const newId = Date.now().toString();
-            const newItem = { id: newId, ...data };
-            existing.push(newItem);
-            localStorage.setItem(key, JSON.stringify(existing));
-            return newId;
-        } catch (error) {
-            console.error('Local storage add error:', error);
-            return null;
+    unsubscribeFromCollection(collection) {
+        this.changeHandlers.delete(collection);
+        const unsubscribe = this.subscriptions.get(collection);
+        if (unsubscribe) {
+            unsubscribe();
+            this.subscriptions.delete(collection);
         }
     }
 
-    updateInLocalStorage(collection, docId, data) {
-        try {
-            const key = `firebase_${collection}`;
-            const existing = this.getFromLocalStorage(collection) || [];
-            const index = existing.findIndex(item => item.id === docId);
-            if (index !== -1) {
-                existing[index] = { ...existing[index], ...data };
-                localStorage.setItem(key, JSON.stringify(existing));
-                return true;
-            }
-            return false;
-        } catch (error) {
-            console.error('Local storage update error:', error);
-            return false;
-        }
+    unsubscribeAll() {
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions.clear();
+        this.changeHandlers.clear();
     }
 
-    deleteFromLocalStorage(collection, docId) {
-        try {
-            const key = `firebase_${collection}`;
-            const existing = this.getFromLocalStorage(collection) || [];
-            const filtered = existing.filter(item => item.id !== docId);
-            localStorage.setItem(key, JSON.stringify(filtered));
-            return true;
-        } catch (error) {
-            console.error('Local storage delete error:', error);
-            return false;
-        }
+    // Returns a copy of records with remote changes applied, matched by id
+    // A manager's dirty tracker, when given, learns the incoming versions so they are not written back
+    applyRemoteChanges(records, changes, tracker = null) {
+        const merged = [...records];
+        changes.forEach(change => {
+            const index = merged.findIndex(record => String(record.id) === change.id);
+            if (change.type === 'removed') {
+                if (index !== -1) merged.splice(index, 1);
+                if (tracker) tracker.forget(change.id);
+                return;
+            }
+            
+            if (tracker) tracker.markValueClean(change.id, change.data);
+            if (index !== -1) {
+                merged[index] = change.data;
+            } else {
+                merged.push(change.data);
+            }
+        });
+        return merged;
     }
 
     // Specific methods for Second Brain data
-    async getProjects() {
-        return await this.getCollection('projects');
+    async getProjects(options = {}) {
+        return await this.getCollection('projects', options);
     }
 
     async saveProject(project) {
@@ -367,7 +874,7 @@ class FirebaseService {
                 return await this.setDocument('projects', project.id.toString(), project);
             }
         } else {
-            // No ID specified, let Firebase generate one
+            // No ID specified, addDocument gives it a record id
             return await this.addDocument('projects', project);
         }
     }
@@ -400,7 +907,7 @@ class FirebaseService {
     }
 
     async getPomodoroSettings() {
-        const settings = await this.getDocument('pomodoro_settings', this.userId);
+        const settings = await this.getDocument('pomodoro_settings', this.workspaceDocId());
         return settings || {
             focusTime: 25 * 60, // 25 minutes in seconds
             breakTime: 5 * 60,  // 5 minutes in seconds
@@ -409,11 +916,11 @@ class FirebaseService {
     }
 
     async savePomodoroSettings(settings) {
-        return await this.setDocument('pomodoro_settings', this.userId, settings);
+        return await this.setDocument('pomodoro_settings', this.workspaceDocId(), settings);
     }
 
     async getPomodoroState() {
-        const state = await this.getDocument('pomodoro_state', this.userId);
+        const state = await this.getDocument('pomodoro_state', this.workspaceDocId());
         return state || {
             currentTime: 25 * 60,
             isRunning: false,
@@ -425,7 +932,7 @@ class FirebaseService {
     }
 
     async savePomodoroState(state) {
-        return await this.setDocument('pomodoro_state', this.userId, state);
+        return await this.setDocument('pomodoro_state', this.workspaceDocId(), state);
     }
 
     // Calendar methods
@@ -464,7 +971,7 @@ class FirebaseService {
 
     // User Authentication Methods (for future expansion)
     async signInWithEmail(email, password) {
-        if (!this.isInitialized) {
+        if (!this.isInitialized || !this.auth) {
             console.error('Firebase not initialized');
             return null;
         }
@@ -482,7 +989,7 @@ class FirebaseService {
     }
 
     async signUpWithEmail(email, password) {
-        if (!this.isInitialized) {
+        if (!this.isInitialized || !this.auth) {
             console.error('Firebase not initialized');
             return null;
         }
@@ -492,51 +999,164 @@ class FirebaseService {
             const userCredential = await createUserWithEmailAndPassword(this.auth, email, password);
             this.userId = userCredential.user.uid;
             console.log('User signed up:', this.userId);
-            return userCredential.user;
-        } catch (error) {
-            console.error('Sign up error:', error);
+            
+            // The account works right away; the address is confirmed through the emailed link
+            try {
+                await this.sendVerificationEmail();
+            } catch (error) {
+                console.error('❌ Error sending verification email:', error);
+            }
+            return userCredential.user;
+        } catch (error) {
+            console.error('Sign up error:', error);
             throw error;
         }
     }
 
-    async clearUserData() {
-        if (!this.isInitialized) {
-            console.error('Firebase not initialized');
-            return;
+    // Account management needs a user signed in with email and password
+    requireEmailUser() {
+        if (!this.isInitialized || !this.auth) {
+            throw new Error('Firebase not initialized');
+        }
+        
+        const user = this.getCurrentUser();
+        if (!user || !user.email) {
+            throw new Error('Sign in with your email and password first');
         }
+        return user;
+    }
 
-        try {
-            console.log('🧹 Clearing user data for:', this.userId);
-            
-            // Clear all collections for the current user
-            const collections = ['projects', 'pomodoro_sessions', 'pomodoro_settings', 'pomodoro_state', 'crm_counters', 'calendar_events', 'habits'];
-            
+    async sendPasswordReset(email) {
+        if (!this.isInitialized || !this.auth) {
+            throw new Error('Firebase not initialized');
+        }
+        
+        const { sendPasswordResetEmail } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js');
+        await sendPasswordResetEmail(this.auth, email);
+        console.log('📧 Password reset email requested');
+    }
+
+    async sendVerificationEmail() {
+        const user = this.requireEmailUser();
+        const { sendEmailVerification } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js');
+        await sendEmailVerification(user);
+        console.log('📧 Verification email sent');
+    }
+
+    // emailVerified only changes on the signed-in user after it is reloaded from the server
+    async refreshCurrentUser() {
+        const user = this.requireEmailUser();
+        await user.reload();
+        return this.getCurrentUser();
+    }
+
+    // Changing the email or password, and deleting the account, need a recent sign-in
+    async reauthenticate(password) {
+        const user = this.requireEmailUser();
+        const { EmailAuthProvider, reauthenticateWithCredential } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js');
+        await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+        return user;
+    }
+
+    // The address changes once the link sent to the new address is opened
+    async changeEmail(newEmail, password) {
+        const user = await this.reauthenticate(password);
+        const { verifyBeforeUpdateEmail } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js');
+        await verifyBeforeUpdateEmail(user, newEmail);
+        console.log('📧 Email change requested, waiting for confirmation');
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        const user = await this.reauthenticate(currentPassword);
+        const { updatePassword } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js');
+        await updatePassword(user, newPassword);
+        console.log('🔑 Password changed');
+    }
+
+    // Deletes the account after purging everything it stored (see clearUserData). Signing in again
+    // first means the account cannot be refused deletion after its data is already gone.
+    // Returns the purge summary.
+    async deleteAccount(password) {
+        const user = await this.reauthenticate(password);
+        const summary = await this.clearUserData();
+        
+        const { deleteUser } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js');
+        await deleteUser(user);
+        this.userId = 'anonymous_user';
+        console.log('🗑️ Account deleted:', user.uid);
+        return summary;
+    }
+
+    // Deletes everything the current user has stored: every user collection in the cloud and on
+    // this device, queued offline changes, the activity log, backups and cached localStorage keys.
+    // Returns a summary of how many documents were deleted from each place.
+    async clearUserData() {
+        if (this.storageConfig.remote === 'firestore' && !this.canWriteRemote()) {
+            throw new Error('Connect to the internet to delete your cloud data');
+        }
+        
+        const summary = { userId: this.userId, cloud: {}, device: {}, total: 0 };
+        const count = (place, name, deleted) => {
+            if (deleted === 0) return;
+            summary[place][name] = deleted;
+            summary.total += deleted;
+        };
+        const collections = [
+            ...USER_RECORD_COLLECTIONS, ...USER_DOCUMENT_COLLECTIONS, ENCRYPTION_SETTINGS_COLLECTION, ...LEGACY_COUNTER_COLLECTIONS
+        ];
+        
+        console.log('🧹 Deleting all data for:', this.userId);
+        
+        // Listed past the cache, so documents written on another device a moment ago go too
+        if (this.remote) {
             for (const collection of collections) {
-                try {
-                    // Get all documents in the collection
-                    const documents = await this.getCollection(collection);
-                    
-                    // Delete each document that belongs to the current user
-                    for (const doc of documents) {
-                        if (doc.userId === this.userId) {
-                            await this.deleteDocument(collection, doc.id || doc.userId);
-                            console.log(`🗑️ Deleted ${collection}/${doc.id || doc.userId} for user ${this.userId}`);
-                        }
-                    }
-                } catch (error) {
-                    console.log(`⚠️ Error clearing ${collection}:`, error.message);
-                }
+                const documents = await this.remote.query(collection, this.userFilter(), { forceRefresh: true });
+                if (documents.length === 0) continue;
+                
+                await this.remote.batchWrite(documents.map(doc => ({ type: 'delete', collection: collection, docId: doc.id })));
+                this.recordWrites(documents.length, Math.ceil(documents.length / FIRESTORE_BATCH_LIMIT));
+                count('cloud', collection, documents.length);
+            }
+        }
+        
+        // This user's whole scope of the local store, including queued changes and conflicts
+        const local = this.local;
+        for (const collection of await local.collectionNames()) {
+            count('device', collection, (await local.query(collection)).length);
+            await local.clearCollection(collection);
+        }
+        
+        // Backups are shared by the browser's users and carry the owner's id
+        const backups = await this.localStore.query('backups', this.userFilter());
+        for (const backup of backups) {
+            await this.localStore.delete('backups', backup.id);
+        }
+        count('device', 'backups', backups.length);
+        
+        // Every workspace's copy of the keys, and the settings of the workspaces besides the default
+        const storageKeys = USER_LOCAL_STORAGE_KEYS.map(key => [key, this.userStorageKey(key)]);
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const storageKey = localStorage.key(i);
+            const match = storageKeys.find(([, userKey]) => storageKey === userKey || storageKey.startsWith(`${userKey}_`));
+            if (match) {
+                localStorage.removeItem(storageKey);
+                count('device', match[0], 1);
             }
-            
-            console.log('✅ User data cleared successfully for:', this.userId);
-        } catch (error) {
-            console.error('Error clearing user data:', error);
-            throw error;
         }
+        this.workspaces.getAll()
+            .filter(workspace => workspace.id !== DEFAULT_WORKSPACE_ID)
+            .forEach(workspace => localStorage.removeItem(workspaceSettingsKey(workspace.id)));
+        
+        this.unsubscribeAll();
+        this.encryption.reset();
+        this.workspaces.list = this.workspaces.defaultList();
+        this.workspaceId = DEFAULT_WORKSPACE_ID;
+        console.log(`✅ Deleted ${summary.total} documents for ${this.userId}`, summary);
+        return summary;
     }
 
     async signOut() {
-        if (!this.isInitialized) {
+        if (!this.isInitialized || !this.auth) {
             console.error('Firebase not initialized');
             return;
         }
@@ -554,7 +1174,7 @@ class FirebaseService {
     }
 
     async signInAnonymously() {
-        if (!this.isInitialized) {
+        if (!this.isInitialized || !this.auth) {
             console.error('Firebase not initialized');
             return null;
         }
@@ -579,41 +1199,37 @@ class FirebaseService {
         return this.userId && this.userId !== 'anonymous_user';
     }
 
-    // Data migration methods for when users sign up
+    // Moves everything created as a guest into the signed-in account (see js/account-migration.js).
+    // Returns the migration summary, or null when it failed.
     async migrateAnonymousDataToUser(userId) {
         try {
-            // Get all anonymous data
-            const anonymousProjects = await this.getCollection('projects');
-            const anonymousSessions = await this.getCollection('pomodoro_sessions');
-            const anonymousSettings = await this.getDocument('pomodoro_settings', 'anonymous_user');
-            const anonymousState = await this.getDocument('pomodoro_state', 'anonymous_user');
-            
-            // Update user IDs for all data
-            for (const project of anonymousProjects) {
-                await this.updateDocument('projects', project.id, { userId: userId });
-            }
-            
-            for (const session of anonymousSessions) {
-                await this.updateDocument('pomodoro_sessions', session.id, { userId: userId });
-            }
-            
-            if (anonymousSettings) {
-                await this.setDocument('pomodoro_settings', userId, { ...anonymousSettings, userId: userId });
-            }
-            
-            if (anonymousState) {
-                await this.setDocument('pomodoro_state', userId, { ...anonymousState, userId: userId });
-            }
-            
+            const summary = await this.accountMigration.run('anonymous_user', userId);
             console.log('Data migrated successfully for user:', userId);
-            return true;
+            
+            // The guest's workspaces were added to the account's
+            await this.loadWorkspaces();
+            return summary;
         } catch (error) {
             console.error('Data migration error:', error);
-            return false;
+            return null;
         }
     }
 }
 
+// Firebase Auth error codes shown to the user in plain words; others show their message
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-credential': 'The email or password is wrong',
+    'auth/invalid-login-credentials': 'The email or password is wrong',
+    'auth/wrong-password': 'The password is wrong',
+    'auth/user-not-found': 'No account uses this email',
+    'auth/invalid-email': 'This email address is not valid',
+    'auth/email-already-in-use': 'Another account already uses this email',
+    'auth/weak-password': 'The password is too weak',
+    'auth/requires-recent-login': 'Please sign out, sign in again and retry',
+    'auth/too-many-requests': 'Too many attempts - please try again later',
+    'auth/network-request-failed': 'Could not reach the sign-in service'
+};
+
 class SecondBrain {
     constructor() {
         this.sidebar = document.getElementById('sidebar');
@@ -658,6 +1274,12 @@ class SecondBrain {
     init() {
         this.setupEventListeners();
         this.setupResponsiveBehavior();
+        this.renderWorkspaceSwitcher();
+        
+        // Before sign-in resolves the user is unknown; the activity log loads with the modules then
+        if (this.firebase.userId) {
+            loadActivityLogs();
+        }
         
         // Check if there's an active nav link to determine current module
         const activeNavLink = document.querySelector('.nav-link.active');
@@ -743,6 +1365,26 @@ class SecondBrain {
             });
         });
 
+        // Workspace switcher
+        const workspaceSelect = document.getElementById('workspaceSelect');
+        const manageWorkspacesBtn = document.getElementById('manageWorkspacesBtn');
+
+        if (workspaceSelect) {
+            workspaceSelect.addEventListener('change', () => {
+                this.switchWorkspace(workspaceSelect.value);
+            });
+        }
+
+        if (manageWorkspacesBtn) {
+            manageWorkspacesBtn.addEventListener('click', () => {
+                this.switchModule('settings');
+                setTimeout(() => {
+                    const workspaceSettings = document.getElementById('workspaceSettings');
+                    if (workspaceSettings) workspaceSettings.scrollIntoView({ behavior: 'smooth' });
+                }, 200);
+            });
+        }
+
         // Header action buttons
         const manualSaveBtn = document.getElementById('manualSaveBtn');
         const searchBtn = document.getElementById('searchBtn');
@@ -782,6 +1424,17 @@ class SecondBrain {
             this.handleResize();
         });
 
+        // The server indicator opens the Sync panel
+        if (this.serverIndicator) {
+            this.serverIndicator.addEventListener('click', () => {
+                this.switchModule('settings');
+                setTimeout(() => {
+                    const syncStatus = document.getElementById('syncStatus');
+                    if (syncStatus) syncStatus.scrollIntoView({ behavior: 'smooth' });
+                }, 200);
+            });
+        }
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             this.handleKeyboardShortcuts(e);
@@ -967,7 +1620,7 @@ class SecondBrain {
         if (moduleName === 'completed-tasks') {
             setTimeout(() => {
                 this.initializeCompletedTasks();
-                this.completedTasks.loadCompletedTasks(); // Will use cache if available
+                this.completedTasks.loadCompletedTasks();
             }, 100);
         }
 
@@ -999,6 +1652,13 @@ class SecondBrain {
             }, 100);
         }
 
+        // Initialize Trash if switching to Trash module
+        if (moduleName === 'trash') {
+            setTimeout(() => {
+                initializeTrash();
+            }, 100);
+        }
+
         // Close sidebar on mobile after navigation
         if (window.innerWidth <= 768) {
             this.closeSidebar();
@@ -1101,6 +1761,11 @@ class SecondBrain {
                 subtitle: 'Track all your app activities and changes',
                 content: this.getLogsContent()
             },
+            trash: {
+                title: 'Trash',
+                subtitle: 'Restore deleted items or remove them for good',
+                content: this.getTrashContent()
+            },
             'completed-tasks': {
                 title: 'Completed Tasks',
                 subtitle: 'View and manage completed tasks',
@@ -1225,13 +1890,17 @@ class SecondBrain {
             <div class="notes-container">
                 <div class="notes-header">
                     <h2>My Notes</h2>
-                    <button class="btn btn-primary" id="addNoteBtn">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <line x1="12" y1="5" x2="12" y2="19"></line>
-                            <line x1="5" y1="12" x2="19" y2="12"></line>
-                        </svg>
-                        New Note
-                    </button>
+                    <div class="notes-header-actions">
+                        <button class="btn btn-secondary" id="exportNotesVaultBtn" title="Download every note as a zip of Markdown files">Export Markdown</button>
+                        <button class="btn btn-secondary" id="importNotesBtn" title="Markdown, Evernote or Notion">Import Notes</button>
+                        <button class="btn btn-primary" id="addNoteBtn">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <line x1="12" y1="5" x2="12" y2="19"></line>
+                                <line x1="5" y1="12" x2="19" y2="12"></line>
+                            </svg>
+                            New Note
+                        </button>
+                    </div>
                 </div>
                 
                 <div class="notes-stats" id="notesStats">
@@ -1384,6 +2053,8 @@ class SecondBrain {
                 <div class="calendar-actions">
                     <button class="btn btn-primary" id="todayBtn">Today</button>
                     <button class="btn btn-secondary" id="addEventBtn">Add Event</button>
+                    <button class="btn btn-secondary" id="exportIcsBtn">Export .ics</button>
+                    <button class="btn btn-secondary" id="importIcsBtn">Import .ics</button>
                 </div>
             </div>
         `;
@@ -1425,6 +2096,10 @@ class SecondBrain {
                 <div class="analytics-header">
                     <h2 class="analytics-title">📊 Analytics Dashboard</h2>
                     <div class="analytics-controls">
+                        <select id="analyticsWorkspaceScope" class="analytics-select">
+                            <option value="current">This workspace</option>
+                            <option value="all">All workspaces</option>
+                        </select>
                         <select id="analyticsTimeRange" class="analytics-select">
                             <option value="7">Last 7 days</option>
                             <option value="30" selected>Last 30 days</option>
@@ -1488,6 +2163,9 @@ class SecondBrain {
                     </div>
                 </div>
 
+                <!-- Totals per workspace, in the combined view -->
+                <div class="workspace-breakdown" id="workspaceBreakdown" style="display: none;"></div>
+
                 <!-- Charts Grid -->
                 <div class="analytics-charts">
                     <!-- Task Completion Trends -->
@@ -1725,13 +2403,18 @@ class SecondBrain {
             <div class="wallet-container">
                 <div class="wallet-header">
                     <h2 class="wallet-title">Expense Tracker</h2>
-                    <button class="btn btn-primary" id="addTransactionBtn">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <line x1="12" y1="5" x2="12" y2="19"></line>
-                            <line x1="5" y1="12" x2="19" y2="12"></line>
-                        </svg>
-                        Add Transaction
-                    </button>
+                    <div class="wallet-header-actions">
+                        <button class="btn btn-secondary" id="exportWalletCsvBtn" title="Download the listed transactions as CSV">Export CSV</button>
+                        <button class="btn btn-secondary" id="importWalletCsvBtn" title="Transactions from a bank or spreadsheet CSV">Import CSV</button>
+                        <button class="btn btn-secondary" id="importWalletStatementBtn" title="An OFX, QFX or QIF bank statement">Import Statement</button>
+                        <button class="btn btn-primary" id="addTransactionBtn">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <line x1="12" y1="5" x2="12" y2="19"></line>
+                                <line x1="5" y1="12" x2="19" y2="12"></line>
+                            </svg>
+                            Add Transaction
+                        </button>
+                    </div>
                 </div>
                 
                 <div class="balance-section">
@@ -1870,6 +2553,15 @@ class SecondBrain {
                                 <option value="60">1 minute</option>
                             </select>
                         </div>
+                        <div class="setting-item">
+                            <label for="trashRetentionDays">Empty Trash Automatically:</label>
+                            <select id="trashRetentionDays" class="setting-input">
+                                <option value="7">After 7 days</option>
+                                <option value="30">After 30 days</option>
+                                <option value="90">After 90 days</option>
+                                <option value="never">Never</option>
+                            </select>
+                        </div>
                         <div class="setting-item">
                             <label class="setting-toggle">
                                 <input type="checkbox" id="confirmDialogs" class="toggle-input">
@@ -1886,15 +2578,42 @@ class SecondBrain {
                         </div>
                     </div>
 
+                    <!-- Workspaces -->
+                    <div class="settings-section">
+                        <h3>Workspaces</h3>
+                        <div class="setting-item">
+                            <div id="workspaceSettings" class="workspace-settings">Loading...</div>
+                        </div>
+                        <div class="setting-item">
+                            <input type="text" id="newWorkspaceName" class="setting-input" placeholder="e.g. Business">
+                            <button id="createWorkspace" class="btn btn-primary">Create Workspace</button>
+                        </div>
+                        <div class="setting-item">
+                            <div class="workspace-move">
+                                <h4>Move to Another Workspace</h4>
+                                <div class="workspace-move-controls">
+                                    <select id="workspaceMoveCollection" class="setting-input">
+                                        ${Object.entries(WORKSPACE_MOVABLE_COLLECTIONS).map(([collection, label]) => `
+                                            <option value="${collection}">${label}</option>
+                                        `).join('')}
+                                    </select>
+                                    <select id="workspaceMoveTarget" class="setting-input"></select>
+                                    <button id="moveWorkspaceRecords" class="btn btn-secondary">Move Selected</button>
+                                </div>
+                                <div id="workspaceMoveRecords" class="workspace-move-records">Loading...</div>
+                            </div>
+                        </div>
+                    </div>
+
                     <!-- Data Management -->
                     <div class="settings-section">
                         <h3>Data Management</h3>
                         <div class="setting-item">
                             <button id="exportData" class="btn btn-primary">Export All Data</button>
+                            <button id="exportEncryptedData" class="btn btn-secondary">Export Encrypted</button>
                             <button id="importData" class="btn btn-secondary">Import Data</button>
                         </div>
                         <div class="setting-item">
-                            <button id="backupData" class="btn btn-secondary">Create Backup</button>
                             <button id="clearAllData" class="btn btn-danger">Clear All Data</button>
                         </div>
                         <div class="setting-item">
@@ -1905,6 +2624,64 @@ class SecondBrain {
                         </div>
                     </div>
 
+                    <!-- Backups -->
+                    <div class="settings-section">
+                        <h3>Backups</h3>
+                        <div class="setting-item">
+                            <label for="autoBackup">Automatic Backups:</label>
+                            <select id="autoBackup" class="setting-input">
+                                <option value="daily">Daily (keep 7 daily and 4 weekly)</option>
+                                <option value="off">Off</option>
+                            </select>
+                        </div>
+                        <div class="setting-item">
+                            <button id="backupData" class="btn btn-secondary">Create Backup</button>
+                        </div>
+                        <div class="setting-item">
+                            <div id="backupList" class="backup-list">Loading...</div>
+                        </div>
+                    </div>
+
+                    <!-- Sync -->
+                    <div class="settings-section">
+                        <h3>Sync</h3>
+                        <div class="setting-item">
+                            <button id="syncNow" class="btn btn-secondary">Retry Now</button>
+                            <button id="checkSyncStatus" class="btn btn-secondary">Check Cloud</button>
+                        </div>
+                        <div class="setting-item">
+                            <div id="syncStatus" class="sync-status">Loading...</div>
+                        </div>
+                        <div class="setting-item">
+                            <div id="syncConflicts" class="sync-conflicts">Loading...</div>
+                        </div>
+                    </div>
+
+                    <!-- Encryption -->
+                    <div class="settings-section">
+                        <h3>Encryption</h3>
+                        <div class="setting-item">
+                            <div id="encryptionSettings" class="encryption-settings">Loading...</div>
+                        </div>
+                        <div class="setting-item">
+                            <button id="applyEncryption" class="btn btn-primary">Apply Encryption</button>
+                            <button id="changePassphrase" class="btn btn-secondary">Change Passphrase</button>
+                            <button id="toggleEncryptionLock" class="btn btn-secondary">Lock</button>
+                        </div>
+                    </div>
+
+                    <!-- Data Schema -->
+                    <div class="settings-section">
+                        <h3>Data Schema</h3>
+                        <div class="setting-item">
+                            <button id="previewMigrations" class="btn btn-secondary">Preview Migrations</button>
+                            <button id="applyMigrations" class="btn btn-secondary">Apply Migrations</button>
+                        </div>
+                        <div class="setting-item">
+                            <div id="migrationReport" class="migration-report">Records are upgraded automatically when they load. Preview shows what is still outdated.</div>
+                        </div>
+                    </div>
+
                     <!-- App Info -->
                     <div class="settings-section">
                         <h3>App Information</h3>
@@ -1997,6 +2774,48 @@ class SecondBrain {
         `;
     }
 
+    getTrashContent() {
+        return `
+            <div class="logs-container trash-container">
+                <div class="logs-header">
+                    <h2>Trash</h2>
+                    <p>Deleted items from every module wait here until you restore them or they are emptied</p>
+                </div>
+                
+                <div class="logs-controls">
+                    <div class="logs-filters">
+                        <div class="filter-group">
+                            <label for="trashModuleFilter">Module:</label>
+                            <select id="trashModuleFilter" class="filter-input" onchange="displayTrash()">
+                                <option value="">All Modules</option>
+                                ${[...new Set(Object.values(TRASH_MODULES))].map(module => `<option value="${module}">${module}</option>`).join('')}
+                            </select>
+                        </div>
+                    </div>
+                    
+                    <div class="logs-actions">
+                        <button class="btn btn-danger" onclick="emptyTrash()">Empty Trash</button>
+                    </div>
+                </div>
+                
+                <div class="logs-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Items:</span>
+                        <span id="trashCount" class="stat-value">0</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Emptied:</span>
+                        <span id="trashRetention" class="stat-value">-</span>
+                    </div>
+                </div>
+                
+                <div class="trash-list" id="trashList">
+                    <div class="loading">Loading trash...</div>
+                </div>
+            </div>
+        `;
+    }
+
     getCompletedTasksContent() {
         return `
             <div class="completed-tasks-container">
@@ -2598,22 +3417,64 @@ class SecondBrain {
             this.handleSearch();
         }
         
+        // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z to redo; text fields keep their own undo
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !this.isEditingText(e.target)) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redoLastChange();
+            } else {
+                this.undoLastChange();
+            }
+        }
+        
         // Escape to close sidebar on mobile
         if (e.key === 'Escape' && window.innerWidth <= 768) {
             this.closeSidebar();
         }
     }
 
+    isEditingText(element) {
+        return !!element && (['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable);
+    }
+
+    async undoLastChange() {
+        await this.runHistory('undo');
+    }
+
+    async redoLastChange() {
+        await this.runHistory('redo');
+    }
+
+    // The change is written through FirebaseService; the open module then reloads from storage
+    async runHistory(direction) {
+        try {
+            const command = await this.firebase.undoHistory[direction]();
+            if (!command) {
+                showNotification(direction === 'undo' ? 'Nothing to undo' : 'Nothing to redo', 'warning');
+                return;
+            }
+            
+            await this.reloadModulesForUser();
+            showNotification(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${command.label}`);
+        } catch (error) {
+            console.error(`❌ Error during ${direction}:`, error);
+            showNotification(`Could not ${direction}: ${error.message}`, 'error');
+            await this.reloadModulesForUser();
+        }
+    }
+
     // Calendar Methods
     async initializeCalendar() {
         this.calendar = new Calendar(this.currentDate, this.firebase);
         await this.calendar.loadEvents();
+        this.calendar.subscribeToChanges();
         this.setupCalendarEventListeners();
         
         // Always initialize habit tracker for calendar functionality
         if (!this.habitTracker) {
             this.habitTracker = new HabitTracker(this.firebase);
             await this.habitTracker.loadHabits();
+            this.habitTracker.subscribeToChanges();
         }
         
         // Connect calendar with habit tracker
@@ -2658,6 +3519,12 @@ class SecondBrain {
                 this.handleAddEvent();
             });
         }
+
+        // iCalendar export and import
+        const exportIcsBtn = document.getElementById('exportIcsBtn');
+        const importIcsBtn = document.getElementById('importIcsBtn');
+        if (exportIcsBtn) exportIcsBtn.addEventListener('click', () => this.calendar.showExportIcsModal());
+        if (importIcsBtn) importIcsBtn.addEventListener('click', () => this.calendar.chooseIcsFiles());
     }
 
     handleAddEvent() {
@@ -2669,6 +3536,7 @@ class SecondBrain {
     async initializeHabits() {
         this.habitTracker = new HabitTracker(this.firebase);
         await this.habitTracker.loadHabits();
+        this.habitTracker.subscribeToChanges();
         this.setupHabitEventListeners();
         
         // Connect with calendar if it exists
@@ -2737,25 +3605,30 @@ class SecondBrain {
     async initializeCrm() {
         console.log('🔄 Initializing CRM module...');
         this.crm = new CrmManager(this.firebase);
-        await this.crm.loadProjects(); // Will use cache if available
+        await this.crm.loadProjects();
         this.crm.renderProjects();
         this.crm.updateStats();
+        this.crm.subscribeToChanges();
         this.setupCrmEventListeners();
         console.log('✅ CRM module initialized successfully');
     }
 
     // Pomodoro Methods
     async initializePomodoro() {
+        // Only one manager may own the timer interval
+        if (this.pomodoro) {
+            this.pomodoro.dispose();
+        }
         this.pomodoro = new PomodoroManager(this.firebase);
         await this.pomodoro.loadState();
         this.pomodoro.renderSessions();
+        this.pomodoro.subscribeToChanges();
         this.setupPomodoroEventListeners();
     }
 
     // Authentication Methods
     initializeAuth() {
         this.updateAuthStatus();
-        this.setupAuthEventListeners();
     }
 
     updateAuthStatus() {
@@ -2767,9 +3640,43 @@ class SecondBrain {
 
         if (this.firebase && this.firebase.isUserAuthenticated()) {
             const user = this.firebase.getCurrentUser();
+            const hasEmail = !!(user && user.email);
             statusTitle.textContent = 'Signed In';
             statusDescription.textContent = `Welcome back! You're signed in as ${user?.email || 'User'}`;
+            
+            let verification = '';
+            if (hasEmail) {
+                verification = user.emailVerified
+                    ? '<div class="auth-verification auth-verification-done">✓ Email verified</div>'
+                    : `
+                        <div class="auth-verification">
+                            <span>Your email is not verified yet. Open the link we sent to ${user.email}.</span>
+                            <button class="btn btn-secondary" id="sendVerificationBtn">Resend Email</button>
+                            <button class="btn btn-secondary" id="checkVerificationBtn">I've Verified</button>
+                        </div>
+                    `;
+            }
+            
             authActions.innerHTML = `
+                ${verification}
+                ${hasEmail ? `
+                    <div class="action-buttons">
+                        <button class="btn btn-secondary" id="changeEmailBtn">
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"></path>
+                                <polyline points="22,6 12,13 2,6"></polyline>
+                            </svg>
+                            Change Email
+                        </button>
+                        <button class="btn btn-secondary" id="changePasswordBtn">
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+                                <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
+                            </svg>
+                            Change Password
+                        </button>
+                    </div>
+                ` : ''}
                 <div class="action-buttons">
                     <button class="btn btn-danger" id="clearAllDataBtn">
                         <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -2788,6 +3695,17 @@ class SecondBrain {
                         </svg>
                         Sign Out
                     </button>
+                    ${hasEmail ? `
+                        <button class="btn btn-danger" id="deleteAccountBtn">
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
+                                <circle cx="8.5" cy="7" r="4"></circle>
+                                <line x1="18" y1="8" x2="23" y2="13"></line>
+                                <line x1="23" y1="8" x2="18" y2="13"></line>
+                            </svg>
+                            Delete Account
+                        </button>
+                    ` : ''}
                 </div>
             `;
         } else {
@@ -2815,6 +3733,9 @@ class SecondBrain {
                 </div>
             `;
         }
+        
+        // The buttons were just replaced
+        this.setupAuthEventListeners();
     }
 
     setupAuthEventListeners() {
@@ -2850,6 +3771,43 @@ class SecondBrain {
             });
         }
 
+        // Email verification
+        const sendVerificationBtn = document.getElementById('sendVerificationBtn');
+        if (sendVerificationBtn) {
+            sendVerificationBtn.addEventListener('click', () => {
+                this.sendVerificationEmail();
+            });
+        }
+
+        const checkVerificationBtn = document.getElementById('checkVerificationBtn');
+        if (checkVerificationBtn) {
+            checkVerificationBtn.addEventListener('click', () => {
+                this.checkEmailVerification();
+            });
+        }
+
+        // Account changes
+        const changeEmailBtn = document.getElementById('changeEmailBtn');
+        if (changeEmailBtn) {
+            changeEmailBtn.addEventListener('click', () => {
+                this.showAccountModal('email');
+            });
+        }
+
+        const changePasswordBtn = document.getElementById('changePasswordBtn');
+        if (changePasswordBtn) {
+            changePasswordBtn.addEventListener('click', () => {
+                this.showAccountModal('password');
+            });
+        }
+
+        const deleteAccountBtn = document.getElementById('deleteAccountBtn');
+        if (deleteAccountBtn) {
+            deleteAccountBtn.addEventListener('click', () => {
+                this.deleteAccount();
+            });
+        }
+
         // Test Firebase Button
         const testFirebaseBtn = document.getElementById('testFirebaseBtn');
         if (testFirebaseBtn) {
@@ -2876,7 +3834,14 @@ class SecondBrain {
             submitBtn.textContent = 'Create Account';
             switchBtn.textContent = 'Sign In';
         }
-
+        
+        // Password reset only makes sense when signing in
+        const resetBtn = document.getElementById('authResetBtn');
+        if (resetBtn) {
+            resetBtn.style.display = mode === 'signin' ? 'inline-block' : 'none';
+            resetBtn.onclick = () => this.sendPasswordReset();
+        }
+
         modal.style.display = 'flex';
         modal.classList.add('open');
 
@@ -2930,18 +3895,226 @@ class SecondBrain {
             this.hideAuthModal();
             this.updateAuthStatus();
             
+            // Data created as a guest can come along into the account
+            await this.offerGuestDataMigration();
+            
             // Reload modules to load user's data
             await this.reloadModulesForUser();
             
         } catch (error) {
             console.error('Auth error:', error);
-            this.showSaveNotification(`Error: ${error.message}`, 'error');
+            this.showSaveNotification(`Error: ${this.describeAuthError(error)}`, 'error');
         } finally {
             submitBtn.disabled = false;
             submitBtn.textContent = mode === 'signin' ? 'Sign In' : 'Create Account';
         }
     }
 
+    describeAuthError(error) {
+        return AUTH_ERROR_MESSAGES[error.code] || error.message;
+    }
+
+    // Sends a reset link to the address typed in the sign-in form
+    async sendPasswordReset() {
+        const email = document.getElementById('authEmail').value.trim();
+        if (!email) {
+            alert('Enter your email address first');
+            return;
+        }
+        
+        try {
+            await this.firebase.sendPasswordReset(email);
+            this.showSaveNotification(`If an account uses ${email}, a password reset link is on its way`, 'success');
+        } catch (error) {
+            console.error('Password reset error:', error);
+            this.showSaveNotification(`Error: ${this.describeAuthError(error)}`, 'error');
+        }
+    }
+
+    async sendVerificationEmail() {
+        try {
+            await this.firebase.sendVerificationEmail();
+            this.showSaveNotification('Verification email sent', 'success');
+        } catch (error) {
+            console.error('Verification email error:', error);
+            this.showSaveNotification(`Error: ${this.describeAuthError(error)}`, 'error');
+        }
+    }
+
+    async checkEmailVerification() {
+        try {
+            const user = await this.firebase.refreshCurrentUser();
+            if (user.emailVerified) {
+                logActivity('Account', 'Completed', 'Verified the account email');
+                this.showSaveNotification('Email verified!', 'success');
+            } else {
+                this.showSaveNotification('Not verified yet - open the link in the email first', 'error');
+            }
+            this.updateAuthStatus();
+        } catch (error) {
+            console.error('Verification check error:', error);
+            this.showSaveNotification(`Error: ${this.describeAuthError(error)}`, 'error');
+        }
+    }
+
+    // action: 'email' | 'password' | 'delete'. Each asks for the current password, since Firebase
+    // only allows these changes right after signing in.
+    showAccountModal(action) {
+        const modal = document.getElementById('accountModal');
+        if (!modal) return;
+        
+        const titles = { email: 'Change Email', password: 'Change Password', delete: 'Delete Account' };
+        const messages = {
+            email: 'We will send a confirmation link to the new address. The change takes effect once you open it.',
+            password: 'Choose a new password of at least 6 characters.',
+            delete: 'This permanently deletes your account and all its data in the cloud and on this device.'
+        };
+        
+        document.getElementById('accountModalTitle').textContent = titles[action];
+        document.getElementById('accountModalMessage').textContent = messages[action];
+        document.getElementById('accountEmailGroup').style.display = action === 'email' ? 'block' : 'none';
+        document.getElementById('accountPasswordGroup').style.display = action === 'password' ? 'block' : 'none';
+        document.getElementById('accountConfirmGroup').style.display = action === 'password' ? 'block' : 'none';
+        ['accountNewEmail', 'accountNewPassword', 'accountConfirmPassword', 'accountCurrentPassword']
+            .forEach(id => { document.getElementById(id).value = ''; });
+        
+        const submitBtn = document.getElementById('accountSubmitBtn');
+        submitBtn.textContent = titles[action];
+        submitBtn.className = action === 'delete' ? 'btn btn-danger' : 'btn btn-primary';
+        
+        modal.style.display = 'flex';
+        modal.classList.add('open');
+        
+        document.getElementById('accountForm').onsubmit = (e) => {
+            e.preventDefault();
+            this.handleAccountSubmit(action);
+        };
+        document.getElementById('accountModalClose').onclick = () => this.hideAccountModal();
+    }
+
+    hideAccountModal() {
+        const modal = document.getElementById('accountModal');
+        if (modal) {
+            modal.classList.remove('open');
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 300);
+        }
+    }
+
+    async handleAccountSubmit(action) {
+        const currentPassword = document.getElementById('accountCurrentPassword').value;
+        const newEmail = document.getElementById('accountNewEmail').value.trim();
+        const newPassword = document.getElementById('accountNewPassword').value;
+        const submitBtn = document.getElementById('accountSubmitBtn');
+        
+        if (!currentPassword || (action === 'email' && !newEmail) || (action === 'password' && !newPassword)) {
+            alert('Please fill in all fields');
+            return;
+        }
+        if (action === 'password' && newPassword.length < 6) {
+            alert('Password must be at least 6 characters long');
+            return;
+        }
+        if (action === 'password' && newPassword !== document.getElementById('accountConfirmPassword').value) {
+            alert('The new passwords do not match');
+            return;
+        }
+        
+        const label = submitBtn.textContent;
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Please wait...';
+        
+        try {
+            if (action === 'email') {
+                await this.firebase.changeEmail(newEmail, currentPassword);
+                logActivity('Account', 'Updated', 'Requested a change of the account email');
+                this.showSaveNotification(`Open the link sent to ${newEmail} to finish the change`, 'success');
+            } else if (action === 'password') {
+                await this.firebase.changePassword(currentPassword, newPassword);
+                logActivity('Account', 'Updated', 'Changed the account password');
+                this.showSaveNotification('Password changed', 'success');
+            } else {
+                this.showServerActivity('Deleting your account...');
+                const summary = await this.firebase.deleteAccount(currentPassword);
+                setTimeout(() => this.hideServerActivity(), 500);
+                
+                logActivity('Account', 'Completed', `Deleted the account and ${summary.total} stored items`);
+                this.showSaveNotification('Your account and all its data were deleted', 'success');
+                alert(this.describeDeletedData(summary));
+            }
+            
+            this.hideAccountModal();
+            this.updateAuthStatus();
+        } catch (error) {
+            console.error('Account change error:', error);
+            if (action === 'delete') {
+                this.showServerError('Delete failed');
+                setTimeout(() => this.hideServerActivity(), 2000);
+            }
+            this.showSaveNotification(`Error: ${this.describeAuthError(error)}`, 'error');
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.textContent = label;
+        }
+    }
+
+    async deleteAccount() {
+        const confirmed = confirm(
+            '⚠️ DELETE YOUR ACCOUNT?\n\n' +
+            'This will first permanently delete ALL your data in the cloud and on this device, ' +
+            'then the account itself.\n\n' +
+            '⚠️ This action cannot be undone!\n\n' +
+            'Click OK to continue or Cancel to keep your account.'
+        );
+        if (!confirmed) return;
+        
+        this.showAccountModal('delete');
+    }
+
+    async offerGuestDataMigration() {
+        if (!this.firebase.isUserAuthenticated()) return;
+        
+        const userId = this.firebase.userId;
+        let preview;
+        try {
+            preview = await this.firebase.accountMigration.preview('anonymous_user', userId);
+        } catch (error) {
+            console.error('❌ Error previewing guest data:', error);
+            this.showSaveNotification(`Guest data was not moved: ${error.message}`, 'error');
+            return;
+        }
+        if (preview.total === 0) return;
+        
+        const lines = preview.collections.map(entry => {
+            let note = '';
+            if (entry.collisions > 0) {
+                note = entry.type === 'document'
+                    ? ' (your account already has one - it is kept)'
+                    : ` (${entry.collisions} get new IDs - already used in your account)`;
+            }
+            return `• ${entry.collection}: ${entry.records}${note}`;
+        });
+        
+        const confirmed = confirm(
+            'Move the data you created as a guest into this account?\n\n' +
+            `${lines.join('\n')}\n\n` +
+            'Click OK to move it or Cancel to leave it as guest data.'
+        );
+        if (!confirmed) return;
+        
+        this.showServerActivity(`Moving ${preview.total} records to your account...`);
+        const summary = await this.firebase.migrateAnonymousDataToUser(userId);
+        setTimeout(() => this.hideServerActivity(), 500);
+        
+        if (summary) {
+            logActivity('Account', 'Completed', `Moved ${summary.moved} guest records into the account`);
+            this.showSaveNotification(`Moved ${summary.moved} records to your account${summary.renumbered > 0 ? ` (${summary.renumbered} with new IDs)` : ''}`, 'success');
+        } else {
+            this.showSaveNotification('Moving guest data was interrupted - it will resume the next time you sign in', 'error');
+        }
+    }
+
     async clearAllData() {
         // Show options dialog
         const choice = confirm(
@@ -2980,10 +4153,14 @@ class SecondBrain {
         try {
             // Clear all local storage data only
             localStorage.clear();
+            await this.firebase.local.clear();
             console.log('🧹 Local storage cleared (server data preserved)');
             
             // Reset app state
             this.crm = null;
+            if (this.pomodoro) {
+                this.pomodoro.dispose();
+            }
             this.pomodoro = null;
             this.completedTasks = null;
             
@@ -3008,9 +4185,10 @@ class SecondBrain {
         const confirmed = confirm(
             '⚠️ PERMANENTLY DELETE ALL DATA?\n\n' +
             'This will permanently delete ALL your data including:\n' +
-            '• All projects and tasks\n' +
-            '• All Pomodoro sessions and history\n' +
-            '• All settings and preferences\n\n' +
+            '• All projects, tasks and notes\n' +
+            '• All wallet transactions, goals and habits\n' +
+            '• All calendar events and Pomodoro sessions\n' +
+            '• Backups and offline copies on this device\n\n' +
             '⚠️ This action cannot be undone!\n' +
             '⚠️ Your data will be lost forever!\n\n' +
             'Click OK to permanently delete or Cancel to keep your data.'
@@ -3021,20 +4199,23 @@ class SecondBrain {
         }
         
         try {
-            // Clear all local storage data
-            localStorage.clear();
-            console.log('🧹 Local storage cleared');
-            
-            // Clear Firebase data permanently
-            await this.firebase.clearUserData();
+            // Every collection in the cloud and on this device
+            this.showServerActivity('Deleting all data...');
+            const summary = await this.firebase.clearUserData();
+            setTimeout(() => this.hideServerActivity(), 500);
             
             // Reset app state
+            activityLogs = [];
             this.crm = null;
+            if (this.pomodoro) {
+                this.pomodoro.dispose();
+            }
             this.pomodoro = null;
             this.completedTasks = null;
             
-            // Show success message
-            this.showSaveNotification('All data permanently deleted!', 'success');
+            // Show what was deleted
+            this.showSaveNotification(`All data permanently deleted (${summary.total} items)`, 'success');
+            alert(this.describeDeletedData(summary));
             
             // Update auth status
             this.updateAuthStatus();
@@ -3046,16 +4227,32 @@ class SecondBrain {
             
         } catch (error) {
             console.error('Permanent delete error:', error);
+            this.showServerError('Delete failed');
+            setTimeout(() => this.hideServerActivity(), 2000);
             this.showSaveNotification(`Error deleting data: ${error.message}`, 'error');
         }
     }
 
+    describeDeletedData(summary) {
+        const lines = (place) => Object.entries(summary[place])
+            .map(([name, count]) => `• ${name}: ${count}`)
+            .join('\n') || '• nothing';
+        
+        return `Deleted ${summary.total} items\n\n` +
+            `☁️ Cloud:\n${lines('cloud')}\n\n` +
+            `📱 This device:\n${lines('device')}`;
+    }
+
     async reloadModulesForUser() {
         try {
             console.log('🔄 Reloading modules for user:', this.firebase.userId);
+            await loadActivityLogs();
             
             // Reset app state
             this.crm = null;
+            if (this.pomodoro) {
+                this.pomodoro.dispose();
+            }
             this.pomodoro = null;
             this.completedTasks = null;
             this.calendar = null;
@@ -3086,6 +4283,10 @@ class SecondBrain {
                 await this.initializeAnalytics();
             }
             
+            // Settings and the switcher follow the user's open workspace
+            reloadWorkspaceSettings();
+            this.renderWorkspaceSwitcher();
+            
             // Update auth status
             this.updateAuthStatus();
             
@@ -3095,6 +4296,58 @@ class SecondBrain {
         }
     }
 
+    // After a collection was replaced behind the managers' back: managers with
+    // forceReloadFromFirebase reload just their data, the others are rebuilt
+    async reloadCollection(collection) {
+        const manager = {
+            projects: this.crm,
+            wallet_transactions: this.wallet,
+            goals: this.goals
+        }[collection];
+        
+        if (manager && typeof manager.forceReloadFromFirebase === 'function') {
+            await manager.forceReloadFromFirebase();
+        } else {
+            await this.reloadModulesForUser();
+        }
+    }
+
+    renderWorkspaceSwitcher() {
+        const select = document.getElementById('workspaceSelect');
+        if (!select || !this.firebase) return;
+        
+        const workspaces = this.firebase.workspaces;
+        select.innerHTML = '';
+        workspaces.getAll().forEach(workspace => select.add(new Option(workspace.name, workspace.id)));
+        select.value = workspaces.current().id;
+    }
+
+    // Everything on screen is reloaded with the other workspace's data, widgets and settings
+    async switchWorkspace(workspaceId) {
+        if (workspaceId === this.firebase.workspaceId) return;
+        
+        try {
+            this.firebase.workspaces.switchTo(workspaceId);
+            if (window.dashboardWidgets) {
+                window.dashboardWidgets.restoreWidgets();
+            }
+            await this.reloadModulesForUser();
+            
+            // Modules that load their data when opened
+            if (this.currentModule === 'settings' || this.currentModule === 'trash') {
+                this.switchModule(this.currentModule);
+            }
+            
+            const name = this.firebase.workspaces.current().name;
+            logActivity('Workspaces', 'Updated', `Switched to the "${name}" workspace`);
+            this.showSaveNotification(`Switched to ${name}`, 'success');
+        } catch (error) {
+            console.error('❌ Error switching workspace:', error);
+            this.showSaveNotification(`Error switching workspace: ${error.message}`, 'error');
+            this.renderWorkspaceSwitcher();
+        }
+    }
+
     async signOut() {
         // Show confirmation dialog
         const confirmed = confirm(
@@ -3113,6 +4366,7 @@ class SecondBrain {
         try {
             // Clear all local storage data (device only)
             localStorage.clear();
+            await this.firebase.local.clear();
             console.log('🧹 Local storage cleared');
             
             // Sign out (but keep data on Firebase server)
@@ -3120,6 +4374,9 @@ class SecondBrain {
             
             // Reset app state
             this.crm = null;
+            if (this.pomodoro) {
+                this.pomodoro.dispose();
+            }
             this.pomodoro = null;
             this.completedTasks = null;
             
@@ -3150,6 +4407,39 @@ class SecondBrain {
         }
     }
 
+    // Asks for the passphrase until the encrypted data is unlocked or the user leaves it locked
+    async promptUnlock() {
+        if (this.unlocking) return;
+        
+        this.unlocking = true;
+        try {
+            while (this.firebase.encryption.locked) {
+                const passphrase = await askPassphrase({
+                    title: 'Unlock Your Data',
+                    message: 'Some of your data is encrypted. Enter your passphrase to read and edit it on this device.',
+                    submitLabel: 'Unlock'
+                });
+                if (passphrase === null) {
+                    showNotification('Encrypted data stays locked - unlock it in Settings', 'warning');
+                    return;
+                }
+                
+                try {
+                    await this.firebase.encryption.unlock(passphrase);
+                } catch (error) {
+                    showNotification(error.message, 'error');
+                }
+            }
+            
+            logActivity('Settings', 'Completed', 'Unlocked encrypted data');
+            await this.reloadModulesForUser();
+            renderEncryptionSettings();
+            showNotification('Encrypted data unlocked');
+        } finally {
+            this.unlocking = false;
+        }
+    }
+
     async testFirebaseConnection() {
         const testBtn = document.getElementById('testFirebaseBtn');
         if (!testBtn) return;
@@ -3185,7 +4475,7 @@ class SecondBrain {
         
         // Create a test project
         const testProject = {
-            id: 999,
+            id: createRecordId(),
             name: 'Test Project - Firebase Save',
             description: 'This is a test project to verify Firebase saving works',
             deadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 7 days from now
@@ -3195,7 +4485,7 @@ class SecondBrain {
             },
             tasks: [
                 {
-                    id: 1,
+                    id: createRecordId(),
                     name: 'Test Task 1',
                     description: 'First test task',
                     price: 100,
@@ -3228,7 +4518,7 @@ class SecondBrain {
         // Clean up test data after 30 seconds
         setTimeout(async () => {
             try {
-                await this.firebase.deleteDocument('projects', '999');
+                await this.firebase.deleteDocument('projects', testProject.id);
                 await this.firebase.deleteDocument('pomodoro_sessions', testSession.id || 'test');
                 console.log('🧹 Test data cleaned up');
             } catch (error) {
@@ -3306,6 +4596,7 @@ class SecondBrain {
         await this.wallet.loadTransactions();
         this.wallet.renderTransactions();
         this.wallet.updateStats();
+        this.wallet.subscribeToChanges();
         this.setupWalletEventListeners();
         console.log('✅ Wallet module initialized successfully');
     }
@@ -3318,6 +4609,15 @@ class SecondBrain {
                 this.wallet.showAddTransactionModal();
             });
         }
+        
+        // CSV export and import
+        const exportCsvBtn = document.getElementById('exportWalletCsvBtn');
+        const importCsvBtn = document.getElementById('importWalletCsvBtn');
+        if (exportCsvBtn) exportCsvBtn.addEventListener('click', () => this.wallet.exportCsv());
+        if (importCsvBtn) importCsvBtn.addEventListener('click', () => this.wallet.chooseCsvFile());
+        
+        const importStatementBtn = document.getElementById('importWalletStatementBtn');
+        if (importStatementBtn) importStatementBtn.addEventListener('click', () => this.wallet.chooseStatementFile());
     }
 
     // Notes Methods
@@ -3327,6 +4627,7 @@ class SecondBrain {
         await this.notes.loadNotes();
         this.notes.renderNotes();
         this.notes.updateStats();
+        this.notes.subscribeToChanges();
         this.setupNotesEventListeners();
         console.log('✅ Notes module initialized successfully');
     }
@@ -3339,6 +4640,12 @@ class SecondBrain {
                 this.notes.showAddNoteModal();
             });
         }
+        
+        // Markdown vault export and import
+        const exportVaultBtn = document.getElementById('exportNotesVaultBtn');
+        const importNotesBtn = document.getElementById('importNotesBtn');
+        if (exportVaultBtn) exportVaultBtn.addEventListener('click', () => this.notes.exportVault());
+        if (importNotesBtn) importNotesBtn.addEventListener('click', () => this.notes.showImportNotesModal());
     }
 
     // Tasks Methods
@@ -3348,6 +4655,7 @@ class SecondBrain {
         await this.tasks.loadTasks();
         this.tasks.renderTasks();
         this.tasks.updateStats();
+        this.tasks.subscribeToChanges();
         this.setupTasksEventListeners();
         console.log('✅ Tasks module initialized successfully');
     }
@@ -3358,6 +4666,7 @@ class SecondBrain {
         await this.goals.loadGoals();
         this.goals.renderGoals();
         this.goals.updateStats();
+        this.goals.subscribeToChanges();
         this.setupGoalsEventListeners();
         console.log('✅ Goals module initialized successfully');
     }
@@ -3492,7 +4801,9 @@ class SecondBrain {
     hideServerActivity() {
         if (this.serverIndicator) {
             this.serverIndicator.classList.remove('active');
-            this.serverIndicator.setAttribute('data-status', 'Connected');
+            
+            const writes = this.firebase ? this.firebase.writeStats.writes : 0;
+            this.serverIndicator.setAttribute('data-status', `Connected · ${writes} ${writes === 1 ? 'write' : 'writes'} this session`);
         }
     }
 
@@ -3583,21 +4894,9 @@ class CompletedTasksManager {
             dateEnd: '',
             search: ''
         };
-        this.cache = {
-            tasks: null,
-            lastUpdated: null,
-            cacheTimeout: 15000 // 15 seconds cache for completed tasks
-        };
         this.isLoading = false;
     }
 
-    // Cache management
-    invalidateCache() {
-        this.cache.tasks = null;
-        this.cache.lastUpdated = null;
-        console.log('🗑️ Completed tasks cache invalidated');
-    }
-
     // Debounced search for better performance
     debounce(func, wait) {
         let timeout;
@@ -3611,27 +4910,14 @@ class CompletedTasksManager {
         };
     }
 
-    loadCompletedTasks(forceReload = false) {
+    // Completed tasks are read from the CRM projects in memory, which FirebaseService keeps cached
+    loadCompletedTasks() {
         // Prevent multiple simultaneous loads
         if (this.isLoading) {
             console.log('⏳ Completed tasks loading already in progress, skipping...');
             return;
         }
 
-        // Check cache first
-        if (!forceReload && this.cache.tasks && this.cache.lastUpdated) {
-            const now = Date.now();
-            if (now - this.cache.lastUpdated < this.cache.cacheTimeout) {
-                console.log('📦 Using cached completed tasks data');
-                this.completedTasks = this.cache.tasks;
-                this.filteredTasks = [...this.completedTasks];
-                this.updateProjectFilter();
-                this.renderCompletedTasks();
-                this.updateStats();
-                return;
-            }
-        }
-
         this.isLoading = true;
         
         try {
@@ -3647,10 +4933,6 @@ class CompletedTasksManager {
             // Sort by completion date (newest first)
             this.completedTasks.sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
             
-            // Update cache
-            this.cache.tasks = [...this.completedTasks];
-            this.cache.lastUpdated = Date.now();
-            
             this.filteredTasks = [...this.completedTasks];
             this.updateProjectFilter();
             this.renderCompletedTasks();
@@ -3780,8 +5062,8 @@ class CompletedTasksManager {
         return `
             <div class="completed-task-item ${isSelected ? 'selected' : ''}" data-task-id="${task.id}">
                 <div class="task-selection-checkbox ${isSelected ? 'checked' : ''}" 
-                     onclick="event.stopPropagation(); window.secondBrain.completedTasks.toggleTaskSelection(${task.id})"></div>
-                <div class="completed-task-content" onclick="window.secondBrain.completedTasks.toggleTaskSelection(${task.id})">
+                     onclick="event.stopPropagation(); window.secondBrain.completedTasks.toggleTaskSelection('${task.id}')"></div>
+                <div class="completed-task-content" onclick="window.secondBrain.completedTasks.toggleTaskSelection('${task.id}')">
                     <div class="completed-task-header">
                         <div class="completed-task-info">
                             <h3 class="completed-task-name">${task.name}</h3>
@@ -3819,7 +5101,7 @@ class CompletedTasksManager {
                     </div>
                     <div class="completed-task-meta">
                         ${task.price > 0 ? `<div class="completed-task-price">₹${task.price.toLocaleString()}</div>` : ''}
-                        <button class="edit-completion-date-btn" onclick="event.stopPropagation(); window.secondBrain.completedTasks.openEditCompletionDateModal(${task.id})" title="Edit completion date">
+                        <button class="edit-completion-date-btn" onclick="event.stopPropagation(); window.secondBrain.completedTasks.openEditCompletionDateModal('${task.id}')" title="Edit completion date">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                                 <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
@@ -4438,13 +5720,13 @@ class NotesManager {
     constructor(firebaseService) {
         this.firebase = firebaseService;
         this.notes = [];
-        this.nextNoteId = 1;
+        this.dirtyTracker = new DirtyTracker();
     }
 
     // Note Management
     async addNote(title, content) {
         const note = {
-            id: this.nextNoteId++,
+            id: createRecordId(),
             title: title.trim(),
             content: content.trim(),
             userId: this.firebase ? this.firebase.userId : 'anonymous_user',
@@ -4474,10 +5756,13 @@ class NotesManager {
 
     async deleteNote(id) {
         try {
-            // Delete from Firebase first
-            if (this.firebase && this.firebase.isInitialized) {
-                await this.firebase.deleteDocument('notes', id.toString());
-                console.log('🗑️ Note deleted from Firebase:', id);
+            // Move to the trash first
+            const note = this.notes.find(n => n.id === id);
+            if (note) {
+                const entry = await this.firebase.recycleBin.trash('notes', note);
+                console.log('🗑️ Note moved to the trash:', id);
+                showUndoToast(`Note "${entry.label}" moved to the trash`,
+                    this.firebase.undoHistory.recordTrash(`Delete note "${entry.label}"`, entry));
             }
             
             // Remove from local array
@@ -4502,84 +5787,36 @@ class NotesManager {
     // Data Persistence
     async saveNotes() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                // Save each note to Firebase
-                for (const note of this.notes) {
-                    note.userId = this.firebase.userId;
-                    note.updatedAt = new Date().toISOString();
-                    await this.firebase.setDocument('notes', note.id.toString(), note);
-                }
-                
-                // Save counter
-                await this.firebase.setDocument('notes_counters', 'counters', {
-                    userId: this.firebase.userId,
-                    nextNoteId: this.nextNoteId,
-                    updatedAt: new Date().toISOString()
-                });
-                
-                console.log('📝 Notes saved to Firebase:', this.notes.length);
-            } else {
-                // Fallback to local storage
-                localStorage.setItem('notes', JSON.stringify(this.notes));
-                localStorage.setItem('notes_next_id', this.nextNoteId.toString());
-                console.log('📝 Notes saved to local storage:', this.notes.length);
-            }
+            // FirebaseService falls back to the local store when the cloud is unavailable
+            // Only records changed since the last load or save are written, in batches
+            const written = await this.firebase.saveChangedRecords(this.dirtyTracker, 'notes', this.notes);
             
-            // Always save to local storage as backup
-            localStorage.setItem('notes', JSON.stringify(this.notes));
-            localStorage.setItem('notes_next_id', this.nextNoteId.toString());
+            console.log(`📝 Notes saved: ${written} changed documents`);
         } catch (error) {
             console.error('Error saving notes:', error);
-            // Fallback to local storage
-            localStorage.setItem('notes', JSON.stringify(this.notes));
-            localStorage.setItem('notes_next_id', this.nextNoteId.toString());
         }
     }
 
     async loadNotes() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                // Load notes from Firebase
-                const firebaseNotes = await this.firebase.getCollection('notes');
-                if (firebaseNotes && firebaseNotes.length > 0) {
-                    // Filter notes by current user
-                    this.notes = firebaseNotes.filter(note => note.userId === this.firebase.userId);
-                    
-                    // Load counter
-                    const counter = await this.firebase.getDocument('notes_counters', 'counters');
-                    if (counter && counter.userId === this.firebase.userId) {
-                        this.nextNoteId = counter.nextNoteId || 1;
-                    } else {
-                        // Calculate next ID from existing notes
-                        this.nextNoteId = Math.max(...this.notes.map(n => n.id), 0) + 1;
-                    }
-                    console.log('📝 Notes loaded from Firebase:', this.notes.length);
-                } else {
-                    // No Firebase data, try local storage
-                    this.loadFromLocalStorage();
-                }
-            } else {
-                // Firebase not initialized, use local storage
-                this.loadFromLocalStorage();
-            }
+            const notes = await this.firebase.getCollection('notes');
+            // Filter notes by current user
+            this.notes = (notes || []).filter(note => note.userId === this.firebase.userId);
+            this.dirtyTracker.markClean(this.notes);
+            console.log('📝 Notes loaded:', this.notes.length);
         } catch (error) {
             console.error('Error loading notes:', error);
-            // Fallback to local storage
-            this.loadFromLocalStorage();
+            // Whatever was loaded before stays; the next load retries
         }
     }
 
-    loadFromLocalStorage() {
-        const savedNotes = localStorage.getItem('notes');
-        const savedNextId = localStorage.getItem('notes_next_id');
-
-        if (savedNotes) {
-            this.notes = JSON.parse(savedNotes);
-        }
-        if (savedNextId) {
-            this.nextNoteId = parseInt(savedNextId);
-        }
-        console.log('📝 Notes loaded from local storage:', this.notes.length);
+    // Apply note changes made in other tabs or on other devices
+    subscribeToChanges() {
+        this.firebase.subscribeToCollection('notes', (changes) => {
+            this.notes = this.firebase.applyRemoteChanges(this.notes, changes, this.dirtyTracker);
+            this.renderNotes();
+            this.updateStats();
+        });
     }
 
     // UI Methods
@@ -4605,13 +5842,13 @@ class NotesManager {
                 <div class="note-header">
                     <h3 class="note-title">${note.title}</h3>
                     <div class="note-actions">
-                        <button class="note-action-btn" onclick="window.secondBrain.notes.showEditNoteModal(${note.id})" title="Edit Note">
+                        <button class="note-action-btn" onclick="window.secondBrain.notes.showEditNoteModal('${note.id}')" title="Edit Note">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                                 <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                             </svg>
                         </button>
-                        <button class="note-action-btn" onclick="window.secondBrain.notes.deleteNote(${note.id}).catch(console.error)" title="Delete Note">
+                        <button class="note-action-btn" onclick="window.secondBrain.notes.deleteNote('${note.id}').catch(console.error)" title="Delete Note">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <polyline points="3,6 5,6 21,6"></polyline>
                                 <path d="M19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
@@ -4620,8 +5857,10 @@ class NotesManager {
                     </div>
                 </div>
                 <div class="note-content">${note.content}</div>
+                ${note.attachments && note.attachments.length > 0 ? `<div class="note-attachments">${note.attachments.map(attachment => `<img src="data:${attachment.type};base64,${attachment.data}" alt="">`).join('')}</div>` : ''}
                 <div class="note-meta">
                     <span class="note-date">${new Date(note.updatedAt).toLocaleDateString()}</span>
+                    ${note.tags && note.tags.length > 0 ? `<span class="note-tags">${note.tags.map(tag => `<span class="note-tag">#${tag}</span>`).join('')}</span>` : ''}
                 </div>
             </div>
         `).join('');
@@ -4645,58 +5884,37 @@ class NotesManager {
         }
     }
 
-    showAddNoteModal() {
-        this.createModal('Add New Note', this.getAddNoteModalContent(), async (formData) => {
-            await this.addNote(formData.title, formData.content);
-        });
-    }
-
-    showEditNoteModal(noteId) {
-        const note = this.notes.find(n => n.id === noteId);
-        if (!note) return;
-
-        this.createModal('Edit Note', this.getEditNoteModalContent(note), async (formData) => {
-            await this.editNote(noteId, formData.title, formData.content);
-        });
-    }
-
-    getAddNoteModalContent() {
-        return `
-            <form id="noteForm">
-                <div class="form-group">
-                    <label class="form-label" for="noteTitle">Title *</label>
-                    <input type="text" id="noteTitle" name="title" class="form-input" required>
-                </div>
-                <div class="form-group">
-                    <label class="form-label" for="noteContent">Content *</label>
-                    <textarea id="noteContent" name="content" class="form-textarea" rows="6" required></textarea>
-                </div>
-            </form>
-        `;
-    }
-
-    getEditNoteModalContent(note) {
-        return `
-            <form id="noteForm">
-                <div class="form-group">
-                    <label class="form-label" for="noteTitle">Title *</label>
-                    <input type="text" id="noteTitle" name="title" class="form-input" value="${note.title}" required>
-                </div>
-                <div class="form-group">
-                    <label class="form-label" for="noteContent">Content *</label>
-                    <textarea id="noteContent" name="content" class="form-textarea" rows="6" required>${note.content}</textarea>
-                </div>
-            </form>
-        `;
+    // Markdown vault (js/markdown-vault.js)
+    async exportVault() {
+        if (this.notes.length === 0) {
+            showNotification('There are no notes to export', 'warning');
+            return;
+        }
+        
+        try {
+            const url = URL.createObjectURL(await zipVault(this.notes));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `second-brain-notes-${new Date().toISOString().split('T')[0]}.zip`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('❌ Error exporting notes:', error);
+            showNotification(`Export failed: ${error.message}`, 'error');
+            return;
+        }
+        
+        logActivity('Notes', 'Completed', `Exported ${this.notes.length} notes as Markdown`);
+        showNotification(`Exported ${this.notes.length} notes`);
     }
-
-    createModal(title, content, onSubmit) {
+    
+    showImportNotesModal() {
         const modal = document.createElement('div');
         modal.className = 'modal';
         modal.innerHTML = `
             <div class="modal-content">
                 <div class="modal-header">
-                    <h3 class="modal-title">${title}</h3>
+                    <h3 class="modal-title">Import Notes</h3>
                     <button class="modal-close" onclick="this.closest('.modal').remove()">
                         <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -4704,22 +5922,318 @@ class NotesManager {
                         </svg>
                     </button>
                 </div>
-                <div class="modal-body">
-                    ${content}
-                </div>
-                <div class="modal-actions">
-                    <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
-                    <button class="btn btn-primary" id="submitNoteBtn">Save</button>
+                <div class="modal-body notes-import-sources">
+                    <button class="notes-import-source" data-source="markdown">
+                        <strong>Markdown files</strong>
+                        <span>.md files, or a zip of them such as an export from here</span>
+                    </button>
+                    <button class="notes-import-source" data-source="folder">
+                        <strong>Markdown folder</strong>
+                        <span>A folder of .md files, such as an Obsidian vault</span>
+                    </button>
+                    <button class="notes-import-source" data-source="evernote">
+                        <strong>Evernote</strong>
+                        <span>.enex files exported from Evernote</span>
+                    </button>
+                    <button class="notes-import-source" data-source="notion">
+                        <strong>Notion</strong>
+                        <span>The zip of a "Markdown &amp; CSV" export from Notion</span>
+                    </button>
                 </div>
             </div>
         `;
-
+        
         document.body.appendChild(modal);
-
-        const submitBtn = modal.querySelector('#submitNoteBtn');
-        submitBtn.addEventListener('click', async () => {
-            const form = modal.querySelector('#noteForm');
-            const formData = new FormData(form);
+        modal.querySelectorAll('.notes-import-source').forEach(button => {
+            button.addEventListener('click', () => {
+                modal.remove();
+                this.chooseImportFiles(button.dataset.source);
+            });
+        });
+    }
+    
+    // source: 'markdown', 'folder', 'evernote' or 'notion'
+    chooseImportFiles(source) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.multiple = true;
+        if (source === 'folder') {
+            input.webkitdirectory = true;
+        } else {
+            input.accept = { markdown: '.md,.markdown,.zip', evernote: '.enex,.zip', notion: '.zip,.md,.csv' }[source];
+        }
+        
+        input.onchange = async (e) => {
+            const files = [...e.target.files];
+            if (files.length === 0) return;
+            
+            try {
+                if (source === 'evernote' || source === 'notion') {
+                    const label = source === 'evernote' ? 'Evernote' : 'Notion';
+                    const report = await this.importFromApp(source, files);
+                    logActivity('Notes', 'Completed', `Imported ${report.imported.length} notes from ${label} (${report.converted.length} converted with losses, ${report.skipped.length} skipped)`);
+                    this.showImportReport(`Imported from ${label}`, report);
+                    return;
+                }
+                
+                const result = await this.importVault(files);
+                logActivity('Notes', 'Completed', `Imported Markdown notes: ${result.added} new, ${result.updated} updated, ${result.unchanged} unchanged`);
+                showNotification(`Imported notes: ${result.added} new, ${result.updated} updated, ${result.unchanged} unchanged`);
+            } catch (error) {
+                console.error('❌ Error importing notes:', error);
+                showNotification(`Import failed: ${error.message}`, 'error');
+            }
+        };
+        input.click();
+    }
+    
+    // Notes from Evernote or Notion exports (js/note-importers.js). Notes that are already here with
+    // the same title and content are skipped, so importing an export twice adds nothing new.
+    // Returns { imported: [title], converted: [{ title, issues }], skipped: [{ name, reason }] }.
+    async importFromApp(source, files) {
+        const entries = await readArchiveEntries(files);
+        const parsed = source === 'evernote' ? await parseEnexFiles(entries) : await parseNotionExport(entries);
+        const report = { imported: [], converted: [], skipped: parsed.skipped };
+        const now = new Date().toISOString();
+        
+        parsed.notes.forEach(imported => {
+            const title = imported.title || 'Untitled';
+            const duplicate = this.notes.some(note =>
+                (note.title || '').toLowerCase() === title.toLowerCase() &&
+                withoutAttachmentIds(note.content) === withoutAttachmentIds(imported.content));
+            if (duplicate) {
+                report.skipped.push({ name: title, reason: 'Already in your notes' });
+                return;
+            }
+            
+            const note = {
+                id: createRecordId(),
+                title: title,
+                content: imported.content,
+                tags: imported.tags,
+                userId: this.firebase ? this.firebase.userId : 'anonymous_user',
+                createdAt: imported.createdAt || now,
+                updatedAt: imported.updatedAt || imported.createdAt || now
+            };
+            if (imported.attachments.length > 0) {
+                note.attachments = imported.attachments;
+            }
+            this.notes.push(note);
+            report.imported.push(title);
+            if (imported.issues.length > 0) {
+                report.converted.push({ title: title, issues: [...new Set(imported.issues)] });
+            }
+        });
+        
+        if (report.imported.length > 0) {
+            await this.saveNotes();
+            this.renderNotes();
+            this.updateStats();
+        }
+        console.log(`📝 Imported ${report.imported.length} notes from ${source}, skipped ${report.skipped.length}`);
+        return report;
+    }
+    
+    // What an import brought in, what it converted with losses and what it skipped
+    showImportReport(title, report) {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3 class="modal-title"></h3>
+                    <button class="modal-close" onclick="this.closest('.modal').remove()">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                <div class="modal-body notes-import-report"></div>
+                <div class="modal-actions">
+                    <button class="btn btn-primary" onclick="this.closest('.modal').remove()">Done</button>
+                </div>
+            </div>
+        `;
+        modal.querySelector('.modal-title').textContent = title;
+        
+        const body = modal.querySelector('.notes-import-report');
+        const addSection = (heading, items, describe) => {
+            const section = document.createElement('div');
+            section.className = 'notes-import-report-section';
+            const header = document.createElement('h4');
+            header.textContent = `${heading} (${items.length})`;
+            section.appendChild(header);
+            
+            const list = document.createElement('ul');
+            items.forEach(item => {
+                const entry = document.createElement('li');
+                describe(entry, item);
+                list.appendChild(entry);
+            });
+            if (items.length > 0) section.appendChild(list);
+            body.appendChild(section);
+        };
+        
+        addSection('Imported', report.imported, (entry, noteTitle) => {
+            entry.textContent = noteTitle;
+        });
+        addSection('Converted with losses', report.converted, (entry, item) => {
+            const name = document.createElement('strong');
+            name.textContent = item.title;
+            entry.appendChild(name);
+            item.issues.forEach(issue => {
+                const detail = document.createElement('div');
+                detail.className = 'notes-import-issue';
+                detail.textContent = issue;
+                entry.appendChild(detail);
+            });
+        });
+        addSection('Skipped', report.skipped, (entry, item) => {
+            entry.textContent = `${item.name}: ${item.reason}`;
+        });
+        
+        document.body.appendChild(modal);
+    }
+    
+    // Notes of a vault are matched with existing ones by id, then by title, so exporting and
+    // importing again updates notes rather than duplicating them. New notes get an id of their own.
+    // Returns { added, updated, unchanged }.
+    async importVault(files) {
+        const entries = await readVaultFiles(files);
+        if (entries.length === 0) {
+            throw new Error('No Markdown files found');
+        }
+        
+        const result = { added: 0, updated: 0, unchanged: 0 };
+        const matched = new Set();
+        const now = new Date().toISOString();
+        for (const entry of entries) {
+            const imported = noteFromMarkdown(entry.path, entry.text);
+            if (!imported.title && !imported.content) continue;
+            
+            const note = this.findVaultMatch(imported, matched);
+            if (!note) {
+                const added = {
+                    id: createRecordId(),
+                    title: imported.title || 'Untitled',
+                    content: imported.content,
+                    tags: imported.tags,
+                    userId: this.firebase ? this.firebase.userId : 'anonymous_user',
+                    createdAt: imported.createdAt || now,
+                    updatedAt: imported.updatedAt || now
+                };
+                this.notes.push(added);
+                matched.add(added.id);
+                result.added++;
+                continue;
+            }
+            
+            matched.add(note.id);
+            const sameTags = normalizeVaultTags(note.tags).join('\n') === imported.tags.join('\n');
+            if (note.title === imported.title && note.content === imported.content && sameTags) {
+                result.unchanged++;
+                continue;
+            }
+            note.title = imported.title || note.title;
+            note.content = imported.content;
+            note.tags = imported.tags;
+            note.updatedAt = now;
+            result.updated++;
+        }
+        
+        await this.saveNotes();
+        this.renderNotes();
+        this.updateStats();
+        console.log(`📝 Imported Markdown notes: ${result.added} new, ${result.updated} updated, ${result.unchanged} unchanged`);
+        return result;
+    }
+    
+    // Each note is matched once, so two files with the same title stay two notes
+    findVaultMatch(imported, matched) {
+        if (imported.id) {
+            const byId = this.notes.find(note => String(note.id) === imported.id);
+            if (byId) return byId;
+        }
+        const title = imported.title.toLowerCase();
+        return this.notes.find(note => !matched.has(note.id) && (note.title || '').trim().toLowerCase() === title) || null;
+    }
+
+    showAddNoteModal() {
+        this.createModal('Add New Note', this.getAddNoteModalContent(), async (formData) => {
+            await this.addNote(formData.title, formData.content);
+        });
+    }
+
+    showEditNoteModal(noteId) {
+        const note = this.notes.find(n => n.id === noteId);
+        if (!note) return;
+
+        this.createModal('Edit Note', this.getEditNoteModalContent(note), async (formData) => {
+            await this.editNote(noteId, formData.title, formData.content);
+        });
+    }
+
+    getAddNoteModalContent() {
+        return `
+            <form id="noteForm">
+                <div class="form-group">
+                    <label class="form-label" for="noteTitle">Title *</label>
+                    <input type="text" id="noteTitle" name="title" class="form-input" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="noteContent">Content *</label>
+                    <textarea id="noteContent" name="content" class="form-textarea" rows="6" required></textarea>
+                </div>
+            </form>
+        `;
+    }
+
+    getEditNoteModalContent(note) {
+        return `
+            <form id="noteForm">
+                <div class="form-group">
+                    <label class="form-label" for="noteTitle">Title *</label>
+                    <input type="text" id="noteTitle" name="title" class="form-input" value="${note.title}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="noteContent">Content *</label>
+                    <textarea id="noteContent" name="content" class="form-textarea" rows="6" required>${note.content}</textarea>
+                </div>
+            </form>
+        `;
+    }
+
+    createModal(title, content, onSubmit) {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3 class="modal-title">${title}</h3>
+                    <button class="modal-close" onclick="this.closest('.modal').remove()">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    ${content}
+                </div>
+                <div class="modal-actions">
+                    <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+                    <button class="btn btn-primary" id="submitNoteBtn">Save</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const submitBtn = modal.querySelector('#submitNoteBtn');
+        submitBtn.addEventListener('click', async () => {
+            const form = modal.querySelector('#noteForm');
+            const formData = new FormData(form);
             const data = Object.fromEntries(formData.entries());
             
             if (data.title.trim() && data.content.trim()) {
@@ -4741,7 +6255,7 @@ class TasksManager {
     constructor(firebaseService) {
         this.firebase = firebaseService;
         this.tasks = [];
-        this.nextTaskId = 1;
+        this.dirtyTracker = new DirtyTracker();
         this.currentFilter = 'all';
         this.searchTerm = '';
     }
@@ -4749,7 +6263,7 @@ class TasksManager {
     // Task Management
     async addTask(title, description, priority = 'medium', dueDate = null) {
         const task = {
-            id: this.nextTaskId++,
+            id: createRecordId(),
             title: title.trim(),
             description: description.trim(),
             priority: priority,
@@ -4785,10 +6299,12 @@ class TasksManager {
     async toggleTask(id) {
         const task = this.tasks.find(t => t.id === id);
         if (task) {
+            const before = snapshotRecord(task);
             task.completed = !task.completed;
             task.updatedAt = new Date().toISOString();
             
             await this.saveTasks();
+            this.firebase.undoHistory.recordChange(`${task.completed ? 'Complete' : 'Reopen'} task "${task.title}"`, 'tasks', before, snapshotRecord(task));
             this.renderTasks();
             this.updateStats();
         }
@@ -4796,10 +6312,13 @@ class TasksManager {
 
     async deleteTask(id) {
         try {
-            // Delete from Firebase first
-            if (this.firebase && this.firebase.isInitialized) {
-                await this.firebase.deleteDocument('tasks', id.toString());
-                console.log('🗑️ Task deleted from Firebase:', id);
+            // Move to the trash first
+            const task = this.tasks.find(t => t.id === id);
+            if (task) {
+                const entry = await this.firebase.recycleBin.trash('tasks', task);
+                console.log('🗑️ Task moved to the trash:', id);
+                showUndoToast(`Task "${entry.label}" moved to the trash`,
+                    this.firebase.undoHistory.recordTrash(`Delete task "${entry.label}"`, entry));
             }
             
             // Remove from local array
@@ -4824,84 +6343,35 @@ class TasksManager {
     // Data Persistence
     async saveTasks() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                // Save each task to Firebase
-                for (const task of this.tasks) {
-                    task.userId = this.firebase.userId;
-                    task.updatedAt = new Date().toISOString();
-                    await this.firebase.setDocument('tasks', task.id.toString(), task);
-                }
-                
-                // Save counter
-                await this.firebase.setDocument('tasks_counters', 'counters', {
-                    userId: this.firebase.userId,
-                    nextTaskId: this.nextTaskId,
-                    updatedAt: new Date().toISOString()
-                });
-                
-                console.log('✅ Tasks saved to Firebase:', this.tasks.length);
-            } else {
-                // Fallback to local storage
-                localStorage.setItem('tasks', JSON.stringify(this.tasks));
-                localStorage.setItem('tasks_next_id', this.nextTaskId.toString());
-                console.log('✅ Tasks saved to local storage:', this.tasks.length);
-            }
+            // Only records changed since the last load or save are written, in batches
+            const written = await this.firebase.saveChangedRecords(this.dirtyTracker, 'tasks', this.tasks);
             
-            // Always save to local storage as backup
-            localStorage.setItem('tasks', JSON.stringify(this.tasks));
-            localStorage.setItem('tasks_next_id', this.nextTaskId.toString());
+            console.log(`✅ Tasks saved: ${written} changed documents`);
         } catch (error) {
             console.error('Error saving tasks:', error);
-            // Fallback to local storage
-            localStorage.setItem('tasks', JSON.stringify(this.tasks));
-            localStorage.setItem('tasks_next_id', this.nextTaskId.toString());
         }
     }
 
     async loadTasks() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                // Load tasks from Firebase
-                const firebaseTasks = await this.firebase.getCollection('tasks');
-                if (firebaseTasks && firebaseTasks.length > 0) {
-                    // Filter tasks by current user
-                    this.tasks = firebaseTasks.filter(task => task.userId === this.firebase.userId);
-                    
-                    // Load counter
-                    const counter = await this.firebase.getDocument('tasks_counters', 'counters');
-                    if (counter && counter.userId === this.firebase.userId) {
-                        this.nextTaskId = counter.nextTaskId || 1;
-                    } else {
-                        // Calculate next ID from existing tasks
-                        this.nextTaskId = Math.max(...this.tasks.map(t => t.id), 0) + 1;
-                    }
-                    console.log('✅ Tasks loaded from Firebase:', this.tasks.length);
-                } else {
-                    // No Firebase data, try local storage
-                    this.loadFromLocalStorage();
-                }
-            } else {
-                // Firebase not initialized, use local storage
-                this.loadFromLocalStorage();
-            }
+            const tasks = await this.firebase.getCollection('tasks');
+            // Filter tasks by current user
+            this.tasks = (tasks || []).filter(task => task.userId === this.firebase.userId);
+            this.dirtyTracker.markClean(this.tasks);
+            console.log('✅ Tasks loaded:', this.tasks.length);
         } catch (error) {
             console.error('Error loading tasks:', error);
-            // Fallback to local storage
-            this.loadFromLocalStorage();
+            // Whatever was loaded before stays; the next load retries
         }
     }
 
-    loadFromLocalStorage() {
-        const savedTasks = localStorage.getItem('tasks');
-        const savedNextId = localStorage.getItem('tasks_next_id');
-
-        if (savedTasks) {
-            this.tasks = JSON.parse(savedTasks);
-        }
-        if (savedNextId) {
-            this.nextTaskId = parseInt(savedNextId);
-        }
-        console.log('✅ Tasks loaded from local storage:', this.tasks.length);
+    // Apply task changes made in other tabs or on other devices
+    subscribeToChanges() {
+        this.firebase.subscribeToCollection('tasks', (changes) => {
+            this.tasks = this.firebase.applyRemoteChanges(this.tasks, changes, this.dirtyTracker);
+            this.renderTasks();
+            this.updateStats();
+        });
     }
 
     // UI Methods
@@ -4941,7 +6411,7 @@ class TasksManager {
                 <div class="task-header">
                     <div class="task-checkbox">
                         <input type="checkbox" ${task.completed ? 'checked' : ''} 
-                               onchange="window.secondBrain.tasks.toggleTask(${task.id}).catch(console.error)">
+                               onchange="window.secondBrain.tasks.toggleTask('${task.id}').catch(console.error)">
                     </div>
                     <div class="task-content">
                         <h3 class="task-title">${task.title}</h3>
@@ -4949,13 +6419,13 @@ class TasksManager {
                     </div>
                     <div class="task-actions">
                         <span class="task-priority priority-${task.priority}">${task.priority}</span>
-                        <button class="task-action-btn" onclick="window.secondBrain.tasks.showEditTaskModal(${task.id})" title="Edit Task">
+                        <button class="task-action-btn" onclick="window.secondBrain.tasks.showEditTaskModal('${task.id}')" title="Edit Task">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                                 <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                             </svg>
                         </button>
-                        <button class="task-action-btn" onclick="window.secondBrain.tasks.deleteTask(${task.id}).catch(console.error)" title="Delete Task">
+                        <button class="task-action-btn" onclick="window.secondBrain.tasks.deleteTask('${task.id}').catch(console.error)" title="Delete Task">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <polyline points="3,6 5,6 21,6"></polyline>
                                 <path d="M19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
@@ -5203,59 +6673,31 @@ let goals = [];
 // }
 
 async function loadGoals() {
+    if (!window.secondBrain || !window.secondBrain.firebase) return;
+    
     try {
-        if (window.secondBrain && window.secondBrain.firebase && window.secondBrain.firebase.isInitialized) {
-            // Load goals from Firebase
-            const firebaseGoals = await window.secondBrain.firebase.getCollection('simple_goals');
-            if (firebaseGoals && firebaseGoals.length > 0) {
-                // Filter goals by current user
-                goals = firebaseGoals.filter(goal => goal.userId === window.secondBrain.firebase.userId);
-                console.log('🎯 Simple goals loaded from Firebase:', goals.length);
-            } else {
-                // No Firebase data, try local storage
-                loadGoalsFromLocalStorage();
-            }
-        } else {
-            // Firebase not initialized, use local storage
-            loadGoalsFromLocalStorage();
-        }
+        const firebaseGoals = await window.secondBrain.firebase.getCollection('simple_goals');
+        // Filter goals by current user
+        goals = (firebaseGoals || []).filter(goal => goal.userId === window.secondBrain.firebase.userId);
+        console.log('🎯 Simple goals loaded:', goals.length);
     } catch (error) {
         console.error('Error loading simple goals:', error);
-        // Fallback to local storage
-        loadGoalsFromLocalStorage();
     }
 }
 
-function loadGoalsFromLocalStorage() {
-    const savedGoals = localStorage.getItem('goals');
-    if (savedGoals) {
-        goals = JSON.parse(savedGoals);
-    }
-    console.log('🎯 Simple goals loaded from local storage:', goals.length);
-}
-
 async function saveGoals() {
+    if (!window.secondBrain || !window.secondBrain.firebase) return;
+    
     try {
-        if (window.secondBrain && window.secondBrain.firebase && window.secondBrain.firebase.isInitialized) {
-            // Save each goal to Firebase
-            for (const goal of goals) {
-                goal.userId = window.secondBrain.firebase.userId;
-                goal.updatedAt = new Date().toISOString();
-                await window.secondBrain.firebase.setDocument('simple_goals', goal.id.toString(), goal);
-            }
-            console.log('🎯 Simple goals saved to Firebase:', goals.length);
-        } else {
-            // Fallback to local storage
-            localStorage.setItem('goals', JSON.stringify(goals));
-            console.log('🎯 Simple goals saved to local storage:', goals.length);
+        // Save each goal
+        for (const goal of goals) {
+            goal.userId = window.secondBrain.firebase.userId;
+            goal.updatedAt = new Date().toISOString();
+            await window.secondBrain.firebase.setDocument('simple_goals', goal.id.toString(), goal);
         }
-        
-        // Always save to local storage as backup
-        localStorage.setItem('goals', JSON.stringify(goals));
+        console.log('🎯 Simple goals saved:', goals.length);
     } catch (error) {
         console.error('Error saving simple goals:', error);
-        // Fallback to local storage
-        localStorage.setItem('goals', JSON.stringify(goals));
     }
 }
 
@@ -5354,10 +6796,10 @@ async function deleteGoal(id) {
     
     if (confirm('Are you sure you want to delete this goal?')) {
         try {
-            // Delete from Firebase first
-            if (window.secondBrain && window.secondBrain.firebase && window.secondBrain.firebase.isInitialized) {
-                await window.secondBrain.firebase.deleteDocument('simple_goals', id.toString());
-                console.log('🗑️ Goal deleted from Firebase:', id);
+            // Move to the trash first
+            if (window.secondBrain && window.secondBrain.firebase) {
+                await window.secondBrain.firebase.recycleBin.trash('simple_goals', goal);
+                console.log('🗑️ Goal moved to the trash:', id);
             }
             
             // Remove from local array
@@ -5456,13 +6898,40 @@ const defaultSettings = {
     firstDayOfWeek: 'monday',
     autoSaveInterval: 'immediate',
     confirmDialogs: true,
-    soundNotifications: false
+    soundNotifications: false,
+    trashRetentionDays: '30',
+    autoBackup: 'daily'
 };
 
+// Each workspace has its own settings (js/workspaces.js)
+function settingsStorageKey() {
+    const firebase = window.secondBrain && window.secondBrain.firebase;
+    return workspaceSettingsKey(firebase ? firebase.workspaceId : DEFAULT_WORKSPACE_ID);
+}
+
+function reloadWorkspaceSettings() {
+    settings = JSON.parse(localStorage.getItem(settingsStorageKey()) || '{}');
+}
+
+// Days deleted items stay in the trash; null keeps them until emptied by hand
+function getTrashRetentionDays() {
+    const days = parseInt(settings.trashRetentionDays || defaultSettings.trashRetentionDays);
+    return isNaN(days) ? null : days;
+}
+
+function isAutoBackupEnabled() {
+    return (settings.autoBackup || defaultSettings.autoBackup) !== 'off';
+}
+
 function initializeSettings() {
     loadSettings();
     setupSettingsEventListeners();
-    updateDataStats();
+    updateDataStats().catch(error => console.error('❌ Error updating data stats:', error));
+    renderBackupList().catch(error => console.error('❌ Error loading backups:', error));
+    renderSyncStatus().catch(error => console.error('❌ Error loading sync status:', error));
+    renderSyncConflicts().catch(error => console.error('❌ Error loading sync conflicts:', error));
+    renderEncryptionSettings();
+    renderWorkspaceSettings().catch(error => console.error('❌ Error loading workspaces:', error));
     applyTheme(currentTheme);
 }
 
@@ -5478,6 +6947,8 @@ function loadSettings() {
     document.getElementById('autoSaveInterval').value = settings.autoSaveInterval;
     document.getElementById('confirmDialogs').checked = settings.confirmDialogs;
     document.getElementById('soundNotifications').checked = settings.soundNotifications;
+    document.getElementById('trashRetentionDays').value = settings.trashRetentionDays;
+    document.getElementById('autoBackup').value = settings.autoBackup;
 }
 
 function setupSettingsEventListeners() {
@@ -5499,9 +6970,28 @@ function setupSettingsEventListeners() {
 
     // Data management
     document.getElementById('exportData').addEventListener('click', exportAllData);
+    document.getElementById('exportEncryptedData').addEventListener('click', exportEncryptedData);
     document.getElementById('importData').addEventListener('click', importData);
     document.getElementById('backupData').addEventListener('click', createBackup);
     document.getElementById('clearAllData').addEventListener('click', clearAllData);
+    document.getElementById('syncNow').addEventListener('click', syncPendingChanges);
+    document.getElementById('checkSyncStatus').addEventListener('click', () => {
+        renderSyncStatus({ forceRefresh: true }).catch(error => console.error('❌ Error loading sync status:', error));
+    });
+    document.getElementById('previewMigrations').addEventListener('click', previewMigrations);
+    document.getElementById('applyMigrations').addEventListener('click', applyMigrations);
+    
+    // Workspaces
+    document.getElementById('createWorkspace').addEventListener('click', createWorkspace);
+    document.getElementById('workspaceMoveCollection').addEventListener('change', () => {
+        renderWorkspaceMoveRecords().catch(error => console.error('❌ Error loading records to move:', error));
+    });
+    document.getElementById('moveWorkspaceRecords').addEventListener('click', moveWorkspaceRecords);
+    
+    // Encryption
+    document.getElementById('applyEncryption').addEventListener('click', applyEncryptionSettings);
+    document.getElementById('changePassphrase').addEventListener('click', changeEncryptionPassphrase);
+    document.getElementById('toggleEncryptionLock').addEventListener('click', toggleEncryptionLock);
     
     // Settings actions
     document.getElementById('saveSettings').addEventListener('click', saveAllSettings);
@@ -5535,10 +7025,12 @@ function saveAllSettings() {
         firstDayOfWeek: document.getElementById('firstDayOfWeek').value,
         autoSaveInterval: document.getElementById('autoSaveInterval').value,
         confirmDialogs: document.getElementById('confirmDialogs').checked,
-        soundNotifications: document.getElementById('soundNotifications').checked
+        soundNotifications: document.getElementById('soundNotifications').checked,
+        trashRetentionDays: document.getElementById('trashRetentionDays').value,
+        autoBackup: document.getElementById('autoBackup').value
     };
     
-    localStorage.setItem('appSettings', JSON.stringify(settings));
+    localStorage.setItem(settingsStorageKey(), JSON.stringify(settings));
     
     // Log the activity
     const changes = [];
@@ -5549,6 +7041,8 @@ function saveAllSettings() {
     if (oldSettings.autoSaveInterval !== settings.autoSaveInterval) changes.push(`Auto-save: ${oldSettings.autoSaveInterval} → ${settings.autoSaveInterval}`);
     if (oldSettings.confirmDialogs !== settings.confirmDialogs) changes.push(`Confirm Dialogs: ${oldSettings.confirmDialogs} → ${settings.confirmDialogs}`);
     if (oldSettings.soundNotifications !== settings.soundNotifications) changes.push(`Sound Notifications: ${oldSettings.soundNotifications} → ${settings.soundNotifications}`);
+    if (oldSettings.trashRetentionDays !== settings.trashRetentionDays) changes.push(`Empty Trash: ${oldSettings.trashRetentionDays} → ${settings.trashRetentionDays}`);
+    if (oldSettings.autoBackup !== settings.autoBackup) changes.push(`Automatic Backups: ${oldSettings.autoBackup} → ${settings.autoBackup}`);
     
     if (changes.length > 0) {
         logActivity('Settings', 'Updated', `Changed settings: ${changes.join(', ')}`);
@@ -5560,31 +7054,37 @@ function saveAllSettings() {
 function resetToDefaults() {
     if (confirm('Are you sure you want to reset all settings to defaults?')) {
         settings = { ...defaultSettings };
-        localStorage.setItem('appSettings', JSON.stringify(settings));
+        localStorage.setItem(settingsStorageKey(), JSON.stringify(settings));
         loadSettings();
         applyTheme(settings.theme);
         showNotification('Settings reset to defaults!');
     }
 }
 
-function exportAllData() {
-    const data = {
-        settings: settings,
-        goals: JSON.parse(localStorage.getItem('goals') || '[]'),
-        habits: JSON.parse(localStorage.getItem('habits_data') || '[]'),
-        wallet: JSON.parse(localStorage.getItem('wallet_data') || '[]'),
-        crm: JSON.parse(localStorage.getItem('crm_data') || '[]'),
-        exportDate: new Date().toISOString(),
-        version: '1.0.0'
-    };
-    
+// Every collection, the pomodoro documents, widgets, settings and activity log of the account,
+// with a checksum (js/data-export.js, described by js/export-schema.js)
+async function buildExport() {
+    return window.secondBrain.firebase.dataExport.build();
+}
+
+function downloadJson(data, filename) {
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `second-brain-backup-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
+}
+
+async function exportAllData() {
+    try {
+        downloadJson(await buildExport(), `second-brain-backup-${new Date().toISOString().split('T')[0]}.json`);
+    } catch (error) {
+        console.error('❌ Error exporting data:', error);
+        showNotification(`Export failed: ${error.message}`, 'error');
+        return;
+    }
     
     // Log the activity
     logActivity('Settings', 'Completed', 'Exported all app data as backup');
@@ -5592,94 +7092,901 @@ function exportAllData() {
     showNotification('Data exported successfully!');
 }
 
+// The file is encrypted with a passphrase asked for here, not the one of the account
+async function exportEncryptedData() {
+    const passphrase = await askPassphrase({
+        title: 'Encrypt Export',
+        message: 'The exported file can only be imported again with this passphrase.',
+        submitLabel: 'Export',
+        confirm: true
+    });
+    if (passphrase === null) return;
+    
+    try {
+        const file = await encryptExport(await buildExport(), passphrase);
+        downloadJson(file, `second-brain-backup-${new Date().toISOString().split('T')[0]}.encrypted.json`);
+    } catch (error) {
+        console.error('❌ Error exporting encrypted data:', error);
+        showNotification(`Export failed: ${error.message}`, 'error');
+        return;
+    }
+    
+    logActivity('Settings', 'Completed', 'Exported all app data as an encrypted backup');
+    showNotification('Encrypted export created!');
+}
+
+// Import wizard: the file being imported, as read by DataImport, and how it compares with the account
+let importWizard = null;
+
 function importData() {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
-    input.onchange = function(e) {
-        const file = e.target.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = function(e) {
-                try {
-                    const data = JSON.parse(e.target.result);
-                    
-                    if (data.settings) {
-                        localStorage.setItem('appSettings', JSON.stringify(data.settings));
-                        settings = data.settings;
-                    }
-                    if (data.goals) localStorage.setItem('goals', JSON.stringify(data.goals));
-                    if (data.habits) localStorage.setItem('habits_data', JSON.stringify(data.habits));
-                    if (data.wallet) localStorage.setItem('wallet_data', JSON.stringify(data.wallet));
-                    if (data.crm) localStorage.setItem('crm_data', JSON.stringify(data.crm));
-                    
-                    // Log the activity
-                    logActivity('Settings', 'Completed', 'Imported data from backup file');
-                    
-                    showNotification('Data imported successfully! Please refresh the page.');
-                } catch (error) {
-                    showNotification('Error importing data: Invalid file format', 'error');
-                }
-            };
-            reader.readAsText(file);
-        }
-    };
-    input.click();
+    openImportWizard();
 }
 
-function createBackup() {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const data = {
-        settings: settings,
-        goals: JSON.parse(localStorage.getItem('goals') || '[]'),
-        habits: JSON.parse(localStorage.getItem('habits_data') || '[]'),
-        wallet: JSON.parse(localStorage.getItem('wallet_data') || '[]'),
-        crm: JSON.parse(localStorage.getItem('crm_data') || '[]'),
-        backupDate: new Date().toISOString(),
-        version: '1.0.0'
-    };
-    
-    localStorage.setItem(`backup_${timestamp}`, JSON.stringify(data));
+// Without an intro the wizard asks for a file; restoring a backup passes its content instead
+function openImportWizard(intro = null) {
+    const modal = document.getElementById('importWizardModal');
+    importWizard = null;
+    document.getElementById('importWizardIntro').textContent = intro ||
+        'Choose a file made by Export All Data, Export Encrypted or an earlier version of Second Brain. Nothing is written until you confirm.';
+    document.getElementById('importWizardFileGroup').style.display = intro ? 'none' : 'block';
+    document.getElementById('importWizardFile').value = '';
+    document.getElementById('importWizardReview').style.display = 'none';
+    showImportErrors([]);
     
-    // Log the activity
-    logActivity('Settings', 'Completed', 'Created local backup with timestamp');
+    modal.style.display = 'flex';
+    modal.classList.add('open');
     
-    showNotification('Backup created successfully!');
+    document.getElementById('importWizardFile').onchange = (e) => {
+        if (e.target.files[0]) readImportFile(e.target.files[0]);
+    };
+    document.querySelectorAll('input[name="importMode"]').forEach(input => {
+        input.onchange = updateImportModeOptions;
+    });
+    document.getElementById('importWizardSubmit').onclick = runImport;
+    document.getElementById('importWizardCancel').onclick = closeImportWizard;
+    document.getElementById('importWizardClose').onclick = closeImportWizard;
 }
 
-function clearAllData() {
-    if (confirm('Are you sure you want to clear ALL data? This cannot be undone!')) {
-        if (confirm('This will delete everything. Are you absolutely sure?')) {
-            // Log the activity before clearing
-            logActivity('Settings', 'Completed', 'Cleared all app data - complete reset');
-            
-            localStorage.clear();
-            showNotification('All data cleared. Page will refresh.', 'warning');
-            setTimeout(() => location.reload(), 2000);
-        }
-    }
+function closeImportWizard() {
+    const modal = document.getElementById('importWizardModal');
+    modal.classList.remove('open');
+    modal.style.display = 'none';
+    importWizard = null;
 }
 
-function updateDataStats() {
-    const stats = {
-        goals: JSON.parse(localStorage.getItem('goals') || '[]').length,
-        habits: JSON.parse(localStorage.getItem('habits_data') || '[]').length,
-        wallet: JSON.parse(localStorage.getItem('wallet_data') || '[]').length,
-        crm: JSON.parse(localStorage.getItem('crm_data') || '[]').length
-    };
+function showImportErrors(errors, total = errors.length) {
+    const container = document.getElementById('importWizardErrors');
+    container.innerHTML = '';
+    container.style.display = errors.length > 0 ? 'block' : 'none';
+    if (errors.length === 0) return;
     
-    const statsContent = document.getElementById('statsContent');
-    statsContent.innerHTML = `
-        <div class="stat-item">Goals: ${stats.goals}</div>
-        <div class="stat-item">Habits: ${stats.habits}</div>
-        <div class="stat-item">Wallet Transactions: ${stats.wallet}</div>
-        <div class="stat-item">CRM Projects: ${stats.crm}</div>
-    `;
+    const title = document.createElement('p');
+    title.textContent = 'This file cannot be imported:';
+    const list = document.createElement('ul');
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    });
+    if (total > errors.length) {
+        const more = document.createElement('li');
+        more.textContent = `... and ${total - errors.length} more`;
+        list.appendChild(more);
+    }
+    container.appendChild(title);
+    container.appendChild(list);
 }
 
-function showNotification(message, type = 'success') {
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${type}`;
+// Checks the chosen file and compares it with the account; nothing is written yet
+async function readImportFile(file) {
+    const modal = document.getElementById('importWizardModal');
+    document.getElementById('importWizardReview').style.display = 'none';
+    showImportErrors([]);
+    importWizard = null;
+    
+    let content;
+    try {
+        content = JSON.parse(await file.text());
+    } catch (error) {
+        showImportErrors(['The file is not valid JSON']);
+        return;
+    }
+    
+    if (isEncryptedExport(content)) {
+        // The passphrase prompt would open underneath the wizard
+        modal.style.display = 'none';
+        const passphrase = await askPassphrase({
+            title: 'Encrypted Export',
+            message: 'Enter the passphrase this file was exported with.',
+            submitLabel: 'Import'
+        });
+        modal.style.display = 'flex';
+        if (passphrase === null) return;
+        
+        try {
+            content = await decryptExport(content, passphrase);
+        } catch (error) {
+            showImportErrors([error.message]);
+            return;
+        }
+    }
+    
+    await loadImportContent(content);
+}
+
+// Checks the content of a file or backup and compares it with the account
+async function loadImportContent(content) {
+    const dataImport = window.secondBrain.firebase.dataImport;
+    try {
+        const result = await dataImport.read(content);
+        if (result.errors.length > 0) {
+            showImportErrors(result.errors, result.errorCount);
+            return;
+        }
+        importWizard = {
+            file: result.file,
+            checksumValid: result.checksumValid,
+            rows: await dataImport.compare(result.file)
+        };
+    } catch (error) {
+        console.error('❌ Error reading import file:', error);
+        showImportErrors([error.message]);
+        return;
+    }
+    
+    renderImportReview();
+}
+
+function renderImportReview() {
+    const { file, checksumValid, rows } = importWizard;
+    
+    const exported = file.exportDate ? new Date(file.exportDate).toLocaleString() : 'an unknown date';
+    let checksum;
+    if (checksumValid === null) {
+        checksum = `The file is from an earlier version and has no checksum. Its items join the "${window.secondBrain.firebase.workspaces.current().name}" workspace.`;
+    } else if (checksumValid) {
+        checksum = 'The checksum matches.';
+    } else {
+        checksum = 'Warning: the file does not match its checksum. It was changed or damaged after it was exported.';
+    }
+    document.getElementById('importWizardSource').textContent = `Exported on ${exported}. ${checksum}`;
+    
+    // Modules neither the file nor the account has items of are left out
+    const shown = rows.filter(row => row.statuses.size + row.removedKeys.length > 0);
+    document.getElementById('importWizardDiff').innerHTML = shown.map(row => `
+        <tr class="${row.conflicting > 0 ? 'import-diff-conflict' : ''}">
+            <td>${row.label}</td>
+            <td>${row.added}</td>
+            <td>${row.changed}</td>
+            <td>${row.conflicting}</td>
+            <td>${row.unchanged}</td>
+            <td>${row.removedKeys.length}</td>
+        </tr>
+    `).join('') || '<tr><td colspan="6">Neither the file nor the account holds any items</td></tr>';
+    
+    document.querySelector('input[name="importMode"][value="merge"]').checked = true;
+    document.getElementById('importOverwriteConflicts').checked = false;
+    updateImportModeOptions();
+    document.getElementById('importWizardReview').style.display = 'block';
+}
+
+// Replacing always takes the file's version of conflicting items
+function updateImportModeOptions() {
+    const mode = document.querySelector('input[name="importMode"]:checked').value;
+    document.getElementById('importOverwriteGroup').style.display = mode === 'merge' ? 'block' : 'none';
+}
+
+async function runImport() {
+    if (!importWizard) return;
+    
+    const { file, checksumValid, rows } = importWizard;
+    const mode = document.querySelector('input[name="importMode"]:checked').value;
+    if (checksumValid === false && !confirm('The file does not match its checksum. Import it anyway?')) {
+        return;
+    }
+    const removed = rows.reduce((total, row) => total + row.removedKeys.length, 0);
+    if (mode === 'replace' && removed > 0 && !confirm(`Replacing deletes ${removed} items that are only in the account. Continue?`)) {
+        return;
+    }
+    
+    const submitBtn = document.getElementById('importWizardSubmit');
+    submitBtn.disabled = true;
+    let result;
+    try {
+        result = await window.secondBrain.firebase.dataImport.apply(file, rows, {
+            mode: mode,
+            overwriteConflicts: document.getElementById('importOverwriteConflicts').checked
+        });
+    } catch (error) {
+        console.error('❌ Error importing data:', error);
+        showNotification(`Import failed: ${error.message}`, 'error');
+        return;
+    } finally {
+        submitBtn.disabled = false;
+    }
+    closeImportWizard();
+    
+    // Settings, widgets and the activity log were written on this device
+    reloadWorkspaceSettings();
+    applyTheme(settings.theme);
+    if (window.dashboardWidgets) window.dashboardWidgets.restoreWidgets();
+    await window.secondBrain.reloadModulesForUser();
+    if (window.secondBrain.currentModule === 'settings') {
+        window.secondBrain.switchModule('settings');
+    }
+    
+    logActivity('Settings', 'Completed', `Imported data (${mode}): ${result.written} items written, ${result.deleted} deleted`);
+    showNotification(`Import complete: ${result.written} items written${result.deleted > 0 ? `, ${result.deleted} deleted` : ''}`);
+}
+
+async function createBackup() {
+    try {
+        await window.secondBrain.firebase.backups.create('manual');
+    } catch (error) {
+        console.error('❌ Error creating backup:', error);
+        showNotification(`Backup failed: ${error.message}`, 'error');
+        return;
+    }
+    
+    // Log the activity
+    logActivity('Settings', 'Completed', 'Created local backup with timestamp');
+    
+    showNotification('Backup created successfully!');
+    refreshBackupViews();
+}
+
+function refreshBackupViews() {
+    renderBackupList().catch(error => console.error('❌ Error loading backups:', error));
+    updateDataStats().catch(error => console.error('❌ Error updating data stats:', error));
+}
+
+async function renderBackupList() {
+    const container = document.getElementById('backupList');
+    if (!container) return;
+    
+    const backups = await window.secondBrain.firebase.backups.list();
+    if (backups.length === 0) {
+        container.innerHTML = '<div class="backup-empty">No backups yet</div>';
+        return;
+    }
+    
+    const kinds = { manual: 'Made by hand', auto: 'Automatic' };
+    container.innerHTML = backups.map(backup => {
+        const meta = [kinds[backup.kind], storageMonitor.formatBytes(backup.size), backup.encrypted ? 'Encrypted' : null]
+            .filter(Boolean).join(' · ');
+        const contents = backup.counts === null
+            ? 'Unlock your encrypted data to see what it holds'
+            : `${backup.records} records` + (backup.records > 0 ? `: ${Object.entries(backup.counts)
+                .map(([collection, count]) => `${IMPORT_COLLECTION_LABELS[collection] || collection} ${count}`)
+                .join(', ')}` : '');
+        
+        return `
+            <div class="backup-item">
+                <div class="backup-header">
+                    <strong>${backup.date.toLocaleString()}</strong>
+                    <span class="backup-meta">${meta}</span>
+                </div>
+                <div class="backup-details">${contents}</div>
+                <div class="backup-actions">
+                    <button class="btn btn-secondary" onclick="restoreBackup('${backup.id}')">Restore</button>
+                    <button class="btn btn-secondary" onclick="downloadBackup('${backup.id}')">Download</button>
+                    <button class="btn btn-danger" onclick="deleteBackup('${backup.id}')">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// The backup opens in the import wizard, which shows what restoring it would change
+async function restoreBackup(backupId) {
+    let content;
+    try {
+        content = await window.secondBrain.firebase.backups.get(backupId);
+    } catch (error) {
+        console.error('❌ Error reading backup:', error);
+        showNotification(`Error reading backup: ${error.message}`, 'error');
+        return;
+    }
+    
+    const date = window.secondBrain.firebase.backups.backupDate({ ...content, id: backupId });
+    openImportWizard(`Restoring the backup of ${date.toLocaleString()}. Nothing is written until you confirm.`);
+    await loadImportContent(content);
+}
+
+async function downloadBackup(backupId) {
+    try {
+        downloadJson(await window.secondBrain.firebase.backups.get(backupId), `second-brain-backup-${backupId}.json`);
+    } catch (error) {
+        console.error('❌ Error downloading backup:', error);
+        showNotification(`Error downloading backup: ${error.message}`, 'error');
+    }
+}
+
+async function deleteBackup(backupId) {
+    if (!confirm('Delete this backup? This cannot be undone.')) return;
+    
+    try {
+        await window.secondBrain.firebase.backups.delete(backupId);
+    } catch (error) {
+        console.error('❌ Error deleting backup:', error);
+        showNotification(`Error deleting backup: ${error.message}`, 'error');
+        return;
+    }
+    
+    logActivity('Settings', 'Deleted', `Deleted the backup ${backupId}`);
+    showNotification('Backup deleted');
+    refreshBackupViews();
+}
+
+async function clearAllData() {
+    if (confirm('Are you sure you want to clear ALL data? This cannot be undone!')) {
+        if (confirm('This will delete everything. Are you absolutely sure?')) {
+            // Log the activity before clearing
+            logActivity('Settings', 'Completed', 'Cleared all app data - complete reset');
+            
+            localStorage.clear();
+            await StorageAdapters.localStore().clear();
+            showNotification('All data cleared. Page will refresh.', 'warning');
+            setTimeout(() => location.reload(), 2000);
+        }
+    }
+}
+
+async function updateDataStats() {
+    const statsContent = document.getElementById('statsContent');
+    if (!statsContent) return;
+    
+    const counts = [];
+    for (const [collection, label] of Object.entries(WORKSPACE_MOVABLE_COLLECTIONS)) {
+        counts.push(`<div class="stat-item">${label}: ${(await window.secondBrain.firebase.getCollection(collection)).length}</div>`);
+    }
+    
+    // Storage usage meter for the offline store
+    const usage = await storageMonitor.check();
+    const percent = Math.min(100, Math.round(usage.ratio * 100));
+    const nearQuota = usage.ratio >= storageMonitor.warningThreshold;
+    
+    statsContent.innerHTML = `
+        ${counts.join('')}
+        <div class="storage-usage ${nearQuota ? 'storage-usage-warning' : ''}">
+            <div class="stat-item">
+                <span>Storage Used</span>
+                <span>${storageMonitor.formatBytes(usage.usage)} of ${storageMonitor.formatBytes(usage.quota)} (${percent}%)</span>
+            </div>
+            <div class="storage-meter">
+                <div class="storage-meter-fill" style="width: ${percent}%"></div>
+            </div>
+            ${nearQuota ? '<div class="storage-usage-note">Storage is almost full. Export and clear old data or backups.</div>' : ''}
+        </div>
+    `;
+}
+
+async function syncPendingChanges() {
+    const syncQueue = window.secondBrain.firebase.syncQueue;
+    if (!window.secondBrain.firebase.isOnline()) {
+        showNotification('You are offline. Changes will sync when the connection returns.', 'warning');
+        return;
+    }
+    
+    const summary = await syncQueue.replay();
+    if (summary.delegated) {
+        showNotification('Sync requested - another open tab is handling cloud sync.');
+    } else if (summary.failed > 0) {
+        showNotification(`${summary.failed} changes could not be synced yet`, 'error');
+    } else if (summary.setAside === 0) {
+        // Changes set aside are reported by the replay itself
+        showNotification(`Synced ${summary.replayed} pending changes`);
+    }
+    renderSyncStatus().catch(error => console.error('❌ Error loading sync status:', error));
+    renderSyncConflicts().catch(error => console.error('❌ Error loading sync conflicts:', error));
+}
+
+function formatSyncTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : 'Never';
+}
+
+async function renderSyncStatus(options = {}) {
+    const container = document.getElementById('syncStatus');
+    if (!container) return;
+    
+    const rows = await window.secondBrain.firebase.syncStatus.getHealth(options);
+    container.innerHTML = rows.map(row => {
+        const unhealthy = row.pending > 0 || (row.lastErrorAt && row.lastErrorAt > (row.lastSyncedAt || ''));
+        
+        return `
+            <div class="sync-status-item ${unhealthy ? 'sync-status-unhealthy' : ''}">
+                <div class="sync-status-header">
+                    <strong>${row.collection}</strong>
+                    <span class="sync-status-counts">This device: ${row.localCount} · Cloud: ${row.remoteCount === null ? '?' : row.remoteCount}</span>
+                </div>
+                <div class="sync-status-details">
+                    Last synced: ${formatSyncTime(row.lastSyncedAt)} · Pending changes: ${row.pending}
+                    ${row.lastError ? `<br>Last error (${formatSyncTime(row.lastErrorAt)}): ${row.lastError}` : ''}
+                </div>
+                <div class="sync-status-actions">
+                    <button class="btn btn-secondary" onclick="redownloadCollection('${row.collection}')">Re-download from Cloud</button>
+                    <button class="btn btn-secondary" onclick="pushCollection('${row.collection}')">Push to Cloud</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function redownloadCollection(collection) {
+    const pending = await window.secondBrain.firebase.syncQueue.getPending();
+    const queued = pending.filter(entry => entry.collection === collection).length;
+    const warning = queued > 0 ? `\n\n${queued} changes not yet synced will be lost.` : '';
+    if (!confirm(`Replace this device's copy of ${collection} with the cloud's?${warning}`)) return;
+    
+    try {
+        const result = await window.secondBrain.firebase.syncStatus.redownload(collection);
+        logActivity('Settings', 'Updated', `Re-downloaded ${result.records} ${collection} records from the cloud`);
+        showNotification(`Downloaded ${result.records} ${collection} records`);
+        await window.secondBrain.reloadCollection(collection);
+    } catch (error) {
+        console.error('❌ Error re-downloading collection:', error);
+        showNotification(`Error re-downloading ${collection}: ${error.message}`, 'error');
+    }
+    renderSyncStatus().catch(error => console.error('❌ Error loading sync status:', error));
+}
+
+async function pushCollection(collection) {
+    if (!confirm(`Overwrite the cloud copy of ${collection} with this device's records?`)) return;
+    
+    try {
+        const result = await window.secondBrain.firebase.syncStatus.push(collection);
+        logActivity('Settings', 'Updated', `Pushed ${result.records} ${collection} records to the cloud`);
+        showNotification(`Pushed ${result.records} ${collection} records`);
+        await window.secondBrain.reloadCollection(collection);
+    } catch (error) {
+        console.error('❌ Error pushing collection:', error);
+        showNotification(`Error pushing ${collection}: ${error.message}`, 'error');
+    }
+    renderSyncStatus().catch(error => console.error('❌ Error loading sync status:', error));
+    renderSyncConflicts().catch(error => console.error('❌ Error loading sync conflicts:', error));
+}
+
+// Encryption section of Settings: which collections are encrypted, and whether they are unlocked
+function renderEncryptionSettings() {
+    const container = document.getElementById('encryptionSettings');
+    if (!container) return;
+    
+    const encryption = window.secondBrain.firebase.encryption;
+    const chosen = encryption.enabled ? encryption.settings.collections : [];
+    let status = 'Off. Everything is stored readable in the cloud and on this device.';
+    if (encryption.enabled) {
+        status = encryption.locked
+            ? 'On and locked. Unlock to read, edit or change the encrypted data.'
+            : 'On and unlocked on this device.';
+    }
+    
+    container.innerHTML = `
+        <div class="encryption-status">${status}</div>
+        <div class="encryption-collections">
+            ${Object.entries(ENCRYPTABLE_COLLECTIONS).map(([collection, label]) => `
+                <label class="setting-toggle">
+                    <input type="checkbox" class="toggle-input encryption-collection" value="${collection}"
+                        ${chosen.includes(collection) ? 'checked' : ''} ${encryption.locked ? 'disabled' : ''}>
+                    <span class="toggle-slider"></span>
+                    <span class="toggle-label">${label}</span>
+                </label>
+            `).join('')}
+        </div>
+        <div class="encryption-warning">
+            Encrypted data can only be read with your passphrase. If you forget it, the data cannot be recovered.
+            Trash and local backups are encrypted along with the chosen data.
+        </div>
+    `;
+    
+    document.getElementById('changePassphrase').disabled = !encryption.enabled || encryption.locked;
+    const lockButton = document.getElementById('toggleEncryptionLock');
+    lockButton.disabled = !encryption.enabled;
+    lockButton.textContent = encryption.locked ? 'Unlock' : 'Lock';
+}
+
+async function applyEncryptionSettings() {
+    const encryption = window.secondBrain.firebase.encryption;
+    const collections = [...document.querySelectorAll('.encryption-collection:checked')].map(input => input.value);
+    const current = encryption.enabled ? encryption.settings.collections : [];
+    if (collections.length === current.length && collections.every(collection => current.includes(collection))) {
+        showNotification('Encryption settings are unchanged', 'warning');
+        return;
+    }
+    
+    let passphrase = null;
+    if (collections.length > 0 && !encryption.key) {
+        passphrase = await askPassphrase({
+            title: 'Choose a Passphrase',
+            message: `At least ${ENCRYPTION_MIN_PASSPHRASE_LENGTH} characters. Without it the encrypted data cannot be read, on any device.`,
+            submitLabel: 'Encrypt',
+            confirm: true
+        });
+        if (passphrase === null) return;
+    } else if (collections.length === 0 && !confirm('Turn encryption off? Your data will be stored readable again.')) {
+        return;
+    }
+    
+    try {
+        window.secondBrain.showServerActivity('Re-encrypting your data...');
+        const rewritten = await encryption.configure(collections, passphrase);
+        logActivity('Settings', 'Updated', collections.length > 0
+            ? `Encrypted ${collections.join(', ')} (${rewritten} records rewritten)`
+            : `Turned encryption off (${rewritten} records rewritten)`);
+        showNotification(collections.length > 0 ? 'Encryption settings applied' : 'Encryption turned off');
+        await window.secondBrain.reloadModulesForUser();
+    } catch (error) {
+        console.error('❌ Error changing encryption:', error);
+        showNotification(`Error changing encryption: ${error.message}`, 'error');
+    } finally {
+        window.secondBrain.hideServerActivity();
+    }
+    renderEncryptionSettings();
+}
+
+// Every encrypted record is encrypted again with a key from the new passphrase
+async function changeEncryptionPassphrase() {
+    const encryption = window.secondBrain.firebase.encryption;
+    if (!encryption.enabled || encryption.locked) return;
+    
+    const passphrase = await askPassphrase({
+        title: 'New Passphrase',
+        message: 'Your encrypted data will be encrypted again with the new passphrase. Other devices have to unlock with it.',
+        submitLabel: 'Change',
+        confirm: true
+    });
+    if (passphrase === null) return;
+    
+    try {
+        window.secondBrain.showServerActivity('Re-encrypting your data...');
+        const rewritten = await encryption.configure(encryption.settings.collections, passphrase);
+        logActivity('Settings', 'Updated', `Changed the encryption passphrase (${rewritten} records re-encrypted)`);
+        showNotification('Passphrase changed');
+    } catch (error) {
+        console.error('❌ Error changing passphrase:', error);
+        showNotification(`Error changing passphrase: ${error.message}`, 'error');
+    } finally {
+        window.secondBrain.hideServerActivity();
+    }
+    renderEncryptionSettings();
+}
+
+async function toggleEncryptionLock() {
+    const encryption = window.secondBrain.firebase.encryption;
+    if (encryption.locked) {
+        await window.secondBrain.promptUnlock();
+    } else {
+        encryption.lock();
+        await window.secondBrain.reloadModulesForUser();
+        showNotification('Encrypted data locked');
+    }
+    renderEncryptionSettings();
+}
+
+// Workspaces section of Settings: the user's workspaces with their record counts, and the
+// records of the open workspace that can be moved to another one
+async function renderWorkspaceSettings() {
+    const container = document.getElementById('workspaceSettings');
+    if (!container) return;
+    
+    const firebase = window.secondBrain.firebase;
+    const workspaces = firebase.workspaces;
+    const counts = new Map(workspaces.getAll().map(workspace => [workspace.id, 0]));
+    for (const collection of Object.keys(WORKSPACE_MOVABLE_COLLECTIONS)) {
+        const records = await firebase.getCollection(collection, { allWorkspaces: true });
+        records.forEach(record => {
+            const workspaceId = recordWorkspaceId(record);
+            counts.set(workspaceId, (counts.get(workspaceId) || 0) + 1);
+        });
+    }
+    
+    container.innerHTML = workspaces.getAll().map(workspace => {
+        const open = workspace.id === workspaces.currentId;
+        return `
+            <div class="workspace-item ${open ? 'workspace-item-open' : ''}">
+                <div class="workspace-item-info">
+                    <strong class="workspace-item-name"></strong>
+                    <span class="workspace-item-details">${counts.get(workspace.id) || 0} items${open ? ' · open' : ''}</span>
+                </div>
+                <div class="workspace-item-actions">
+                    ${open ? '' : `<button class="btn btn-secondary" onclick="window.secondBrain.switchWorkspace('${workspace.id}')">Open</button>`}
+                    <button class="btn btn-secondary" onclick="renameWorkspace('${workspace.id}')">Rename</button>
+                    ${workspace.id === DEFAULT_WORKSPACE_ID ? '' : `<button class="btn btn-danger" onclick="deleteWorkspace('${workspace.id}')">Delete</button>`}
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    // Names are set as text, they are typed by the user
+    container.querySelectorAll('.workspace-item-name').forEach((element, index) => {
+        element.textContent = workspaces.getAll()[index].name;
+    });
+    
+    const target = document.getElementById('workspaceMoveTarget');
+    const others = workspaces.getAll().filter(workspace => workspace.id !== workspaces.currentId);
+    target.innerHTML = '';
+    others.forEach(workspace => target.add(new Option(`To ${workspace.name}`, workspace.id)));
+    target.disabled = others.length === 0;
+    document.getElementById('moveWorkspaceRecords').disabled = others.length === 0;
+    
+    await renderWorkspaceMoveRecords();
+}
+
+function describeWorkspaceRecord(record) {
+    return record.title || record.name || record.description || record.sessionName || `#${record.id}`;
+}
+
+async function renderWorkspaceMoveRecords() {
+    const container = document.getElementById('workspaceMoveRecords');
+    if (!container) return;
+    
+    const firebase = window.secondBrain.firebase;
+    if (firebase.workspaces.getAll().length < 2) {
+        container.textContent = 'Create another workspace to move items into it.';
+        return;
+    }
+    
+    const collection = document.getElementById('workspaceMoveCollection').value;
+    const records = await firebase.getCollection(collection);
+    if (records.length === 0) {
+        container.textContent = `No ${WORKSPACE_MOVABLE_COLLECTIONS[collection].toLowerCase()} in this workspace.`;
+        return;
+    }
+    
+    container.innerHTML = records.map(record => `
+        <label class="workspace-move-record">
+            <input type="checkbox" class="workspace-move-checkbox" value="${record.id}">
+            <span></span>
+        </label>
+    `).join('');
+    container.querySelectorAll('.workspace-move-record span').forEach((element, index) => {
+        element.textContent = describeWorkspaceRecord(records[index]);
+    });
+}
+
+async function createWorkspace() {
+    const input = document.getElementById('newWorkspaceName');
+    try {
+        const workspace = await window.secondBrain.firebase.workspaces.create(input.value);
+        
+        // A new workspace starts with the settings of the open one
+        localStorage.setItem(workspaceSettingsKey(workspace.id), JSON.stringify(settings));
+        
+        input.value = '';
+        logActivity('Workspaces', 'Added', `Created the "${workspace.name}" workspace`);
+        showNotification(`Workspace "${workspace.name}" created`);
+    } catch (error) {
+        console.error('❌ Error creating workspace:', error);
+        showNotification(error.message, 'error');
+        return;
+    }
+    window.secondBrain.renderWorkspaceSwitcher();
+    renderWorkspaceSettings().catch(error => console.error('❌ Error loading workspaces:', error));
+}
+
+async function renameWorkspace(workspaceId) {
+    const workspaces = window.secondBrain.firebase.workspaces;
+    const name = prompt('New name for the workspace:', workspaces.nameOf(workspaceId));
+    if (name === null) return;
+    
+    try {
+        const previous = workspaces.nameOf(workspaceId);
+        const workspace = await workspaces.rename(workspaceId, name);
+        logActivity('Workspaces', 'Updated', `Renamed the "${previous}" workspace to "${workspace.name}"`);
+        showNotification('Workspace renamed');
+    } catch (error) {
+        console.error('❌ Error renaming workspace:', error);
+        showNotification(error.message, 'error');
+        return;
+    }
+    window.secondBrain.renderWorkspaceSwitcher();
+    renderWorkspaceSettings().catch(error => console.error('❌ Error loading workspaces:', error));
+}
+
+async function deleteWorkspace(workspaceId) {
+    const workspaces = window.secondBrain.firebase.workspaces;
+    const name = workspaces.nameOf(workspaceId);
+    const defaultName = workspaces.nameOf(DEFAULT_WORKSPACE_ID);
+    if (!confirm(`Delete the "${name}" workspace? Its items move to "${defaultName}".`)) return;
+    
+    const wasOpen = workspaceId === workspaces.currentId;
+    try {
+        window.secondBrain.showServerActivity('Moving items...');
+        const moved = await workspaces.remove(workspaceId);
+        logActivity('Workspaces', 'Deleted', `Deleted the "${name}" workspace (${moved} items moved to "${defaultName}")`);
+        showNotification(`Workspace deleted, ${moved} items moved to ${defaultName}`);
+    } catch (error) {
+        console.error('❌ Error deleting workspace:', error);
+        showNotification(`Error deleting workspace: ${error.message}`, 'error');
+    } finally {
+        window.secondBrain.hideServerActivity();
+    }
+    
+    if (wasOpen) {
+        if (window.dashboardWidgets) window.dashboardWidgets.restoreWidgets();
+        await window.secondBrain.reloadModulesForUser();
+    }
+    window.secondBrain.renderWorkspaceSwitcher();
+    renderWorkspaceSettings().catch(error => console.error('❌ Error loading workspaces:', error));
+}
+
+async function moveWorkspaceRecords() {
+    const collection = document.getElementById('workspaceMoveCollection').value;
+    const targetId = document.getElementById('workspaceMoveTarget').value;
+    const recordIds = [...document.querySelectorAll('.workspace-move-checkbox:checked')].map(input => input.value);
+    if (recordIds.length === 0) {
+        showNotification('Select the items to move first', 'warning');
+        return;
+    }
+    
+    const workspaces = window.secondBrain.firebase.workspaces;
+    try {
+        const moved = await workspaces.moveRecords(collection, recordIds, targetId);
+        const label = WORKSPACE_MOVABLE_COLLECTIONS[collection].toLowerCase();
+        logActivity('Workspaces', 'Updated', `Moved ${moved} ${label} to the "${workspaces.nameOf(targetId)}" workspace`);
+        showNotification(`Moved ${moved} ${label} to ${workspaces.nameOf(targetId)}`);
+        await window.secondBrain.reloadCollection(collection);
+    } catch (error) {
+        console.error('❌ Error moving records:', error);
+        showNotification(`Error moving items: ${error.message}`, 'error');
+    }
+    renderWorkspaceSettings().catch(error => console.error('❌ Error loading workspaces:', error));
+}
+
+// Short label for a conflicting record
+function describeSyncRecord(conflict) {
+    const version = conflict.localVersion || conflict.remoteVersion || {};
+    return version.title || version.name || version.description || `#${conflict.docId}`;
+}
+
+// Top-level fields that differ between the two versions
+function getSyncConflictFields(conflict) {
+    const local = conflict.localVersion || {};
+    const remote = conflict.remoteVersion || {};
+    const ignored = ['updatedAt', 'createdAt', 'userId'];
+    return [...new Set([...Object.keys(local), ...Object.keys(remote)])]
+        .filter(field => !ignored.includes(field))
+        .filter(field => conflict.operation !== 'update' || field in local)
+        .filter(field => JSON.stringify(local[field]) !== JSON.stringify(remote[field]));
+}
+
+async function renderSyncConflicts() {
+    const container = document.getElementById('syncConflicts');
+    if (!container) return;
+    
+    const syncQueue = window.secondBrain.firebase.syncQueue;
+    const pendingCount = await syncQueue.getPendingCount();
+    const conflicts = await syncQueue.getConflicts();
+    const failed = await syncQueue.getFailed();
+    
+    // Writes the cloud refused, set aside so the rest of the queue could sync
+    const failedHTML = failed.map(entry => `
+            <div class="sync-conflict">
+                <div class="sync-conflict-header">
+                    <strong>${describeSyncRecord({ localVersion: entry.data, docId: entry.docId })}</strong>
+                    <span class="sync-conflict-collection">${entry.collection}</span>
+                </div>
+                <div class="sync-conflict-details">
+                    ${entry.operation === 'delete' ? 'Deleted' : 'Edited'} on this device · Not synced after ${entry.attempts} attempts
+                    <br>${entry.lastError || 'Unknown error'}
+                    <br>Set aside ${new Date(entry.failedAt).toLocaleString()}
+                </div>
+                <div class="sync-conflict-actions">
+                    <button class="btn btn-secondary" onclick="retryFailedSync('${entry.id}')">Retry</button>
+                    <button class="btn btn-secondary" onclick="discardFailedSync('${entry.id}')">Discard</button>
+                </div>
+            </div>
+    `).join('');
+    
+    const conflictsHTML = conflicts.map(conflict => {
+        const fields = getSyncConflictFields(conflict);
+        const localLabel = conflict.operation === 'delete' ? 'Deleted on this device' : 'Edited on this device';
+        const remoteLabel = conflict.remoteVersion ? 'Changed in the cloud' : 'Deleted in the cloud';
+        
+        return `
+            <div class="sync-conflict">
+                <div class="sync-conflict-header">
+                    <strong>${describeSyncRecord(conflict)}</strong>
+                    <span class="sync-conflict-collection">${conflict.collection}</span>
+                </div>
+                <div class="sync-conflict-details">
+                    ${localLabel} · ${remoteLabel} · Kept ${conflict.winner === 'local' ? "this device's" : 'the cloud'} version
+                    ${fields.length > 0 ? `<br>Differs in: ${fields.join(', ')}` : ''}
+                    <br>Detected ${new Date(conflict.detectedAt).toLocaleString()}
+                </div>
+                <div class="sync-conflict-actions">
+                    <button class="btn btn-secondary" onclick="resolveSyncConflict('${conflict.id}', 'local')">Keep This Device</button>
+                    <button class="btn btn-secondary" onclick="resolveSyncConflict('${conflict.id}', 'remote')">Keep Cloud</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    container.innerHTML = `
+        <div class="stat-item">Pending changes: ${pendingCount}</div>
+        <div class="stat-item">Conflicts to review: ${conflicts.length}</div>
+        ${failed.length > 0 ? `<div class="stat-item">Changes that could not be synced: ${failed.length}</div>` : ''}
+        ${failedHTML}
+        ${conflicts.length > 0 ? conflictsHTML : '<div class="sync-conflicts-empty">No sync conflicts to review.</div>'}
+    `;
+}
+
+async function previewMigrations() {
+    const container = document.getElementById('migrationReport');
+    if (!container) return;
+    
+    container.innerHTML = 'Checking stored records...';
+    try {
+        const reports = await window.secondBrain.firebase.previewMigrations();
+        container.innerHTML = reports.map(report => `
+            <div class="migration-report-item">
+                <div class="migration-report-header">
+                    <strong>${report.collection}</strong>
+                    <span class="migration-report-source">${report.source === 'cloud' ? 'Cloud' : 'This device'} · schema v${report.currentVersion}</span>
+                </div>
+                <div class="migration-report-details">
+                    ${report.outdated} of ${report.total} records outdated, ${report.changed} would change
+                    ${report.migrations.map(migration => `<br>v${migration.version}: ${migration.description} (${migration.records} records)`).join('')}
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('❌ Error previewing migrations:', error);
+        container.innerHTML = 'Could not check stored records.';
+    }
+}
+
+async function applyMigrations() {
+    try {
+        const upgraded = await window.secondBrain.firebase.applyMigrations();
+        logActivity('Settings', 'Updated', `Applied schema migrations to ${upgraded} records`);
+        showNotification(upgraded > 0 ? `Upgraded ${upgraded} records` : 'All records are up to date');
+        
+        if (upgraded > 0) {
+            await window.secondBrain.reloadModulesForUser();
+        }
+    } catch (error) {
+        console.error('❌ Error applying migrations:', error);
+        showNotification('Migrations failed', 'error');
+    }
+    previewMigrations();
+}
+
+async function resolveSyncConflict(conflictId, choice) {
+    try {
+        await window.secondBrain.firebase.syncQueue.resolveConflict(conflictId, choice);
+        logActivity('Settings', 'Updated', `Resolved sync conflict using the ${choice === 'local' ? "this device's" : 'cloud'} version`);
+        showNotification('Conflict resolved');
+    } catch (error) {
+        console.error('❌ Error resolving sync conflict:', error);
+        showNotification(`Error resolving conflict: ${error.message}`, 'error');
+    }
+    renderSyncConflicts().catch(error => console.error('❌ Error loading sync conflicts:', error));
+}
+
+async function retryFailedSync(entryId) {
+    try {
+        await window.secondBrain.firebase.syncQueue.retryFailed(entryId);
+        showNotification('Change queued again');
+    } catch (error) {
+        console.error('❌ Error retrying change:', error);
+        showNotification(`Error retrying change: ${error.message}`, 'error');
+    }
+    renderSyncStatus().catch(error => console.error('❌ Error loading sync status:', error));
+    renderSyncConflicts().catch(error => console.error('❌ Error loading sync conflicts:', error));
+}
+
+async function discardFailedSync(entryId) {
+    if (!confirm('Discard this change? The cloud keeps its version; re-download the collection to bring this device in line.')) return;
+    
+    await window.secondBrain.firebase.syncQueue.discardFailed(entryId);
+    logActivity('Settings', 'Updated', `Discarded unsynced change ${entryId}`);
+    showNotification('Change discarded');
+    renderSyncConflicts().catch(error => console.error('❌ Error loading sync conflicts:', error));
+}
+
+function showNotification(message, type = 'success') {
+    const notification = document.createElement('div');
+    notification.className = `notification notification-${type}`;
     notification.textContent = message;
     notification.style.cssText = `
         position: fixed; top: 20px; right: 20px; z-index: 10000;
@@ -5692,41 +7999,157 @@ function showNotification(message, type = 'success') {
     setTimeout(() => notification.remove(), 3000);
 }
 
+// Toast with an Undo button, shown after something was deleted. The button only undoes this
+// command; once other changes were made after it, Ctrl+Z works through them first.
+// Asks for a passphrase in the passphrase modal. Resolves with it, or with null when cancelled.
+// options: { title, message, submitLabel, confirm } - confirm asks for a new passphrase twice
+function askPassphrase(options) {
+    const modal = document.getElementById('passphraseModal');
+    const form = document.getElementById('passphraseForm');
+    const input = document.getElementById('passphraseInput');
+    const confirmInput = document.getElementById('passphraseConfirm');
+    const cancelBtn = document.getElementById('passphraseCancelBtn');
+    
+    document.getElementById('passphraseModalTitle').textContent = options.title;
+    document.getElementById('passphraseModalMessage').textContent = options.message || '';
+    document.getElementById('passphraseSubmitBtn').textContent = options.submitLabel || 'OK';
+    document.getElementById('passphraseConfirmGroup').style.display = options.confirm ? 'block' : 'none';
+    input.value = '';
+    confirmInput.value = '';
+    
+    modal.style.display = 'flex';
+    modal.classList.add('open');
+    input.focus();
+    
+    return new Promise(resolve => {
+        const close = (passphrase) => {
+            modal.classList.remove('open');
+            modal.style.display = 'none';
+            form.onsubmit = null;
+            cancelBtn.onclick = null;
+            resolve(passphrase);
+        };
+        
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            if (options.confirm && input.value.length < ENCRYPTION_MIN_PASSPHRASE_LENGTH) {
+                showNotification(`The passphrase needs at least ${ENCRYPTION_MIN_PASSPHRASE_LENGTH} characters`, 'error');
+                return;
+            }
+            if (options.confirm && input.value !== confirmInput.value) {
+                showNotification('The passphrases do not match', 'error');
+                return;
+            }
+            close(input.value);
+        };
+        cancelBtn.onclick = () => close(null);
+    });
+}
+
+function showUndoToast(message, command) {
+    const toast = document.createElement('div');
+    toast.className = 'notification undo-toast';
+    toast.style.cssText = `
+        position: fixed; bottom: 20px; left: 50%; transform: translateX(-50%); z-index: 10000;
+        display: flex; align-items: center; gap: 15px;
+        padding: 12px 20px; border-radius: 5px; color: white;
+        background: #000000;
+        box-shadow: 0 4px 8px rgba(0,0,0,0.2);
+    `;
+    
+    const text = document.createElement('span');
+    text.textContent = message;
+    
+    const undoButton = document.createElement('button');
+    undoButton.textContent = 'Undo';
+    undoButton.style.cssText = 'background: none; border: 1px solid white; border-radius: 4px; color: white; padding: 4px 10px; cursor: pointer;';
+    undoButton.addEventListener('click', () => {
+        toast.remove();
+        if (window.secondBrain.firebase.undoHistory.isLatest(command)) {
+            window.secondBrain.undoLastChange();
+        } else {
+            showNotification('Other changes were made since; use Ctrl+Z to undo them first', 'warning');
+        }
+    });
+    
+    toast.appendChild(text);
+    toast.appendChild(undoButton);
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 6000);
+}
+
 // Activity Log System
-let activityLogs = JSON.parse(localStorage.getItem('activityLogs') || '[]');
-
-// Add sample logs if none exist
-if (activityLogs.length === 0) {
-    const sampleLogs = [
-        {
-            id: Date.now() - 1000,
-            timestamp: new Date(Date.now() - 5 * 60 * 1000).toISOString(),
-            module: 'Goals',
-            action: 'Added',
-            details: 'Created new goal: "Save for Vacation" with target amount ₹50000'
-        },
-        {
-            id: Date.now() - 2000,
-            timestamp: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
-            module: 'Settings',
-            action: 'Updated',
-            details: 'Changed settings: Theme: light → dark'
-        },
-        {
-            id: Date.now() - 3000,
-            timestamp: new Date(Date.now() - 15 * 60 * 1000).toISOString(),
-            module: 'Goals',
-            action: 'Updated',
-            details: 'Updated goal "Save for Vacation": ₹0 → ₹5000'
-        }
-    ];
-    activityLogs = sampleLogs;
-    localStorage.setItem('activityLogs', JSON.stringify(activityLogs));
+// Entries are kept in the signed-in user's scope of the local store ('activity_logs'), newest
+// first in memory. They are loaded again whenever another user signs in.
+let activityLogs = [];
+let activityLogStore = null;
+let activityLogsReady = Promise.resolve();
+
+function loadActivityLogs() {
+    activityLogsReady = activityLogsReady.then(readActivityLogs).catch(error => {
+        console.error('❌ Error loading activity logs:', error);
+    });
+    return activityLogsReady;
+}
+
+async function readActivityLogs() {
+    const firebase = window.secondBrain.firebase;
+    await firebase.localReady;
+    const store = firebase.local;
+    
+    const storedLogs = await store.query('activity_logs');
+    
+    // Anything logged before the first user's entries were loaded belongs to this user
+    const unsavedLogs = activityLogStore ? [] : activityLogs;
+    activityLogStore = store;
+    const loadedIds = new Set(storedLogs.map(log => String(log.id)));
+    activityLogs = [...storedLogs, ...unsavedLogs.filter(log => !loadedIds.has(String(log.id)))]
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    await Promise.all(unsavedLogs.map(log => store.set('activity_logs', String(log.id), log)));
+    
+    // Add sample logs if none exist
+    if (activityLogs.length === 0) {
+        const sampleLogs = [
+            {
+                id: Date.now() - 1000,
+                timestamp: new Date(Date.now() - 5 * 60 * 1000).toISOString(),
+                module: 'Goals',
+                action: 'Added',
+                details: 'Created new goal: "Save for Vacation" with target amount ₹50000'
+            },
+            {
+                id: Date.now() - 2000,
+                timestamp: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
+                module: 'Settings',
+                action: 'Updated',
+                details: 'Changed settings: Theme: light → dark'
+            },
+            {
+                id: Date.now() - 3000,
+                timestamp: new Date(Date.now() - 15 * 60 * 1000).toISOString(),
+                module: 'Goals',
+                action: 'Updated',
+                details: 'Updated goal "Save for Vacation": ₹0 → ₹5000'
+            }
+        ];
+        activityLogs = sampleLogs;
+        await Promise.all(sampleLogs.map(log => store.set('activity_logs', String(log.id), log)));
+    }
+    
+    if (window.secondBrain.currentModule === 'logs') {
+        displayLogs();
+        updateLogStats();
+    }
+}
+
+async function removeStoredActivityLogs(logs, store = activityLogStore) {
+    if (!store) return;
+    await Promise.all(logs.map(log => store.delete('activity_logs', String(log.id))));
 }
 
 function logActivity(module, action, details) {
     const logEntry = {
-        id: Date.now() + Math.random(),
+        id: createRecordId(),
         timestamp: new Date().toISOString(),
         module: module,
         action: action,
@@ -5736,17 +8159,26 @@ function logActivity(module, action, details) {
     activityLogs.unshift(logEntry); // Add to beginning (newest first)
     
     // Keep only last 1000 entries to prevent storage bloat
-    if (activityLogs.length > 1000) {
-        activityLogs = activityLogs.slice(0, 1000);
-    }
+    const expiredLogs = activityLogs.length > 1000 ? activityLogs.splice(1000) : [];
     
-    localStorage.setItem('activityLogs', JSON.stringify(activityLogs));
+    // Saved when the first user's entries are loaded
+    const store = activityLogStore;
+    if (!store) return;
+    
+    activityLogsReady
+        .then(async () => {
+            await store.set('activity_logs', String(logEntry.id), logEntry);
+            await removeStoredActivityLogs(expiredLogs, store);
+        })
+        .catch(error => console.error('❌ Error saving activity log:', error));
 }
 
 function initializeLogs() {
     setupLogsEventListeners();
-    displayLogs();
-    updateLogStats();
+    activityLogsReady.then(() => {
+        displayLogs();
+        updateLogStats();
+    });
 }
 
 function setupLogsEventListeners() {
@@ -5869,8 +8301,8 @@ function clearLogs() {
     
     if (days === 0) {
         if (confirm('Are you sure you want to delete ALL activity logs?')) {
+            removeStoredActivityLogs(activityLogs).catch(error => console.error('❌ Error clearing activity logs:', error));
             activityLogs = [];
-            localStorage.setItem('activityLogs', JSON.stringify(activityLogs));
             displayLogs();
             updateLogStats();
             showNotification('All activity logs cleared!');
@@ -5878,16 +8310,132 @@ function clearLogs() {
     } else {
         const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
         const beforeCount = activityLogs.length;
+        const oldLogs = activityLogs.filter(log => new Date(log.timestamp) < cutoffDate);
         activityLogs = activityLogs.filter(log => new Date(log.timestamp) >= cutoffDate);
         const afterCount = activityLogs.length;
         
-        localStorage.setItem('activityLogs', JSON.stringify(activityLogs));
+        removeStoredActivityLogs(oldLogs).catch(error => console.error('❌ Error clearing activity logs:', error));
         displayLogs();
         updateLogStats();
         showNotification(`Cleared ${beforeCount - afterCount} old log entries. Kept ${afterCount} recent entries.`);
     }
 }
 
+// Trash
+let trashEntries = [];
+
+async function initializeTrash() {
+    const days = getTrashRetentionDays();
+    document.getElementById('trashRetention').textContent = days ? `After ${days} days` : 'Never';
+
+    try {
+        await window.secondBrain.firebase.recycleBin.purgeExpired(days);
+    } catch (error) {
+        console.error('❌ Error emptying expired trash:', error);
+    }
+    await loadTrash();
+}
+
+async function loadTrash() {
+    try {
+        trashEntries = await window.secondBrain.firebase.recycleBin.getEntries();
+    } catch (error) {
+        console.error('❌ Error loading trash:', error);
+        trashEntries = [];
+    }
+    displayTrash();
+}
+
+function describeTrashEntry(entry) {
+    if (entry.kind === 'project_task') {
+        return `Task in project "${entry.parent.projectName}"`;
+    }
+    return TRASH_MODULES[entry.collection] || entry.collection;
+}
+
+function displayTrash() {
+    const trashList = document.getElementById('trashList');
+    if (!trashList) return;
+
+    const moduleFilter = document.getElementById('trashModuleFilter').value;
+    const entries = moduleFilter
+        ? trashEntries.filter(entry => TRASH_MODULES[entry.collection] === moduleFilter)
+        : trashEntries;
+
+    document.getElementById('trashCount').textContent = trashEntries.length;
+
+    if (entries.length === 0) {
+        trashList.innerHTML = '<div class="no-logs">The trash is empty.</div>';
+        return;
+    }
+
+    trashList.innerHTML = entries.map(entry => `
+        <div class="trash-entry">
+            <div class="trash-entry-info">
+                <strong>${entry.label}</strong>
+                <span class="trash-entry-source">${describeTrashEntry(entry)} · Deleted ${new Date(entry.deletedAt).toLocaleString()}</span>
+            </div>
+            <div class="trash-entry-actions">
+                <button class="btn btn-secondary" onclick="restoreTrashEntry('${entry.id}')">Restore</button>
+                <button class="btn btn-danger" onclick="deleteTrashEntry('${entry.id}')">Delete Forever</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function restoreTrashEntry(entryId) {
+    const entry = trashEntries.find(e => e.id === entryId);
+    if (!entry) return;
+
+    try {
+        const reattached = await window.secondBrain.firebase.recycleBin.restore(entryId);
+        logActivity(TRASH_MODULES[entry.collection] || 'Trash', 'Restored', `Restored "${entry.label}" from the trash`);
+
+        if (reattached) {
+            showNotification(`Restored "${entry.label}"`);
+        } else {
+            showNotification(`Restored "${entry.label}" at the top level of "${entry.parent.projectName}"; its parent task is gone`, 'warning');
+        }
+
+        await window.secondBrain.reloadModulesForUser();
+    } catch (error) {
+        console.error('❌ Error restoring from the trash:', error);
+        showNotification(`Error restoring item: ${error.message}`, 'error');
+    }
+    await loadTrash();
+}
+
+async function deleteTrashEntry(entryId) {
+    const entry = trashEntries.find(e => e.id === entryId);
+    if (!entry) return;
+    if (!confirm(`Delete "${entry.label}" for good? This cannot be undone.`)) return;
+
+    try {
+        await window.secondBrain.firebase.recycleBin.deletePermanently(entryId);
+        logActivity(TRASH_MODULES[entry.collection] || 'Trash', 'Deleted', `Deleted "${entry.label}" for good`);
+        showNotification('Item deleted for good');
+    } catch (error) {
+        console.error('❌ Error deleting from the trash:', error);
+        showNotification('Error deleting item', 'error');
+    }
+    await loadTrash();
+}
+
+async function emptyTrash() {
+    if (trashEntries.length === 0) return;
+    if (!confirm(`Delete all ${trashEntries.length} items in the trash for good? This cannot be undone.`)) return;
+
+    try {
+        const removed = await window.secondBrain.firebase.recycleBin.empty();
+        logActivity('Trash', 'Deleted', `Emptied the trash (${removed} items)`);
+        showNotification(`Deleted ${removed} items for good`);
+    } catch (error) {
+        console.error('❌ Error emptying the trash:', error);
+        showNotification('Error emptying the trash', 'error');
+    }
+    await loadTrash();
+}
+
 // Calendar Class
 class Calendar {
     constructor(initialDate = new Date(), firebaseService = null) {
@@ -5909,16 +8457,9 @@ class Calendar {
 
     async loadEvents() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                const events = await this.firebase.getCalendarEvents();
-                this.events = events.filter(event => event.userId === this.firebase.userId);
-                console.log('📅 Calendar events loaded from Firebase:', this.events.length);
-            } else {
-                // Fallback to local storage
-                const stored = localStorage.getItem('calendar_events');
-                this.events = stored ? JSON.parse(stored) : [];
-                console.log('📅 Calendar events loaded from local storage:', this.events.length);
-            }
+            const events = await this.firebase.getCalendarEvents();
+            this.events = (events || []).filter(event => event.userId === this.firebase.userId);
+            console.log('📅 Calendar events loaded:', this.events.length);
             this.render();
         } catch (error) {
             console.error('Error loading calendar events:', error);
@@ -5926,29 +8467,32 @@ class Calendar {
         }
     }
 
+    // Apply event changes made on other devices as they arrive
+    subscribeToChanges() {
+        this.firebase.subscribeToCollection('calendar_events', (changes) => {
+            this.events = this.firebase.applyRemoteChanges(this.events, changes);
+            this.render();
+        });
+    }
+
     async saveEvent(event) {
         try {
             if (!event.id) {
-                event.id = Date.now().toString();
+                event.id = createRecordId();
             }
-            event.userId = this.firebase ? this.firebase.userId : 'anonymous_user';
+            event.userId = this.firebase.userId;
             event.createdAt = event.createdAt || new Date().toISOString();
             event.updatedAt = new Date().toISOString();
 
-            if (this.firebase && this.firebase.isInitialized) {
-                await this.firebase.saveCalendarEvent(event);
-                console.log('📅 Event saved to Firebase:', event.title);
+            await this.firebase.saveCalendarEvent(event);
+
+            const existingIndex = this.events.findIndex(e => e.id === event.id);
+            if (existingIndex >= 0) {
+                this.events[existingIndex] = event;
             } else {
-                // Fallback to local storage
-                const existingIndex = this.events.findIndex(e => e.id === event.id);
-                if (existingIndex >= 0) {
-                    this.events[existingIndex] = event;
-                } else {
-                    this.events.push(event);
-                }
-                localStorage.setItem('calendar_events', JSON.stringify(this.events));
-                console.log('📅 Event saved to local storage:', event.title);
+                this.events.push(event);
             }
+            console.log('📅 Event saved:', event.title);
             this.render();
         } catch (error) {
             console.error('Error saving calendar event:', error);
@@ -5957,21 +8501,172 @@ class Calendar {
 
     async deleteEvent(eventId) {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                await this.firebase.deleteCalendarEvent(eventId);
-                console.log('📅 Event deleted from Firebase:', eventId);
-            } else {
-                // Fallback to local storage
-                this.events = this.events.filter(event => event.id !== eventId);
-                localStorage.setItem('calendar_events', JSON.stringify(this.events));
-                console.log('📅 Event deleted from local storage:', eventId);
-            }
+            const event = this.events.find(event => event.id === eventId);
+            if (event) {
+                const entry = await this.firebase.recycleBin.trash('calendar_events', event);
+                showUndoToast(`Event "${entry.label}" moved to the trash`,
+                    this.firebase.undoHistory.recordTrash(`Delete event "${entry.label}"`, entry));
+            }
+            this.events = this.events.filter(event => event.id !== eventId);
+            console.log('📅 Event deleted:', eventId);
             this.render();
         } catch (error) {
             console.error('Error deleting calendar event:', error);
         }
     }
 
+    // Events with an occurrence on the date, recurring ones included
+    getEventsForDate(date) {
+        const day = icalDay(date);
+        return this.events.filter(event => event.date && icalEventOccursOn(event, day));
+    }
+
+    showExportIcsModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3 class="modal-title">Export Calendar</h3>
+                    <button class="modal-close" onclick="this.closest('.modal').remove()">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <p class="calendar-export-summary"></p>
+                    <label class="calendar-export-option">
+                        <input type="checkbox" id="calendarExportTasks">
+                        Include task due dates as to-dos
+                    </label>
+                </div>
+                <div class="modal-actions">
+                    <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+                    <button class="btn btn-primary" id="calendarExportSubmit">Export .ics</button>
+                </div>
+            </div>
+        `;
+        modal.querySelector('.calendar-export-summary').textContent =
+            `${this.events.length} event${this.events.length === 1 ? '' : 's'} will be exported as an iCalendar file.`;
+
+        document.body.appendChild(modal);
+        modal.querySelector('#calendarExportSubmit').addEventListener('click', async () => {
+            const includeTasks = modal.querySelector('#calendarExportTasks').checked;
+            modal.remove();
+            await this.exportIcs(includeTasks);
+        });
+    }
+
+    async exportIcs(includeTasks = false) {
+        try {
+            let tasks = [];
+            if (includeTasks) {
+                const allTasks = await this.firebase.getCollection('tasks');
+                tasks = (allTasks || []).filter(task => task.userId === this.firebase.userId && task.dueDate);
+            }
+            if (this.events.length === 0 && tasks.length === 0) {
+                showNotification('There are no events to export', 'warning');
+                return;
+            }
+
+            const blob = new Blob([buildIcal(this.events, tasks)], { type: 'text/calendar' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `second-brain-calendar-${new Date().toISOString().split('T')[0]}.ics`;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            const summary = `${this.events.length} events${includeTasks ? ` and ${tasks.length} task due dates` : ''}`;
+            logActivity('Calendar', 'Completed', `Exported ${summary} as iCalendar`);
+            showNotification(`Exported ${summary}`);
+        } catch (error) {
+            console.error('❌ Error exporting calendar:', error);
+            showNotification(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    chooseIcsFiles() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.multiple = true;
+        input.accept = '.ics,.ical,.icalendar,text/calendar';
+        input.onchange = async (e) => {
+            const files = [...e.target.files];
+            if (files.length === 0) return;
+
+            try {
+                const calendars = [];
+                for (const file of files) {
+                    calendars.push(parseIcal(await file.text(), file.name));
+                }
+                await this.importIcs(calendars, files.map(file => file.name).join(', '));
+            } catch (error) {
+                console.error('❌ Error importing calendar:', error);
+                showNotification(`Import failed: ${error.message}`, 'error');
+            }
+        };
+        input.click();
+    }
+
+    // Events are matched with the ones here by UID, so importing a file again (or a newer copy of a
+    // holiday calendar) updates the events it has changed and adds only the new ones
+    async importIcs(calendars, fileName) {
+        const existing = new Map(this.events.map(event => [icalEventKey(event), event]));
+        const now = new Date().toISOString();
+        const written = [];
+        let added = 0;
+        let updated = 0;
+        let unchanged = 0;
+
+        calendars.flatMap(calendar => calendar.events).forEach(imported => {
+            const key = icalEventKey(imported);
+            const event = existing.get(key);
+            if (!event) {
+                const created = { ...imported, id: createRecordId(), userId: this.firebase.userId, createdAt: now, updatedAt: now };
+                existing.set(key, created);
+                this.events.push(created);
+                written.push(created);
+                added++;
+                return;
+            }
+
+            // Events exported from here keep having no UID of their own
+            const fields = event.uid ? imported : { ...imported, uid: null };
+            if (!icalEventChanged(event, fields)) {
+                unchanged++;
+                return;
+            }
+            Object.assign(event, fields, { updatedAt: now });
+            if (!written.includes(event)) {
+                written.push(event);
+                updated++;
+            }
+        });
+
+        await this.firebase.writeBatch(written.map(event => ({
+            type: 'set', collection: 'calendar_events', docId: event.id, data: event
+        })));
+        this.render();
+
+        const skipped = calendars.reduce((total, calendar) => total + calendar.cancelled + calendar.unreadable, 0);
+        const todos = calendars.reduce((total, calendar) => total + calendar.todos, 0);
+        const unknownTimeZones = [...new Set(calendars.flatMap(calendar => calendar.unknownTimeZones))];
+        const details = [`${added} new`, `${updated} updated`, `${unchanged} unchanged`];
+        if (skipped > 0) details.push(`${skipped} cancelled or unreadable skipped`);
+        if (todos > 0) details.push(`${todos} to-dos skipped`);
+
+        console.log(`📅 Imported ${fileName}: ${details.join(', ')}`);
+        logActivity('Calendar', 'Completed', `Imported ${added + updated} events from ${fileName}`);
+        showNotification(`Calendar imported: ${details.join(', ')}`);
+        if (unknownTimeZones.length > 0) {
+            showNotification(`Times in unknown time zones were read as floating times: ${unknownTimeZones.join(', ')}`, 'warning');
+        }
+        return { added: added, updated: updated, unchanged: unchanged };
+    }
+
     render() {
         this.updateMonthYear();
         this.renderDays();
@@ -6045,6 +8740,16 @@ class Calendar {
             // Add habit progress visualization
             this.addHabitProgressToDay(dayElement, dayDate);
 
+            // Mark days with events; their titles show on hover
+            const events = this.getEventsForDate(dayDate);
+            if (events.length > 0) {
+                dayElement.classList.add('has-events');
+                dayElement.title = events.map(event => event.title).join('\n');
+                const marker = document.createElement('span');
+                marker.className = 'calendar-day-events';
+                dayElement.appendChild(marker);
+            }
+
             // Add click event
             dayElement.addEventListener('click', () => {
                 console.log('📅 Calendar: Day clicked:', dayDate);
@@ -6204,10 +8909,10 @@ class Calendar {
 class HabitTracker {
     constructor(firebaseService = null) {
         this.habits = [];
-        this.storageKey = 'secondBrainHabits';
         this.today = new Date().toDateString();
         this.calendar = null;
         this.firebase = firebaseService;
+        this.dirtyTracker = new DirtyTracker();
     }
 
     setCalendar(calendar) {
@@ -6216,16 +8921,10 @@ class HabitTracker {
 
     async loadHabits() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                const habits = await this.firebase.getHabits();
-                this.habits = habits.filter(habit => habit.userId === this.firebase.userId);
-                console.log('🎯 Habits loaded from Firebase:', this.habits.length);
-            } else {
-                // Fallback to local storage
-                const stored = localStorage.getItem(this.storageKey);
-                this.habits = stored ? JSON.parse(stored) : [];
-                console.log('🎯 Habits loaded from local storage:', this.habits.length);
-            }
+            const habits = await this.firebase.getHabits();
+            this.habits = (habits || []).filter(habit => habit.userId === this.firebase.userId);
+            this.dirtyTracker.markClean(this.habits);
+            console.log('🎯 Habits loaded:', this.habits.length);
             this.renderHabits();
             this.updateStats();
         } catch (error) {
@@ -6234,21 +8933,23 @@ class HabitTracker {
         }
     }
 
+    // Apply habit changes made on other devices as they arrive
+    subscribeToChanges() {
+        this.firebase.subscribeToCollection('habits', (changes) => {
+            this.habits = this.firebase.applyRemoteChanges(this.habits, changes, this.dirtyTracker);
+            this.renderHabits();
+            this.updateStats();
+            if (this.calendar) {
+                this.calendar.updateHabitProgress();
+            }
+        });
+    }
+
     async saveHabits() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                // Save each habit to Firebase
-                for (const habit of this.habits) {
-                    habit.userId = this.firebase.userId;
-                    habit.updatedAt = new Date().toISOString();
-                    await this.firebase.saveHabit(habit);
-                }
-                console.log('🎯 Habits saved to Firebase:', this.habits.length);
-            } else {
-                // Fallback to local storage
-                localStorage.setItem(this.storageKey, JSON.stringify(this.habits));
-                console.log('🎯 Habits saved to local storage:', this.habits.length);
-            }
+            // Only habits changed since the last load or save are written, in batches
+            const written = await this.firebase.saveChangedRecords(this.dirtyTracker, 'habits', this.habits);
+            console.log(`🎯 Habits saved: ${written} changed documents`);
             
             // Refresh dashboard widgets that depend on habits data
             if (window.refreshDashboardWidgets) {
@@ -6261,7 +8962,7 @@ class HabitTracker {
 
     async addHabit(name, isQuantityEnabled = false, target = 1) {
         const habit = {
-            id: Date.now().toString(),
+            id: createRecordId(),
             name: name,
             completedDates: [],
             createdAt: new Date().toISOString(),
@@ -6283,6 +8984,18 @@ class HabitTracker {
     }
 
     async removeHabit(id) {
+        const habit = this.habits.find(habit => habit.id === id);
+        if (habit) {
+            try {
+                const entry = await this.firebase.recycleBin.trash('habits', habit);
+                console.log('🗑️ Habit moved to the trash:', id);
+                showUndoToast(`Habit "${entry.label}" moved to the trash`,
+                    this.firebase.undoHistory.recordTrash(`Delete habit "${entry.label}"`, entry));
+            } catch (error) {
+                console.error('❌ Error moving habit to the trash:', error);
+            }
+        }
+
         this.habits = this.habits.filter(habit => habit.id !== id);
         await this.saveHabits();
         this.renderHabits();
@@ -6537,6 +9250,7 @@ class HabitTracker {
         const habit = this.habits.find(h => h.id === habitId);
         if (!habit) return;
 
+        const before = snapshotRecord(habit);
         const isCompleted = habit.completedDates.includes(dateString);
 
         if (isCompleted) {
@@ -6549,6 +9263,8 @@ class HabitTracker {
 
         this.updateStreak(habit);
         this.saveHabits();
+        this.firebase.undoHistory.recordChange(
+            `${isCompleted ? 'Uncheck' : 'Check'} habit "${habit.name}" for ${dateString}`, 'habits', before, snapshotRecord(habit));
         
         // Update the modal if it's open
         const modal = document.getElementById('habitModal');
@@ -6952,28 +9668,15 @@ class CrmManager {
     constructor(firebaseService) {
         this.firebase = firebaseService;
         this.projects = [];
-        this.nextProjectId = 1;
-        this.nextTaskId = 1;
-        this.cache = {
-            projects: null,
-            lastUpdated: null,
-            cacheTimeout: 30000 // 30 seconds cache
-        };
+        this.dirtyTracker = new DirtyTracker();
         this.isRendering = false;
         // Note: loadProjects() will be called by initializeCrm() after DOM is ready
     }
 
-    // Cache management
-    invalidateCache() {
-        this.cache.projects = null;
-        this.cache.lastUpdated = null;
-        console.log('🗑️ CRM cache invalidated');
-    }
-
     // Project Management
     async addProject(name, description, deadline, companyName, companyEmail, fundingStatus = 'not_funded', receivedAmount = 0) {
         const project = {
-            id: this.nextProjectId++,
+            id: createRecordId(),
             name: name.trim(),
             description: description.trim(),
             deadline: deadline,
@@ -7007,12 +9710,6 @@ class CrmManager {
             project.deadline = deadline;
             project.client.name = companyName.trim();
             project.client.email = companyEmail.trim();
-            
-            // Initialize funding object if it doesn't exist (for backward compatibility)
-            if (!project.funding) {
-                project.funding = { status: 'not_funded', receivedAmount: 0 };
-            }
-            
             project.funding.status = fundingStatus;
             project.funding.receivedAmount = parseFloat(receivedAmount) || 0;
             
@@ -7024,10 +9721,13 @@ class CrmManager {
 
     async deleteProject(id) {
         try {
-            // Delete from Firebase first
-            if (this.firebase && this.firebase.isInitialized) {
-                await this.firebase.deleteProject(id);
-                console.log('🗑️ Project deleted from Firebase:', id);
+            // Move to the trash first, tasks and all
+            const project = this.projects.find(p => p.id === id);
+            if (project) {
+                const entry = await this.firebase.recycleBin.trash('projects', project);
+                console.log('🗑️ Project moved to the trash:', id);
+                showUndoToast(`Project "${entry.label}" moved to the trash`,
+                    this.firebase.undoHistory.recordTrash(`Delete project "${entry.label}"`, entry));
             }
             
             // Remove from local array
@@ -7055,7 +9755,7 @@ class CrmManager {
         if (!project) return null;
 
         const task = {
-            id: this.nextTaskId++,
+            id: createRecordId(),
             name: name.trim(),
             description: description.trim(),
             price: parseFloat(price) || 0,
@@ -7106,16 +9806,21 @@ class CrmManager {
         if (!project) return;
 
         try {
+            // The trash entry remembers the parent task and position for a restore
+            const task = this.findTaskById(project, taskId);
+            if (task) {
+                const parent = task.parentTaskId ? this.findTaskById(project, task.parentTaskId) : null;
+                const siblings = parent ? parent.subtasks : project.tasks;
+                const entry = await this.firebase.recycleBin.trashProjectTask(project, task, parent ? parent.id : null, siblings.indexOf(task));
+                console.log('🗑️ Task moved to the trash:', taskId);
+                showUndoToast(`Task "${entry.label}" moved to the trash`,
+                    this.firebase.undoHistory.recordTrash(`Delete task "${entry.label}"`, entry));
+            }
+
             // Remove task from local project
             this.removeTaskFromProject(project, taskId);
             
-            // Update the project in Firebase (this will save the project with the task removed)
-            if (this.firebase && this.firebase.isInitialized) {
-                await this.firebase.saveProject(project);
-                console.log('🗑️ Task deleted from Firebase project:', projectId, taskId);
-            }
-            
-            // Save all projects (this ensures local storage is also updated)
+            // Only the changed project is written
             await this.saveProjects();
             this.renderProjects();
             this.updateStats();
@@ -7138,12 +9843,14 @@ class CrmManager {
         if (task) {
             // If marking as incomplete, just toggle without modal
             if (task.completed) {
+                const before = snapshotRecord(project);
                 task.completed = false;
                 task.hoursSpent = null;
                 task.completionNote = null;
                 task.completedAt = null;
                 
                 await this.saveProjects();
+                this.firebase.undoHistory.recordChange(`Reopen task "${task.name}"`, 'projects', before, snapshotRecord(project));
                 this.renderProjects();
                 this.updateStats();
             } else {
@@ -7204,6 +9911,8 @@ class CrmManager {
 
         const task = this.findTaskById(project, taskId);
         if (task) {
+            const before = snapshotRecord(project);
+            
             // Mark task as completed with details
             task.completed = true;
             task.hoursSpent = hoursSpent;
@@ -7217,13 +9926,13 @@ class CrmManager {
             this.updateProjectFundingStatus(project);
             
             await this.saveProjects();
+            this.firebase.undoHistory.recordChange(`Complete task "${task.name}"`, 'projects', before, snapshotRecord(project));
             this.renderProjects();
             this.updateStats();
             
             // Update completed tasks and productivity calendar
             if (window.secondBrain && window.secondBrain.completedTasks) {
-                window.secondBrain.completedTasks.invalidateCache();
-                window.secondBrain.completedTasks.loadCompletedTasks(true); // Force reload
+                window.secondBrain.completedTasks.loadCompletedTasks();
             }
         }
 
@@ -7281,14 +9990,9 @@ class CrmManager {
     }
 
     updateProjectFundingStatus(project) {
-        // Initialize funding object if it doesn't exist
-        if (!project.funding) {
-            project.funding = { status: 'not_funded', receivedAmount: 0 };
-        }
-        
         const allTasks = this.getAllTasks(project);
         const totalValue = allTasks.reduce((sum, task) => sum + task.price, 0);
-        const receivedAmount = project.funding.receivedAmount || 0;
+        const receivedAmount = project.funding.receivedAmount;
         
         // Auto-update funding status based on received amount vs total value
         if (totalValue === 0) {
@@ -7336,8 +10040,7 @@ class CrmManager {
         
         // Calculate funding statistics
         const receivedMoney = this.projects.reduce((sum, project) => {
-            const projectFunding = project.funding || { receivedAmount: 0 };
-            return sum + (projectFunding.receivedAmount || 0);
+            return sum + project.funding.receivedAmount;
         }, 0);
         
         const pendingMoney = totalValue - receivedMoney;
@@ -7409,7 +10112,7 @@ class CrmManager {
     renderProject(project) {
         const progress = this.calculateProjectProgress(project);
         const deadline = project.deadline ? new Date(project.deadline).toLocaleDateString() : 'No deadline';
-        const funding = project.funding || { status: 'not_funded', receivedAmount: 0 };
+        const funding = project.funding;
         
         // Calculate project total value
         const allTasks = this.getAllTasks(project);
@@ -7450,19 +10153,19 @@ class CrmManager {
                         <span class="progress-text-large">${progress}%</span>
                     </div>
                     <div class="project-actions">
-                        <button class="project-action-btn" onclick="window.secondBrain.crm.showAddTaskModal(${project.id})" title="Add Task">
+                        <button class="project-action-btn" onclick="window.secondBrain.crm.showAddTaskModal('${project.id}')" title="Add Task">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <line x1="12" y1="5" x2="12" y2="19"></line>
                                 <line x1="5" y1="12" x2="19" y2="12"></line>
                             </svg>
                         </button>
-                        <button class="project-action-btn" onclick="window.secondBrain.crm.showEditProjectModal(${project.id})" title="Edit Project">
+                        <button class="project-action-btn" onclick="window.secondBrain.crm.showEditProjectModal('${project.id}')" title="Edit Project">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                                 <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                             </svg>
                         </button>
-                        <button class="project-action-btn" onclick="window.secondBrain.crm.deleteProject(${project.id}).catch(console.error)" title="Delete Project">
+                        <button class="project-action-btn" onclick="window.secondBrain.crm.deleteProject('${project.id}').catch(console.error)" title="Delete Project">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <polyline points="3,6 5,6 21,6"></polyline>
                                 <path d="M19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
@@ -7475,7 +10178,7 @@ class CrmManager {
                     <div class="tasks-section">
                         <div class="tasks-header">
                             <h4 class="tasks-title">Tasks</h4>
-                            <button class="add-task-btn" onclick="window.secondBrain.crm.showAddTaskModal(${project.id})">
+                            <button class="add-task-btn" onclick="window.secondBrain.crm.showAddTaskModal('${project.id}')">
                                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <line x1="12" y1="5" x2="12" y2="19"></line>
                                     <line x1="5" y1="12" x2="19" y2="12"></line>
@@ -7545,32 +10248,32 @@ class CrmManager {
         return `
             <div class="task-item level-${level} ${task.completed ? 'completed' : ''}" data-task-id="${task.id}">
                 <div class="task-checkbox ${task.completed ? 'checked' : ''}" 
-                     onclick="window.secondBrain.crm.toggleTask(${projectId}, ${task.id}).catch(console.error)"></div>
+                     onclick="window.secondBrain.crm.toggleTask('${projectId}', '${task.id}').catch(console.error)"></div>
                 <div class="task-content">
                     <div class="task-header">
                         ${levelIndicator}
                         <h5 class="task-name">${task.name}</h5>
                         <div class="task-actions">
                             ${hasSubtasks ? `
-                                <button class="expand-btn" onclick="window.secondBrain.crm.toggleSubtasks(${task.id})">
+                                <button class="expand-btn" onclick="window.secondBrain.crm.toggleSubtasks('${task.id}')">
                                     <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                         <polyline points="9,18 15,12 9,6"></polyline>
                                     </svg>
                                 </button>
                             ` : ''}
-                            <button class="task-action-btn" onclick="window.secondBrain.crm.showAddTaskModal(${projectId}, ${task.id})" title="Add Subtask">
+                            <button class="task-action-btn" onclick="window.secondBrain.crm.showAddTaskModal('${projectId}', '${task.id}')" title="Add Subtask">
                                 <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <line x1="12" y1="5" x2="12" y2="19"></line>
                                     <line x1="5" y1="12" x2="19" y2="12"></line>
                                 </svg>
                             </button>
-                            <button class="task-action-btn" onclick="window.secondBrain.crm.showEditTaskModal(${projectId}, ${task.id})" title="Edit Task">
+                            <button class="task-action-btn" onclick="window.secondBrain.crm.showEditTaskModal('${projectId}', '${task.id}')" title="Edit Task">
                                 <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                                     <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                                 </svg>
                             </button>
-                            <button class="task-action-btn" onclick="window.secondBrain.crm.deleteTask(${projectId}, ${task.id}).catch(console.error)" title="Delete Task">
+                            <button class="task-action-btn" onclick="window.secondBrain.crm.deleteTask('${projectId}', '${task.id}').catch(console.error)" title="Delete Task">
                                 <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <polyline points="3,6 5,6 21,6"></polyline>
                                     <path d="M19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
@@ -7763,19 +10466,19 @@ class CrmManager {
         
         div.innerHTML = `
             <div class="task-checkbox ${task.completed ? 'checked' : ''}" 
-                 onclick="window.secondBrain.crm.toggleTask(${this.getProjectIdFromTask(task.id)}, ${task.id}).catch(console.error)"></div>
+                 onclick="window.secondBrain.crm.toggleTask('${this.getProjectIdFromTask(task.id)}', '${task.id}').catch(console.error)"></div>
             <div class="task-content">
                 <div class="task-header">
                     <span class="task-level-indicator">L${task.level}</span>
                     <h5 class="task-name">${task.name}</h5>
                     <div class="task-actions">
-                        <button class="task-action-btn" onclick="window.secondBrain.crm.showEditTaskModal(${this.getProjectIdFromTask(task.id)}, ${task.id})" title="Edit Task">
+                        <button class="task-action-btn" onclick="window.secondBrain.crm.showEditTaskModal('${this.getProjectIdFromTask(task.id)}', '${task.id}')" title="Edit Task">
                             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                                 <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                             </svg>
                         </button>
-                        <button class="task-action-btn" onclick="window.secondBrain.crm.deleteTask(${this.getProjectIdFromTask(task.id)}, ${task.id}).catch(console.error)" title="Delete Task">
+                        <button class="task-action-btn" onclick="window.secondBrain.crm.deleteTask('${this.getProjectIdFromTask(task.id)}', '${task.id}').catch(console.error)" title="Delete Task">
                             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <polyline points="3,6 5,6 21,6"></polyline>
                                 <path d="M19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
@@ -7997,7 +10700,7 @@ class CrmManager {
     }
 
     getEditProjectModalContent(project) {
-        const funding = project.funding || { status: 'not_funded', receivedAmount: 0 };
+        const funding = project.funding;
         return `
             <form>
                 <div class="form-group">
@@ -8033,7 +10736,7 @@ class CrmManager {
                     </div>
                     <div class="form-group">
                         <label class="form-label" for="receivedAmount">Received Amount (₹)</label>
-                        <input type="number" id="receivedAmount" name="receivedAmount" class="form-input" min="0" step="0.01" value="${funding.receivedAmount || 0}">
+                        <input type="number" id="receivedAmount" name="receivedAmount" class="form-input" min="0" step="0.01" value="${funding.receivedAmount}">
                     </div>
                 </div>
             </form>
@@ -8081,38 +10784,10 @@ class CrmManager {
     // Data Persistence
     async saveProjects() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-            // Save each project to Firebase
-            for (const project of this.projects) {
-                    project.userId = this.firebase.userId;
-                    project.updatedAt = new Date().toISOString();
-                await this.firebase.saveProject(project);
-            }
-            
-            // Save counters
-            await this.firebase.setDocument('crm_counters', 'counters', {
-                    userId: this.firebase.userId,
-                nextProjectId: this.nextProjectId,
-                    nextTaskId: this.nextTaskId,
-                    updatedAt: new Date().toISOString()
-                });
-                
-                console.log('📊 CRM projects saved to Firebase:', this.projects.length);
-            } else {
-                // Fallback to local storage
-                localStorage.setItem('crm_projects', JSON.stringify(this.projects));
-                localStorage.setItem('crm_next_project_id', this.nextProjectId.toString());
-                localStorage.setItem('crm_next_task_id', this.nextTaskId.toString());
-                console.log('📊 CRM projects saved to local storage:', this.projects.length);
-            }
-            
-            // Always save to local storage as backup
-            localStorage.setItem('crm_projects', JSON.stringify(this.projects));
-            localStorage.setItem('crm_next_project_id', this.nextProjectId.toString());
-            localStorage.setItem('crm_next_task_id', this.nextTaskId.toString());
+            // Only projects changed since the last load or save are written, in batches
+            const written = await this.firebase.saveChangedRecords(this.dirtyTracker, 'projects', this.projects);
             
-            // Invalidate cache after saving
-            this.invalidateCache();
+            console.log(`📊 CRM projects saved: ${written} changed documents`);
             
             // Refresh dashboard widgets that depend on CRM data
             if (window.refreshDashboardWidgets) {
@@ -8123,88 +10798,28 @@ class CrmManager {
             }
         } catch (error) {
             console.error('Error saving CRM projects:', error);
-            // Fallback to local storage
-            localStorage.setItem('crm_projects', JSON.stringify(this.projects));
-            localStorage.setItem('crm_next_project_id', this.nextProjectId.toString());
-            localStorage.setItem('crm_next_task_id', this.nextTaskId.toString());
-            
-            // Invalidate cache even on error
-            this.invalidateCache();
         }
     }
 
+    // Remote reads are cached by FirebaseService; forceReload goes to the server
     async loadProjects(forceReload = false) {
         try {
-            // Check cache first
-            if (!forceReload && this.cache.projects && this.cache.lastUpdated) {
-                const now = Date.now();
-                if (now - this.cache.lastUpdated < this.cache.cacheTimeout) {
-                    console.log('📦 Using cached CRM projects data');
-                    this.projects = this.cache.projects;
-                    this.updateNextIds();
-                    return;
-                }
-            }
-
-            if (this.firebase && this.firebase.isInitialized) {
-                // Load projects from Firebase
-                const firebaseProjects = await this.firebase.getProjects();
-                if (firebaseProjects && firebaseProjects.length > 0) {
-                    // Filter projects by current user
-                    this.projects = firebaseProjects.filter(project => project.userId === this.firebase.userId);
-                    
-                    // Update cache
-                    this.cache.projects = [...this.projects];
-                    this.cache.lastUpdated = Date.now();
-                
-                    // Load counters
-                    const counters = await this.firebase.getDocument('crm_counters', 'counters');
-                    if (counters && counters.userId === this.firebase.userId) {
-                        this.nextProjectId = counters.nextProjectId || 1;
-                        this.nextTaskId = counters.nextTaskId || 1;
-                    } else {
-                        // Calculate next IDs from existing projects
-                        this.nextProjectId = Math.max(...this.projects.map(p => p.id), 0) + 1;
-                        this.nextTaskId = Math.max(...this.projects.flatMap(p => p.tasks.map(t => t.id)), 0) + 1;
-                    }
-                    console.log('📊 CRM projects loaded from Firebase:', this.projects.length);
-                } else {
-                    // No Firebase data, try local storage
-                    this.loadFromLocalStorage();
-                }
-            } else {
-                // Firebase not initialized, use local storage
-                this.loadFromLocalStorage();
-            }
+            const projects = await this.firebase.getProjects({ forceRefresh: forceReload });
+            // Filter projects by current user
+            this.projects = (projects || []).filter(project => project.userId === this.firebase.userId);
+            this.dirtyTracker.markClean(this.projects);
+            console.log('📊 CRM projects loaded:', this.projects.length);
         } catch (error) {
             console.error('Error loading CRM projects:', error);
-            // Fallback to local storage
-            this.loadFromLocalStorage();
+            // Whatever was loaded before stays; the next load retries
         }
     }
 
-    loadFromLocalStorage() {
-            const savedProjects = localStorage.getItem('crm_projects');
-            const savedNextProjectId = localStorage.getItem('crm_next_project_id');
-            const savedNextTaskId = localStorage.getItem('crm_next_task_id');
-
-            if (savedProjects) {
-                this.projects = JSON.parse(savedProjects);
-            }
-            if (savedNextProjectId) {
-                this.nextProjectId = parseInt(savedNextProjectId);
-            }
-            if (savedNextTaskId) {
-                this.nextTaskId = parseInt(savedNextTaskId);
-            }
-        console.log('📊 CRM projects loaded from local storage:', this.projects.length);
-    }
-
     // Force reload from Firebase (useful for sync issues)
     async forceReloadFromFirebase() {
         try {
             console.log('🔄 Force reloading CRM data from Firebase...');
-            await this.loadProjects();
+            await this.loadProjects(true);
             this.renderProjects();
             this.updateStats();
             console.log('✅ CRM data force reloaded successfully');
@@ -8214,6 +10829,15 @@ class CrmManager {
             return false;
         }
     }
+
+    // Apply project changes made on other devices as they arrive
+    subscribeToChanges() {
+        this.firebase.subscribeToCollection('projects', (changes) => {
+            this.projects = this.firebase.applyRemoteChanges(this.projects, changes, this.dirtyTracker);
+            this.renderProjects();
+            this.updateStats();
+        });
+    }
 }
 
 // Wallet Manager Class
@@ -8221,7 +10845,7 @@ class WalletManager {
     constructor(firebaseService) {
         this.firebase = firebaseService;
         this.transactions = [];
-        this.nextTransactionId = 1;
+        this.dirtyTracker = new DirtyTracker();
         this.currentFilter = 'all';
         // Note: loadTransactions() will be called by initializeWallet() after DOM is ready
     }
@@ -8229,7 +10853,7 @@ class WalletManager {
     // Transaction Management
     addTransaction(amount, description, date, type = 'expense') {
         const transaction = {
-            id: this.nextTransactionId++,
+            id: createRecordId(),
             amount: parseFloat(amount),
             description: description.trim(),
             date: date,
@@ -8249,6 +10873,7 @@ class WalletManager {
     editTransaction(id, amount, description, date, type) {
         const transaction = this.transactions.find(t => t.id === id);
         if (transaction) {
+            const before = snapshotRecord(transaction);
             transaction.amount = parseFloat(amount);
             transaction.description = description.trim();
             transaction.date = date;
@@ -8256,6 +10881,7 @@ class WalletManager {
             transaction.updatedAt = new Date().toISOString();
             
             this.saveTransactions();
+            this.firebase.undoHistory.recordChange(`Edit transaction "${transaction.description}"`, 'wallet_transactions', before, snapshotRecord(transaction));
             this.renderTransactions();
             this.updateStats();
         }
@@ -8263,10 +10889,13 @@ class WalletManager {
 
     async deleteTransaction(id) {
         try {
-            // Delete from Firebase first
-            if (this.firebase && this.firebase.isInitialized) {
-                await this.firebase.deleteDocument('wallet_transactions', id.toString());
-                console.log('🗑️ Transaction deleted from Firebase:', id);
+            // Move to the trash first
+            const transaction = this.transactions.find(t => t.id === id);
+            if (transaction) {
+                const entry = await this.firebase.recycleBin.trash('wallet_transactions', transaction);
+                console.log('🗑️ Transaction moved to the trash:', id);
+                showUndoToast(`Transaction "${entry.label}" moved to the trash`,
+                    this.firebase.undoHistory.recordTrash(`Delete transaction "${entry.label}"`, entry));
             }
             
             // Remove from local array
@@ -8290,8 +10919,10 @@ class WalletManager {
 
     // Statistics and Calculations
     calculateBalance() {
+        // Amounts are stored positive; the type tells which way the money went
         return this.transactions.reduce((balance, transaction) => {
-            return balance + transaction.amount;
+            const amount = Math.abs(transaction.amount);
+            return balance + (transaction.type === 'expense' ? -amount : amount);
         }, 0);
     }
 
@@ -8399,13 +11030,13 @@ class WalletManager {
                     ${amountPrefix}₹${Math.abs(transaction.amount).toLocaleString()}
                 </div>
                 <div class="transaction-actions">
-                    <button class="transaction-action-btn" onclick="window.secondBrain.wallet.showEditTransactionModal(${transaction.id})" title="Edit Transaction">
+                    <button class="transaction-action-btn" onclick="window.secondBrain.wallet.showEditTransactionModal('${transaction.id}')" title="Edit Transaction">
                         <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                             <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                         </svg>
                     </button>
-                    <button class="transaction-action-btn" onclick="window.secondBrain.wallet.deleteTransaction(${transaction.id}).catch(console.error)" title="Delete Transaction">
+                    <button class="transaction-action-btn" onclick="window.secondBrain.wallet.deleteTransaction('${transaction.id}').catch(console.error)" title="Delete Transaction">
                         <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <polyline points="3,6 5,6 21,6"></polyline>
                             <path d="M19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
@@ -8546,145 +11177,500 @@ class WalletManager {
                     </button>
                     <button type="button" class="transaction-type-btn active" data-type="income">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <line x1="12" y1="5" x2="12" y2="19"></line>
-                            <line x1="5" y1="12" x2="19" y2="12"></line>
+                            <line x1="12" y1="5" x2="12" y2="19"></line>
+                            <line x1="5" y1="12" x2="19" y2="12"></line>
+                        </svg>
+                        Income
+                    </button>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="transactionAmount">Amount (₹)</label>
+                    <input type="number" id="transactionAmount" name="amount" class="form-input" min="0" step="0.01" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="transactionDescription">Description</label>
+                    <input type="text" id="transactionDescription" name="description" class="form-input" placeholder="Enter description..." required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="transactionDate">Date</label>
+                    <input type="date" id="transactionDate" name="date" class="form-input" value="${today}" required>
+                </div>
+            </form>
+        `;
+    }
+
+    getEditTransactionModalContent(transaction) {
+        const isIncome = transaction.type === 'income';
+        
+        return `
+            <form>
+                <div class="transaction-type-buttons">
+                    <button type="button" class="transaction-type-btn ${!isIncome ? 'active' : ''}" data-type="expense">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="5" y1="12" x2="19" y2="12"></line>
+                        </svg>
+                        Expense
+                    </button>
+                    <button type="button" class="transaction-type-btn ${isIncome ? 'active' : ''}" data-type="income">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="12" y1="5" x2="12" y2="19"></line>
+                            <line x1="5" y1="12" x2="19" y2="12"></line>
+                        </svg>
+                        Income
+                    </button>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="transactionAmount">Amount (₹)</label>
+                    <input type="number" id="transactionAmount" name="amount" class="form-input" min="0" step="0.01" value="${Math.abs(transaction.amount)}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="transactionDescription">Description</label>
+                    <input type="text" id="transactionDescription" name="description" class="form-input" value="${transaction.description}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="transactionDate">Date</label>
+                    <input type="date" id="transactionDate" name="date" class="form-input" value="${transaction.date}" required>
+                </div>
+            </form>
+        `;
+    }
+
+    // CSV (js/wallet-csv.js)
+    // Exports the transactions the active filter lists
+    exportCsv() {
+        const transactions = this.getFilteredTransactions();
+        if (transactions.length === 0) {
+            showNotification('There are no transactions to export', 'warning');
+            return;
+        }
+        
+        const blob = new Blob([walletTransactionsToCsv(transactions)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `wallet-${this.currentFilter === 'all' ? 'transactions' : this.currentFilter}-${new Date().toISOString().split('T')[0]}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+        
+        logActivity('Wallet', 'Completed', `Exported ${transactions.length} transactions as CSV`);
+        showNotification(`Exported ${transactions.length} transactions`);
+    }
+    
+    chooseCsvFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,text/csv';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            try {
+                this.showCsvImportWizard(await file.text(), file.name);
+            } catch (error) {
+                console.error('❌ Error reading CSV file:', error);
+                showNotification(`Import failed: ${error.message}`, 'error');
+            }
+        };
+        input.click();
+    }
+    
+    // Column mapping and a preview of what the file adds; nothing is saved until Import
+    showCsvImportWizard(text, fileName) {
+        const [header, ...rows] = parseCsv(text);
+        if (!header || rows.length === 0) {
+            throw new Error('The file has no transactions');
+        }
+        
+        const modal = this.openWalletDialog('Import Transactions', `
+                    <p class="wallet-import-file"></p>
+                    <div class="wallet-import-mapping">
+                        <div class="form-group">
+                            <label class="form-label" for="walletImportDate">Date column</label>
+                            <select id="walletImportDate" class="form-input" data-field="date"></select>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="walletImportDateFormat">Date format</label>
+                            <select id="walletImportDateFormat" class="form-input" data-field="dateFormat"></select>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="walletImportDescription">Description column</label>
+                            <select id="walletImportDescription" class="form-input" data-field="description"></select>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="walletImportAmounts">Amounts</label>
+                            <select id="walletImportAmounts" class="form-input" data-field="amounts"></select>
+                        </div>
+                        <div class="form-group" data-amounts="single">
+                            <label class="form-label" for="walletImportAmount">Amount column</label>
+                            <select id="walletImportAmount" class="form-input" data-field="amount"></select>
+                        </div>
+                        <div class="form-group" data-amounts="split">
+                            <label class="form-label" for="walletImportDebit">Debit column (expenses)</label>
+                            <select id="walletImportDebit" class="form-input" data-field="debit"></select>
+                        </div>
+                        <div class="form-group" data-amounts="split">
+                            <label class="form-label" for="walletImportCredit">Credit column (income)</label>
+                            <select id="walletImportCredit" class="form-input" data-field="credit"></select>
+                        </div>
+                    </div>
+                    <p class="wallet-import-summary"></p>
+                    <label class="wallet-import-duplicates">
+                        <input type="checkbox" id="walletImportDuplicates">
+                        Import duplicates too
+                    </label>
+                    <div class="wallet-import-preview">
+                        <table class="wallet-import-table">
+                            <thead>
+                                <tr><th>Line</th><th>Date</th><th>Description</th><th>Amount</th><th>Status</th></tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
+        `, `
+                    <button class="btn btn-secondary" onclick="this.closest('.wallet-modal').remove()">Cancel</button>
+                    <button class="btn btn-primary" id="walletImportSubmit">Import</button>
+        `);
+        modal.querySelector('.wallet-import-file').textContent = `${fileName}: ${rows.length} rows`;
+        
+        const field = (name) => modal.querySelector(`[data-field="${name}"]`);
+        ['date', 'description', 'amount', 'debit', 'credit'].forEach(name => {
+            header.forEach((column, index) => {
+                field(name).appendChild(new Option(column.trim() || `Column ${index + 1}`, index));
+            });
+        });
+        Object.entries(WALLET_AMOUNT_MODES).forEach(([mode, label]) => {
+            field('amounts').appendChild(new Option(label, mode));
+        });
+        
+        // Date formats are offered with the ones the date column's values fit marked
+        const fillDateFormats = () => {
+            const detected = detectWalletDateFormats(rows.map(fields => fields[Number(field('date').value)]));
+            field('dateFormat').innerHTML = '';
+            WALLET_DATE_FORMATS.forEach(format => {
+                const label = `${format.id} (${format.label})${detected.includes(format.id) ? ' - detected' : ''}`;
+                field('dateFormat').appendChild(new Option(label, format.id));
+            });
+            field('dateFormat').value = detected[0] || WALLET_DATE_FORMATS[0].id;
+        };
+        
+        const guess = guessWalletMapping(header);
+        ['date', 'description', 'amount', 'debit', 'credit', 'amounts'].forEach(name => {
+            if (guess[name] !== null) field(name).value = guess[name];
+        });
+        fillDateFormats();
+        
+        let entries = [];
+        const update = () => {
+            const mapping = { dateFormat: field('dateFormat').value, amounts: field('amounts').value };
+            ['date', 'description', 'amount', 'debit', 'credit'].forEach(name => {
+                mapping[name] = Number(field(name).value);
+            });
+            modal.querySelectorAll('[data-amounts]').forEach(group => {
+                group.style.display = (group.dataset.amounts === 'split') === (mapping.amounts === 'split') ? '' : 'none';
+            });
+            
+            entries = markWalletDuplicates(mapWalletRows(rows, mapping), this.transactions);
+            const includeDuplicates = modal.querySelector('#walletImportDuplicates').checked;
+            const valid = entries.filter(entry => !entry.error);
+            const duplicates = valid.filter(entry => entry.duplicate).length;
+            const count = includeDuplicates ? valid.length : valid.length - duplicates;
+            
+            modal.querySelector('.wallet-import-summary').textContent =
+                `${valid.length - duplicates} new, ${duplicates} already in your wallet, ${entries.length - valid.length} that cannot be read`;
+            const submit = modal.querySelector('#walletImportSubmit');
+            submit.textContent = `Import ${count} transaction${count === 1 ? '' : 's'}`;
+            submit.disabled = count === 0;
+            this.renderCsvPreview(modal.querySelector('.wallet-import-table tbody'), entries);
+        };
+        
+        field('date').addEventListener('change', () => {
+            fillDateFormats();
+            update();
+        });
+        modal.querySelectorAll('select:not([data-field="date"]), #walletImportDuplicates').forEach(input => {
+            input.addEventListener('change', update);
+        });
+        modal.querySelector('#walletImportSubmit').addEventListener('click', async () => {
+            const includeDuplicates = modal.querySelector('#walletImportDuplicates').checked;
+            const selected = entries.filter(entry => !entry.error && (includeDuplicates || !entry.duplicate));
+            modal.remove();
+            await this.importCsvEntries(selected, fileName);
+        });
+        
+        update();
+    }
+    
+    // A wide wallet modal for the import wizards; replaces any open wallet modal
+    openWalletDialog(title, body, actions) {
+        const existingModal = document.querySelector('.wallet-modal');
+        if (existingModal) {
+            existingModal.remove();
+        }
+        
+        const modal = document.createElement('div');
+        modal.className = 'wallet-modal';
+        modal.innerHTML = `
+            <div class="wallet-modal-content wallet-import-content">
+                <div class="wallet-modal-header">
+                    <h3 class="wallet-modal-title">${title}</h3>
+                    <button class="wallet-modal-close" onclick="this.closest('.wallet-modal').remove()">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
                         </svg>
-                        Income
                     </button>
                 </div>
-                <div class="form-group">
-                    <label class="form-label" for="transactionAmount">Amount (₹)</label>
-                    <input type="number" id="transactionAmount" name="amount" class="form-input" min="0" step="0.01" required>
-                </div>
-                <div class="form-group">
-                    <label class="form-label" for="transactionDescription">Description</label>
-                    <input type="text" id="transactionDescription" name="description" class="form-input" placeholder="Enter description..." required>
+                <div class="wallet-modal-body">
+                    ${body}
                 </div>
-                <div class="form-group">
-                    <label class="form-label" for="transactionDate">Date</label>
-                    <input type="date" id="transactionDate" name="date" class="form-input" value="${today}" required>
+                <div class="wallet-modal-actions">
+                    ${actions}
                 </div>
-            </form>
+            </div>
         `;
+        
+        document.body.appendChild(modal);
+        setTimeout(() => modal.classList.add('open'), 10);
+        return modal;
+    }
+    
+    renderCsvPreview(tbody, entries) {
+        tbody.innerHTML = '';
+        entries.slice(0, WALLET_IMPORT_PREVIEW_ROWS).forEach(entry => {
+            const row = document.createElement('tr');
+            row.className = entry.error ? 'wallet-import-error' : entry.duplicate ? 'wallet-import-duplicate' : '';
+            const amount = entry.error ? '' : `${entry.type === 'income' ? '+' : '-'}₹${entry.amount.toLocaleString()}`;
+            const status = entry.error || (entry.duplicate ? 'Duplicate' : 'New');
+            [entry.line, entry.date || '', entry.description, amount, status].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+        
+        if (entries.length > WALLET_IMPORT_PREVIEW_ROWS) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 5;
+            cell.textContent = `and ${entries.length - WALLET_IMPORT_PREVIEW_ROWS} more rows`;
+            row.appendChild(cell);
+            tbody.appendChild(row);
+        }
+    }
+    
+    async importCsvEntries(entries, fileName) {
+        const now = new Date().toISOString();
+        entries.forEach(entry => {
+            this.transactions.push({
+                id: createRecordId(),
+                amount: entry.amount,
+                description: entry.description,
+                date: entry.date,
+                type: entry.type,
+                userId: this.firebase ? this.firebase.userId : 'anonymous_user',
+                createdAt: now,
+                updatedAt: now
+            });
+        });
+        
+        await this.saveTransactions();
+        this.renderTransactions();
+        this.updateStats();
+        
+        logActivity('Wallet', 'Completed', `Imported ${entries.length} transactions from ${fileName}`);
+        showNotification(`Imported ${entries.length} transactions`);
     }
 
-    getEditTransactionModalContent(transaction) {
-        const isIncome = transaction.type === 'income';
+    // Bank statements (js/bank-statements.js)
+    chooseStatementFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.ofx,.qfx,.qif';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            try {
+                this.showStatementImport(parseBankStatement(await file.text(), file.name), file.name);
+            } catch (error) {
+                console.error('❌ Error reading bank statement:', error);
+                showNotification(`Import failed: ${error.message}`, 'error');
+            }
+        };
+        input.click();
+    }
+    
+    // Transactions are matched with imported ones by the bank's id (FITID) within their account,
+    // so importing a statement again, or one that overlaps it, adds only what is new
+    statementEntries(statements) {
+        const imported = new Set(this.transactions
+            .filter(transaction => transaction.fitId)
+            .map(transaction => `${transaction.bankAccount || ''}|${transaction.fitId}`));
+        
+        return statements.flatMap(statement => statement.transactions.map(transaction => ({
+            ...transaction,
+            account: statement.account,
+            status: !transaction.date || !transaction.amount ? 'unreadable'
+                : imported.has(`${statement.account}|${transaction.fitId}`) ? 'imported' : 'new'
+        })));
+    }
+    
+    showStatementImport(statements, fileName) {
+        const entries = this.statementEntries(statements);
+        const added = entries.filter(entry => entry.status === 'new');
+        const alreadyImported = entries.filter(entry => entry.status === 'imported').length;
+        
+        const modal = this.openWalletDialog('Import Statement', `
+                    <p class="wallet-import-file"></p>
+                    <p class="wallet-import-summary"></p>
+                    <div class="wallet-import-preview">
+                        <table class="wallet-import-table">
+                            <thead>
+                                <tr><th>Date</th><th>Description</th><th>Amount</th><th>Status</th></tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
+        `, `
+                    <button class="btn btn-secondary" onclick="this.closest('.wallet-modal').remove()">Cancel</button>
+                    <button class="btn btn-primary" id="walletStatementSubmit">Import</button>
+        `);
+        
+        const accounts = [...new Set(statements.map(statement => statement.account).filter(Boolean))];
+        modal.querySelector('.wallet-import-file').textContent =
+            `${fileName} (${statements[0].format}${accounts.length > 0 ? `, account ${accounts.join(', ')}` : ''}): ${entries.length} transactions`;
+        modal.querySelector('.wallet-import-summary').textContent =
+            `${added.length} new, ${alreadyImported} imported before, ${entries.length - added.length - alreadyImported} that cannot be read`;
+        
+        const statusLabels = { new: 'New', imported: 'Imported before', unreadable: 'Cannot be read' };
+        const tbody = modal.querySelector('tbody');
+        entries.slice(0, WALLET_IMPORT_PREVIEW_ROWS).forEach(entry => {
+            const row = document.createElement('tr');
+            row.className = entry.status === 'unreadable' ? 'wallet-import-error' : entry.status === 'imported' ? 'wallet-import-duplicate' : '';
+            const amount = entry.amount ? `${entry.amount > 0 ? '+' : '-'}₹${Math.abs(entry.amount).toLocaleString()}` : '';
+            [entry.date || '', entry.description, amount, statusLabels[entry.status]].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
         
-        return `
-            <form>
-                <div class="transaction-type-buttons">
-                    <button type="button" class="transaction-type-btn ${!isIncome ? 'active' : ''}" data-type="expense">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <line x1="5" y1="12" x2="19" y2="12"></line>
-                        </svg>
-                        Expense
-                    </button>
-                    <button type="button" class="transaction-type-btn ${isIncome ? 'active' : ''}" data-type="income">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <line x1="12" y1="5" x2="12" y2="19"></line>
-                            <line x1="5" y1="12" x2="19" y2="12"></line>
-                        </svg>
-                        Income
-                    </button>
-                </div>
-                <div class="form-group">
-                    <label class="form-label" for="transactionAmount">Amount (₹)</label>
-                    <input type="number" id="transactionAmount" name="amount" class="form-input" min="0" step="0.01" value="${Math.abs(transaction.amount)}" required>
-                </div>
-                <div class="form-group">
-                    <label class="form-label" for="transactionDescription">Description</label>
-                    <input type="text" id="transactionDescription" name="description" class="form-input" value="${transaction.description}" required>
-                </div>
-                <div class="form-group">
-                    <label class="form-label" for="transactionDate">Date</label>
-                    <input type="date" id="transactionDate" name="date" class="form-input" value="${transaction.date}" required>
-                </div>
-            </form>
-        `;
+        const submit = modal.querySelector('#walletStatementSubmit');
+        submit.textContent = added.length > 0 ? `Import ${added.length} transaction${added.length === 1 ? '' : 's'}` : 'Reconcile';
+        submit.addEventListener('click', async () => {
+            if (added.length > 0) {
+                await this.importStatementEntries(added, fileName);
+            }
+            this.showReconciliation(statements);
+        });
+    }
+    
+    async importStatementEntries(entries, fileName) {
+        const now = new Date().toISOString();
+        entries.forEach(entry => {
+            this.transactions.push({
+                id: createRecordId(),
+                amount: Math.abs(entry.amount),
+                description: entry.description || 'Bank transaction',
+                date: entry.date,
+                type: entry.amount > 0 ? 'income' : 'expense',
+                fitId: entry.fitId,
+                bankAccount: entry.account,
+                userId: this.firebase ? this.firebase.userId : 'anonymous_user',
+                createdAt: now,
+                updatedAt: now
+            });
+        });
+        
+        await this.saveTransactions();
+        this.renderTransactions();
+        this.updateStats();
+        
+        logActivity('Wallet', 'Completed', `Imported ${entries.length} transactions from statement ${fileName}`);
+        showNotification(`Imported ${entries.length} transactions`);
+    }
+    
+    // The statement's closing balance next to the wallet's. QIF statements have none, so it is
+    // typed in from the bank's statement.
+    showReconciliation(statements) {
+        const known = statements.every(statement => statement.closingBalance !== null);
+        const closing = known ? statements.reduce((total, statement) => total + statement.closingBalance, 0) : null;
+        const dates = statements.map(statement => statement.balanceDate).filter(Boolean).sort();
+        
+        const modal = this.openWalletDialog('Reconcile', `
+                    <div class="form-group">
+                        <label class="form-label" for="walletStatementBalance">Statement closing balance (₹)</label>
+                        <input type="number" id="walletStatementBalance" class="form-input" step="0.01">
+                    </div>
+                    <div class="wallet-reconcile">
+                        <div class="wallet-reconcile-row">
+                            <span>Wallet balance</span>
+                            <span id="walletReconcileBalance"></span>
+                        </div>
+                        <div class="wallet-reconcile-row">
+                            <span>Difference</span>
+                            <span id="walletReconcileDifference"></span>
+                        </div>
+                    </div>
+                    <p class="wallet-reconcile-status" id="walletReconcileStatus"></p>
+        `, `
+                    <button class="btn btn-primary" onclick="this.closest('.wallet-modal').remove()">Done</button>
+        `);
+        
+        const balance = this.calculateBalance();
+        const input = modal.querySelector('#walletStatementBalance');
+        if (closing !== null) input.value = closing.toFixed(2);
+        if (dates.length > 0) {
+            modal.querySelector('label[for="walletStatementBalance"]').textContent = `Statement closing balance on ${dates[dates.length - 1]} (₹)`;
+        }
+        modal.querySelector('#walletReconcileBalance').textContent = `₹${balance.toLocaleString()}`;
+        
+        const update = () => {
+            const status = modal.querySelector('#walletReconcileStatus');
+            const difference = modal.querySelector('#walletReconcileDifference');
+            if (input.value === '') {
+                difference.textContent = '';
+                status.textContent = 'Enter the closing balance printed on your statement.';
+                status.className = 'wallet-reconcile-status';
+                return;
+            }
+            
+            const gap = Math.round((balance - Number(input.value)) * 100) / 100;
+            difference.textContent = `${gap > 0 ? '+' : gap < 0 ? '-' : ''}₹${Math.abs(gap).toLocaleString()}`;
+            status.textContent = gap === 0
+                ? 'Reconciled: the wallet matches the statement.'
+                : `The wallet is ₹${Math.abs(gap).toLocaleString()} ${gap > 0 ? 'above' : 'below'} the statement. Look for transactions missing from either, or for income and expenses entered before the statement's opening balance.`;
+            status.className = `wallet-reconcile-status ${gap === 0 ? 'reconciled' : 'unreconciled'}`;
+        };
+        input.addEventListener('input', update);
+        update();
     }
 
     // Data Persistence
     async saveTransactions() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                // Save each transaction to Firebase
-                for (const transaction of this.transactions) {
-                    transaction.userId = this.firebase.userId;
-                    transaction.updatedAt = new Date().toISOString();
-                    await this.firebase.setDocument('wallet_transactions', transaction.id.toString(), transaction);
-                }
-                
-                // Save counter
-                await this.firebase.setDocument('wallet_counters', 'counters', {
-                    userId: this.firebase.userId,
-                    nextTransactionId: this.nextTransactionId,
-                    updatedAt: new Date().toISOString()
-                });
-                
-                console.log('💰 Wallet transactions saved to Firebase:', this.transactions.length);
-            } else {
-                // Fallback to local storage
-        localStorage.setItem('wallet_transactions', JSON.stringify(this.transactions));
-        localStorage.setItem('wallet_next_transaction_id', this.nextTransactionId.toString());
-                console.log('💰 Wallet transactions saved to local storage:', this.transactions.length);
-            }
+            // Only records changed since the last load or save are written, in batches
+            const written = await this.firebase.saveChangedRecords(this.dirtyTracker, 'wallet_transactions', this.transactions);
             
-            // Always save to local storage as backup
-            localStorage.setItem('wallet_transactions', JSON.stringify(this.transactions));
-            localStorage.setItem('wallet_next_transaction_id', this.nextTransactionId.toString());
+            console.log(`💰 Wallet transactions saved: ${written} changed documents`);
         } catch (error) {
             console.error('Error saving wallet transactions:', error);
-            // Fallback to local storage
-            localStorage.setItem('wallet_transactions', JSON.stringify(this.transactions));
-            localStorage.setItem('wallet_next_transaction_id', this.nextTransactionId.toString());
         }
     }
 
     async loadTransactions() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                // Load transactions from Firebase
-                const firebaseTransactions = await this.firebase.getCollection('wallet_transactions');
-                if (firebaseTransactions && firebaseTransactions.length > 0) {
-                    // Filter transactions by current user
-                    this.transactions = firebaseTransactions.filter(transaction => transaction.userId === this.firebase.userId);
-                    
-                    // Load counter
-                    const counter = await this.firebase.getDocument('wallet_counters', 'counters');
-                    if (counter && counter.userId === this.firebase.userId) {
-                        this.nextTransactionId = counter.nextTransactionId || 1;
-                    } else {
-                        // Calculate next ID from existing transactions
-                        this.nextTransactionId = Math.max(...this.transactions.map(t => t.id), 0) + 1;
-                    }
-                    console.log('💰 Wallet transactions loaded from Firebase:', this.transactions.length);
-                } else {
-                    // No Firebase data, try local storage
-                    this.loadFromLocalStorage();
-                }
-            } else {
-                // Firebase not initialized, use local storage
-                this.loadFromLocalStorage();
-            }
+            const transactions = await this.firebase.getCollection('wallet_transactions');
+            // Filter transactions by current user
+            this.transactions = (transactions || []).filter(transaction => transaction.userId === this.firebase.userId);
+            this.dirtyTracker.markClean(this.transactions);
+            console.log('💰 Wallet transactions loaded:', this.transactions.length);
         } catch (error) {
             console.error('Error loading wallet transactions:', error);
-            // Fallback to local storage
-            this.loadFromLocalStorage();
-        }
-    }
-
-    loadFromLocalStorage() {
-        const savedTransactions = localStorage.getItem('wallet_transactions');
-        const savedNextTransactionId = localStorage.getItem('wallet_next_transaction_id');
-
-        if (savedTransactions) {
-            this.transactions = JSON.parse(savedTransactions);
+            // Whatever was loaded before stays; the next load retries
         }
-        if (savedNextTransactionId) {
-            this.nextTransactionId = parseInt(savedNextTransactionId);
-        }
-        console.log('💰 Wallet transactions loaded from local storage:', this.transactions.length);
     }
 
     // Force reload from Firebase (useful for sync issues)
@@ -8701,6 +11687,15 @@ class WalletManager {
             return false;
         }
     }
+
+    // Apply transaction changes made on other devices as they arrive
+    subscribeToChanges() {
+        this.firebase.subscribeToCollection('wallet_transactions', (changes) => {
+            this.transactions = this.firebase.applyRemoteChanges(this.transactions, changes, this.dirtyTracker);
+            this.renderTransactions();
+            this.updateStats();
+        });
+    }
 }
 
 // Goals Manager Class
@@ -8709,7 +11704,7 @@ class GoalsManager {
         console.log('GoalsManager constructor called');
         this.firebase = firebaseService;
         this.goals = [];
-        this.nextGoalId = 1;
+        this.dirtyTracker = new DirtyTracker();
         this.countdownIntervals = new Map();
         // Note: loadGoals() will be called by initializeGoals() after DOM is ready
         console.log('GoalsManager initialized');
@@ -8720,7 +11715,7 @@ class GoalsManager {
         console.log('Adding goal with data:', { name, description, targetAmount, currentAmount, targetDate, imageData });
         
         const goal = {
-            id: this.nextGoalId++,
+            id: createRecordId(),
             name: name.trim(),
             description: description.trim(),
             targetAmount: parseFloat(targetAmount),
@@ -8771,10 +11766,13 @@ class GoalsManager {
 
     async deleteGoal(id) {
         try {
-            // Delete from Firebase first
-            if (this.firebase && this.firebase.isInitialized) {
-                await this.firebase.deleteDocument('goals', id.toString());
-                console.log('🗑️ Goal deleted from Firebase:', id);
+            // Move to the trash first
+            const goal = this.goals.find(g => g.id === id);
+            if (goal) {
+                const entry = await this.firebase.recycleBin.trash('goals', goal);
+                console.log('🗑️ Goal moved to the trash:', id);
+                showUndoToast(`Goal "${entry.label}" moved to the trash`,
+                    this.firebase.undoHistory.recordTrash(`Delete goal "${entry.label}"`, entry));
             }
             
             // Remove from local array
@@ -8801,6 +11799,7 @@ class GoalsManager {
     updateGoalAmount(id, newAmount) {
         const goal = this.goals.find(g => g.id === id);
         if (goal) {
+            const before = snapshotRecord(goal);
             const oldAmount = goal.currentAmount;
             goal.currentAmount = Math.max(0, parseFloat(newAmount));
             goal.updatedAt = new Date().toISOString();
@@ -8817,6 +11816,7 @@ class GoalsManager {
             }
             
             this.saveGoals();
+            this.firebase.undoHistory.recordChange(`Update goal "${goal.name}"`, 'goals', before, snapshotRecord(goal));
             this.renderGoals();
             this.updateStats();
         }
@@ -9024,13 +12024,13 @@ class GoalsManager {
                             <p class="goal-description">${goal.description}</p>
                         </div>
                         <div class="goal-actions">
-                            <button class="goal-action-btn" onclick="window.secondBrain.goals.showEditGoalModal(${goal.id})" title="Edit Goal">
+                            <button class="goal-action-btn" onclick="window.secondBrain.goals.showEditGoalModal('${goal.id}')" title="Edit Goal">
                                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                                     <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                                 </svg>
                             </button>
-                            <button class="goal-action-btn" onclick="window.secondBrain.goals.deleteGoal(${goal.id}).catch(console.error)" title="Delete Goal">
+                            <button class="goal-action-btn" onclick="window.secondBrain.goals.deleteGoal('${goal.id}').catch(console.error)" title="Delete Goal">
                                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <polyline points="3,6 5,6 21,6"></polyline>
                                     <path d="M19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
@@ -9062,9 +12062,9 @@ class GoalsManager {
                     
                     <div class="goal-controls">
                         <div class="goal-amount-controls">
-                            <button class="goal-amount-btn" onclick="window.secondBrain.goals.updateGoalAmount(${goal.id}, ${goal.currentAmount - 1000})" ${goal.currentAmount <= 0 ? 'disabled' : ''}>-</button>
+                            <button class="goal-amount-btn" onclick="window.secondBrain.goals.updateGoalAmount('${goal.id}', ${goal.currentAmount - 1000})" ${goal.currentAmount <= 0 ? 'disabled' : ''}>-</button>
                             <span class="goal-amount-display">₹${goal.currentAmount.toLocaleString()}</span>
-                            <button class="goal-amount-btn" onclick="window.secondBrain.goals.updateGoalAmount(${goal.id}, ${goal.currentAmount + 1000})">+</button>
+                            <button class="goal-amount-btn" onclick="window.secondBrain.goals.updateGoalAmount('${goal.id}', ${goal.currentAmount + 1000})">+</button>
                         </div>
                     </div>
                 </div>
@@ -9417,84 +12417,35 @@ class GoalsManager {
     // Data Persistence
     async saveGoals() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                // Save each goal to Firebase
-                for (const goal of this.goals) {
-                    goal.userId = this.firebase.userId;
-                    goal.updatedAt = new Date().toISOString();
-                    await this.firebase.setDocument('goals', goal.id.toString(), goal);
-                }
-                
-                // Save counter
-                await this.firebase.setDocument('goals_counters', 'counters', {
-                    userId: this.firebase.userId,
-                    nextGoalId: this.nextGoalId,
-                    updatedAt: new Date().toISOString()
-                });
-                
-                console.log('🎯 Goals saved to Firebase:', this.goals.length);
-            } else {
-                // Fallback to local storage
-        localStorage.setItem('goals_data', JSON.stringify(this.goals));
-        localStorage.setItem('goals_next_id', this.nextGoalId.toString());
-                console.log('🎯 Goals saved to local storage:', this.goals.length);
-            }
+            // Only records changed since the last load or save are written, in batches
+            const written = await this.firebase.saveChangedRecords(this.dirtyTracker, 'goals', this.goals);
             
-            // Always save to local storage as backup
-            localStorage.setItem('goals_data', JSON.stringify(this.goals));
-            localStorage.setItem('goals_next_id', this.nextGoalId.toString());
+            console.log(`🎯 Goals saved: ${written} changed documents`);
         } catch (error) {
             console.error('Error saving goals:', error);
-            // Fallback to local storage
-            localStorage.setItem('goals_data', JSON.stringify(this.goals));
-            localStorage.setItem('goals_next_id', this.nextGoalId.toString());
         }
     }
 
     async loadGoals() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                // Load goals from Firebase
-                const firebaseGoals = await this.firebase.getCollection('goals');
-                if (firebaseGoals && firebaseGoals.length > 0) {
-                    // Filter goals by current user
-                    this.goals = firebaseGoals.filter(goal => goal.userId === this.firebase.userId);
-                    
-                    // Load counter
-                    const counter = await this.firebase.getDocument('goals_counters', 'counters');
-                    if (counter && counter.userId === this.firebase.userId) {
-                        this.nextGoalId = counter.nextGoalId || 1;
-                    } else {
-                        // Calculate next ID from existing goals
-                        this.nextGoalId = Math.max(...this.goals.map(g => g.id), 0) + 1;
-                    }
-                    console.log('🎯 Goals loaded from Firebase:', this.goals.length);
-                } else {
-                    // No Firebase data, try local storage
-                    this.loadFromLocalStorage();
-                }
-            } else {
-                // Firebase not initialized, use local storage
-                this.loadFromLocalStorage();
-            }
+            const goals = await this.firebase.getCollection('goals');
+            // Filter goals by current user
+            this.goals = (goals || []).filter(goal => goal.userId === this.firebase.userId);
+            this.dirtyTracker.markClean(this.goals);
+            console.log('🎯 Goals loaded:', this.goals.length);
         } catch (error) {
             console.error('Error loading goals:', error);
-            // Fallback to local storage
-            this.loadFromLocalStorage();
+            // Whatever was loaded before stays; the next load retries
         }
     }
 
-    loadFromLocalStorage() {
-        const savedGoals = localStorage.getItem('goals_data');
-        const savedNextId = localStorage.getItem('goals_next_id');
-
-        if (savedGoals) {
-            this.goals = JSON.parse(savedGoals);
-        }
-        if (savedNextId) {
-            this.nextGoalId = parseInt(savedNextId);
-        }
-        console.log('🎯 Goals loaded from local storage:', this.goals.length);
+    // Apply goal changes made in other tabs or on other devices
+    subscribeToChanges() {
+        this.firebase.subscribeToCollection('goals', (changes) => {
+            this.goals = this.firebase.applyRemoteChanges(this.goals, changes, this.dirtyTracker);
+            this.renderGoals();
+            this.updateStats();
+        });
     }
 
     // Force reload from Firebase (useful for sync issues)
@@ -9517,6 +12468,7 @@ class GoalsManager {
 class PomodoroManager {
     constructor(firebaseService) {
         this.firebase = firebaseService;
+        this.dirtyTracker = new DirtyTracker();
         this.isRunning = false;
         this.isPaused = false;
         this.currentTime = 25 * 60; // 25 minutes in seconds
@@ -9529,24 +12481,34 @@ class PomodoroManager {
         this.startTime = null;
         this.pausedTime = 0;
         
+        // With several tabs open only the one holding the Pomodoro lock runs the interval;
+        // the others mirror its ticks
+        this.timerElection = window.tabSync.elect('pomodoro', () => this.resumeTimer());
+        this.tabListeners = [
+            window.tabSync.on('pomodoro-tick', (message) => this.applyTick(message))
+        ];
+        
         // Load saved state
         this.loadState().catch(console.error);
     }
 
+    applyState(state) {
+        this.isRunning = state.isRunning || false;
+        this.isPaused = state.isPaused || false;
+        this.currentTime = state.currentTime || this.focusTime;
+        this.focusTime = state.focusTime || 25 * 60;
+        this.breakTime = state.breakTime || 5 * 60;
+        this.isFocusMode = state.isFocusMode !== undefined ? state.isFocusMode : true;
+        this.sessionName = state.sessionName || '';
+        this.startTime = state.startTime ? new Date(state.startTime) : null;
+        this.pausedTime = state.pausedTime || 0;
+    }
+
     async loadState() {
         try {
-            // Load state from Firebase
             const state = await this.firebase.getPomodoroState();
             if (state) {
-                this.isRunning = state.isRunning || false;
-                this.isPaused = state.isPaused || false;
-                this.currentTime = state.currentTime || this.focusTime;
-                this.focusTime = state.focusTime || 25 * 60;
-                this.breakTime = state.breakTime || 5 * 60;
-                this.isFocusMode = state.isFocusMode !== undefined ? state.isFocusMode : true;
-                this.sessionName = state.sessionName || '';
-                this.startTime = state.startTime ? new Date(state.startTime) : null;
-                this.pausedTime = state.pausedTime || 0;
+                this.applyState(state);
                 
                 // If timer was running when page was closed, continue it
                 if (this.isRunning && !this.isPaused && this.startTime) {
@@ -9563,38 +12525,9 @@ class PomodoroManager {
                         this.startTimer();
                     }
                 }
-            } else {
-                // Fallback to local storage
-                const savedState = localStorage.getItem('pomodoro_state');
-                if (savedState) {
-                    const state = JSON.parse(savedState);
-                    this.isRunning = state.isRunning || false;
-                    this.isPaused = state.isPaused || false;
-                    this.currentTime = state.currentTime || this.focusTime;
-                    this.focusTime = state.focusTime || 25 * 60;
-                    this.breakTime = state.breakTime || 5 * 60;
-                    this.isFocusMode = state.isFocusMode !== undefined ? state.isFocusMode : true;
-                    this.sessionName = state.sessionName || '';
-                    this.startTime = state.startTime ? new Date(state.startTime) : null;
-                    this.pausedTime = state.pausedTime || 0;
-                }
             }
         } catch (error) {
             console.error('Error loading Pomodoro state:', error);
-            // Fallback to local storage
-            const savedState = localStorage.getItem('pomodoro_state');
-            if (savedState) {
-                const state = JSON.parse(savedState);
-                this.isRunning = state.isRunning || false;
-                this.isPaused = state.isPaused || false;
-                this.currentTime = state.currentTime || this.focusTime;
-                this.focusTime = state.focusTime || 25 * 60;
-                this.breakTime = state.breakTime || 5 * 60;
-                this.isFocusMode = state.isFocusMode !== undefined ? state.isFocusMode : true;
-                this.sessionName = state.sessionName || '';
-                this.startTime = state.startTime ? new Date(state.startTime) : null;
-                this.pausedTime = state.pausedTime || 0;
-            }
         }
         
         await this.loadSessions();
@@ -9618,49 +12551,28 @@ class PomodoroManager {
         
         try {
             await this.firebase.savePomodoroState(state);
-            // Also save to local storage as backup
-            localStorage.setItem('pomodoro_state', JSON.stringify(state));
         } catch (error) {
             console.error('Error saving Pomodoro state:', error);
-            // Fallback to local storage
-            localStorage.setItem('pomodoro_state', JSON.stringify(state));
         }
     }
 
     async loadSessions() {
         try {
             const sessions = await this.firebase.getPomodoroSessions();
-            if (sessions && sessions.length > 0) {
-                this.sessions = sessions;
-            } else {
-                // Fallback to local storage
-                const savedSessions = localStorage.getItem('pomodoro_sessions');
-                if (savedSessions) {
-                    this.sessions = JSON.parse(savedSessions);
-                }
-            }
+            this.sessions = sessions || [];
+            this.dirtyTracker.markClean(this.sessions);
         } catch (error) {
             console.error('Error loading Pomodoro sessions:', error);
-            // Fallback to local storage
-            const savedSessions = localStorage.getItem('pomodoro_sessions');
-            if (savedSessions) {
-                this.sessions = JSON.parse(savedSessions);
-            }
+            // Whatever was loaded before stays; the next load retries
         }
     }
 
     async saveSessions() {
         try {
-            // Save each session to Firebase
-            for (const session of this.sessions) {
-                await this.firebase.savePomodoroSession(session);
-            }
-            // Also save to local storage as backup
-            localStorage.setItem('pomodoro_sessions', JSON.stringify(this.sessions));
+            // Only new or changed sessions are written, in batches
+            await this.firebase.saveChangedRecords(this.dirtyTracker, 'pomodoro_sessions', this.sessions);
         } catch (error) {
             console.error('Error saving Pomodoro sessions:', error);
-            // Fallback to local storage
-            localStorage.setItem('pomodoro_sessions', JSON.stringify(this.sessions));
         }
     }
 
@@ -9677,18 +12589,84 @@ class PomodoroManager {
         this.isPaused = false;
         this.startTime = new Date();
         
+        this.runInterval();
+        
+        this.updateControls();
+        this.updateDisplay();
+        await this.saveState();
+    }
+
+    runInterval() {
+        if (!this.timerElection.isLeader || this.timerInterval) return;
+        
         this.timerInterval = setInterval(() => {
             this.currentTime--;
             this.updateDisplay();
+            window.tabSync.post('pomodoro-tick', {
+                userId: this.firebase.userId,
+                currentTime: this.currentTime,
+                isFocusMode: this.isFocusMode
+            });
             
             if (this.currentTime <= 0) {
                 this.completeSession().catch(console.error);
             }
         }, 1000);
+    }
+
+    stopInterval() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+
+    // Called when this tab takes over the timer (e.g. the previous owner was closed)
+    resumeTimer() {
+        if (this.isRunning && !this.isPaused) {
+            this.runInterval();
+        }
+    }
+
+    applyTick(message) {
+        if (message.userId !== this.firebase.userId || this.timerInterval) return;
         
-        this.updateControls();
+        this.currentTime = message.currentTime;
+        this.isFocusMode = message.isFocusMode;
         this.updateDisplay();
-        await this.saveState();
+    }
+
+    // Timer state and sessions changed in another tab or on another device
+    subscribeToChanges() {
+        this.firebase.subscribeToCollection('pomodoro_state', (changes) => {
+            const change = changes.find(c => c.id === this.firebase.workspaceDocId() && c.type !== 'removed');
+            if (!change) return;
+            
+            this.applyState(change.data);
+            if (this.isRunning && !this.isPaused) {
+                this.runInterval();
+            } else {
+                this.stopInterval();
+            }
+            this.updateDisplay();
+            this.updateControls();
+            this.updateSettingsUI();
+        });
+        
+        this.firebase.subscribeToCollection('pomodoro_sessions', (changes) => {
+            this.sessions = this.firebase.applyRemoteChanges(this.sessions, changes, this.dirtyTracker)
+                .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+            this.renderSessions();
+        });
+    }
+
+    // Stop ticking and give the timer to another tab (the module is being re-created)
+    dispose() {
+        this.stopInterval();
+        this.timerElection.release();
+        this.tabListeners.forEach(removeListener => removeListener());
+        this.firebase.unsubscribeFromCollection('pomodoro_state');
+        this.firebase.unsubscribeFromCollection('pomodoro_sessions');
     }
 
     async pauseTimer() {
@@ -9771,7 +12749,7 @@ class PomodoroManager {
         // Only save if some time was actually spent
         if (timeSpent > 0) {
             const session = {
-                id: Date.now(),
+                id: createRecordId(),
                 name: this.sessionName || (this.isFocusMode ? 'Focus Session' : 'Break Session'),
                 type: this.isFocusMode ? 'focus' : 'break',
                 duration: timeSpent, // Actual time spent, not the full duration
@@ -10230,6 +13208,7 @@ class AnalyticsManager {
         this.charts = {};
         this.data = {};
         this.timeRange = 30; // days
+        this.allWorkspaces = false; // Combined view of every workspace
         this.isInitialized = false;
         this.init();
     }
@@ -10255,6 +13234,10 @@ class AnalyticsManager {
                 this.timeRange = parseInt(e.target.value);
                 this.refreshAnalytics();
             }
+            if (e.target.id === 'analyticsWorkspaceScope') {
+                this.allWorkspaces = e.target.value === 'all';
+                this.refreshAnalytics();
+            }
         });
 
         // Chart control buttons
@@ -10309,6 +13292,7 @@ class AnalyticsManager {
 
             console.log('✅ Analytics data loaded:', this.data);
             this.updateMetrics();
+            this.renderWorkspaceBreakdown();
             this.generateInsights();
         } catch (error) {
             console.error('❌ Error loading analytics data:', error);
@@ -10316,15 +13300,15 @@ class AnalyticsManager {
         }
     }
 
+    // Records of the open workspace, or of all of them in the combined view
+    collectionOptions() {
+        return { allWorkspaces: this.allWorkspaces };
+    }
+
     async loadNotesData() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                const notes = await this.firebase.getCollection('notes');
-                return notes || [];
-            } else {
-                const notes = JSON.parse(localStorage.getItem('notes') || '[]');
-                return notes;
-            }
+            const notes = await this.firebase.getCollection('notes', this.collectionOptions());
+            return notes || [];
         } catch (error) {
             console.error('Error loading notes data:', error);
             return [];
@@ -10333,33 +13317,12 @@ class AnalyticsManager {
 
     async loadTasksData() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                const projects = await this.firebase.getCollection('projects');
-                const completedTasks = await this.firebase.getCollection('completed_tasks');
-                
-                let allTasks = [];
-                if (projects) {
-                    projects.forEach(project => {
-                        if (project.tasks) {
-                            allTasks = allTasks.concat(project.tasks.map(task => ({
-                                ...task,
-                                projectName: project.name,
-                                projectId: project.id
-                            })));
-                        }
-                    });
-                }
-                
-                return {
-                    all: allTasks,
-                    completed: completedTasks || []
-                };
-            } else {
-                const crmData = JSON.parse(localStorage.getItem('crm_data') || '[]');
-                const completedTasks = JSON.parse(localStorage.getItem('completed_tasks') || '[]');
-                
-                let allTasks = [];
-                crmData.forEach(project => {
+            const projects = await this.firebase.getCollection('projects', this.collectionOptions());
+            const completedTasks = await this.firebase.getCollection('completed_tasks', this.collectionOptions());
+            
+            let allTasks = [];
+            if (projects) {
+                projects.forEach(project => {
                     if (project.tasks) {
                         allTasks = allTasks.concat(project.tasks.map(task => ({
                             ...task,
@@ -10368,12 +13331,12 @@ class AnalyticsManager {
                         })));
                     }
                 });
-                
-                return {
-                    all: allTasks,
-                    completed: completedTasks
-                };
             }
+            
+            return {
+                all: allTasks,
+                completed: completedTasks || []
+            };
         } catch (error) {
             console.error('Error loading tasks data:', error);
             return { all: [], completed: [] };
@@ -10382,13 +13345,8 @@ class AnalyticsManager {
 
     async loadGoalsData() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                const goals = await this.firebase.getCollection('goals');
-                return goals || [];
-            } else {
-                const goals = JSON.parse(localStorage.getItem('goals_data') || '[]');
-                return goals;
-            }
+            const goals = await this.firebase.getCollection('goals', this.collectionOptions());
+            return goals || [];
         } catch (error) {
             console.error('Error loading goals data:', error);
             return [];
@@ -10397,13 +13355,8 @@ class AnalyticsManager {
 
     async loadHabitsData() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                const habits = await this.firebase.getCollection('habits');
-                return habits || [];
-            } else {
-                const habits = JSON.parse(localStorage.getItem('habits_data') || '[]');
-                return habits;
-            }
+            const habits = await this.firebase.getCollection('habits', this.collectionOptions());
+            return habits || [];
         } catch (error) {
             console.error('Error loading habits data:', error);
             return [];
@@ -10412,13 +13365,8 @@ class AnalyticsManager {
 
     async loadWalletData() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                const transactions = await this.firebase.getCollection('wallet_transactions');
-                return transactions || [];
-            } else {
-                const transactions = JSON.parse(localStorage.getItem('wallet_data') || '[]');
-                return transactions;
-            }
+            const transactions = await this.firebase.getCollection('wallet_transactions', this.collectionOptions());
+            return transactions || [];
         } catch (error) {
             console.error('Error loading wallet data:', error);
             return [];
@@ -10427,13 +13375,8 @@ class AnalyticsManager {
 
     async loadCrmData() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                const projects = await this.firebase.getCollection('projects');
-                return projects || [];
-            } else {
-                const projects = JSON.parse(localStorage.getItem('crm_data') || '[]');
-                return projects;
-            }
+            const projects = await this.firebase.getCollection('projects', this.collectionOptions());
+            return projects || [];
         } catch (error) {
             console.error('Error loading CRM data:', error);
             return [];
@@ -10442,13 +13385,8 @@ class AnalyticsManager {
 
     async loadPomodoroData() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                const sessions = await this.firebase.getCollection('pomodoro_sessions');
-                return sessions || [];
-            } else {
-                const sessions = JSON.parse(localStorage.getItem('pomodoro_sessions') || '[]');
-                return sessions;
-            }
+            const sessions = await this.firebase.getCollection('pomodoro_sessions', this.collectionOptions());
+            return sessions || [];
         } catch (error) {
             console.error('Error loading pomodoro data:', error);
             return [];
@@ -10457,13 +13395,8 @@ class AnalyticsManager {
 
     async loadBookmarksData() {
         try {
-            if (this.firebase && this.firebase.isInitialized) {
-                const bookmarks = await this.firebase.getCollection('bookmarks');
-                return bookmarks || [];
-            } else {
-                const bookmarks = JSON.parse(localStorage.getItem('bookmarks') || '[]');
-                return bookmarks;
-            }
+            const bookmarks = await this.firebase.getCollection('bookmarks', this.collectionOptions());
+            return bookmarks || [];
         } catch (error) {
             console.error('Error loading bookmarks data:', error);
             return [];
@@ -10504,6 +13437,69 @@ class AnalyticsManager {
         this.updateElement('focusTime', `${Math.round(totalFocusTime / 3600)}h`);
     }
 
+    // The combined view also lists the totals of each workspace
+    renderWorkspaceBreakdown() {
+        const container = document.getElementById('workspaceBreakdown');
+        if (!container) return;
+        
+        const workspaces = this.firebase.workspaces;
+        if (!this.allWorkspaces || workspaces.getAll().length < 2) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const notes = workspaces.groupByWorkspace(this.data.notes);
+        const completed = workspaces.groupByWorkspace(this.data.tasks.completed);
+        const goals = workspaces.groupByWorkspace(this.data.goals);
+        const pomodoro = workspaces.groupByWorkspace(this.data.pomodoro);
+        const ids = new Set([...notes.keys(), ...completed.keys(), ...goals.keys(), ...pomodoro.keys()]);
+        
+        const rows = [...ids].map(workspaceId => {
+            const tasks = completed.get(workspaceId) || [];
+            const sessions = pomodoro.get(workspaceId) || [];
+            return {
+                name: workspaces.nameOf(workspaceId),
+                notes: (notes.get(workspaceId) || []).length,
+                completedTasks: tasks.length,
+                activeGoals: (goals.get(workspaceId) || []).filter(goal => !goal.completed).length,
+                revenue: tasks.reduce((sum, task) => sum + (task.price || 0), 0),
+                focusTime: sessions.reduce((sum, session) => sum + (session.type === 'focus' ? session.duration || 0 : 0), 0)
+            };
+        });
+        
+        container.innerHTML = `
+            <h3>🗂️ By Workspace</h3>
+            <table class="workspace-breakdown-table">
+                <thead>
+                    <tr>
+                        <th>Workspace</th>
+                        <th>Notes</th>
+                        <th>Completed Tasks</th>
+                        <th>Active Goals</th>
+                        <th>Revenue</th>
+                        <th>Focus Time</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td class="workspace-breakdown-name"></td>
+                            <td>${row.notes}</td>
+                            <td>${row.completedTasks}</td>
+                            <td>${row.activeGoals}</td>
+                            <td>₹${row.revenue.toLocaleString()}</td>
+                            <td>${Math.round(row.focusTime / 3600)}h</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        container.querySelectorAll('.workspace-breakdown-name').forEach((cell, index) => {
+            cell.textContent = rows[index].name;
+        });
+        container.style.display = 'block';
+    }
+
     updateElement(id, value) {
         const element = document.getElementById(id);
         if (element) {
@@ -11051,6 +14047,7 @@ class AnalyticsManager {
         const exportData = {
             timestamp: new Date().toISOString(),
             timeRange: this.timeRange,
+            workspace: this.allWorkspaces ? 'All workspaces' : this.firebase.workspaces.current().name,
             metrics: {
                 totalNotes: this.data.notes.length,
                 completedTasks: this.data.tasks.completed.length,
@@ -11489,14 +14486,13 @@ class DashboardWidgets {
         // Simple approach: just get all notes and show recent ones
         let allNotes = [];
         
-        // Try to get notes from localStorage first (simplest approach)
-        const savedNotes = localStorage.getItem('notes');
-        if (savedNotes) {
-            allNotes = JSON.parse(savedNotes);
-            console.log('✅ SIMPLE: Found notes in localStorage:', allNotes.length);
+        // Try to get notes from storage first (simplest approach)
+        if (window.secondBrain?.firebase) {
+            allNotes = await window.secondBrain.firebase.getCollection('notes');
+            console.log('✅ SIMPLE: Found notes in storage:', allNotes.length);
         }
         
-        // If no notes in localStorage, try to get from notes module
+        // If no notes in storage, try to get from notes module
         if (allNotes.length === 0 && window.secondBrain?.notes?.notes) {
             allNotes = window.secondBrain.notes.notes;
             console.log('✅ SIMPLE: Found notes in module:', allNotes.length);
@@ -11555,14 +14551,13 @@ class DashboardWidgets {
         // Simple approach: just get all tasks and show them
         let allTasks = [];
         
-        // Try to get tasks from localStorage first (simplest approach)
-        const savedTasks = localStorage.getItem('tasks');
-        if (savedTasks) {
-            allTasks = JSON.parse(savedTasks);
-            console.log('✅ SIMPLE: Found tasks in localStorage:', allTasks.length);
+        // Try to get tasks from storage first (simplest approach)
+        if (window.secondBrain?.firebase) {
+            allTasks = await window.secondBrain.firebase.getCollection('tasks');
+            console.log('✅ SIMPLE: Found tasks in storage:', allTasks.length);
         }
         
-        // If no tasks in localStorage, try to get from tasks module
+        // If no tasks in storage, try to get from tasks module
         if (allTasks.length === 0 && window.secondBrain?.tasks?.tasks) {
             allTasks = window.secondBrain.tasks.tasks;
             console.log('✅ SIMPLE: Found tasks in module:', allTasks.length);
@@ -11603,7 +14598,7 @@ class DashboardWidgets {
         
         const sampleTasks = [
             {
-                id: 1,
+                id: createRecordId(),
                 title: 'Complete project report',
                 description: 'Finish the quarterly project report',
                 priority: 'high',
@@ -11614,7 +14609,7 @@ class DashboardWidgets {
                 updatedAt: new Date().toISOString()
             },
             {
-                id: 2,
+                id: createRecordId(),
                 title: 'Team meeting at 2 PM',
                 description: 'Weekly team standup meeting',
                 priority: 'medium',
@@ -11625,7 +14620,7 @@ class DashboardWidgets {
                 updatedAt: new Date().toISOString()
             },
             {
-                id: 3,
+                id: createRecordId(),
                 title: 'Review code changes',
                 description: 'Review pull requests from team members',
                 priority: 'medium',
@@ -11636,7 +14631,7 @@ class DashboardWidgets {
                 updatedAt: new Date().toISOString()
             },
             {
-                id: 4,
+                id: createRecordId(),
                 title: 'Update documentation',
                 description: 'Update API documentation',
                 priority: 'low',
@@ -11650,11 +14645,9 @@ class DashboardWidgets {
         
         // Add sample tasks to the tasks module
         window.secondBrain.tasks.tasks = sampleTasks;
-        window.secondBrain.tasks.nextTaskId = 5;
         
-        // Save to localStorage
-        localStorage.setItem('tasks', JSON.stringify(sampleTasks));
-        localStorage.setItem('tasks_next_id', '5');
+        // Persist through the tasks module
+        await window.secondBrain.tasks.saveTasks();
         
         console.log('✅ Sample tasks created:', sampleTasks);
     }
@@ -11705,14 +14698,11 @@ class DashboardWidgets {
         const today = new Date().toISOString().split('T')[0];
         let allTasks = window.secondBrain.tasks.tasks || [];
         
-        // If no tasks found, try to load from localStorage directly
+        // If no tasks found, try to load from storage directly
         if (allTasks.length === 0) {
-            console.log('🔍 No tasks in module for overdue, checking localStorage...');
-            const savedTasks = localStorage.getItem('tasks');
-            if (savedTasks) {
-                allTasks = JSON.parse(savedTasks);
-                console.log('🔍 Tasks loaded from localStorage for overdue:', allTasks);
-            }
+            console.log('🔍 No tasks in module for overdue, checking storage...');
+            allTasks = await window.secondBrain.firebase.getCollection('tasks');
+            console.log('🔍 Tasks loaded from storage for overdue:', allTasks);
         }
         
         // Filter overdue tasks
@@ -11746,14 +14736,13 @@ class DashboardWidgets {
         // Simple approach: just get wallet data
         let allTransactions = [];
         
-        // Try to get transactions from localStorage first (simplest approach)
-        const savedTransactions = localStorage.getItem('wallet_transactions');
-        if (savedTransactions) {
-            allTransactions = JSON.parse(savedTransactions);
-            console.log('✅ SIMPLE: Found transactions in localStorage:', allTransactions.length);
+        // Try to get transactions from storage first (simplest approach)
+        if (window.secondBrain?.firebase) {
+            allTransactions = await window.secondBrain.firebase.getCollection('wallet_transactions');
+            console.log('✅ SIMPLE: Found transactions in storage:', allTransactions.length);
         }
         
-        // If no transactions in localStorage, try to get from wallet module
+        // If no transactions in storage, try to get from wallet module
         if (allTransactions.length === 0 && window.secondBrain?.wallet?.transactions) {
             allTransactions = window.secondBrain.wallet.transactions;
             console.log('✅ SIMPLE: Found transactions in module:', allTransactions.length);
@@ -12534,9 +15523,32 @@ class DashboardWidgets {
         }
     }
 
+    // Widgets show the signed-in user's data, so every user (and workspace) has their own key
+    storageKey() {
+        const firebase = window.secondBrain && window.secondBrain.firebase;
+        return firebase ? firebase.workspaceStorageKey('dashboard_widgets') : 'dashboard_widgets_anonymous_user';
+    }
+
+    // Another workspace was opened: show the widgets saved for it
+    restoreWidgets() {
+        document.querySelectorAll('#widgetGrid .widget-card').forEach(element => element.remove());
+        
+        try {
+            const savedWidgets = localStorage.getItem(this.storageKey());
+            this.widgets = savedWidgets ? JSON.parse(savedWidgets) : [];
+        } catch (error) {
+            console.error('Error loading widgets:', error);
+            this.widgets = [];
+        }
+        
+        this.widgets.forEach(widget => this.renderWidget(widget));
+        this.updateEmptyState();
+        this.refreshAllWidgets().catch(console.error);
+    }
+
     saveWidgets() {
         try {
-            localStorage.setItem('dashboard_widgets', JSON.stringify(this.widgets));
+            localStorage.setItem(this.storageKey(), JSON.stringify(this.widgets));
         } catch (error) {
             console.error('Error saving widgets:', error);
         }
@@ -12544,7 +15556,7 @@ class DashboardWidgets {
 
     loadWidgets() {
         try {
-            const savedWidgets = localStorage.getItem('dashboard_widgets');
+            const savedWidgets = localStorage.getItem(this.storageKey());
             if (savedWidgets) {
                 this.widgets = JSON.parse(savedWidgets);
                 this.widgets.forEach(widget => {
@@ -12760,7 +15772,7 @@ class DashboardWidgets {
                 ...widget,
                 position: index
             }));
-            localStorage.setItem('dashboard_widgets', JSON.stringify(widgetsToSave));
+            localStorage.setItem(this.storageKey(), JSON.stringify(widgetsToSave));
         } catch (error) {
             console.error('Error saving widgets:', error);
         }
@@ -12771,7 +15783,7 @@ class DashboardWidgets {
         try {
             // Clear all existing widgets for now
             this.widgets = [];
-            localStorage.removeItem('dashboard_widgets');
+            localStorage.removeItem(this.storageKey());
             this.updateEmptyState();
             console.log('🧹 Dashboard widgets cleared');
         } catch (error) {